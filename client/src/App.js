@@ -1,11 +1,267 @@
-import React, { useEffect, useState, useCallback } from 'react';
+import React, { useEffect, useLayoutEffect, useState, useCallback, useRef } from 'react';
 import './App.css';
 
 const API_URL = process.env.REACT_APP_API_URL || '/api';
 
+// Polling interval used only while the WebSocket is disconnected
+const POLL_INTERVAL = 3000;
+const MAX_RECONNECT_DELAY = 30000;
+
+// Messages fetched per history page, and how close to the top (px) triggers the next one
+const PAGE_SIZE = 50;
+const LOAD_OLDER_THRESHOLD = 80;
+
+// Users fetched per directory page, and how long typing pauses before searching (ms)
+const DIRECTORY_PAGE_SIZE = 30;
+const DIRECTORY_SEARCH_DELAY = 300;
+
+// WebSocket endpoint, derived from the API URL unless set explicitly
+const getSocketUrl = (token) => {
+  const url = new URL(process.env.REACT_APP_WS_URL || `${API_URL}/ws`, window.location.href);
+  if (url.protocol === 'http:') url.protocol = 'ws:';
+  if (url.protocol === 'https:') url.protocol = 'wss:';
+  url.searchParams.set('token', token);
+  return url.toString();
+};
+
+// Add or replace a message in a list, keeping it ordered by id
+const upsertMessage = (list, message) => {
+  if (list.some(m => m.id === message.id)) {
+    return list.map(m => (m.id === message.id ? { ...m, ...message } : m));
+  }
+  return [...list, message].sort((a, b) => a.id - b.id);
+};
+
+// Merge changes into a message only if it is already in the list
+const patchMessage = (list, message) => list.map(m => (m.id === message.id ? { ...m, ...message } : m));
+
+// Build the query string for a message page request ({ before }, { after } or { around })
+const pageQuery = (cursor = {}) => {
+  const params = new URLSearchParams({ limit: PAGE_SIZE });
+  ['before', 'after', 'around'].forEach((key) => {
+    if (cursor[key]) params.set(key, cursor[key]);
+  });
+  return params.toString();
+};
+
+// Merge a fetched page into the current list according to the cursor used
+const mergePage = (prev, page, cursor = {}) => {
+  if (cursor.before) return [...page.messages.filter(m => !prev.some(p => p.id === m.id)), ...prev];
+  if (cursor.after) return page.messages.reduce(upsertMessage, prev);
+  return page.messages;
+};
+
+// Group roles, lowest to highest. Mirrors the server's checks for showing controls;
+// the server still enforces them
+const GROUP_ROLE_RANK = { member: 1, admin: 2, owner: 3 };
+
+const lastMessageId = (list) => (list.length ? list[list.length - 1].id : null);
+
+// Search snippets are HTML-escaped by the server with matches wrapped in <mark>;
+// render them as React elements instead of injecting HTML
+const decodeEntities = (text) => text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+const renderSnippet = (snippet) => snippet
+  .split(/<mark>(.*?)<\/mark>/g)
+  .map((part, i) => (i % 2 === 1 ? <mark key={i}>{decodeEntities(part)}</mark> : decodeEntities(part)));
+
+// Emoji offered by the reaction picker
+const QUICK_REACTIONS = ['👍', '❤️', '😂', '😮', '😢', '🎉'];
+
+// Replace one message's reactions, deriving reacted_by_me from who reacted
+const applyReactions = (list, messageId, reactions, userId) => list.map(m => (m.id === messageId
+  ? { ...m, reactions: reactions.map(r => ({ ...r, reacted_by_me: r.user_ids.includes(userId) })) }
+  : m));
+
+// Typing indicators expire unless refreshed; while typing, the client repeats
+// its signal more often than that
+const TYPING_TIMEOUT = 6000;
+const TYPING_REPEAT = 3000;
+
+// Presence line for a user: status, or when they were last online
+const presenceLabel = (user) => {
+  if (!user?.status) return '';
+  if (user.status === 'online') return 'Online';
+  if (user.status === 'away') return 'Away';
+  return user.last_seen_at ? `Last seen ${new Date(user.last_seen_at).toLocaleString()}` : 'Offline';
+};
+
+// Catch-up summary ranges: unread uses the caller's read cursor, the rest a window of hours
+const SUMMARY_RANGES = {
+  unread: { label: 'Unread messages' },
+  day: { label: 'Last 24 hours', hours: 24 },
+  week: { label: 'Last 7 days', hours: 24 * 7 }
+};
+
+// Summaries cite messages as [12] or [12, 15]; render those as links that jump to them
+const renderSummary = (summary, citedIds, onJump) => summary
+  .split(/\[(\d+(?:\s*,\s*\d+)*)\]/g)
+  .map((part, i) => {
+    if (i % 2 === 0) return part;
+    const ids = part.split(',').map(Number).filter(id => citedIds.has(id));
+    if (ids.length === 0) return null;
+    return (
+      <span key={i} className="summary-cites">
+        {ids.map(id => <button key={id} type="button" onClick={() => onJump(id)}>{id}</button>)}
+      </span>
+    );
+  });
+
+// Attachments per message; the server enforces the same limit
+const MAX_ATTACHMENTS = 10;
+
+// Split buffered Server-Sent Events text into complete events ({ event, data })
+// and the unfinished remainder
+const parseSseEvents = (buffer) => {
+  const blocks = buffer.split('\n\n');
+  const rest = blocks.pop();
+  const events = blocks.map(block => {
+    const parsed = { event: 'message', data: '' };
+    block.split('\n').forEach(line => {
+      if (line.startsWith('event: ')) parsed.event = line.slice(7);
+      else if (line.startsWith('data: ')) parsed.data += line.slice(6);
+    });
+    return parsed;
+  });
+  return [events, rest];
+};
+
+const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// Attachment downloads need the Authorization header, so files are fetched
+// as blobs and shown through object URLs
+const openAttachment = async (authFetch, attachment) => {
+  const response = await authFetch(`/attachments/${attachment.id}`);
+  if (!response.ok) return;
+  const url = URL.createObjectURL(await response.blob());
+  const link = document.createElement('a');
+  link.href = url;
+  if (attachment.mime_type.startsWith('image/')) link.target = '_blank';
+  else link.download = attachment.original_name;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 60000);
+};
+
+// An image thumbnail or file chip inside a message bubble
+function AttachmentView({ attachment, authFetch }) {
+  const [thumbnailUrl, setThumbnailUrl] = useState(null);
+
+  useEffect(() => {
+    if (!attachment.has_thumbnail) return;
+    let url = null;
+    let cancelled = false;
+    authFetch(`/attachments/${attachment.id}/thumbnail`)
+      .then(response => (response.ok ? response.blob() : null))
+      .then(blob => {
+        if (!blob || cancelled) return;
+        url = URL.createObjectURL(blob);
+        setThumbnailUrl(url);
+      })
+      .catch(err => console.error('Error loading thumbnail:', err));
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [attachment.id, attachment.has_thumbnail, authFetch]);
+
+  if (attachment.has_thumbnail) {
+    return (
+      <button type="button" className="attachment-image" onClick={() => openAttachment(authFetch, attachment)} title={attachment.original_name}>
+        {thumbnailUrl ? <img src={thumbnailUrl} alt={attachment.original_name} /> : <span>Loading image...</span>}
+      </button>
+    );
+  }
+
+  return (
+    <button type="button" className="attachment-file" onClick={() => openAttachment(authFetch, attachment)} title="Download">
+      <span className="attachment-name">{attachment.original_name}</span>
+      <span className="attachment-size">{formatBytes(attachment.size_bytes)}</span>
+    </button>
+  );
+}
+
+// A user's avatar image, or the first letter of their name while there is none.
+// Avatars are fetched with the Authorization header like attachment thumbnails;
+// avatar_updated_at versions the request so a new upload is picked up.
+function Avatar({ user, authFetch, children }) {
+  const [imageUrl, setImageUrl] = useState(null);
+  const version = user.has_avatar ? user.avatar_updated_at : null;
+
+  useEffect(() => {
+    setImageUrl(null);
+    if (!version) return;
+    let url = null;
+    let cancelled = false;
+    authFetch(`/users/${user.id}/avatar?v=${encodeURIComponent(version)}`)
+      .then(response => (response.ok ? response.blob() : null))
+      .then(blob => {
+        if (!blob || cancelled) return;
+        url = URL.createObjectURL(blob);
+        setImageUrl(url);
+      })
+      .catch(err => console.error('Error loading avatar:', err));
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [user.id, version, authFetch]);
+
+  return (
+    <div className="user-avatar">
+      {imageUrl ? <img src={imageUrl} alt="" /> : (user.display_name || user.username || '?')[0].toUpperCase()}
+      {children}
+    </div>
+  );
+}
+
+// Name to show for a user: their display name if they set one
+const displayName = (user) => user.display_name || user.username;
+
+// Token from an emailed link (?verify_token=... or ?reset_token=...)
+const getLinkToken = (name) => new URLSearchParams(window.location.search).get(name) || '';
+
+// Drop emailed tokens from the address bar once they have been used
+const clearLinkTokens = () => window.history.replaceState(null, '', window.location.pathname);
+
+// Group visibility settings, as offered when creating or managing a group
+const GROUP_VISIBILITY_OPTIONS = [
+  { value: 'private', label: 'Private: invite only' },
+  { value: 'request', label: 'Listed: people ask to join' },
+  { value: 'public', label: 'Public: anyone can join' }
+];
+
+// Invite code from a /join/<code> link
+const getInviteCode = () => window.location.pathname.match(/^\/join\/([A-Za-z0-9_-]+)\/?$/)?.[1] || null;
+
+// Expiry choices when creating an invite link (hours; '' never expires)
+const INVITE_EXPIRY_OPTIONS = [
+  { hours: '', label: 'Never expires' },
+  { hours: 1, label: 'Expires in 1 hour' },
+  { hours: 24, label: 'Expires in 1 day' },
+  { hours: 24 * 7, label: 'Expires in 7 days' }
+];
+
+// One-line summary of an invite link for the group panel
+const describeInvite = (invite) => [
+  `${invite.use_count}${invite.max_uses ? ` of ${invite.max_uses}` : ''} used`,
+  invite.expires_at ? `expires ${new Date(invite.expires_at).toLocaleString()}` : 'never expires',
+  invite.requires_approval && 'needs approval'
+].filter(Boolean).join(' · ');
+
+const AUTH_TITLES = {
+  forgot: 'Forgot password',
+  verify: 'Verify your email',
+  reset: 'Choose a new password',
+  two_factor: 'Two-factor authentication'
+};
+
 function App() {
   // Authentication state
   const [token, setToken] = useState(localStorage.getItem('token') || null);
+  const isLoggedIn = Boolean(token);
   const [currentUser, setCurrentUser] = useState(null);
   const [isLogin, setIsLogin] = useState(true);
 
@@ -13,11 +269,36 @@ function App() {
   const [username, setUsername] = useState('');
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+
+  // Account email state: which login screen form is showing ('credentials',
+  // 'forgot', 'verify' or 'reset'), the token from a reset link, and
+  // confirmations to show the user
+  const [authView, setAuthView] = useState(() => (getLinkToken('reset_token') ? 'reset' : 'credentials'));
+  const [resetToken] = useState(() => getLinkToken('reset_token'));
+  const [notice, setNotice] = useState('');
+
+  // Two-factor state: the challenge token between the password and code steps
+  // of a login, and the settings panel (setup in progress, codes to show once)
+  const [twoFactorChallenge, setTwoFactorChallenge] = useState('');
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const [showTwoFactor, setShowTwoFactor] = useState(false);
+  const [twoFactorStatus, setTwoFactorStatus] = useState(null);
+  const [twoFactorSetup, setTwoFactorSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+  const [twoFactorPassword, setTwoFactorPassword] = useState('');
 
   // Messaging state
+  // Users tab: the directory pages loaded so far for the current search
   const [users, setUsers] = useState([]);
+  const [userQuery, setUserQuery] = useState('');
+  const [hasMoreUsers, setHasMoreUsers] = useState(false);
+  const [loadingUsers, setLoadingUsers] = useState(false);
+  const usersRequestRef = useRef(0);
   const [selectedUser, setSelectedUser] = useState(null);
   const [messages, setMessages] = useState([]);
+  const [hasOlderMessages, setHasOlderMessages] = useState(false);
+  const [hasNewerMessages, setHasNewerMessages] = useState(false);
   const [newMessage, setNewMessage] = useState('');
   const [conversations, setConversations] = useState([]);
 
@@ -25,15 +306,100 @@ function App() {
   const [groups, setGroups] = useState([]);
   const [selectedGroup, setSelectedGroup] = useState(null);
   const [groupMessages, setGroupMessages] = useState([]);
+  const [hasOlderGroupMessages, setHasOlderGroupMessages] = useState(false);
+  const [hasNewerGroupMessages, setHasNewerGroupMessages] = useState(false);
   const [groupMembers, setGroupMembers] = useState([]);
   const [showCreateGroup, setShowCreateGroup] = useState(false);
   const [newGroupName, setNewGroupName] = useState('');
   const [newGroupDescription, setNewGroupDescription] = useState('');
+  const [newGroupVisibility, setNewGroupVisibility] = useState('private');
+  const [showGroupSettings, setShowGroupSettings] = useState(false);
+  const [groupEditName, setGroupEditName] = useState('');
+  const [groupEditDescription, setGroupEditDescription] = useState('');
+  const [groupEditVisibility, setGroupEditVisibility] = useState('private');
+  const [groupEditAssistantEnabled, setGroupEditAssistantEnabled] = useState(true);
+  const [groupEditAssistantLimit, setGroupEditAssistantLimit] = useState('');
+  const [memberToAdd, setMemberToAdd] = useState('');
+
+  // Invite links and join requests of the open group (admins), and an invite
+  // being followed from a /join/<code> link
+  const [groupInvites, setGroupInvites] = useState([]);
+  const [joinRequests, setJoinRequests] = useState([]);
+  const [inviteDraft, setInviteDraft] = useState({ expires_in: '', max_uses: '', requires_approval: false });
+  const [inviteCode, setInviteCode] = useState(getInviteCode);
+  const [invitePreview, setInvitePreview] = useState(null);
+
+  // Discover section of the Groups tab: listed groups the user is not in
+  const [discoverGroups, setDiscoverGroups] = useState([]);
+  const [discoverQuery, setDiscoverQuery] = useState('');
+  const [hasMoreDiscover, setHasMoreDiscover] = useState(false);
+  const [loadingDiscover, setLoadingDiscover] = useState(false);
+  const discoverRequestRef = useRef(0);
 
   // AI chatbot state
   const [aiMessages, setAiMessages] = useState([]);
   const [aiInput, setAiInput] = useState('');
   const [aiLoading, setAiLoading] = useState(false);
+  // AI sessions, most recently used first; a null active session means the next message starts one
+  const [aiSessions, setAiSessions] = useState([]);
+  const [activeAiSessionId, setActiveAiSessionId] = useState(null);
+  const activeAiSessionRef = useRef(null);
+  // Cancels the reply being streamed, if any
+  const aiAbortRef = useRef(null);
+
+  // Search state (searchResults is null while no search is active)
+  const [searchQuery, setSearchQuery] = useState('');
+  const [searchFilters, setSearchFilters] = useState({ sender_id: '', scope: '', from: '', to: '' });
+  const [showSearchFilters, setShowSearchFilters] = useState(false);
+  const [searchResults, setSearchResults] = useState(null);
+  const [searching, setSearching] = useState(false);
+  const [highlightedMessageId, setHighlightedMessageId] = useState(null);
+
+  // Message editing state
+  const [editingMessageId, setEditingMessageId] = useState(null);
+  const [editDraft, setEditDraft] = useState('');
+  const [messageHistory, setMessageHistory] = useState(null);
+  const [reactionPickerFor, setReactionPickerFor] = useState(null);
+
+  // Catch-up summary for the open chat: { range, loading, data } while the panel is shown
+  const [summary, setSummary] = useState(null);
+  const summaryRequestRef = useRef(0);
+
+  // Read cursors already sent to the server, keyed by chat ("direct:3", "group:7")
+  const readCursorsRef = useRef({});
+  const [pageVisible, setPageVisible] = useState(document.visibilityState === 'visible');
+
+  // Who is typing where: [{ key: "direct:3" | "group:7", user_id, username, expires_at }]
+  const [typingUsers, setTypingUsers] = useState([]);
+  const typingSentRef = useRef({ key: null, at: 0 });
+  const socketRef = useRef(null);
+  const [showPrivacy, setShowPrivacy] = useState(false);
+  const [showLastSeen, setShowLastSeen] = useState(true);
+  const [showEmail, setShowEmail] = useState(false);
+
+  // Profile state: the caller's own profile and settings forms, and the
+  // profile card of another user opened from the chat header
+  const [showProfile, setShowProfile] = useState(false);
+  const [profile, setProfile] = useState(null);
+  const [profileDraft, setProfileDraft] = useState({ display_name: '', status_message: '', bio: '' });
+  const [passwordDraft, setPasswordDraft] = useState({ current: '', next: '' });
+  const [deleteDraft, setDeleteDraft] = useState({ password: '', code: '' });
+  const [viewedProfile, setViewedProfile] = useState(null);
+  const avatarInputRef = useRef(null);
+
+  // Reply state: the message being quoted and the open thread (its parent message)
+  const [replyTo, setReplyTo] = useState(null);
+  const [openThread, setOpenThread] = useState(null);
+  const [threadReplies, setThreadReplies] = useState([]);
+  const [threadHasOlder, setThreadHasOlder] = useState(false);
+  const [threadInput, setThreadInput] = useState('');
+  const threadEndRef = useRef(null);
+
+  // Attachment upload state: files being uploaded or waiting to be sent
+  const [pendingAttachments, setPendingAttachments] = useState([]);
+  const [dragActive, setDragActive] = useState(false);
+  const fileInputRef = useRef(null);
+  const uploadCounterRef = useRef(0);
 
   // UI state
   const [loading, setLoading] = useState(false);
@@ -41,17 +407,159 @@ function App() {
   const [view, setView] = useState('conversations'); 
   const [chatType, setChatType] = useState('direct'); 
 
-  // ==================== STABLE DATA LOADERS ====================
+  // Real-time state
+  const [socketConnected, setSocketConnected] = useState(false);
+  const realtimeHandlerRef = useRef(null);
 
-  const handleLogout = useCallback(() => {
+  // Message history scrolling. The ref guards against scroll events that
+  // arrive before the re-render; the state only drives the buttons.
+  const [loadingOlder, setLoadingOlder] = useState(false);
+  const loadingOlderRef = useRef(false);
+  const messagesContainerRef = useRef(null);
+  const scrollAnchorRef = useRef(null);
+  const stickToBottomRef = useRef(true);
+  const jumpToMessageRef = useRef(null);
+  const openChatRef = useRef(null);
+  const messagesRef = useRef([]);
+  const groupMessagesRef = useRef([]);
+  messagesRef.current = messages;
+  groupMessagesRef.current = groupMessages;
+
+  // Session tokens live in refs too, so requests always use the latest pair
+  // without every loader being recreated when the access token rotates
+  const tokenRef = useRef(token);
+  const refreshTokenRef = useRef(localStorage.getItem('refreshToken'));
+  const refreshPromiseRef = useRef(null);
+
+  // Sessions UI state
+  const [showSessions, setShowSessions] = useState(false);
+  const [sessions, setSessions] = useState([]);
+
+  // ==================== SESSION HANDLING ====================
+
+  const saveSession = useCallback((accessToken, refreshToken) => {
+    localStorage.setItem('token', accessToken);
+    localStorage.setItem('refreshToken', refreshToken);
+    tokenRef.current = accessToken;
+    refreshTokenRef.current = refreshToken;
+    setToken(accessToken);
+  }, []);
+
+  // Forget the session locally (the server side is handled by handleLogout)
+  const clearSession = useCallback(() => {
     localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
+    tokenRef.current = null;
+    refreshTokenRef.current = null;
     setToken(null);
     setCurrentUser(null);
     setSelectedUser(null);
+    setSelectedGroup(null);
     setMessages([]);
     setUsers([]);
+    setUserQuery('');
+    setAiMessages([]);
+    setAiSessions([]);
+    if (aiAbortRef.current) aiAbortRef.current.abort();
+    activeAiSessionRef.current = null;
+    setActiveAiSessionId(null);
+    readCursorsRef.current = {};
   }, []);
 
+  // Exchange the refresh token for a new pair; concurrent callers share one request.
+  // Resolves to true, false when the session has ended, or null when rate limited
+  const refreshSession = useCallback(() => {
+    if (!refreshPromiseRef.current) {
+      refreshPromiseRef.current = (async () => {
+        // Another tab may have rotated the pair already; sending the old
+        // refresh token would look like a replayed one
+        const storedRefreshToken = localStorage.getItem('refreshToken');
+        if (storedRefreshToken && storedRefreshToken !== refreshTokenRef.current) {
+          tokenRef.current = localStorage.getItem('token');
+          refreshTokenRef.current = storedRefreshToken;
+          setToken(tokenRef.current);
+          refreshPromiseRef.current = null;
+          return true;
+        }
+        try {
+          const response = await fetch(`${API_URL}/auth/refresh`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ refresh_token: refreshTokenRef.current })
+          });
+          const data = await response.json();
+          // Rate limited: keep the session and let the user retry later
+          if (response.status === 429) {
+            setError(data.error || 'Too many requests. Please wait a moment and try again.');
+            return null;
+          }
+          if (!response.ok) return false;
+          saveSession(data.token, data.refresh_token);
+          return true;
+        } catch (error) {
+          console.error('Error refreshing session:', error);
+          return false;
+        } finally {
+          refreshPromiseRef.current = null;
+        }
+      })();
+    }
+    return refreshPromiseRef.current;
+  }, [saveSession]);
+
+  // Keep every open tab on the same session: pick up pairs rotated elsewhere,
+  // and sign out here when another tab signs out
+  useEffect(() => {
+    const handleStorage = (event) => {
+      if (event.key === 'token' && event.newValue) {
+        tokenRef.current = event.newValue;
+        setToken(event.newValue);
+      } else if (event.key === 'refreshToken') {
+        if (event.newValue) refreshTokenRef.current = event.newValue;
+        else if (refreshTokenRef.current) clearSession();
+      }
+    };
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  }, [clearSession]);
+
+  /**
+   * fetch() for authenticated API calls
+   * When the access token is rejected (403 with code TOKEN_INVALID) it refreshes
+   * the session once and retries; if refreshing fails the user is signed out
+   */
+  const authFetch = useCallback(async (path, options = {}) => {
+    const request = () => fetch(`${API_URL}${path}`, {
+      ...options,
+      headers: { ...options.headers, 'Authorization': `Bearer ${tokenRef.current}` }
+    });
+
+    let response = await request();
+    if (response.status === 403) {
+      const data = await response.clone().json().catch(() => ({}));
+      if (data.code === 'TOKEN_INVALID') {
+        const refreshed = refreshTokenRef.current ? await refreshSession() : false;
+        if (refreshed) response = await request();
+        else if (refreshed === false) clearSession();
+      }
+    }
+    // Rate limits apply to every route, so they are reported here once
+    if (response.status === 429) {
+      const data = await response.clone().json().catch(() => ({}));
+      setError(data.error || 'Too many requests. Please wait a moment and try again.');
+    }
+    return response;
+  }, [refreshSession, clearSession]);
+
+  const handleLogout = useCallback(async () => {
+    try {
+      await authFetch('/auth/logout', { method: 'POST' });
+    } catch (error) { console.error('Error logging out:', error); }
+    clearSession();
+  }, [authFetch, clearSession]);
+
+  // ==================== STABLE DATA LOADERS ====================
+
   const loadCurrentUser = useCallback(() => {
     if (!token) return;
     try {
@@ -59,132 +567,622 @@ function App() {
       setCurrentUser(decoded);
     } catch (error) {
       console.error('Error decoding token:', error);
-      handleLogout();
+      clearSession();
     }
-  }, [token, handleLogout]);
+  }, [token, clearSession]);
 
-  const loadUsers = useCallback(async () => {
-    if (!token) return;
+  // Load a page of the user directory; offset 0 starts a new list.
+  // Responses to searches that have since changed are dropped.
+  const loadUsers = useCallback(async (q = '', offset = 0) => {
+    const requestId = ++usersRequestRef.current;
+    const params = new URLSearchParams({ limit: DIRECTORY_PAGE_SIZE, offset });
+    if (q) params.set('q', q);
+    setLoadingUsers(true);
     try {
-      const response = await fetch(`${API_URL}/users`, {
-        headers: { 'Authorization': `Bearer ${token}` }
-      });
+      const response = await authFetch(`/users?${params}`);
       const data = await response.json();
-      if (response.ok) setUsers(data.users);
-    } catch (error) { console.error('Error loading users:', error); }
-  }, [token]);
+      if (!response.ok || requestId !== usersRequestRef.current) return;
+      setUsers(prev => (offset === 0 ? data.users : [...prev, ...data.users]));
+      setHasMoreUsers(data.has_more);
+    } catch (error) {
+      console.error('Error loading users:', error);
+    } finally {
+      if (requestId === usersRequestRef.current) setLoadingUsers(false);
+    }
+  }, [authFetch]);
 
   const loadConversations = useCallback(async () => {
-    if (!token) return;
     try {
-      const response = await fetch(`${API_URL}/messages`, {
-        headers: { 'Authorization': `Bearer ${token}` }
-      });
+      const response = await authFetch(`/messages`);
       const data = await response.json();
       if (response.ok) setConversations(data.conversations);
     } catch (error) { console.error('Error loading conversations:', error); }
-  }, [token]);
+  }, [authFetch]);
 
-  const loadMessages = useCallback(async (userId) => {
-    if (!token) return;
+  // Without a cursor this loads the newest page; { before } prepends older
+  // history, { after } merges in anything newer than the last message and
+  // { around } replaces the list with the context of one message
+  const loadMessages = useCallback(async (userId, cursor = {}) => {
     try {
-      const response = await fetch(`${API_URL}/messages/${userId}`, {
-        headers: { 'Authorization': `Bearer ${token}` }
-      });
+      const response = await authFetch(`/messages/${userId}?${pageQuery(cursor)}`);
       const data = await response.json();
-      if (response.ok) setMessages(data.messages);
+      if (!response.ok) return;
+      setMessages(prev => mergePage(prev, data, cursor));
+      if (cursor.after) setHasNewerMessages(data.has_more);
+      else setHasOlderMessages(data.has_more);
+      if (!cursor.before && !cursor.after) setHasNewerMessages(Boolean(data.has_newer));
     } catch (error) { console.error('Error loading messages:', error); }
-  }, [token]);
+  }, [authFetch]);
 
   const loadGroups = useCallback(async () => {
-    if (!token) return;
     try {
-      const response = await fetch(`${API_URL}/groups`, {
-        headers: { 'Authorization': `Bearer ${token}` }
-      });
+      const response = await authFetch(`/groups`);
       const data = await response.json();
       if (response.ok) setGroups(data.groups || []);
     } catch (error) { console.error('Error loading groups:', error); }
-  }, [token]);
+  }, [authFetch]);
 
-  const loadAiHistory = useCallback(async () => {
-    if (!token) return;
+  const selectAiSession = useCallback((sessionId) => {
+    activeAiSessionRef.current = sessionId;
+    setActiveAiSessionId(sessionId);
+  }, []);
+
+  const loadAiSessions = useCallback(async () => {
     try {
-      const response = await fetch(`${API_URL}/ai/history`, {
-        headers: { 'Authorization': `Bearer ${token}` }
-      });
+      const response = await authFetch('/ai/sessions');
+      const data = await response.json();
+      if (response.ok) setAiSessions(data.sessions);
+    } catch (error) { console.error('Error loading AI sessions:', error); }
+  }, [authFetch]);
+
+  // Without a session ID the server picks the most recently used session
+  const loadAiHistory = useCallback(async (sessionId) => {
+    try {
+      const response = await authFetch(sessionId ? `/ai/history?session_id=${sessionId}` : '/ai/history');
       const data = await response.json();
       
       if (response.ok && data.history) {
-        // Transform the flat database records into individual chat bubbles
-        const transformedHistory = [];
-        data.history.forEach(row => {
-          // Push the User's part
-          transformedHistory.push({ role: 'user', content: row.message });
-          // Push the AI's part
-          transformedHistory.push({ role: 'assistant', content: row.response });
-        });
-        
-        setAiMessages(transformedHistory);
+        selectAiSession(data.session_id);
+        // Each stored turn, oldest first, becomes the user's bubble then the AI's
+        setAiMessages(data.history.flatMap(row => [
+          { role: 'user', content: row.message },
+          { role: 'assistant', content: row.response }
+        ]));
       }
     } catch (error) { 
       console.error('Error loading AI history:', error); 
     }
-  }, [token]);
+  }, [authFetch, selectAiSession]);
 
-  const loadGroupMessages = useCallback(async (groupId) => {
-    if (!token) return;
+  const loadGroupMessages = useCallback(async (groupId, cursor = {}) => {
     try {
-      const response = await fetch(`${API_URL}/groups/${groupId}/messages`, {
-        headers: { 'Authorization': `Bearer ${token}` }
-      });
+      const response = await authFetch(`/groups/${groupId}/messages?${pageQuery(cursor)}`);
       const data = await response.json();
-      if (response.ok) setGroupMessages(data.messages || []);
+      if (!response.ok) return;
+      setGroupMessages(prev => mergePage(prev, data, cursor));
+      if (cursor.after) setHasNewerGroupMessages(data.has_more);
+      else setHasOlderGroupMessages(data.has_more);
+      if (!cursor.before && !cursor.after) setHasNewerGroupMessages(Boolean(data.has_newer));
     } catch (error) { console.error('Error loading group messages:', error); }
-  }, [token]);
+  }, [authFetch]);
 
   const loadGroupMembers = useCallback(async (groupId) => {
-    if (!token) return;
     try {
-      const response = await fetch(`${API_URL}/groups/${groupId}/members`, {
-        headers: { 'Authorization': `Bearer ${token}` }
-      });
+      const response = await authFetch(`/groups/${groupId}/members`);
       const data = await response.json();
       if (response.ok) setGroupMembers(data.members || []);
     } catch (error) { console.error('Error loading group members:', error); }
-  }, [token]);
+  }, [authFetch]);
+
+  // Load a page of discoverable groups; offset 0 starts a new list
+  const loadDiscoverGroups = useCallback(async (q = '', offset = 0) => {
+    const requestId = ++discoverRequestRef.current;
+    const params = new URLSearchParams({ limit: DIRECTORY_PAGE_SIZE, offset });
+    if (q) params.set('q', q);
+    setLoadingDiscover(true);
+    try {
+      const response = await authFetch(`/groups/discover?${params}`);
+      const data = await response.json();
+      if (!response.ok || requestId !== discoverRequestRef.current) return;
+      setDiscoverGroups(prev => (offset === 0 ? data.groups : [...prev, ...data.groups]));
+      setHasMoreDiscover(data.has_more);
+    } catch (error) {
+      console.error('Error loading discoverable groups:', error);
+    } finally {
+      if (requestId === discoverRequestRef.current) setLoadingDiscover(false);
+    }
+  }, [authFetch]);
+
+  const loadGroupInvites = useCallback(async (groupId) => {
+    try {
+      const [invitesResponse, requestsResponse] = await Promise.all([
+        authFetch(`/groups/${groupId}/invites`),
+        authFetch(`/groups/${groupId}/join-requests`)
+      ]);
+      if (invitesResponse.ok) setGroupInvites((await invitesResponse.json()).invites);
+      if (requestsResponse.ok) setJoinRequests((await requestsResponse.json()).requests);
+    } catch (error) { console.error('Error loading invites:', error); }
+  }, [authFetch]);
+
+  // Move the read cursor of a chat forward and clear its unread badge
+  const markChatRead = useCallback(async (kind, chatId, messageId) => {
+    const key = `${kind}:${chatId}`;
+    if (readCursorsRef.current[key] >= messageId) return;
+    readCursorsRef.current[key] = messageId;
+    const path = kind === 'group' ? `/groups/${chatId}/read` : `/messages/${chatId}/read`;
+    try {
+      const response = await authFetch(path, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message_id: messageId })
+      });
+      if (!response.ok) {
+        delete readCursorsRef.current[key];
+        return;
+      }
+      if (kind === 'group') setGroups(prev => prev.map(g => (g.id === chatId ? { ...g, unread_count: 0 } : g)));
+      else loadConversations();
+    } catch (error) {
+      delete readCursorsRef.current[key];
+      console.error('Error marking chat as read:', error);
+    }
+  }, [authFetch, loadConversations]);
 
   // ==================== EFFECTS ====================
 
   useEffect(() => {
-    if (token) {
-      loadCurrentUser();
-      loadUsers();
+    loadCurrentUser();
+  }, [loadCurrentUser]);
+
+  // Confirm an emailed verification link, whether or not anyone is logged in
+  useEffect(() => {
+    const verifyToken = getLinkToken('verify_token');
+    if (!verifyToken) return;
+    clearLinkTokens();
+    (async () => {
+      try {
+        const response = await fetch(`${API_URL}/auth/verify-email/confirm`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ token: verifyToken })
+        });
+        const data = await response.json();
+        if (response.ok) {
+          setNotice('Your email address is verified.');
+          setCurrentUser(prev => prev && { ...prev, email_verified: true });
+        } else { setError(data.error || 'Email verification failed'); }
+      } catch (error) { setError('Network error'); }
+    })();
+  }, []);
+
+  useEffect(() => {
+    if (isLoggedIn) {
       loadConversations();
       loadGroups();
+      loadAiSessions();
       loadAiHistory();
     }
-  }, [token, loadCurrentUser, loadUsers, loadConversations, loadGroups, loadAiHistory]);
+  }, [isLoggedIn, loadConversations, loadGroups, loadAiSessions, loadAiHistory]);
 
+  // Discover groups whenever the Groups tab is open, searching once typing pauses
   useEffect(() => {
-    if (selectedUser && token && chatType === 'direct') {
-      loadMessages(selectedUser.id);
-      const interval = setInterval(() => loadMessages(selectedUser.id), 3000);
+    if (!isLoggedIn || view !== 'groups') return undefined;
+    const q = discoverQuery.trim();
+    const timer = setTimeout(() => loadDiscoverGroups(q), q ? DIRECTORY_SEARCH_DELAY : 0);
+    return () => clearTimeout(timer);
+  }, [isLoggedIn, view, discoverQuery, loadDiscoverGroups]);
+
+  // Show the group behind an invite link once signed in
+  useEffect(() => {
+    if (!isLoggedIn || !inviteCode) return;
+    (async () => {
+      try {
+        const response = await authFetch(`/invites/${inviteCode}`);
+        const data = await response.json();
+        if (response.ok) {
+          setInvitePreview(data.invite);
+          return;
+        }
+        setError(data.error || 'Could not open the invite link');
+      } catch (error) { setError('Network error'); }
+      setInviteCode(null);
+      window.history.replaceState(null, '', '/');
+    })();
+  }, [isLoggedIn, inviteCode, authFetch]);
+
+  // Search the directory once typing pauses; the first page loads straight away
+  useEffect(() => {
+    if (!isLoggedIn) return undefined;
+    const q = userQuery.trim();
+    const timer = setTimeout(() => loadUsers(q), q ? DIRECTORY_SEARCH_DELAY : 0);
+    return () => clearTimeout(timer);
+  }, [isLoggedIn, userQuery, loadUsers]);
+
+  // Open the WebSocket and reconnect with exponential backoff when it drops.
+  // Each attempt uses the latest access token, so rotating it needs no reconnect.
+  useEffect(() => {
+    if (!isLoggedIn) return;
+
+    let socket = null;
+    let reconnectTimer = null;
+    let attempts = 0;
+    let closedByCleanup = false;
+
+    const connect = () => {
+      socket = new WebSocket(getSocketUrl(tokenRef.current));
+      socketRef.current = socket;
+
+      socket.onopen = () => {
+        attempts = 0;
+        setSocketConnected(true);
+      };
+
+      socket.onmessage = (e) => {
+        try {
+          const { event, data } = JSON.parse(e.data);
+          if (realtimeHandlerRef.current) realtimeHandlerRef.current(event, data);
+        } catch (error) { console.error('Error handling socket message:', error); }
+      };
+
+      socket.onclose = () => {
+        setSocketConnected(false);
+        if (closedByCleanup) return;
+        const delay = Math.min(1000 * 2 ** attempts, MAX_RECONNECT_DELAY);
+        attempts += 1;
+        reconnectTimer = setTimeout(connect, delay);
+      };
+    };
+
+    connect();
+
+    return () => {
+      closedByCleanup = true;
+      clearTimeout(reconnectTimer);
+      if (socket) socket.close();
+      setSocketConnected(false);
+    };
+  }, [isLoggedIn]);
+
+  // Load the open conversation; poll only while the socket is down.
+  // Reconnecting re-runs this effect, which merges in anything missed after
+  // the last loaded message so older history already on screen is kept.
+  useEffect(() => {
+    if (selectedUser && isLoggedIn && chatType === 'direct') {
+      // Opening a search result loads the page around it instead of the newest
+      const around = jumpToMessageRef.current;
+      jumpToMessageRef.current = null;
+      const key = `direct:${selectedUser.id}`;
+      const missedAfter = !around && openChatRef.current === key ? lastMessageId(messagesRef.current) : null;
+      openChatRef.current = key;
+      if (missedAfter) {
+        loadMessages(selectedUser.id, { after: missedAfter });
+      } else {
+        stickToBottomRef.current = !around;
+        loadMessages(selectedUser.id, around ? { around } : {});
+      }
+      if (socketConnected) return;
+      const interval = setInterval(() => {
+        const after = lastMessageId(messagesRef.current);
+        loadMessages(selectedUser.id, after ? { after } : {});
+      }, POLL_INTERVAL);
       return () => clearInterval(interval);
     }
-  }, [selectedUser, token, chatType, loadMessages]);
+  }, [selectedUser, isLoggedIn, chatType, socketConnected, loadMessages]);
 
   useEffect(() => {
-    if (selectedGroup && token && chatType === 'group') {
-      loadGroupMessages(selectedGroup.id);
+    if (selectedGroup && isLoggedIn && chatType === 'group') {
+      const around = jumpToMessageRef.current;
+      jumpToMessageRef.current = null;
+      const key = `group:${selectedGroup.id}`;
+      const missedAfter = !around && openChatRef.current === key ? lastMessageId(groupMessagesRef.current) : null;
+      openChatRef.current = key;
+      if (missedAfter) {
+        loadGroupMessages(selectedGroup.id, { after: missedAfter });
+      } else {
+        stickToBottomRef.current = !around;
+        loadGroupMessages(selectedGroup.id, around ? { around } : {});
+      }
       loadGroupMembers(selectedGroup.id);
+      if (socketConnected) return;
       const interval = setInterval(() => {
-        loadGroupMessages(selectedGroup.id);
+        const after = lastMessageId(groupMessagesRef.current);
+        loadGroupMessages(selectedGroup.id, after ? { after } : {});
         loadGroupMembers(selectedGroup.id);
-      }, 3000);
+      }, POLL_INTERVAL);
       return () => clearInterval(interval);
     }
-  }, [selectedGroup, token, chatType, loadGroupMessages, loadGroupMembers]);
+  }, [selectedGroup, isLoggedIn, chatType, socketConnected, loadGroupMessages, loadGroupMembers]);
+
+  // Only count messages as read while the tab is visible
+  useEffect(() => {
+    const handleVisibilityChange = () => setPageVisible(document.visibilityState === 'visible');
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => document.removeEventListener('visibilitychange', handleVisibilityChange);
+  }, []);
+
+  // Report hidden tabs as away; the server combines all of a user's tabs
+  useEffect(() => {
+    const socket = socketRef.current;
+    if (!socketConnected || !socket || socket.readyState !== WebSocket.OPEN) return;
+    socket.send(JSON.stringify({ event: 'presence', data: { status: pageVisible ? 'online' : 'away' } }));
+  }, [pageVisible, socketConnected]);
+
+  // Drop typing indicators that stopped being refreshed
+  useEffect(() => {
+    if (typingUsers.length === 0) return;
+    const timer = setInterval(() => {
+      setTypingUsers(prev => prev.filter(t => t.expires_at > Date.now()));
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [typingUsers.length]);
+
+  // Mark the open chat read once its newest messages are loaded
+  useEffect(() => {
+    if (!pageVisible) return;
+    if (chatType === 'direct' && selectedUser && !hasNewerMessages && messages.length) {
+      markChatRead('direct', selectedUser.id, lastMessageId(messages));
+    } else if (chatType === 'group' && selectedGroup && !hasNewerGroupMessages && groupMessages.length) {
+      markChatRead('group', selectedGroup.id, lastMessageId(groupMessages));
+    }
+  }, [pageVisible, chatType, selectedUser, selectedGroup, messages, groupMessages, hasNewerMessages, hasNewerGroupMessages, markChatRead]);
+
+  // Keep the viewport steady when older history is prepended, and follow
+  // new messages only while the user is already at the bottom
+  useLayoutEffect(() => {
+    const container = messagesContainerRef.current;
+    if (!container) return;
+
+    const highlighted = highlightedMessageId !== null
+      && container.querySelector(`[data-message-id="${highlightedMessageId}"]`);
+
+    if (scrollAnchorRef.current !== null) {
+      container.scrollTop = container.scrollHeight - scrollAnchorRef.current;
+      scrollAnchorRef.current = null;
+    } else if (highlighted && !highlighted.dataset.scrolled) {
+      highlighted.dataset.scrolled = 'true';
+      highlighted.scrollIntoView({ block: 'center' });
+    } else if (stickToBottomRef.current) {
+      container.scrollTop = container.scrollHeight;
+    }
+  }, [messages, groupMessages, highlightedMessageId]);
+
+  // Follow new thread replies
+  useEffect(() => {
+    threadEndRef.current?.scrollIntoView({ block: 'nearest' });
+  }, [threadReplies.length]);
+
+  // Fade the search highlight out after a few seconds
+  useEffect(() => {
+    if (highlightedMessageId === null) return;
+    const timer = setTimeout(() => setHighlightedMessageId(null), 4000);
+    return () => clearTimeout(timer);
+  }, [highlightedMessageId]);
+
+  const handleLoadOlder = async () => {
+    const container = messagesContainerRef.current;
+    if (loadingOlderRef.current || !container) return;
+
+    const list = chatType === 'group' ? groupMessages : messages;
+    const hasOlder = chatType === 'group' ? hasOlderGroupMessages : hasOlderMessages;
+    if (!hasOlder || list.length === 0) return;
+
+    loadingOlderRef.current = true;
+    setLoadingOlder(true);
+    // Remember the distance from the bottom so it can be restored after prepending
+    scrollAnchorRef.current = container.scrollHeight - container.scrollTop;
+    try {
+      if (chatType === 'group') await loadGroupMessages(selectedGroup.id, { before: list[0].id });
+      else await loadMessages(selectedUser.id, { before: list[0].id });
+    } finally {
+      loadingOlderRef.current = false;
+      setLoadingOlder(false);
+    }
+  };
+
+  // After jumping to a search result, page forward towards the present
+  const handleLoadNewer = async () => {
+    const list = chatType === 'group' ? groupMessages : messages;
+    const hasNewer = chatType === 'group' ? hasNewerGroupMessages : hasNewerMessages;
+    if (loadingOlderRef.current || !hasNewer || list.length === 0) return;
+
+    loadingOlderRef.current = true;
+    setLoadingOlder(true);
+    try {
+      if (chatType === 'group') await loadGroupMessages(selectedGroup.id, { after: lastMessageId(list) });
+      else await loadMessages(selectedUser.id, { after: lastMessageId(list) });
+    } finally {
+      loadingOlderRef.current = false;
+      setLoadingOlder(false);
+    }
+  };
+
+  // Near the end of the list, the Users tab loads the next directory page
+  // and the Groups tab the next page of discoverable groups
+  const handleSidebarScroll = (e) => {
+    if (searchResults !== null) return;
+    const container = e.currentTarget;
+    if (container.scrollHeight - container.scrollTop - container.clientHeight >= LOAD_OLDER_THRESHOLD) return;
+    if (view === 'users' && hasMoreUsers && !loadingUsers) loadUsers(userQuery.trim(), users.length);
+    if (view === 'groups' && hasMoreDiscover && !loadingDiscover) loadDiscoverGroups(discoverQuery.trim(), discoverGroups.length);
+  };
+
+  const handleMessagesScroll = (e) => {
+    const container = e.currentTarget;
+    const distanceFromBottom = container.scrollHeight - container.scrollTop - container.clientHeight;
+    stickToBottomRef.current = distanceFromBottom < LOAD_OLDER_THRESHOLD;
+    if (container.scrollTop < LOAD_OLDER_THRESHOLD) handleLoadOlder();
+    else if (distanceFromBottom < LOAD_OLDER_THRESHOLD) handleLoadNewer();
+  };
+
+  // ==================== REAL-TIME EVENTS ====================
+
+  // Reassigned every render so the handler always sees the current selection
+  realtimeHandlerRef.current = (event, data) => {
+    const otherUserId = data.sender_id === currentUser?.id ? data.recipient_id : data.sender_id;
+    const isOpenConversation = chatType === 'direct' && selectedUser?.id === otherUserId;
+    const isOpenGroup = chatType === 'group' && selectedGroup?.id === data.group_id;
+
+    switch (event) {
+      case 'message:new':
+        setTypingUsers(prev => prev.filter(t => !(t.key === `direct:${data.sender_id}` && t.user_id === data.sender_id)));
+        if (data.in_thread) {
+          // Thread replies only show in the thread panel
+          if (isOpenConversation && openThread?.id === data.parent_id) setThreadReplies(prev => upsertMessage(prev, data));
+        } else if (isOpenConversation && !hasNewerMessages) {
+          // While viewing older context, newer pages are loaded on demand instead
+          setMessages(prev => upsertMessage(prev, data));
+        }
+        loadConversations();
+        break;
+      case 'message:thread':
+        if (isOpenConversation) {
+          setMessages(prev => patchMessage(prev, data));
+          updateThreadView(list => patchMessage(list, data));
+        }
+        break;
+      case 'message:read':
+        if (isOpenConversation) setMessages(prev => prev.map(m => (m.id === data.id ? { ...m, is_read: true } : m)));
+        break;
+      case 'conversation:read':
+        if (data.user_id === currentUser?.id) {
+          // Read on another device
+          loadConversations();
+        } else if (chatType === 'direct' && selectedUser?.id === data.user_id) {
+          setMessages(prev => prev.map(m => (m.sender_id === currentUser?.id && m.id <= data.last_read_message_id ? { ...m, is_read: true } : m)));
+        }
+        break;
+      case 'message:edited':
+        if (isOpenConversation) {
+          setMessages(prev => patchMessage(prev, data));
+          updateThreadView(list => patchMessage(list, data));
+        }
+        loadConversations();
+        break;
+      case 'message:reactions':
+        if (isOpenConversation) {
+          setMessages(prev => applyReactions(prev, data.id, data.reactions, currentUser?.id));
+          updateThreadView(list => applyReactions(list, data.id, data.reactions, currentUser?.id));
+        }
+        break;
+      case 'message:deleted':
+        if (isOpenConversation) {
+          // Replies in a deleted message's thread move back into the timeline
+          if (messages.some(m => m.id === data.id && m.thread)) loadMessages(selectedUser.id);
+          else setMessages(prev => prev.filter(m => m.id !== data.id));
+          if (openThread?.id === data.id) handleCloseThread();
+          else setThreadReplies(prev => prev.filter(m => m.id !== data.id));
+        }
+        loadConversations();
+        break;
+      case 'group_message:new':
+        setTypingUsers(prev => prev.filter(t => !(t.key === `group:${data.group_id}` && t.user_id === data.sender_id)));
+        if (!isOpenGroup && !data.in_thread && data.sender_id !== currentUser?.id && !users.some(u => u.id === data.sender_id && u.muted)) {
+          setGroups(prev => prev.map(g => (g.id === data.group_id ? { ...g, unread_count: (g.unread_count || 0) + 1 } : g)));
+        }
+        if (data.in_thread) {
+          if (isOpenGroup && openThread?.id === data.parent_id) setThreadReplies(prev => upsertMessage(prev, data));
+        } else if (isOpenGroup && !hasNewerGroupMessages) {
+          setGroupMessages(prev => upsertMessage(prev, data));
+        }
+        break;
+      case 'group_message:thread':
+        if (isOpenGroup) {
+          setGroupMessages(prev => patchMessage(prev, data));
+          updateThreadView(list => patchMessage(list, data));
+        }
+        break;
+      case 'group_message:edited':
+        if (isOpenGroup) {
+          setGroupMessages(prev => patchMessage(prev, data));
+          updateThreadView(list => patchMessage(list, data));
+        }
+        break;
+      case 'group_message:reactions':
+        if (isOpenGroup) {
+          setGroupMessages(prev => applyReactions(prev, data.id, data.reactions, currentUser?.id));
+          updateThreadView(list => applyReactions(list, data.id, data.reactions, currentUser?.id));
+        }
+        break;
+      case 'group:read':
+        if (data.user_id === currentUser?.id) {
+          setGroups(prev => prev.map(g => (g.id === data.group_id ? { ...g, unread_count: 0 } : g)));
+        }
+        if (isOpenGroup) {
+          setGroupMembers(prev => prev.map(m => (m.id === data.user_id
+            ? { ...m, last_read_message_id: data.last_read_message_id, last_read_at: data.read_at }
+            : m)));
+        }
+        break;
+      case 'group:member_added':
+      case 'group:member_role_changed':
+        if (isOpenGroup) loadGroupMembers(data.group_id);
+        if (data.user_id === currentUser?.id) setDiscoverGroups(prev => prev.filter(g => g.id !== data.group_id));
+        loadGroups();
+        break;
+      case 'group:member_removed':
+        if (data.user_id === currentUser?.id) {
+          handleGroupGone(data.group_id);
+        } else {
+          if (isOpenGroup) loadGroupMembers(data.group_id);
+          loadGroups();
+        }
+        break;
+      case 'group:join_requested':
+        if (isOpenGroup && showGroupSettings) loadGroupInvites(data.group_id);
+        setNotice(`${data.username} asked to join ${groups.find(g => g.id === data.group_id)?.name || 'your group'}.`);
+        break;
+      case 'group:join_rejected':
+        setDiscoverGroups(prev => prev.map(g => (g.id === data.group_id ? { ...g, request_pending: false } : g)));
+        setNotice(`Your request to join ${data.group_name} was declined.`);
+        break;
+      case 'group:join_request_withdrawn':
+        if (isOpenGroup && showGroupSettings) setJoinRequests(prev => prev.filter(r => r.id !== data.request_id));
+        break;
+      case 'group:updated':
+        setGroups(prev => prev.map(g => (g.id === data.id ? { ...g, ...data } : g)));
+        if (selectedGroup?.id === data.id) setSelectedGroup(prev => ({ ...prev, ...data }));
+        break;
+      case 'group:deleted':
+        handleGroupGone(data.group_id);
+        break;
+      case 'presence:update': {
+        const applyPresence = list => list.map(u => (u.id === data.user_id ? { ...u, status: data.status, last_seen_at: data.last_seen_at } : u));
+        setUsers(applyPresence);
+        setGroupMembers(applyPresence);
+        break;
+      }
+      case 'user:updated': {
+        const applyProfile = list => list.map(u => (u.id === data.id ? { ...u, ...data } : u));
+        setUsers(applyProfile);
+        setGroupMembers(applyProfile);
+        setViewedProfile(prev => (prev?.id === data.id ? { ...prev, ...data } : prev));
+        if (data.id === currentUser?.id) setProfile(prev => prev && { ...prev, ...data });
+        break;
+      }
+      case 'user:deleted':
+        setUsers(prev => prev.filter(u => u.id !== data.user_id));
+        setViewedProfile(prev => (prev?.id === data.user_id ? null : prev));
+        setSelectedUser(prev => (prev?.id === data.user_id ? { ...prev, deleted: true } : prev));
+        loadConversations();
+        break;
+      case 'typing': {
+        if (data.user_id === currentUser?.id) break;
+        const key = data.group_id ? `group:${data.group_id}` : `direct:${data.user_id}`;
+        setTypingUsers(prev => {
+          const others = prev.filter(t => !(t.key === key && t.user_id === data.user_id));
+          if (!data.is_typing) return others;
+          return [...others, { key, user_id: data.user_id, username: data.username, expires_at: Date.now() + TYPING_TIMEOUT }];
+        });
+        break;
+      }
+      case 'session:revoked':
+        // This device was signed out from another session
+        clearSession();
+        break;
+      default:
+        break;
+    }
+  };
 
   // ==================== HANDLERS ====================
 
@@ -192,6 +1190,7 @@ function App() {
     e.preventDefault();
     setLoading(true);
     setError('');
+    setNotice('');
     try {
       const response = await fetch(`${API_URL}/auth/register`, {
         method: 'POST',
@@ -200,8 +1199,7 @@ function App() {
       });
       const data = await response.json();
       if (response.ok) {
-        localStorage.setItem('token', data.token);
-        setToken(data.token);
+        saveSession(data.token, data.refresh_token);
         setCurrentUser(data.user);
       } else { setError(data.error || 'Registration failed'); }
     } catch (err) { setError('Network error'); } 
@@ -212,6 +1210,7 @@ function App() {
     e.preventDefault();
     setLoading(true);
     setError('');
+    setNotice('');
     try {
       const response = await fetch(`${API_URL}/auth/login`, {
         method: 'POST',
@@ -219,68 +1218,929 @@ function App() {
         body: JSON.stringify({ username, password })
       });
       const data = await response.json();
-      if (response.ok) {
-        localStorage.setItem('token', data.token);
-        setToken(data.token);
+      if (response.ok && data.two_factor_required) {
+        setTwoFactorChallenge(data.challenge_token);
+        setTwoFactorCode('');
+        setPassword('');
+        setAuthView('two_factor');
+      } else if (response.ok) {
+        saveSession(data.token, data.refresh_token);
         setCurrentUser(data.user);
       } else { setError(data.error || 'Login failed'); }
     } catch (err) { setError('Network error'); } 
     finally { setLoading(false); }
   };
 
+  // Second login step: a code from the authenticator app or a recovery code
+  const handleVerifyTwoFactor = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+    try {
+      const response = await fetch(`${API_URL}/auth/login/2fa`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ challenge_token: twoFactorChallenge, code: twoFactorCode })
+      });
+      const data = await response.json();
+      if (response.ok) {
+        setTwoFactorChallenge('');
+        setTwoFactorCode('');
+        setAuthView('credentials');
+        saveSession(data.token, data.refresh_token);
+        setCurrentUser(data.user);
+        if (data.recovery_codes_remaining !== undefined) {
+          setNotice(`You signed in with a recovery code. ${data.recovery_codes_remaining} recovery codes left.`);
+        }
+      } else { setError(data.error || 'Login failed'); }
+    } catch (err) { setError('Network error'); }
+    finally { setLoading(false); }
+  };
+
+  // ==================== EMAIL VERIFICATION AND PASSWORD RESET ====================
+
+  const handleShowAuthView = (nextView) => {
+    resetForm();
+    setTwoFactorChallenge('');
+    setTwoFactorCode('');
+    setAuthView(nextView);
+    if (nextView === 'credentials') clearLinkTokens();
+  };
+
+  // Ask for a reset link ('forgot') or a new verification link ('verify').
+  // The server gives the same answer whether or not the address is registered.
+  const requestAccountEmail = async (kind, address) => {
+    setLoading(true);
+    setError('');
+    setNotice('');
+    try {
+      const response = await fetch(`${API_URL}/auth/${kind === 'forgot' ? 'password-reset' : 'verify-email'}/request`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email: address })
+      });
+      const data = await response.json();
+      if (response.ok) setNotice(data.message);
+      else setError(data.error || data.errors?.[0]?.msg || 'Could not send the email');
+    } catch (err) { setError('Network error'); }
+    finally { setLoading(false); }
+  };
+
+  const handleRequestAccountEmail = (e) => {
+    e.preventDefault();
+    requestAccountEmail(authView, email);
+  };
+
+  const handleResendVerification = () => {
+    if (currentUser?.email) requestAccountEmail('verify', currentUser.email);
+  };
+
+  const handleResetPassword = async (e) => {
+    e.preventDefault();
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+    setLoading(true);
+    setError('');
+    try {
+      const response = await fetch(`${API_URL}/auth/password-reset/confirm`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token: resetToken, password })
+      });
+      const data = await response.json();
+      if (response.ok) {
+        handleShowAuthView('credentials');
+        setIsLogin(true);
+        setNotice(data.message);
+      } else { setError(data.error || data.errors?.[0]?.msg || 'Password reset failed'); }
+    } catch (err) { setError('Network error'); }
+    finally { setLoading(false); }
+  };
+
   const handleSendMessage = async (e) => {
     e.preventDefault();
-    if (!newMessage.trim() || !selectedUser) return;
+    if ((!newMessage.trim() && readyAttachmentIds.length === 0) || uploadsInProgress || !selectedUser) return;
     try {
-      const response = await fetch(`${API_URL}/messages`, {
+      const response = await authFetch(`/messages`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
-        body: JSON.stringify({ recipient_id: selectedUser.id, content: newMessage.trim() })
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ recipient_id: selectedUser.id, content: newMessage.trim(), attachment_ids: readyAttachmentIds, parent_id: replyTo?.id })
       });
+      const data = await response.json();
       if (response.ok) {
         setNewMessage('');
-        loadMessages(selectedUser.id);
+        setReplyTo(null);
+        typingSentRef.current = { key: null, at: 0 };
+        clearPendingAttachments();
+        stickToBottomRef.current = true;
+        // Jump back to the present if older context was on screen
+        if (hasNewerMessages) loadMessages(selectedUser.id);
+        else setMessages(prev => upsertMessage(prev, data.data));
         loadConversations();
-      }
+      } else { setError(data.error || (data.errors && data.errors[0].msg) || 'Could not send message'); }
     } catch (err) { console.error(err); }
   };
 
   const handleCreateGroup = async (e) => {
     e.preventDefault();
     try {
-      const response = await fetch(`${API_URL}/groups`, {
+      const response = await authFetch(`/groups`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
-        body: JSON.stringify({ name: newGroupName, description: newGroupDescription })
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: newGroupName, description: newGroupDescription, visibility: newGroupVisibility })
       });
       if (response.ok) {
         setNewGroupName('');
         setNewGroupDescription('');
+        setNewGroupVisibility('private');
         setShowCreateGroup(false);
         loadGroups();
       }
     } catch (err) { console.error(err); }
   };
 
-  const handleSendGroupMessage = async (e) => {
-    e.preventDefault();
-    if (!newMessage.trim() || !selectedGroup) return;
+  // Join a discovered group, or ask to join one that needs approval
+  const handleJoinDiscoveredGroup = async (group) => {
+    setError('');
     try {
-      const response = await fetch(`${API_URL}/groups/${selectedGroup.id}/messages`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
-        body: JSON.stringify({ content: newMessage.trim() })
-      });
-      if (response.ok) {
-        setNewMessage('');
-        loadGroupMessages(selectedGroup.id);
+      const response = await authFetch(`/groups/${group.id}/join`, { method: 'POST' });
+      const data = await response.json();
+      if (!response.ok) {
+        setError(data.error || 'Could not join the group');
+        return;
       }
-    } catch (err) { console.error(err); }
+      if (data.status === 'joined') {
+        setDiscoverGroups(prev => prev.filter(g => g.id !== group.id));
+        setNotice(`You joined ${group.name}.`);
+        loadGroups();
+      } else {
+        setDiscoverGroups(prev => prev.map(g => (g.id === group.id ? { ...g, request_pending: true } : g)));
+      }
+    } catch (err) { setError('Network error'); }
+  };
+
+  const handleWithdrawJoinRequest = async (group) => {
+    setError('');
+    try {
+      const response = await authFetch(`/groups/${group.id}/join-request`, { method: 'DELETE' });
+      if (response.ok || response.status === 404) {
+        setDiscoverGroups(prev => prev.map(g => (g.id === group.id ? { ...g, request_pending: false } : g)));
+      } else {
+        setError('Could not withdraw your request');
+      }
+    } catch (err) { setError('Network error'); }
+  };
+
+  // ==================== MESSAGE EDITING ====================
+
+  // API path of a message in the open chat
+  const messagePath = (msg) => (chatType === 'group'
+    ? `/groups/${selectedGroup.id}/messages/${msg.id}`
+    : `/messages/${msg.id}`);
+
+  const handleStartEdit = (msg) => {
+    setEditingMessageId(msg.id);
+    setEditDraft(msg.content);
+  };
+
+  const handleCancelEdit = () => {
+    setEditingMessageId(null);
+    setEditDraft('');
+  };
+
+  const handleSaveEdit = async (e, msg) => {
+    e.preventDefault();
+    if (!editDraft.trim()) return;
+    setError('');
+    try {
+      const response = await authFetch(messagePath(msg), {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ content: editDraft.trim() })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        setError(data.error || (data.errors && data.errors[0].msg) || 'Could not edit message');
+        return;
+      }
+      if (chatType === 'group') {
+        setGroupMessages(prev => patchMessage(prev, data.data));
+      } else {
+        setMessages(prev => patchMessage(prev, data.data));
+        loadConversations();
+      }
+      updateThreadView(list => patchMessage(list, data.data));
+      handleCancelEdit();
+    } catch (err) { setError('Network error'); }
+  };
+
+  const handleShowHistory = async (msg) => {
+    try {
+      const response = await authFetch(`${messagePath(msg)}/history`);
+      const data = await response.json();
+      if (response.ok) setMessageHistory(data);
+      else setError(data.error || 'Could not load edit history');
+    } catch (err) { setError('Network error'); }
+  };
+
+  // ==================== REPLIES AND THREADS ====================
+
+  // Apply an update to the open thread's parent and replies
+  const updateThreadView = (update) => {
+    setThreadReplies(prev => update(prev));
+    setOpenThread(prev => (prev ? update([prev])[0] : prev));
+  };
+
+  // Load a thread from its parent's API path; a cursor loads older replies
+  const loadThread = async (parentPath, cursor = {}) => {
+    try {
+      const response = await authFetch(`${parentPath}/thread?${pageQuery(cursor)}`);
+      const data = await response.json();
+      if (!response.ok) {
+        setError(data.error || 'Could not load thread');
+        return;
+      }
+      setOpenThread(data.parent);
+      setThreadReplies(prev => mergePage(prev, data, cursor));
+      setThreadHasOlder(data.has_more);
+    } catch (err) { setError('Network error'); }
+  };
+
+  const handleOpenThread = (msg) => {
+    setThreadReplies([]);
+    setThreadInput('');
+    loadThread(messagePath(msg));
+  };
+
+  const handleCloseThread = () => {
+    setOpenThread(null);
+    setThreadReplies([]);
+    setThreadHasOlder(false);
+  };
+
+  const handleLoadOlderReplies = () => loadThread(messagePath(openThread), { before: threadReplies[0]?.id });
+
+  const handleSendThreadReply = async (e) => {
+    e.preventDefault();
+    if (!threadInput.trim() || !openThread) return;
+    const path = chatType === 'group' ? `/groups/${selectedGroup.id}/messages` : '/messages';
+    try {
+      const response = await authFetch(path, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          content: threadInput.trim(),
+          parent_id: openThread.id,
+          in_thread: true,
+          recipient_id: chatType === 'direct' ? selectedUser.id : undefined
+        })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        setError(data.error || (data.errors && data.errors[0].msg) || 'Could not send reply');
+        return;
+      }
+      setThreadInput('');
+      setThreadReplies(prev => upsertMessage(prev, data.data));
+      reportAssistantStatus(data.assistant);
+      // With the socket up, the server pushes the parent's new reply count
+      if (!socketConnected) {
+        const bump = list => list.map(m => (m.id === openThread.id
+          ? { ...m, thread: { reply_count: (m.thread?.reply_count || 0) + 1, latest_reply: data.data } }
+          : m));
+        if (chatType === 'group') setGroupMessages(bump);
+        else setMessages(bump);
+        setOpenThread(prev => bump([prev])[0]);
+      }
+    } catch (err) { setError('Network error'); }
+  };
+
+  // Scroll to a quoted message, loading the history around it if needed
+  const handleJumpToMessage = (messageId) => {
+    setHighlightedMessageId(messageId);
+    const list = chatType === 'group' ? groupMessages : messages;
+    if (list.some(m => m.id === messageId)) return;
+    stickToBottomRef.current = false;
+    if (chatType === 'group') loadGroupMessages(selectedGroup.id, { around: messageId });
+    else loadMessages(selectedUser.id, { around: messageId });
+  };
+
+  // ==================== CATCH-UP SUMMARIES ====================
+
+  const handleSummarize = async (range = 'unread') => {
+    const path = chatType === 'group' ? `/groups/${selectedGroup.id}/summary` : `/messages/${selectedUser.id}/summary`;
+    const { hours } = SUMMARY_RANGES[range];
+    // A newer request, or closing the panel, discards this one's result
+    const requestId = ++summaryRequestRef.current;
+    setSummary({ range, loading: true, data: null });
+    try {
+      const response = await authFetch(path, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(hours ? { from: new Date(Date.now() - hours * 60 * 60 * 1000).toISOString() } : {})
+      });
+      const data = await response.json();
+      if (requestId !== summaryRequestRef.current) return;
+      if (!response.ok) {
+        setSummary(null);
+        setError(data.error || 'Could not summarize this conversation');
+        return;
+      }
+      setSummary({ range, loading: false, data });
+    } catch (err) {
+      if (requestId !== summaryRequestRef.current) return;
+      setSummary(null);
+      setError('Network error');
+    }
+  };
+
+  const handleCloseSummary = () => {
+    summaryRequestRef.current += 1;
+    setSummary(null);
+  };
+
+  // ==================== REACTIONS ====================
+
+  // Add the emoji, or remove it if the user already reacted with it
+  const handleToggleReaction = async (msg, emoji) => {
+    setReactionPickerFor(null);
+    const reacted = msg.reactions?.some(r => r.emoji === emoji && r.reacted_by_me);
+    try {
+      const response = reacted
+        ? await authFetch(`${messagePath(msg)}/reactions/${encodeURIComponent(emoji)}`, { method: 'DELETE' })
+        : await authFetch(`${messagePath(msg)}/reactions`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ emoji })
+        });
+      const data = await response.json();
+      if (!response.ok) {
+        setError(data.error || 'Could not update reaction');
+        return;
+      }
+      const setList = chatType === 'group' ? setGroupMessages : setMessages;
+      setList(prev => applyReactions(prev, msg.id, data.reactions, currentUser?.id));
+      updateThreadView(list => applyReactions(list, msg.id, data.reactions, currentUser?.id));
+    } catch (err) { setError('Network error'); }
+  };
+
+  // ==================== ATTACHMENTS ====================
+
+  const readyAttachmentIds = pendingAttachments.filter(p => p.attachment).map(p => p.attachment.id);
+  const uploadsInProgress = pendingAttachments.some(p => !p.attachment && !p.error);
+
+  // POST one file with XMLHttpRequest, which (unlike fetch) reports upload progress
+  const sendUpload = (file, onProgress) => new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    xhr.open('POST', `${API_URL}/attachments`);
+    xhr.setRequestHeader('Authorization', `Bearer ${tokenRef.current}`);
+    xhr.responseType = 'json';
+    xhr.upload.onprogress = (e) => { if (e.lengthComputable) onProgress(e.loaded / e.total); };
+    xhr.onload = () => resolve({ status: xhr.status, data: xhr.response || {} });
+    xhr.onerror = () => reject(new Error('Network error'));
+    const form = new FormData();
+    form.append('file', file);
+    xhr.send(form);
+  });
+
+  const uploadAttachment = async (file) => {
+    const localId = ++uploadCounterRef.current;
+    const preview = file.type.startsWith('image/') ? URL.createObjectURL(file) : null;
+    const update = (changes) => setPendingAttachments(prev => prev.map(p => (p.localId === localId ? { ...p, ...changes } : p)));
+    setPendingAttachments(prev => [...prev, { localId, name: file.name, size: file.size, preview, progress: 0 }]);
+
+    try {
+      let result = await sendUpload(file, progress => update({ progress }));
+      // Same token refresh as authFetch
+      if (result.status === 403 && result.data.code === 'TOKEN_INVALID') {
+        const refreshed = refreshTokenRef.current ? await refreshSession() : false;
+        if (refreshed) result = await sendUpload(file, progress => update({ progress }));
+        else if (refreshed === false) return clearSession();
+      }
+      if (result.status === 201) update({ attachment: result.data.attachment, progress: 1 });
+      else update({ error: result.data.error || 'Upload failed' });
+    } catch (err) { update({ error: 'Network error' }); }
+  };
+
+  const handleAddFiles = (fileList) => {
+    const files = Array.from(fileList).slice(0, MAX_ATTACHMENTS - pendingAttachments.length);
+    if (files.length < fileList.length) setError(`You can attach up to ${MAX_ATTACHMENTS} files per message`);
+    files.forEach(uploadAttachment);
+  };
+
+  const handleFileInputChange = (e) => {
+    handleAddFiles(e.target.files);
+    e.target.value = '';
+  };
+
+  const handleRemovePendingAttachment = (pending) => {
+    if (pending.preview) URL.revokeObjectURL(pending.preview);
+    setPendingAttachments(prev => prev.filter(p => p.localId !== pending.localId));
+    // Discard the upload on the server too; unsent files are purged eventually anyway
+    if (pending.attachment) authFetch(`/attachments/${pending.attachment.id}`, { method: 'DELETE' }).catch(() => {});
+  };
+
+  const clearPendingAttachments = () => {
+    pendingAttachments.forEach(p => p.preview && URL.revokeObjectURL(p.preview));
+    setPendingAttachments([]);
+  };
+
+  const handleDragOver = (e) => {
+    if (!e.dataTransfer.types.includes('Files')) return;
+    e.preventDefault();
+    setDragActive(true);
+  };
+
+  const handleDragLeave = (e) => {
+    if (!e.currentTarget.contains(e.relatedTarget)) setDragActive(false);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragActive(false);
+    if (e.dataTransfer.files.length) handleAddFiles(e.dataTransfer.files);
+  };
+
+  // ==================== PRESENCE AND TYPING ====================
+
+  // Signal typing in the open chat, at most once per TYPING_REPEAT;
+  // clearing the draft stops the indicator straight away
+  const notifyTyping = (draft) => {
+    const chatKey = chatType === 'group' ? `group:${selectedGroup?.id}` : `direct:${selectedUser?.id}`;
+    const path = chatType === 'group' ? `/groups/${selectedGroup?.id}/typing` : `/messages/${selectedUser?.id}/typing`;
+    const isTyping = draft.trim() !== '';
+    const last = typingSentRef.current;
+
+    if (isTyping && last.key === chatKey && Date.now() - last.at < TYPING_REPEAT) return;
+    if (!isTyping && last.key !== chatKey) return;
+
+    typingSentRef.current = isTyping ? { key: chatKey, at: Date.now() } : { key: null, at: 0 };
+    authFetch(path, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ is_typing: isTyping })
+    }).catch(err => console.error('Error sending typing indicator:', err));
+  };
+
+  const handleDraftChange = (e) => {
+    setNewMessage(e.target.value);
+    notifyTyping(e.target.value);
+  };
+
+  const handleTogglePrivacy = async () => {
+    setShowPrivacy(!showPrivacy);
+    if (showPrivacy) return;
+    try {
+      const response = await authFetch('/users/me/settings');
+      const data = await response.json();
+      if (response.ok) {
+        setShowLastSeen(data.settings.show_last_seen);
+        setShowEmail(data.settings.show_email);
+      }
+    } catch (err) { console.error('Error loading settings:', err); }
+  };
+
+  // Checkbox handler for one privacy setting; the checkbox is reverted if saving fails
+  const handleTogglePrivacySetting = (setting, setValue) => async (e) => {
+    const value = e.target.checked;
+    setValue(value);
+    try {
+      const response = await authFetch('/users/me/settings', {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ [setting]: value })
+      });
+      if (!response.ok) {
+        setValue(!value);
+        setError('Could not update privacy settings');
+      }
+    } catch (err) {
+      setValue(!value);
+      setError('Network error');
+    }
+  };
+
+  // ==================== BLOCKING AND MUTING ====================
+
+  // kind is "block" or "mute"; the users list carries the blocked and muted flags
+  const handleToggleRelation = async (user, kind) => {
+    const flag = kind === 'block' ? 'blocked' : 'muted';
+    const active = users.find(u => u.id === user.id)?.[flag];
+    if (kind === 'block' && !active && !window.confirm(`Block ${user.username}? They won't be able to message you or add you to groups.`)) return;
+    try {
+      const response = active
+        ? await authFetch(`/${kind}s/${user.id}`, { method: 'DELETE' })
+        : await authFetch(`/${kind}s`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ user_id: user.id })
+        });
+      if (!response.ok) {
+        const data = await response.json();
+        setError(data.error || `Could not update ${kind}`);
+        return;
+      }
+      setUsers(prev => prev.map(u => (u.id === user.id ? { ...u, [flag]: !active } : u)));
+      loadConversations();
+      loadGroups();
+      // Blocking hides, and unblocking restores, the user's group messages
+      if (kind === 'block' && chatType === 'group' && selectedGroup) loadGroupMessages(selectedGroup.id);
+    } catch (err) { setError('Network error'); }
+  };
+
+  // ==================== SESSIONS ====================
+
+  const loadSessions = async () => {
+    try {
+      const response = await authFetch('/auth/sessions');
+      const data = await response.json();
+      if (response.ok) setSessions(data.sessions);
+    } catch (err) { console.error('Error loading sessions:', err); }
+  };
+
+  const handleToggleSessions = () => {
+    if (!showSessions) loadSessions();
+    setShowSessions(!showSessions);
+  };
+
+  const handleRevokeSession = async (session) => {
+    if (session.current) return handleLogout();
+    try {
+      const response = await authFetch(`/auth/sessions/${session.id}`, { method: 'DELETE' });
+      if (response.ok) setSessions(prev => prev.filter(s => s.id !== session.id));
+    } catch (err) { console.error('Error revoking session:', err); }
+  };
+
+  const handleRevokeOtherSessions = async () => {
+    if (!window.confirm('Log out of every other device?')) return;
+    try {
+      const response = await authFetch('/auth/sessions/revoke-others', { method: 'POST' });
+      if (response.ok) setSessions(prev => prev.filter(s => s.current));
+    } catch (err) { console.error('Error revoking sessions:', err); }
+  };
+
+  // ==================== PROFILES ====================
+
+  const loadProfile = async () => {
+    try {
+      const response = await authFetch('/users/me');
+      const data = await response.json();
+      if (!response.ok) return;
+      setProfile(data.user);
+      setProfileDraft({
+        display_name: data.user.display_name || '',
+        status_message: data.user.status_message || '',
+        bio: data.user.bio || ''
+      });
+    } catch (err) { console.error('Error loading profile:', err); }
+  };
+
+  const handleToggleProfile = () => {
+    if (!showProfile) loadProfile();
+    setShowProfile(!showProfile);
+    setPasswordDraft({ current: '', next: '' });
+    setDeleteDraft({ password: '', code: '' });
+  };
+
+  // Shared by the profile actions; resolves to the response body, or null on failure
+  const profileRequest = async (path, method, body) => {
+    setError('');
+    try {
+      const response = await authFetch(`/users/me${path}`, {
+        method,
+        headers: body instanceof FormData ? {} : { 'Content-Type': 'application/json' },
+        body: body instanceof FormData ? body : JSON.stringify(body)
+      });
+      const data = await response.json();
+      if (response.ok) return data;
+      setError(data.error || data.errors?.[0]?.msg || 'Could not update your profile');
+    } catch (err) { setError('Network error'); }
+    return null;
+  };
+
+  const handleSaveProfile = async (e) => {
+    e.preventDefault();
+    const data = await profileRequest('', 'PATCH', profileDraft);
+    if (data) {
+      setProfile(prev => ({ ...prev, ...data.user }));
+      setNotice('Profile saved');
+    }
+  };
+
+  const handleAvatarSelected = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    const form = new FormData();
+    form.append('file', file);
+    const data = await profileRequest('/avatar', 'POST', form);
+    if (data) setProfile(prev => ({ ...prev, ...data.user }));
+  };
+
+  const handleRemoveAvatar = async () => {
+    const data = await profileRequest('/avatar', 'DELETE');
+    if (data) setProfile(prev => ({ ...prev, ...data.user }));
+  };
+
+  const handleChangePassword = async (e) => {
+    e.preventDefault();
+    const data = await profileRequest('/password', 'POST', {
+      current_password: passwordDraft.current,
+      new_password: passwordDraft.next
+    });
+    if (data) {
+      setPasswordDraft({ current: '', next: '' });
+      setNotice(data.revoked > 0 ? 'Password changed. Your other devices were logged out.' : 'Password changed.');
+    }
+  };
+
+  const handleDeleteAccount = async (e) => {
+    e.preventDefault();
+    if (!window.confirm('Delete your account? Your messages stay in other people\'s conversations without your name. This cannot be undone.')) return;
+    const data = await profileRequest('', 'DELETE', { password: deleteDraft.password, code: deleteDraft.code || undefined });
+    if (data) {
+      setShowProfile(false);
+      clearSession();
+      setNotice('Your account was deleted.');
+    }
+  };
+
+  // Another user's profile card, opened from the chat header
+  const handleViewProfile = async (userId) => {
+    try {
+      const response = await authFetch(`/users/${userId}`);
+      const data = await response.json();
+      if (!response.ok) {
+        setError(data.error || 'Could not load profile');
+        return;
+      }
+      setViewedProfile(data.user);
+    } catch (err) { setError('Network error'); }
+  };
+
+  // ==================== TWO-FACTOR AUTHENTICATION ====================
+
+  const loadTwoFactorStatus = async () => {
+    try {
+      const response = await authFetch('/auth/2fa');
+      const data = await response.json();
+      if (response.ok) setTwoFactorStatus(data.two_factor);
+    } catch (err) { console.error('Error loading two-factor status:', err); }
+  };
+
+  const handleToggleTwoFactor = () => {
+    if (!showTwoFactor) loadTwoFactorStatus();
+    setShowTwoFactor(!showTwoFactor);
+    setTwoFactorSetup(null);
+    setRecoveryCodes([]);
+    setTwoFactorCode('');
+    setTwoFactorPassword('');
+  };
+
+  // Shared by the two-factor settings actions; resolves to the response body, or null on failure
+  const postTwoFactor = async (path, body) => {
+    try {
+      const response = await authFetch(`/auth/2fa/${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      const data = await response.json();
+      if (response.ok) return data;
+      setError(data.error || data.errors?.[0]?.msg || 'Could not update two-factor authentication');
+    } catch (err) { setError('Network error'); }
+    return null;
+  };
+
+  const handleStartTwoFactorSetup = async () => {
+    const data = await postTwoFactor('setup', {});
+    if (data) setTwoFactorSetup(data);
+  };
+
+  const handleEnableTwoFactor = async (e) => {
+    e.preventDefault();
+    const data = await postTwoFactor('enable', { code: twoFactorCode });
+    if (!data) return;
+    setTwoFactorSetup(null);
+    setTwoFactorCode('');
+    setRecoveryCodes(data.recovery_codes);
+    loadTwoFactorStatus();
+  };
+
+  const handleRegenerateRecoveryCodes = async () => {
+    const data = await postTwoFactor('recovery-codes', { code: twoFactorCode });
+    if (!data) return;
+    setTwoFactorCode('');
+    setRecoveryCodes(data.recovery_codes);
+    loadTwoFactorStatus();
+  };
+
+  const handleDisableTwoFactor = async () => {
+    if (!window.confirm('Turn off two-factor authentication? Your recovery codes will stop working.')) return;
+    const data = await postTwoFactor('disable', { password: twoFactorPassword, code: twoFactorCode });
+    if (!data) return;
+    setTwoFactorCode('');
+    setTwoFactorPassword('');
+    setRecoveryCodes([]);
+    loadTwoFactorStatus();
+  };
+
+  // ==================== GROUP MANAGEMENT ====================
+
+  // Drop a group the user no longer belongs to (left, removed or deleted)
+  const handleGroupGone = (groupId) => {
+    setGroups(prev => prev.filter(g => g.id !== groupId));
+    if (selectedGroup?.id === groupId) {
+      setSelectedGroup(null);
+      setGroupMessages([]);
+      setGroupMembers([]);
+      setShowGroupSettings(false);
+    }
+  };
+
+  // Run a group management request and refresh members and groups on success
+  const groupRequest = async (path, method, body) => {
+    setError('');
+    try {
+      const response = await authFetch(`/groups/${selectedGroup.id}${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        setError(data.error || (data.errors && data.errors[0].msg) || 'Request failed');
+        return null;
+      }
+      loadGroupMembers(selectedGroup.id);
+      loadGroups();
+      return data;
+    } catch (err) {
+      setError('Network error');
+      return null;
+    }
+  };
+
+  const handleOpenGroupSettings = () => {
+    setGroupEditName(selectedGroup.name);
+    setGroupEditDescription(selectedGroup.description || '');
+    setGroupEditVisibility(selectedGroup.visibility);
+    setGroupEditAssistantEnabled(selectedGroup.assistant_enabled);
+    setGroupEditAssistantLimit(String(selectedGroup.assistant_hourly_limit));
+    setMemberToAdd('');
+    setGroupInvites([]);
+    setJoinRequests([]);
+    if (!showGroupSettings && canManageGroup) loadGroupInvites(selectedGroup.id);
+    setShowGroupSettings(!showGroupSettings);
+  };
+
+  const handleUpdateGroup = async (e) => {
+    e.preventDefault();
+    const data = await groupRequest('', 'PATCH', { name: groupEditName, description: groupEditDescription, visibility: groupEditVisibility });
+    if (data) setSelectedGroup(prev => ({ ...prev, ...data.group }));
+  };
+
+  const handleUpdateAssistant = async (e) => {
+    e.preventDefault();
+    const data = await groupRequest('', 'PATCH', {
+      assistant_enabled: groupEditAssistantEnabled,
+      assistant_hourly_limit: Number(groupEditAssistantLimit)
+    });
+    if (data) setSelectedGroup(prev => ({ ...prev, ...data.group }));
+  };
+
+  // Mentions of @assistant that won't be answered come back with the reason
+  const reportAssistantStatus = (assistant) => {
+    if (assistant && assistant.status !== 'queued') setError(assistant.error);
+  };
+
+  const handleAddMember = async (e) => {
+    e.preventDefault();
+    if (!memberToAdd) return;
+    const data = await groupRequest('/members', 'POST', { user_id: Number(memberToAdd) });
+    if (data) setMemberToAdd('');
+  };
+
+  const handleCreateInvite = async (e) => {
+    e.preventDefault();
+    const { expires_in: expiresIn, max_uses: maxUses, requires_approval: requiresApproval } = inviteDraft;
+    const data = await groupRequest('/invites', 'POST', {
+      expires_at: expiresIn ? new Date(Date.now() + expiresIn * 60 * 60 * 1000).toISOString() : null,
+      max_uses: maxUses ? Number(maxUses) : null,
+      requires_approval: requiresApproval
+    });
+    if (data) {
+      setGroupInvites(prev => [data.invite, ...prev]);
+      setInviteDraft({ expires_in: '', max_uses: '', requires_approval: false });
+    }
+  };
+
+  const handleCopyInvite = async (invite) => {
+    try {
+      await navigator.clipboard.writeText(invite.url);
+      setNotice('Invite link copied');
+    } catch (err) { setError('Could not copy the link; select it and copy it instead'); }
+  };
+
+  const handleRevokeInvite = async (invite) => {
+    if (!window.confirm('Revoke this invite link? It will stop working for everyone.')) return;
+    if (await groupRequest(`/invites/${invite.id}`, 'DELETE')) {
+      setGroupInvites(prev => prev.filter(i => i.id !== invite.id));
+    }
+  };
+
+  const handleAnswerJoinRequest = async (request, approve) => {
+    const data = approve
+      ? await groupRequest(`/join-requests/${request.id}/approve`, 'POST')
+      : await groupRequest(`/join-requests/${request.id}`, 'DELETE');
+    if (data) setJoinRequests(prev => prev.filter(r => r.id !== request.id));
+  };
+
+  // Leave the /join/<code> address once the invite has been used or dismissed
+  const handleCloseInvite = () => {
+    setInviteCode(null);
+    setInvitePreview(null);
+    window.history.replaceState(null, '', '/');
+  };
+
+  const handleAcceptInvite = async () => {
+    setError('');
+    try {
+      const response = await authFetch(`/invites/${inviteCode}/join`, { method: 'POST' });
+      const data = await response.json();
+      if (!response.ok) {
+        setError(data.error || 'Could not join the group');
+        return;
+      }
+      if (data.status === 'joined') {
+        setNotice(`You joined ${invitePreview.group.name}.`);
+        loadGroups();
+        setView('groups');
+      } else {
+        setNotice(data.message);
+      }
+      handleCloseInvite();
+    } catch (err) { setError('Network error'); }
+  };
+
+  const handleOpenInvitedGroup = () => {
+    const group = groups.find(g => g.id === invitePreview.group.id);
+    if (group) handleSelectGroup(group);
+    handleCloseInvite();
+  };
+
+  const handleRemoveMember = async (member) => {
+    if (!window.confirm(`Remove ${member.username} from ${selectedGroup.name}?`)) return;
+    await groupRequest(`/members/${member.id}`, 'DELETE');
+  };
+
+  const handleChangeRole = (member, role) => groupRequest(`/members/${member.id}/role`, 'PATCH', { role });
+
+  const handleTransferOwnership = async (member) => {
+    if (!window.confirm(`Make ${member.username} the owner of ${selectedGroup.name}? You will become an admin.`)) return;
+    await groupRequest('/transfer-ownership', 'POST', { user_id: member.id });
+  };
+
+  const handleLeaveGroup = async () => {
+    if (!window.confirm(`Leave ${selectedGroup.name}?`)) return;
+    const groupId = selectedGroup.id;
+    if (await groupRequest('/leave', 'POST')) handleGroupGone(groupId);
+  };
+
+  const handleDeleteGroup = async () => {
+    if (!window.confirm(`Delete ${selectedGroup.name} and all of its messages? This cannot be undone.`)) return;
+    const groupId = selectedGroup.id;
+    if (await groupRequest('', 'DELETE')) handleGroupGone(groupId);
+  };
+
+  const handleSendGroupMessage = async (e) => {
+    e.preventDefault();
+    if ((!newMessage.trim() && readyAttachmentIds.length === 0) || uploadsInProgress || !selectedGroup) return;
+    try {
+      const response = await authFetch(`/groups/${selectedGroup.id}/messages`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ content: newMessage.trim(), attachment_ids: readyAttachmentIds, parent_id: replyTo?.id })
+      });
+      const data = await response.json();
+      if (response.ok) {
+        setNewMessage('');
+        setReplyTo(null);
+        typingSentRef.current = { key: null, at: 0 };
+        clearPendingAttachments();
+        stickToBottomRef.current = true;
+        if (hasNewerGroupMessages) loadGroupMessages(selectedGroup.id);
+        else setGroupMessages(prev => upsertMessage(prev, data.data));
+        reportAssistantStatus(data.assistant);
+      } else { setError(data.error || (data.errors && data.errors[0].msg) || 'Could not send message'); }
+    } catch (err) { console.error(err); }
   };
 
   const handleSendAiMessage = async (e) => {
     e.preventDefault();
-    if (!aiInput.trim()) return;
+    if (!aiInput.trim() || aiLoading) return;
 
     const userMsg = { role: 'user', content: aiInput.trim() };
     // Optimistically add user message so it displays instantly
@@ -289,29 +2149,149 @@ function App() {
     setAiLoading(true);
     const originalInput = aiInput; // Store to clear if successful
     setAiInput(''); 
+    const controller = new AbortController();
+    aiAbortRef.current = controller;
+
+    // Tokens are appended to a reply bubble as they stream in
+    const appendToReply = (content) => setAiMessages(prev => {
+      const last = prev[prev.length - 1];
+      return last?.role === 'assistant'
+        ? [...prev.slice(0, -1), { ...last, content: last.content + content }]
+        : [...prev, { role: 'assistant', content }];
+    });
 
     try {
-      const response = await fetch(`${API_URL}/ai/chat`, {
+      const response = await authFetch(`/ai/chat/stream`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
-        body: JSON.stringify({ message: originalInput })
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: originalInput, session_id: activeAiSessionRef.current || undefined }),
+        signal: controller.signal
       });
 
-      const data = await response.json();
-
-      if (response.ok) {
-        // Option 1: Append response manually if loadAiHistory is slow
-        const aiResponse = { role: 'assistant', content: data.message };
-        setAiMessages(prev => [...prev, aiResponse]);
-        // Option 2: Full refresh to sync with DB
-        loadAiHistory(); 
-      } else {
+      if (!response.ok) {
+        const data = await response.json();
         setError(data.error || 'AI failed to respond');
+        return;
+      }
+
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        const [events, rest] = parseSseEvents(buffer + decoder.decode(value, { stream: true }));
+        buffer = rest;
+        events.forEach(({ event, data }) => {
+          const payload = JSON.parse(data);
+          if (event === 'session') selectAiSession(payload.session_id);
+          else if (event === 'token') appendToReply(payload.content);
+          else if (event === 'error') setError(payload.error);
+        });
       }
     } catch (err) {
-      setError('Network error with AI service');
+      // Stopping keeps the partial reply; the server stores it too
+      if (err.name !== 'AbortError') setError('Network error with AI service');
     } finally {
+      if (aiAbortRef.current === controller) aiAbortRef.current = null;
       setAiLoading(false);
+      // New sessions get their title from this message, and the list is ordered by use
+      loadAiSessions();
+    }
+  };
+
+  const handleStopAiMessage = () => {
+    if (aiAbortRef.current) aiAbortRef.current.abort();
+  };
+
+  const handleNewAiSession = () => {
+    handleStopAiMessage();
+    selectAiSession(null);
+    setAiMessages([]);
+    setChatType('ai');
+  };
+
+  const handleSelectAiSession = (session) => {
+    if (session.id === activeAiSessionRef.current && chatType === 'ai') return;
+    handleStopAiMessage();
+    selectAiSession(session.id);
+    setAiMessages([]);
+    setChatType('ai');
+    loadAiHistory(session.id);
+  };
+
+  const handleRenameAiSession = async (session) => {
+    const title = window.prompt('Rename chat', session.title);
+    if (!title || !title.trim() || title.trim() === session.title) return;
+    try {
+      const response = await authFetch(`/ai/sessions/${session.id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ title: title.trim() })
+      });
+      const data = await response.json();
+      if (response.ok) setAiSessions(prev => prev.map(s => (s.id === session.id ? data.session : s)));
+      else setError(data.error || (data.errors && data.errors[0].msg) || 'Could not rename chat');
+    } catch (err) { setError('Network error'); }
+  };
+
+  const handleDeleteAiSession = async (session) => {
+    if (!window.confirm(`Delete "${session.title}" and its messages?`)) return;
+    try {
+      const response = await authFetch(`/ai/sessions/${session.id}`, { method: 'DELETE' });
+      if (!response.ok) {
+        const data = await response.json();
+        setError(data.error || 'Could not delete chat');
+        return;
+      }
+      setAiSessions(prev => prev.filter(s => s.id !== session.id));
+      if (activeAiSessionRef.current === session.id) handleNewAiSession();
+    } catch (err) { setError('Network error'); }
+  };
+
+  const handleSearch = async (e) => {
+    e.preventDefault();
+    if (!searchQuery.trim()) return;
+
+    const params = new URLSearchParams({ q: searchQuery.trim() });
+    if (searchFilters.sender_id) params.set('sender_id', searchFilters.sender_id);
+    if (searchFilters.from) params.set('from', searchFilters.from);
+    // Make the end date inclusive of the whole day
+    if (searchFilters.to) params.set('to', `${searchFilters.to}T23:59:59.999`);
+    if (searchFilters.scope === 'current') {
+      if (chatType === 'direct' && selectedUser) params.set('user_id', selectedUser.id);
+      if (chatType === 'group' && selectedGroup) params.set('group_id', selectedGroup.id);
+    }
+
+    setSearching(true);
+    try {
+      const response = await authFetch(`/search?${params}`);
+      const data = await response.json();
+      if (response.ok) setSearchResults(data.results);
+      else setError(data.error || 'Search failed');
+    } catch (err) {
+      setError('Network error while searching');
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  const handleClearSearch = () => {
+    setSearchQuery('');
+    setSearchResults(null);
+  };
+
+  // Open the conversation a search result belongs to, centred on the message
+  const handleOpenSearchResult = (result) => {
+    // Thread replies open their thread next to the parent message
+    jumpToMessageRef.current = result.thread_id || result.id;
+    setHighlightedMessageId(result.id);
+    if (result.type === 'group') {
+      handleSelectGroup(groups.find(g => g.id === result.group_id) || { id: result.group_id, name: result.group_name });
+      if (result.thread_id) loadThread(`/groups/${result.group_id}/messages/${result.thread_id}`);
+    } else {
+      handleSelectUser({ id: result.other_user_id, username: result.other_username });
+      if (result.thread_id) loadThread(`/messages/${result.thread_id}`);
     }
   };
 
@@ -319,7 +2299,9 @@ function App() {
     setUsername('');
     setEmail('');
     setPassword('');
+    setConfirmPassword('');
     setError('');
+    setNotice('');
   };
 
   const formatTime = (timestamp) => {
@@ -328,26 +2310,248 @@ function App() {
     return date.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
   };
 
-  const handleSelectUser = (user) => { setSelectedUser(user); setSelectedGroup(null); setChatType('direct'); setView('chat'); };
-  const handleSelectGroup = (group) => { setSelectedGroup(group); setSelectedUser(null); setChatType('group'); setView('chat'); };
-  const handleSelectAI = () => { setSelectedUser(null); setSelectedGroup(null); setChatType('ai'); setView('chat'); };
+  const handleSelectUser = (user) => {
+    if (selectedUser?.id !== user.id) { setMessages([]); setHasOlderMessages(false); handleCancelEdit(); setReactionPickerFor(null); setReplyTo(null); handleCloseThread(); handleCloseSummary(); }
+    // Choosing a chat always starts from its newest page
+    openChatRef.current = null;
+    setSelectedUser(user); setSelectedGroup(null); setChatType('direct'); setView('chat');
+  };
+  const handleSelectGroup = (group) => {
+    if (selectedGroup?.id !== group.id) { setGroupMessages([]); setHasOlderGroupMessages(false); setShowGroupSettings(false); handleCancelEdit(); setReactionPickerFor(null); setReplyTo(null); handleCloseThread(); handleCloseSummary(); }
+    openChatRef.current = null;
+    setSelectedGroup(group); setSelectedUser(null); setChatType('group'); setView('chat');
+  };
+  const handleSelectAI = () => { setSelectedUser(null); setSelectedGroup(null); setChatType('ai'); setView('ai'); handleCloseSummary(); };
+
+  // Composer for DMs and groups: pending uploads, file picker and text input
+  const renderMessageInput = (onSubmit, placeholder) => (
+    <>
+      {replyTo && (
+        <div className="reply-preview">
+          <div className="reply-preview-text">
+            <strong>Replying to {replyTo.sender_username}</strong>
+            <span>{replyTo.content || 'Attachment'}</span>
+          </div>
+          <button type="button" onClick={() => setReplyTo(null)} title="Cancel reply">×</button>
+        </div>
+      )}
+      {pendingAttachments.length > 0 && (
+        <div className="pending-attachments">
+          {pendingAttachments.map(pending => (
+            <div key={pending.localId} className={`pending-attachment ${pending.error ? 'failed' : ''}`}>
+              {pending.preview ? <img src={pending.preview} alt="" /> : <span className="pending-attachment-icon">FILE</span>}
+              <div className="pending-attachment-info">
+                <span className="attachment-name">{pending.name}</span>
+                {pending.error
+                  ? <span className="pending-attachment-error">{pending.error}</span>
+                  : pending.attachment
+                    ? <span className="attachment-size">{formatBytes(pending.size)}</span>
+                    : <progress value={pending.progress} max="1" />}
+              </div>
+              <button type="button" onClick={() => handleRemovePendingAttachment(pending)} title="Remove">×</button>
+            </div>
+          ))}
+        </div>
+      )}
+      <form className="message-input" onSubmit={onSubmit}>
+        <input type="file" ref={fileInputRef} onChange={handleFileInputChange} multiple hidden />
+        <button type="button" className="attach-btn" onClick={() => fileInputRef.current.click()} disabled={pendingAttachments.length >= MAX_ATTACHMENTS} title="Attach files">Attach</button>
+        <input type="text" placeholder={placeholder} value={newMessage} onChange={handleDraftChange} required={readyAttachmentIds.length === 0} />
+        <button type="submit" disabled={uploadsInProgress}>{uploadsInProgress ? 'Uploading...' : 'Send'}</button>
+      </form>
+    </>
+  );
+
+  // One chat bubble; group chats show who sent each message
+  // inThread renders a message inside the thread panel, without reply actions
+  const renderMessage = (msg, { showSender = false, inThread = false } = {}) => {
+    const isOwn = msg.sender_id === currentUser?.id;
+    return (
+      <div key={msg.id} data-message-id={msg.id} className={`message ${isOwn ? 'sent' : 'received'} ${highlightedMessageId === msg.id ? 'highlighted' : ''}`}>
+        <div className="message-content">
+          {showSender && !isOwn && <strong className="sender-name">{msg.sender_username}</strong>}
+          {msg.quoted && (
+            <button type="button" className="message-quote" onClick={() => handleJumpToMessage(msg.quoted.id)} title="Go to message">
+              <strong>{msg.quoted.sender_username}</strong>
+              <span>{msg.quoted.content || 'Attachment'}</span>
+            </button>
+          )}
+          {editingMessageId === msg.id ? (
+            <form className="message-edit-form" onSubmit={(e) => handleSaveEdit(e, msg)}>
+              <input type="text" value={editDraft} onChange={(e) => setEditDraft(e.target.value)} onKeyDown={(e) => e.key === 'Escape' && handleCancelEdit()} autoFocus required />
+              <button type="submit">Save</button>
+              <button type="button" onClick={handleCancelEdit}>Cancel</button>
+            </form>
+          ) : msg.content && <p>{msg.content}</p>}
+          {msg.attachments?.length > 0 && (
+            <div className="message-attachments">
+              {msg.attachments.map(attachment => <AttachmentView key={attachment.id} attachment={attachment} authFetch={authFetch} />)}
+            </div>
+          )}
+          <span className="message-time">{formatTime(msg.created_at)}</span>
+          {msg.edited_at && <button type="button" className="message-edited" onClick={() => handleShowHistory(msg)} title="View edit history">edited</button>}
+          {isOwn && editingMessageId !== msg.id && <button type="button" className="message-action" onClick={() => handleStartEdit(msg)}>Edit</button>}
+          {!inThread && <button type="button" className="message-action" onClick={() => setReplyTo(msg)}>Reply</button>}
+          {!inThread && <button type="button" className="message-action" onClick={() => handleOpenThread(msg)}>Thread</button>}
+          <button type="button" className="message-action" onClick={() => setReactionPickerFor(reactionPickerFor === msg.id ? null : msg.id)} title="Add reaction">React</button>
+          {reactionPickerFor === msg.id && (
+            <div className="reaction-picker">
+              {QUICK_REACTIONS.map(emoji => <button key={emoji} type="button" onClick={() => handleToggleReaction(msg, emoji)}>{emoji}</button>)}
+            </div>
+          )}
+          {msg.reactions?.length > 0 && (
+            <div className="message-reactions">
+              {msg.reactions.map(reaction => (
+                <button key={reaction.emoji} type="button" className={`reaction-chip ${reaction.reacted_by_me ? 'mine' : ''}`} onClick={() => handleToggleReaction(msg, reaction.emoji)} title={reaction.usernames.join(', ')}>
+                  {reaction.emoji} {reaction.count}
+                </button>
+              ))}
+            </div>
+          )}
+          {!inThread && readReceipts[msg.id] && <span className="read-receipt">{readReceipts[msg.id]}</span>}
+          {!inThread && msg.thread && (
+            <button type="button" className="thread-summary" onClick={() => handleOpenThread(msg)}>
+              {msg.thread.reply_count} {msg.thread.reply_count === 1 ? 'reply' : 'replies'} · last {formatTime(msg.thread.latest_reply.created_at)}
+            </button>
+          )}
+        </div>
+      </div>
+    );
+  };
+
+  // Read receipts sit under the newest of my messages each reader has reached
+  const readReceipts = {};
+  if (chatType === 'direct') {
+    const lastRead = [...messages].reverse().find(m => m.sender_id === currentUser?.id && m.is_read);
+    if (lastRead) readReceipts[lastRead.id] = 'Read';
+  } else if (chatType === 'group') {
+    const ownMessages = groupMessages.filter(m => m.sender_id === currentUser?.id);
+    const seenBy = {};
+    groupMembers.forEach(member => {
+      if (member.id === currentUser?.id || !member.last_read_message_id) return;
+      const reached = [...ownMessages].reverse().find(m => m.id <= member.last_read_message_id);
+      if (reached) (seenBy[reached.id] = seenBy[reached.id] || []).push(member.username);
+    });
+    Object.entries(seenBy).forEach(([id, names]) => { readReceipts[id] = `Seen by ${names.join(', ')}`; });
+  }
+
+  // Presence for the open DM comes from the user list, which receives live updates
+  const selectedUserPresence = selectedUser && (users.find(u => u.id === selectedUser.id) || selectedUser);
+  // Dismissible catch-up panel under the chat header
+  const renderSummaryPanel = () => {
+    if (!summary) return null;
+    const { data } = summary;
+    return (
+      <div className="summary-panel">
+        <div className="summary-panel-header">
+          <h3>Catch up</h3>
+          <select value={summary.range} onChange={(e) => handleSummarize(e.target.value)} disabled={summary.loading}>
+            {Object.entries(SUMMARY_RANGES).map(([value, { label }]) => <option key={value} value={value}>{label}</option>)}
+          </select>
+          <button type="button" className="summary-close" onClick={handleCloseSummary} aria-label="Dismiss summary">×</button>
+        </div>
+        {summary.loading ? (
+          <p className="summary-status">Summarizing...</p>
+        ) : !data.summary ? (
+          <p className="summary-status">{summary.range === 'unread' ? "You're all caught up." : 'No messages in this range.'}</p>
+        ) : (
+          <>
+            <p className="summary-text">{renderSummary(data.summary, new Set(data.citations.map(c => c.id)), handleJumpToMessage)}</p>
+            <p className="summary-status">
+              Based on {data.message_count} message{data.message_count === 1 ? '' : 's'}
+              {data.truncated && ' (older messages were left out)'}
+            </p>
+            {data.citations.length > 0 && (
+              <ul className="summary-citations">
+                {data.citations.map(citation => (
+                  <li key={citation.id}>
+                    <button type="button" onClick={() => handleJumpToMessage(citation.id)}>
+                      <span className="summary-cite-id">{citation.id}</span>
+                      <strong>{citation.sender_username}</strong> · {formatTime(citation.created_at)}: {citation.excerpt}
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </>
+        )}
+      </div>
+    );
+  };
+
+  const renderPresenceDot = (user) => user?.status && <span className={`presence-dot ${user.status}`} title={presenceLabel(user)} />;
+
+  const openChatKey = chatType === 'group' ? `group:${selectedGroup?.id}` : `direct:${selectedUser?.id}`;
+  const typingNames = typingUsers.filter(t => t.key === openChatKey).map(t => t.username);
+  const typingLine = typingNames.length === 0 ? ''
+    : chatType === 'direct' ? 'typing...'
+      : `${typingNames.join(', ')} ${typingNames.length === 1 ? 'is' : 'are'} typing...`;
+
+  const unreadChats = conversations.filter(c => c.unread_count > 0).length;
+  const unreadGroups = groups.filter(g => g.unread_count > 0).length;
+  const canAttach = (chatType === 'direct' && selectedUser) || (chatType === 'group' && selectedGroup);
+  const myGroupRole = groupMembers.find(m => m.id === currentUser?.id)?.role || selectedGroup?.my_role || 'member';
+  const canManageGroup = GROUP_ROLE_RANK[myGroupRole] >= GROUP_ROLE_RANK.admin;
+  const usersNotInGroup = users.filter(u => !groupMembers.some(m => m.id === u.id));
 
   if (!token) {
     return (
       <div className="auth-container">
         <div className="auth-box">
-          <h1>{isLogin ? 'Login' : 'Register'}</h1>
+          <h1>{AUTH_TITLES[authView] || (isLogin ? 'Login' : 'Register')}</h1>
           {error && <div className="error-message">{error}</div>}
-          <form onSubmit={isLogin ? handleLogin : handleRegister}>
-            <input type="text" placeholder="Username" value={username} onChange={(e) => setUsername(e.target.value)} required />
-            {!isLogin && <input type="email" placeholder="Email" value={email} onChange={(e) => setEmail(e.target.value)} required />}
-            <input type="password" placeholder="Password" value={password} onChange={(e) => setPassword(e.target.value)} required />
-            <button type="submit" disabled={loading}>{loading ? 'Processing...' : (isLogin ? 'Login' : 'Register')}</button>
-          </form>
-          <p className="toggle-auth">
-            {isLogin ? "Don't have an account? " : "Already have an account? "}
-            <span onClick={() => { setIsLogin(!isLogin); resetForm(); }}>{isLogin ? 'Register' : 'Login'}</span>
-          </p>
+          {notice && <div className="notice-message">{notice}</div>}
+          {authView === 'credentials' && (
+            <>
+              {inviteCode && <div className="notice-message">Log in or register to join the group you were invited to.</div>}
+              <form onSubmit={isLogin ? handleLogin : handleRegister}>
+                <input type="text" placeholder="Username" value={username} onChange={(e) => setUsername(e.target.value)} required />
+                {!isLogin && <input type="email" placeholder="Email" value={email} onChange={(e) => setEmail(e.target.value)} required />}
+                <input type="password" placeholder="Password" value={password} onChange={(e) => setPassword(e.target.value)} required />
+                <button type="submit" disabled={loading}>{loading ? 'Processing...' : (isLogin ? 'Login' : 'Register')}</button>
+              </form>
+              {isLogin && (
+                <p className="auth-links">
+                  <span onClick={() => handleShowAuthView('forgot')}>Forgot password?</span>
+                  <span onClick={() => handleShowAuthView('verify')}>Verify your email</span>
+                </p>
+              )}
+              <p className="toggle-auth">
+                {isLogin ? "Don't have an account? " : "Already have an account? "}
+                <span onClick={() => { setIsLogin(!isLogin); resetForm(); }}>{isLogin ? 'Register' : 'Login'}</span>
+              </p>
+            </>
+          )}
+          {(authView === 'forgot' || authView === 'verify') && (
+            <form onSubmit={handleRequestAccountEmail}>
+              <p className="auth-hint">
+                {authView === 'forgot'
+                  ? "Enter your account's email address and we'll send you a link to choose a new password."
+                  : "Enter your account's email address and we'll send you a new verification link."}
+              </p>
+              <input type="email" placeholder="Email" value={email} onChange={(e) => setEmail(e.target.value)} required />
+              <button type="submit" disabled={loading}>{loading ? 'Sending...' : 'Send link'}</button>
+            </form>
+          )}
+          {authView === 'two_factor' && (
+            <form onSubmit={handleVerifyTwoFactor}>
+              <p className="auth-hint">Enter the 6-digit code from your authenticator app, or one of your recovery codes.</p>
+              <input type="text" placeholder="Code" value={twoFactorCode} onChange={(e) => setTwoFactorCode(e.target.value)} autoComplete="one-time-code" autoFocus required />
+              <button type="submit" disabled={loading}>{loading ? 'Verifying...' : 'Verify'}</button>
+            </form>
+          )}
+          {authView === 'reset' && (
+            <form onSubmit={handleResetPassword}>
+              <input type="password" placeholder="New password" value={password} onChange={(e) => setPassword(e.target.value)} minLength={6} required />
+              <input type="password" placeholder="Confirm new password" value={confirmPassword} onChange={(e) => setConfirmPassword(e.target.value)} minLength={6} required />
+              <button type="submit" disabled={loading}>{loading ? 'Saving...' : 'Reset password'}</button>
+            </form>
+          )}
+          {authView !== 'credentials' && (
+            <p className="toggle-auth">
+              <span onClick={() => handleShowAuthView('credentials')}>Back to login</span>
+            </p>
+          )}
         </div>
       </div>
     );
@@ -359,26 +2563,256 @@ function App() {
         <h1> Section Connection</h1>
         <div className="user-info">
           <span>Welcome, {currentUser?.username}!</span>
+          <button onClick={handleToggleProfile} className="logout-btn">Profile</button>
+          <button onClick={handleTogglePrivacy} className="logout-btn">Privacy</button>
+          <button onClick={handleToggleSessions} className="logout-btn">Sessions</button>
+          <button onClick={handleToggleTwoFactor} className="logout-btn">Two-factor</button>
           <button onClick={handleLogout} className="logout-btn">Logout</button>
         </div>
       </header>
 
+      {showSessions && (
+        <div className="sessions-panel">
+          <div className="sessions-panel-header">
+            <h3>Signed-in devices</h3>
+            <button type="button" onClick={handleRevokeOtherSessions} disabled={sessions.length < 2}>Log out everywhere else</button>
+            <button type="button" onClick={() => setShowSessions(false)}>Close</button>
+          </div>
+          <ul className="session-list">
+            {sessions.map(session => (
+              <li key={session.id} className={session.current ? 'current' : ''}>
+                <div className="session-info">
+                  <span className="session-agent">{session.user_agent || 'Unknown device'}{session.current && <span className="role-badge">This device</span>}</span>
+                  <span className="session-meta">{session.ip_address || 'Unknown IP'} · last active {new Date(session.last_used_at).toLocaleString()}</span>
+                </div>
+                <button type="button" className="danger" onClick={() => handleRevokeSession(session)}>{session.current ? 'Log out' : 'Revoke'}</button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {invitePreview && (
+        <div className="sessions-panel invite-panel">
+          <div className="sessions-panel-header">
+            <h3>You're invited to {invitePreview.group.name}</h3>
+            <button type="button" onClick={handleCloseInvite}>Close</button>
+          </div>
+          {invitePreview.group.description && <p className="profile-bio">{invitePreview.group.description}</p>}
+          <p className="session-meta">
+            {invitePreview.group.member_count} member{invitePreview.group.member_count === 1 ? '' : 's'}
+            {invitePreview.requires_approval && ' · An admin approves new members'}
+          </p>
+          {invitePreview.is_member ? (
+            <button type="button" onClick={handleOpenInvitedGroup}>Open group</button>
+          ) : invitePreview.request_pending ? (
+            <p className="session-meta">Your request to join is waiting for an admin.</p>
+          ) : (
+            <button type="button" onClick={handleAcceptInvite}>{invitePreview.requires_approval ? 'Ask to join' : 'Join group'}</button>
+          )}
+        </div>
+      )}
+
+      {showProfile && profile && (
+        <div className="sessions-panel profile-panel">
+          <div className="sessions-panel-header">
+            <h3>Profile</h3>
+            <button type="button" onClick={handleToggleProfile}>Close</button>
+          </div>
+          <div className="profile-avatar-row">
+            <Avatar user={profile} authFetch={authFetch} />
+            <div>
+              <strong>@{profile.username}</strong>
+              <p className="session-meta">{profile.email}</p>
+            </div>
+            <input type="file" accept="image/jpeg,image/png,image/gif,image/webp" ref={avatarInputRef} onChange={handleAvatarSelected} hidden />
+            <button type="button" onClick={() => avatarInputRef.current.click()}>{profile.has_avatar ? 'Change photo' : 'Upload photo'}</button>
+            {profile.has_avatar && <button type="button" onClick={handleRemoveAvatar}>Remove</button>}
+          </div>
+          <form className="profile-form" onSubmit={handleSaveProfile}>
+            <input type="text" placeholder="Display name" maxLength={50} value={profileDraft.display_name} onChange={(e) => setProfileDraft({ ...profileDraft, display_name: e.target.value })} />
+            <input type="text" placeholder="Status (e.g. Studying for finals)" maxLength={100} value={profileDraft.status_message} onChange={(e) => setProfileDraft({ ...profileDraft, status_message: e.target.value })} />
+            <textarea placeholder="About you" maxLength={500} rows={3} value={profileDraft.bio} onChange={(e) => setProfileDraft({ ...profileDraft, bio: e.target.value })} />
+            <button type="submit">Save profile</button>
+          </form>
+          <form className="profile-form" onSubmit={handleChangePassword}>
+            <h4>Change password</h4>
+            <input type="password" placeholder="Current password" value={passwordDraft.current} onChange={(e) => setPasswordDraft({ ...passwordDraft, current: e.target.value })} autoComplete="current-password" required />
+            <input type="password" placeholder="New password (at least 6 characters)" minLength={6} value={passwordDraft.next} onChange={(e) => setPasswordDraft({ ...passwordDraft, next: e.target.value })} autoComplete="new-password" required />
+            <button type="submit">Change password</button>
+          </form>
+          <form className="profile-form danger-zone" onSubmit={handleDeleteAccount}>
+            <h4>Delete account</h4>
+            <p className="session-meta">Your profile is erased and you leave all groups. Messages you sent stay in other people's conversations under an anonymous name.</p>
+            <input type="password" placeholder="Password" value={deleteDraft.password} onChange={(e) => setDeleteDraft({ ...deleteDraft, password: e.target.value })} autoComplete="current-password" required />
+            <input type="text" placeholder="Two-factor code (if turned on)" value={deleteDraft.code} onChange={(e) => setDeleteDraft({ ...deleteDraft, code: e.target.value })} autoComplete="one-time-code" />
+            <button type="submit" className="danger">Delete my account</button>
+          </form>
+        </div>
+      )}
+
+      {viewedProfile && (
+        <div className="sessions-panel profile-card">
+          <div className="sessions-panel-header">
+            <h3>{viewedProfile.deleted ? 'Deleted account' : displayName(viewedProfile)}</h3>
+            <button type="button" onClick={() => setViewedProfile(null)}>Close</button>
+          </div>
+          <div className="profile-avatar-row">
+            <Avatar user={viewedProfile} authFetch={authFetch}>{renderPresenceDot(viewedProfile)}</Avatar>
+            <div>
+              <strong>@{viewedProfile.username}</strong>
+              <p className="session-meta">{[presenceLabel(viewedProfile), viewedProfile.status_message].filter(Boolean).join(' · ')}</p>
+            </div>
+          </div>
+          {viewedProfile.bio && <p className="profile-bio">{viewedProfile.bio}</p>}
+          {!viewedProfile.deleted && <p className="session-meta">Joined {new Date(viewedProfile.created_at).toLocaleDateString()}</p>}
+        </div>
+      )}
+
+      {showPrivacy && (
+        <div className="sessions-panel">
+          <div className="sessions-panel-header">
+            <h3>Privacy</h3>
+            <button type="button" onClick={() => setShowPrivacy(false)}>Close</button>
+          </div>
+          <label className="privacy-option">
+            <input type="checkbox" checked={showLastSeen} onChange={handleTogglePrivacySetting('show_last_seen', setShowLastSeen)} />
+            Show others when I was last online
+          </label>
+          <label className="privacy-option">
+            <input type="checkbox" checked={showEmail} onChange={handleTogglePrivacySetting('show_email', setShowEmail)} />
+            Show my email address to other users
+          </label>
+        </div>
+      )}
+
+      {showTwoFactor && (
+        <div className="sessions-panel">
+          <div className="sessions-panel-header">
+            <h3>Two-factor authentication</h3>
+            <button type="button" onClick={handleToggleTwoFactor}>Close</button>
+          </div>
+          {recoveryCodes.length > 0 && (
+            <div className="recovery-codes">
+              <p>Save these recovery codes somewhere safe. Each one signs you in once if you lose your authenticator, and they won't be shown again.</p>
+              <ul>{recoveryCodes.map(code => <li key={code}><code>{code}</code></li>)}</ul>
+              <button type="button" onClick={() => setRecoveryCodes([])}>I've saved them</button>
+            </div>
+          )}
+          {twoFactorStatus && !twoFactorStatus.enabled && !twoFactorSetup && (
+            <div className="two-factor-row">
+              <span>Two-factor authentication is off. Turn it on to require a code from an authenticator app when you log in.</span>
+              <button type="button" onClick={handleStartTwoFactorSetup}>Set up</button>
+            </div>
+          )}
+          {twoFactorSetup && (
+            <form className="two-factor-setup" onSubmit={handleEnableTwoFactor}>
+              <img src={twoFactorSetup.qr_code} alt="QR code for your authenticator app" />
+              <div className="two-factor-steps">
+                <p>Scan the QR code with your authenticator app, or <a href={twoFactorSetup.otpauth_url}>open it in the app</a> or enter this key: <code>{twoFactorSetup.secret}</code></p>
+                <p>Then enter the code it shows to finish.</p>
+                <div className="two-factor-row">
+                  <input type="text" placeholder="6-digit code" value={twoFactorCode} onChange={(e) => setTwoFactorCode(e.target.value)} autoComplete="one-time-code" required />
+                  <button type="submit">Turn on</button>
+                  <button type="button" onClick={() => setTwoFactorSetup(null)}>Cancel</button>
+                </div>
+              </div>
+            </form>
+          )}
+          {twoFactorStatus?.enabled && (
+            <form className="two-factor-manage" onSubmit={(e) => e.preventDefault()}>
+              <p>On since {new Date(twoFactorStatus.enabled_at).toLocaleDateString()} · {twoFactorStatus.recovery_codes_remaining} recovery codes left</p>
+              <div className="two-factor-row">
+                <input type="text" placeholder="Authenticator or recovery code" value={twoFactorCode} onChange={(e) => setTwoFactorCode(e.target.value)} autoComplete="one-time-code" />
+                <input type="password" placeholder="Password (to turn off)" value={twoFactorPassword} onChange={(e) => setTwoFactorPassword(e.target.value)} />
+                <button type="button" onClick={handleRegenerateRecoveryCodes} disabled={!twoFactorCode}>New recovery codes</button>
+                <button type="button" className="danger" onClick={handleDisableTwoFactor} disabled={!twoFactorCode || !twoFactorPassword}>Turn off</button>
+              </div>
+            </form>
+          )}
+        </div>
+      )}
+
+      {notice && (
+        <div className="app-notice">
+          <span>{notice}</span>
+          <button type="button" onClick={() => setNotice('')}>Dismiss</button>
+        </div>
+      )}
+
+      {!notice && currentUser?.email_verified === false && (
+        <div className="app-notice">
+          <span>Please verify your email address. We sent a link to {currentUser.email}.</span>
+          <button type="button" onClick={handleResendVerification} disabled={loading}>Resend</button>
+        </div>
+      )}
+
+      {error && (
+        <div className="app-error">
+          <span>{error}</span>
+          <button type="button" onClick={() => setError('')}>Dismiss</button>
+        </div>
+      )}
+
       <div className="main-content">
         <aside className="sidebar">
           <div className="sidebar-tabs">
-            <button className={view === 'conversations' ? 'active' : ''} onClick={() => setView('conversations')}>Chats</button>
-            <button className={view === 'groups' ? 'active' : ''} onClick={() => setView('groups')}>Groups</button>
+            <button className={view === 'conversations' ? 'active' : ''} onClick={() => setView('conversations')}>Chats{unreadChats > 0 && <span className="unread-badge">{unreadChats}</span>}</button>
+            <button className={view === 'groups' ? 'active' : ''} onClick={() => setView('groups')}>Groups{unreadGroups > 0 && <span className="unread-badge">{unreadGroups}</span>}</button>
             <button className={view === 'users' ? 'active' : ''} onClick={() => setView('users')}>Users</button>
-            <button className={view === 'ai' ? 'active' : ''} onClick={() => { setView('ai'); handleSelectAI(); }}>AI Chat</button>
+            <button className={view === 'ai' ? 'active' : ''} onClick={handleSelectAI}>AI Chat</button>
           </div>
 
-          <div className="sidebar-list">
-            {view === 'conversations' ? (
+          <form className="sidebar-search" onSubmit={handleSearch}>
+            <input type="search" placeholder="Search messages..." value={searchQuery} onChange={(e) => setSearchQuery(e.target.value)} />
+            <button type="button" className={showSearchFilters ? 'active' : ''} onClick={() => setShowSearchFilters(!showSearchFilters)} title="Search filters">Filters</button>
+          </form>
+          {showSearchFilters && (
+            <div className="search-filters">
+              <select value={searchFilters.sender_id} onChange={(e) => setSearchFilters({ ...searchFilters, sender_id: e.target.value })}>
+                <option value="">From anyone</option>
+                {currentUser && <option value={currentUser.id}>From me</option>}
+                {users.map((user) => <option key={user.id} value={user.id}>From {user.username}</option>)}
+              </select>
+              <select value={searchFilters.scope} onChange={(e) => setSearchFilters({ ...searchFilters, scope: e.target.value })}>
+                <option value="">All conversations</option>
+                <option value="current" disabled={!selectedUser && !selectedGroup}>This conversation</option>
+              </select>
+              <div className="search-dates">
+                <input type="date" value={searchFilters.from} onChange={(e) => setSearchFilters({ ...searchFilters, from: e.target.value })} title="From date" />
+                <input type="date" value={searchFilters.to} onChange={(e) => setSearchFilters({ ...searchFilters, to: e.target.value })} title="To date" />
+              </div>
+            </div>
+          )}
+
+          <div className="sidebar-list" onScroll={handleSidebarScroll}>
+            {searchResults !== null ? (
+              <>
+                <div className="search-results-header">
+                  <span>{searching ? 'Searching...' : `${searchResults.length} result${searchResults.length === 1 ? '' : 's'}`}</span>
+                  <button type="button" onClick={handleClearSearch}>Clear</button>
+                </div>
+                {searchResults.length === 0 && !searching && <p className="no-data">No messages found</p>}
+                {searchResults.map((result) => (
+                  <div key={`${result.type}-${result.id}`} className="user-item search-result" onClick={() => handleOpenSearchResult(result)}>
+                    <div className={`user-avatar ${result.type === 'group' ? 'group-avatar' : ''}`}>{result.type === 'direct' ? result.other_username[0].toUpperCase() : ''}</div>
+                    <div className="user-details">
+                      <strong>{result.type === 'group' ? result.group_name : result.other_username}</strong>
+                      <p><span className="search-sender">{result.sender_username}:</span> {renderSnippet(result.snippet)}</p>
+                    </div>
+                    <span className="time">{new Date(result.created_at).toLocaleDateString()}</span>
+                  </div>
+                ))}
+              </>
+            ) : view === 'conversations' ? (
               conversations.map((conv) => (
-                <div key={conv.other_user_id} className={`user-item ${selectedUser?.id === conv.other_user_id ? 'active' : ''}`} onClick={() => handleSelectUser({ id: conv.other_user_id, username: conv.other_user })}>
+                <div key={conv.other_user_id} className={`user-item ${selectedUser?.id === conv.other_user_id ? 'active' : ''}`} onClick={() => handleSelectUser({ id: conv.other_user_id, username: conv.other_user, deleted: conv.deleted })}>
                   <div className="user-avatar">{conv.other_user[0].toUpperCase()}</div>
-                  <div className="user-details"><strong>{conv.other_user}</strong><p>{conv.content.substring(0, 30)}...</p></div>
-                  <span className="time">{formatTime(conv.created_at)}</span>
+                  <div className="user-details"><strong>{conv.other_user}{conv.muted && <span className="muted-label">muted</span>}{conv.blocked && <span className="muted-label">blocked</span>}</strong><p>{conv.content ? `${conv.content.substring(0, 30)}...` : 'Attachment'}</p></div>
+                  <div className="user-item-meta">
+                    <span className="time">{formatTime(conv.created_at)}</span>
+                    {conv.unread_count > 0 && <span className="unread-badge">{conv.unread_count}</span>}
+                  </div>
                 </div>
               ))
             ) : view === 'groups' ? (
@@ -389,6 +2823,9 @@ function App() {
                     <form onSubmit={handleCreateGroup}>
                       <input type="text" placeholder="Group name" value={newGroupName} onChange={(e) => setNewGroupName(e.target.value)} required />
                       <textarea placeholder="Description" value={newGroupDescription} onChange={(e) => setNewGroupDescription(e.target.value)} rows={2} />
+                      <select value={newGroupVisibility} onChange={(e) => setNewGroupVisibility(e.target.value)}>
+                        {GROUP_VISIBILITY_OPTIONS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+                      </select>
                       <div className="form-buttons"><button type="submit">Create</button><button type="button" onClick={() => setShowCreateGroup(false)}>Cancel</button></div>
                     </form>
                   </div>
@@ -397,65 +2834,223 @@ function App() {
                   <div key={group.id} className={`user-item ${selectedGroup?.id === group.id ? 'active' : ''}`} onClick={() => handleSelectGroup(group)}>
                     <div className="user-avatar group-avatar"></div>
                     <div className="user-details"><strong>{group.name}</strong><p>{group.member_count} members</p></div>
+                    {group.unread_count > 0 && <span className="unread-badge">{group.unread_count}</span>}
                   </div>
                 ))}
+                <div className="search-results-header discover-header"><span>Discover</span></div>
+                <input type="search" className="directory-search" placeholder="Find groups to join..." value={discoverQuery} onChange={(e) => setDiscoverQuery(e.target.value)} />
+                {discoverGroups.length === 0 && !loadingDiscover && <p className="no-data">No groups to discover</p>}
+                {discoverGroups.map((group) => (
+                  <div key={group.id} className="user-item discover-item">
+                    <div className="user-avatar group-avatar"></div>
+                    <div className="user-details">
+                      <strong>{group.name}</strong>
+                      <p>{group.member_count} member{group.member_count === 1 ? '' : 's'}{group.description && ` · ${group.description}`}</p>
+                    </div>
+                    <div className="user-item-actions">
+                      {group.request_pending ? (
+                        <button type="button" onClick={() => handleWithdrawJoinRequest(group)} title="Withdraw your request">Requested</button>
+                      ) : (
+                        <button type="button" onClick={() => handleJoinDiscoveredGroup(group)}>{group.visibility === 'request' ? 'Ask to join' : 'Join'}</button>
+                      )}
+                    </div>
+                  </div>
+                ))}
+                {loadingDiscover && <p className="no-data">Loading...</p>}
               </>
             ) : view === 'users' ? (
-              users.map((user) => (
-                <div key={user.id} className={`user-item ${selectedUser?.id === user.id ? 'active' : ''}`} onClick={() => handleSelectUser(user)}>
-                  <div className="user-avatar">{user.username[0].toUpperCase()}</div>
-                  <div className="user-details"><strong>{user.username}</strong><p>{user.email}</p></div>
-                </div>
-              ))
+              <>
+                <input type="search" className="directory-search" placeholder="Find people by name..." value={userQuery} onChange={(e) => setUserQuery(e.target.value)} />
+                {users.length === 0 && !loadingUsers && <p className="no-data">No users found</p>}
+                {users.map((user) => (
+                  <div key={user.id} className={`user-item ${selectedUser?.id === user.id ? 'active' : ''}`} onClick={() => handleSelectUser(user)}>
+                    <Avatar user={user} authFetch={authFetch}>{renderPresenceDot(user)}</Avatar>
+                    <div className="user-details"><strong>{displayName(user)}</strong><p>{user.status_message || presenceLabel(user) || user.email}</p></div>
+                    <div className="user-item-actions" onClick={(e) => e.stopPropagation()}>
+                      <button type="button" onClick={() => handleToggleRelation(user, 'mute')}>{user.muted ? 'Unmute' : 'Mute'}</button>
+                      <button type="button" className="danger" onClick={() => handleToggleRelation(user, 'block')}>{user.blocked ? 'Unblock' : 'Block'}</button>
+                    </div>
+                  </div>
+                ))}
+                {loadingUsers && <p className="no-data">Loading...</p>}
+              </>
+            ) : view === 'ai' ? (
+              <>
+                <button className="create-group-btn" onClick={handleNewAiSession}>New chat</button>
+                {aiSessions.map((session) => (
+                  <div key={session.id} className={`user-item ${chatType === 'ai' && activeAiSessionId === session.id ? 'active' : ''}`} onClick={() => handleSelectAiSession(session)}>
+                    <div className="user-avatar ai-avatar"></div>
+                    <div className="user-details"><strong>{session.title}</strong><p>{new Date(session.updated_at).toLocaleDateString()}</p></div>
+                    <div className="user-item-actions" onClick={(e) => e.stopPropagation()}>
+                      <button type="button" onClick={() => handleRenameAiSession(session)}>Rename</button>
+                      <button type="button" className="danger" onClick={() => handleDeleteAiSession(session)}>Delete</button>
+                    </div>
+                  </div>
+                ))}
+                {aiSessions.length === 0 && <p className="no-data">No AI chats yet</p>}
+              </>
             ) : null}
           </div>
         </aside>
 
-        <main className="chat-area">
+        <main className="chat-area" onDragOver={canAttach ? handleDragOver : undefined} onDragLeave={handleDragLeave} onDrop={canAttach ? handleDrop : undefined}>
+          {dragActive && <div className="drop-overlay">Drop files to attach</div>}
           {chatType === 'direct' && selectedUser ? (
             <>
               <div className="chat-header">
-                <div className="user-avatar">{selectedUser.username[0].toUpperCase()}</div>
-                <h2>{selectedUser.username}</h2>
+                <Avatar user={selectedUserPresence} authFetch={authFetch}>{renderPresenceDot(selectedUserPresence)}</Avatar>
+                <div className="chat-header-info">
+                  <h2><button type="button" className="profile-link" onClick={() => handleViewProfile(selectedUser.id)} title="View profile">{displayName(selectedUserPresence)}</button></h2>
+                  <p className="presence-line">{typingLine || [presenceLabel(selectedUserPresence), selectedUserPresence.status_message].filter(Boolean).join(' · ')}</p>
+                </div>
+                <button type="button" className="header-action-btn" onClick={() => handleSummarize()} disabled={summary?.loading}>Summarize</button>
+                <button type="button" className="header-action-btn" onClick={() => handleToggleRelation(selectedUser, 'mute')}>{selectedUserPresence?.muted ? 'Unmute' : 'Mute'}</button>
+                <button type="button" className="header-action-btn danger" onClick={() => handleToggleRelation(selectedUser, 'block')}>{selectedUserPresence?.blocked ? 'Unblock' : 'Block'}</button>
               </div>
-              <div className="messages-container">
-                {messages.map((msg) => (
-                  <div key={msg.id} className={`message ${msg.sender_id === currentUser?.id ? 'sent' : 'received'}`}>
-                    <div className="message-content"><p>{msg.content}</p><span className="message-time">{formatTime(msg.created_at)}</span></div>
-                  </div>
-                ))}
+              {renderSummaryPanel()}
+              <div className="messages-container" ref={messagesContainerRef} onScroll={handleMessagesScroll}>
+                {hasOlderMessages && <button type="button" className="load-older-btn" onClick={handleLoadOlder} disabled={loadingOlder}>{loadingOlder ? 'Loading...' : 'Load older messages'}</button>}
+                {messages.map((msg) => renderMessage(msg))}
+                {hasNewerMessages && <button type="button" className="load-older-btn" onClick={handleLoadNewer} disabled={loadingOlder}>{loadingOlder ? 'Loading...' : 'Load newer messages'}</button>}
               </div>
-              <form className="message-input" onSubmit={handleSendMessage}><input type="text" placeholder="Message..." value={newMessage} onChange={(e) => setNewMessage(e.target.value)} required /><button type="submit">Send</button></form>
+              {selectedUserPresence?.deleted
+                ? <div className="blocked-notice">This account has been deleted.</div>
+                : selectedUserPresence?.blocked
+                  ? <div className="blocked-notice">You blocked {selectedUser.username}. Unblock them to send messages.</div>
+                  : renderMessageInput(handleSendMessage, 'Message...')}
             </>
           ) : chatType === 'group' && selectedGroup ? (
             <>
               <div className="chat-header">
                 <div className="user-avatar group-avatar"></div>
-                <div>
+                <div className="chat-header-info">
                     <h2>{selectedGroup.name}</h2>
                     {/* New member list added here */}
                     <p className="member-list-display">
-                        <small>Members: {groupMembers.map(m => m.username).join(', ')}</small>
+                        {typingLine ? <small className="presence-line">{typingLine}</small> : (
+                          <small>Members: {groupMembers.map((m, i) => (
+                            <span key={m.id} className="member-presence" title={presenceLabel(m)}>
+                              {i > 0 && ', '}<span className={`presence-dot inline ${m.status}`} /><button type="button" className="profile-link" onClick={() => handleViewProfile(m.id)}>{m.username}</button>
+                            </span>
+                          ))}</small>
+                        )}
                     </p>
                 </div>
+                <button type="button" className="header-action-btn" onClick={() => handleSummarize()} disabled={summary?.loading}>Summarize</button>
+                <button type="button" className="header-action-btn" onClick={handleOpenGroupSettings}>{showGroupSettings ? 'Close' : 'Manage'}</button>
               </div>
-              <div className="messages-container">
-                {groupMessages.map((msg) => (
-                  <div key={msg.id} className={`message ${msg.sender_id === currentUser?.id ? 'sent' : 'received'}`}>
-                    <div className="message-content">
-                      {msg.sender_id !== currentUser?.id && <strong className="sender-name">{msg.sender_username}</strong>}
-                      <p>{msg.content}</p><span className="message-time">{formatTime(msg.created_at)}</span>
+              {showGroupSettings && (
+                <div className="group-panel">
+                  {canManageGroup && (
+                    <form className="group-panel-section" onSubmit={handleUpdateGroup}>
+                      <input type="text" placeholder="Group name" value={groupEditName} onChange={(e) => setGroupEditName(e.target.value)} required />
+                      <input type="text" placeholder="Description" value={groupEditDescription} onChange={(e) => setGroupEditDescription(e.target.value)} />
+                      <select value={groupEditVisibility} onChange={(e) => setGroupEditVisibility(e.target.value)} title="Who can find and join the group">
+                        {GROUP_VISIBILITY_OPTIONS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+                      </select>
+                      <button type="submit">Save</button>
+                    </form>
+                  )}
+                  {canManageGroup && (
+                    <form className="group-panel-section assistant-settings" onSubmit={handleUpdateAssistant}>
+                      <label>
+                        <input type="checkbox" checked={groupEditAssistantEnabled} onChange={(e) => setGroupEditAssistantEnabled(e.target.checked)} />
+                        Answer @assistant mentions
+                      </label>
+                      <label>
+                        Up to <input type="number" min="1" max="200" value={groupEditAssistantLimit} onChange={(e) => setGroupEditAssistantLimit(e.target.value)} disabled={!groupEditAssistantEnabled} required /> an hour
+                      </label>
+                      <button type="submit">Save</button>
+                    </form>
+                  )}
+                  {canManageGroup && (
+                    <form className="group-panel-section" onSubmit={handleAddMember}>
+                      <select value={memberToAdd} onChange={(e) => setMemberToAdd(e.target.value)}>
+                        <option value="">Add a member...</option>
+                        {usersNotInGroup.map(u => <option key={u.id} value={u.id}>{u.username}</option>)}
+                      </select>
+                      <button type="submit" disabled={!memberToAdd}>Add</button>
+                    </form>
+                  )}
+                  {canManageGroup && (
+                    <form className="group-panel-section invite-form" onSubmit={handleCreateInvite}>
+                      <select value={inviteDraft.expires_in} onChange={(e) => setInviteDraft({ ...inviteDraft, expires_in: e.target.value })}>
+                        {INVITE_EXPIRY_OPTIONS.map(option => <option key={option.label} value={option.hours}>{option.label}</option>)}
+                      </select>
+                      <input type="number" min="1" max="1000" placeholder="Any number of uses" value={inviteDraft.max_uses} onChange={(e) => setInviteDraft({ ...inviteDraft, max_uses: e.target.value })} />
+                      <label>
+                        <input type="checkbox" checked={inviteDraft.requires_approval} onChange={(e) => setInviteDraft({ ...inviteDraft, requires_approval: e.target.checked })} />
+                        Approve joins
+                      </label>
+                      <button type="submit">Create invite link</button>
+                    </form>
+                  )}
+                  {canManageGroup && groupInvites.length > 0 && (
+                    <ul className="invite-list">
+                      {groupInvites.map(invite => (
+                        <li key={invite.id}>
+                          <div className="invite-info">
+                            <input type="text" value={invite.url} readOnly onFocus={(e) => e.target.select()} />
+                            <span className="session-meta">{describeInvite(invite)}</span>
+                          </div>
+                          <button type="button" onClick={() => handleCopyInvite(invite)}>Copy</button>
+                          <button type="button" className="danger" onClick={() => handleRevokeInvite(invite)}>Revoke</button>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                  {canManageGroup && joinRequests.length > 0 && (
+                    <div className="join-requests">
+                      <h4>Requests to join</h4>
+                      <ul className="invite-list">
+                        {joinRequests.map(request => (
+                          <li key={request.id}>
+                            <div className="invite-info">
+                              <strong>{displayName(request)}</strong>
+                              <span className="session-meta">@{request.username} · {new Date(request.created_at).toLocaleString()}</span>
+                            </div>
+                            <button type="button" onClick={() => handleAnswerJoinRequest(request, true)}>Approve</button>
+                            <button type="button" className="danger" onClick={() => handleAnswerJoinRequest(request, false)}>Reject</button>
+                          </li>
+                        ))}
+                      </ul>
                     </div>
+                  )}
+                  <ul className="group-member-list">
+                    {groupMembers.map(member => (
+                      <li key={member.id}>
+                        <span>{member.username}{member.id === currentUser?.id && ' (you)'}</span>
+                        <span className={`role-badge role-${member.role}`}>{member.role}</span>
+                        {member.id !== currentUser?.id && (
+                          <span className="member-actions">
+                            {myGroupRole === 'owner' && member.role === 'member' && <button type="button" onClick={() => handleChangeRole(member, 'admin')}>Make admin</button>}
+                            {myGroupRole === 'owner' && member.role === 'admin' && <button type="button" onClick={() => handleChangeRole(member, 'member')}>Remove admin</button>}
+                            {myGroupRole === 'owner' && <button type="button" onClick={() => handleTransferOwnership(member)}>Make owner</button>}
+                            {GROUP_ROLE_RANK[myGroupRole] > GROUP_ROLE_RANK[member.role] && canManageGroup && <button type="button" className="danger" onClick={() => handleRemoveMember(member)}>Remove</button>}
+                          </span>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                  <div className="group-panel-footer">
+                    {myGroupRole !== 'owner' && <button type="button" className="danger" onClick={handleLeaveGroup}>Leave group</button>}
+                    {myGroupRole === 'owner' && <button type="button" className="danger" onClick={handleDeleteGroup}>Delete group</button>}
                   </div>
-                ))}
+                </div>
+              )}
+              {renderSummaryPanel()}
+              <div className="messages-container" ref={messagesContainerRef} onScroll={handleMessagesScroll}>
+                {hasOlderGroupMessages && <button type="button" className="load-older-btn" onClick={handleLoadOlder} disabled={loadingOlder}>{loadingOlder ? 'Loading...' : 'Load older messages'}</button>}
+                {groupMessages.map((msg) => renderMessage(msg, { showSender: true }))}
+                {hasNewerGroupMessages && <button type="button" className="load-older-btn" onClick={handleLoadNewer} disabled={loadingOlder}>{loadingOlder ? 'Loading...' : 'Load newer messages'}</button>}
               </div>
-              <form className="message-input" onSubmit={handleSendGroupMessage}><input type="text" placeholder="Group message..." value={newMessage} onChange={(e) => setNewMessage(e.target.value)} required /><button type="submit">Send</button></form>
+              {renderMessageInput(handleSendGroupMessage, selectedGroup.assistant_enabled ? 'Group message... (mention @assistant to ask the AI)' : 'Group message...')}
             </>
           ) : chatType === 'ai' ? (
             <>
               <div className="chat-header ai-header">
                 <div className="user-avatar ai-avatar"></div>
-                <div><h2>AI Assistant</h2><p>Ask me anything!</p></div>
+                <div><h2>{aiSessions.find(s => s.id === activeAiSessionId)?.title || 'AI Assistant'}</h2><p>Ask me anything! Earlier messages in this chat are remembered.</p></div>
               </div>
               <div className="messages-container">
                 {aiMessages.map((msg, index) => (
@@ -463,13 +3058,58 @@ function App() {
                     <div className="message-content"><p>{msg.content}</p></div>
                   </div>
                 ))}
-                {aiLoading && <p>Thinking...</p>}
+                {aiLoading && aiMessages[aiMessages.length - 1]?.role !== 'assistant' && <p>Thinking...</p>}
               </div>
-              <form className="message-input" onSubmit={handleSendAiMessage}><input type="text" value={aiInput} onChange={(e) => setAiInput(e.target.value)} required /><button type="submit">Send</button></form>
+              <form className="message-input" onSubmit={handleSendAiMessage}>
+                <input type="text" value={aiInput} onChange={(e) => setAiInput(e.target.value)} required />
+                {aiLoading
+                  ? <button type="button" className="stop-btn" onClick={handleStopAiMessage}>Stop</button>
+                  : <button type="submit">Send</button>}
+              </form>
             </>
           ) : <div className="no-chat-selected"><h2>Select a chat</h2></div>}
+          {openThread && chatType !== 'ai' && (
+            <aside className="thread-panel">
+              <div className="thread-header">
+                <h3>Thread</h3>
+                <button type="button" onClick={handleCloseThread} title="Close thread">×</button>
+              </div>
+              <div className="thread-messages">
+                {renderMessage(openThread, { showSender: true, inThread: true })}
+                <div className="thread-divider">{openThread.thread?.reply_count || 0} {openThread.thread?.reply_count === 1 ? 'reply' : 'replies'}</div>
+                {threadHasOlder && <button type="button" className="load-older-btn" onClick={handleLoadOlderReplies}>Load older replies</button>}
+                {threadReplies.map((msg) => renderMessage(msg, { showSender: true, inThread: true }))}
+                <div ref={threadEndRef} />
+              </div>
+              <form className="message-input" onSubmit={handleSendThreadReply}>
+                <input type="text" placeholder="Reply in thread..." value={threadInput} onChange={(e) => setThreadInput(e.target.value)} required />
+                <button type="submit">Send</button>
+              </form>
+            </aside>
+          )}
         </main>
       </div>
+
+      {messageHistory && (
+        <div className="modal-overlay" onClick={() => setMessageHistory(null)}>
+          <div className="history-modal" onClick={(e) => e.stopPropagation()}>
+            <h3>Edit history</h3>
+            <ol className="history-list">
+              {messageHistory.versions.map((version, i) => (
+                <li key={version.id}>
+                  <p>{version.content}</p>
+                  <span className="history-time">{i === 0 ? 'Sent' : 'Edited'} {new Date(i === 0 ? messageHistory.message.created_at : messageHistory.versions[i - 1].edited_at).toLocaleString()}</span>
+                </li>
+              ))}
+              <li className="current">
+                <p>{messageHistory.message.content}</p>
+                <span className="history-time">Current version, edited {new Date(messageHistory.message.edited_at).toLocaleString()}</span>
+              </li>
+            </ol>
+            <button type="button" onClick={() => setMessageHistory(null)}>Close</button>
+          </div>
+        </div>
+      )}
     </div>
   );
 }
@@ -38,7 +38,30 @@ pool.on('error', (err) => {
  */
 const query = (text, params) => pool.query(text, params);
 
+/**
+ * Transaction helper
+ * Runs the callback on a dedicated client between BEGIN and COMMIT
+ * Rolls back and rethrows if the callback throws
+ * @param {Function} callback - async (client) => result
+ * @returns {Promise} - Whatever the callback returns
+ */
+const transaction = async (callback) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await callback(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
 module.exports = {
   query,
+  transaction,
   pool
 };
\ No newline at end of file
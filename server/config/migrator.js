@@ -0,0 +1,190 @@
+const fs = require('fs');
+const path = require('path');
+const { pool } = require('./db');
+
+/**
+ * Database Migrations
+ * Migrations live in server/migrations as numbered pairs of SQL files:
+ *   003_add_something.up.sql   - applies the change
+ *   003_add_something.down.sql - reverts it
+ * Applied versions are recorded in the schema_migrations table.
+ */
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE = /^(\d+)_(\w+)\.(up|down)\.sql$/;
+
+// Arbitrary key for pg_advisory_lock so two migration runs never overlap
+const MIGRATION_LOCK_KEY = 412412;
+
+/**
+ * Read the migrations directory
+ * @returns {Array<Object>} - [{ version, name, up, down }] sorted by version
+ * @throws {Error} - If a migration is missing its up or down file
+ */
+const loadMigrations = () => {
+  const migrations = new Map();
+
+  fs.readdirSync(MIGRATIONS_DIR).forEach((file) => {
+    const match = file.match(MIGRATION_FILE);
+    if (!match) return;
+
+    const [, version, name, direction] = match;
+    if (!migrations.has(version)) {
+      migrations.set(version, { version, name });
+    }
+    migrations.get(version)[direction] = path.join(MIGRATIONS_DIR, file);
+  });
+
+  return [...migrations.values()]
+    .map((migration) => {
+      if (!migration.up || !migration.down) {
+        throw new Error(`Migration ${migration.version}_${migration.name} needs both .up.sql and .down.sql files`);
+      }
+      return migration;
+    })
+    .sort((a, b) => Number(a.version) - Number(b.version));
+};
+
+/**
+ * Create the tracking table if this is the first run
+ * @param {Object} client - pg client or pool
+ */
+const ensureMigrationsTable = (client) => client.query(
+  `CREATE TABLE IF NOT EXISTS schema_migrations (
+     version VARCHAR(20) PRIMARY KEY,
+     name VARCHAR(255) NOT NULL,
+     applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+   )`
+);
+
+/**
+ * @param {Object} client - pg client or pool
+ * @returns {Promise<Array<Object>>} - Applied migrations, oldest first
+ */
+const getAppliedMigrations = async (client = pool) => {
+  await ensureMigrationsTable(client);
+  const result = await client.query(
+    'SELECT version, name, applied_at FROM schema_migrations ORDER BY version::integer ASC'
+  );
+  return result.rows;
+};
+
+/**
+ * @returns {Promise<Array<Object>>} - Migrations on disk that have not been applied
+ */
+const getPendingMigrations = async (client = pool) => {
+  const applied = new Set((await getAppliedMigrations(client)).map((row) => row.version));
+  return loadMigrations().filter((migration) => !applied.has(migration.version));
+};
+
+/**
+ * Run a callback on a dedicated client holding the migration lock
+ * @param {Function} callback - async (client) => result
+ */
+const withMigrationLock = async (callback) => {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+    return await callback(client);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]).catch(() => {});
+    client.release();
+  }
+};
+
+/**
+ * Run one migration file and update schema_migrations in a single transaction
+ * @param {Object} client - pg client holding the migration lock
+ * @param {Object} migration - Migration from loadMigrations()
+ * @param {string} direction - "up" or "down"
+ */
+const runMigration = async (client, migration, direction) => {
+  const sql = fs.readFileSync(migration[direction], 'utf8');
+
+  try {
+    await client.query('BEGIN');
+    await client.query(sql);
+
+    if (direction === 'up') {
+      await client.query(
+        'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+        [migration.version, migration.name]
+      );
+    } else {
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    error.message = `Migration ${migration.version}_${migration.name} (${direction}) failed: ${error.message}`;
+    throw error;
+  }
+};
+
+/**
+ * Apply all pending migrations in order
+ * @returns {Promise<Array<Object>>} - Migrations that were applied
+ */
+const migrate = () => withMigrationLock(async (client) => {
+  const pending = await getPendingMigrations(client);
+  for (const migration of pending) {
+    await runMigration(client, migration, 'up');
+  }
+  return pending;
+});
+
+/**
+ * Revert the most recently applied migrations
+ * @param {number} steps - How many migrations to roll back (default 1)
+ * @returns {Promise<Array<Object>>} - Migrations that were reverted
+ * @throws {Error} - If an applied migration no longer exists on disk
+ */
+const rollback = (steps = 1) => withMigrationLock(async (client) => {
+  const onDisk = new Map(loadMigrations().map((migration) => [migration.version, migration]));
+  const applied = await getAppliedMigrations(client);
+  const toRevert = applied.slice(-steps).reverse();
+
+  for (const row of toRevert) {
+    const migration = onDisk.get(row.version);
+    if (!migration) {
+      throw new Error(`Cannot roll back ${row.version}_${row.name}: migration files not found`);
+    }
+    await runMigration(client, migration, 'down');
+  }
+  return toRevert;
+});
+
+/**
+ * Combined view of migrations on disk and in the database
+ * @returns {Promise<Array<Object>>} - [{ version, name, applied_at, missing }]
+ *   where applied_at is null for pending migrations and missing is true for
+ *   applied migrations whose files were removed
+ */
+const status = async () => {
+  const applied = await getAppliedMigrations();
+  const appliedByVersion = new Map(applied.map((row) => [row.version, row]));
+  const onDisk = loadMigrations();
+  const onDiskVersions = new Set(onDisk.map((migration) => migration.version));
+
+  const rows = onDisk.map((migration) => ({
+    version: migration.version,
+    name: migration.name,
+    applied_at: appliedByVersion.has(migration.version) ? appliedByVersion.get(migration.version).applied_at : null,
+    missing: false
+  }));
+
+  applied
+    .filter((row) => !onDiskVersions.has(row.version))
+    .forEach((row) => rows.push({ ...row, missing: true }));
+
+  return rows.sort((a, b) => Number(a.version) - Number(b.version));
+};
+
+module.exports = {
+  loadMigrations,
+  getPendingMigrations,
+  migrate,
+  rollback,
+  status
+};
@@ -1,42 +1,84 @@
 const jwt = require('jsonwebtoken');
+const db = require('../config/db');
 require('dotenv').config();
 
+/**
+ * Verify a JWT access token and check its session has not been revoked
+ * Shared by the HTTP middleware and the WebSocket handshake
+ *
+ * @param {string} token - Raw JWT (without the "Bearer " prefix)
+ * @returns {Promise<Object>} - Decoded token payload ({ id, username, sid })
+ * @throws {Error} - With invalidToken = true if the token is invalid, expired
+ *   or belongs to a revoked session; other errors are database failures
+ */
+const verifyToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    error.invalidToken = true;
+    throw error;
+  }
+
+  // Tokens issued before sessions existed carry no session ID
+  const result = decoded.sid && await db.query(
+    `SELECT id FROM sessions
+     WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL AND expires_at > NOW()`,
+    [decoded.sid, decoded.id]
+  );
+
+  if (!result || result.rows.length === 0) {
+    throw Object.assign(new Error('Session is no longer active'), { invalidToken: true });
+  }
+
+  return decoded;
+};
+
 /**
  * Authentication Middleware
  * Verifies JWT token from Authorization header
  * Attaches user data to request object if valid
- * 
+ *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
  */
-const authenticateToken = (req, res, next) => {
+const authenticateToken = async (req, res, next) => {
   // Extract token from Authorization header (format: "Bearer TOKEN")
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
 
   // If no token provided, return 401 Unauthorized
   if (!token) {
-    return res.status(401).json({ 
-      error: 'Access denied. No token provided.' 
+    return res.status(401).json({
+      error: 'Access denied. No token provided.'
     });
   }
 
+  let decoded;
   try {
-    // Verify token using JWT secret
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Attach user data to request object for use in route handlers
-    req.user = decoded;
-    
-    // Continue to next middleware/route handler
-    next();
+    // Verify token using JWT secret and the sessions table
+    decoded = await verifyToken(token);
   } catch (error) {
-    // Token is invalid or expired
-    return res.status(403).json({ 
-      error: 'Invalid or expired token.' 
+    if (!error.invalidToken) {
+      console.error('Error verifying session:', error);
+      return res.status(500).json({ error: 'Server error verifying session' });
+    }
+
+    // Token is invalid, expired or its session was revoked.
+    // The code tells clients to try their refresh token.
+    return res.status(403).json({
+      error: 'Invalid or expired token.',
+      code: 'TOKEN_INVALID'
     });
   }
+
+  // Attach user data to request object for use in route handlers
+  req.user = decoded;
+
+  // Continue to next middleware/route handler
+  next();
 };
 
-module.exports = authenticateToken;
\ No newline at end of file
+module.exports = authenticateToken;
+module.exports.verifyToken = verifyToken;
\ No newline at end of file
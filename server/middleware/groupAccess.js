@@ -0,0 +1,56 @@
+const db = require('../config/db');
+
+/**
+ * Group roles, lowest to highest
+ * A role can do everything the roles below it can
+ */
+const ROLE_RANK = {
+  member: 1,
+  admin: 2,
+  owner: 3
+};
+
+/**
+ * Group Access Middleware
+ * Checks the authenticated user belongs to :groupId with at least the given role
+ * Attaches the caller's role to req.groupRole for use in route handlers
+ * Must run after authenticateToken
+ *
+ * @param {string} minimumRole - "member" (default), "admin" or "owner"
+ * @returns {Function} - Express middleware
+ */
+const requireGroupRole = (minimumRole = 'member') => async (req, res, next) => {
+  const groupId = Number(req.params.groupId);
+
+  if (!Number.isInteger(groupId) || groupId < 1) {
+    return res.status(400).json({ error: 'Invalid group ID' });
+  }
+
+  try {
+    const result = await db.query(
+      'SELECT role FROM group_members WHERE group_id = $1 AND user_id = $2',
+      [groupId, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(403).json({ error: 'You are not a member of this group' });
+    }
+
+    const { role } = result.rows[0];
+
+    if (ROLE_RANK[role] < ROLE_RANK[minimumRole]) {
+      return res.status(403).json({ error: `Only the group ${minimumRole === 'owner' ? 'owner' : 'admins'} can do that` });
+    }
+
+    req.groupRole = role;
+    next();
+  } catch (error) {
+    console.error('Error checking group membership:', error);
+    res.status(500).json({ error: 'Server error checking group membership' });
+  }
+};
+
+module.exports = {
+  ROLE_RANK,
+  requireGroupRole
+};
@@ -0,0 +1,99 @@
+const store = require('../services/rateLimitStore');
+require('dotenv').config();
+
+/**
+ * Default limits per route group
+ *   max           Requests allowed per window
+ *   windowSeconds Window length
+ *   keyBy         "ip", or "user" to count per signed-in user (routes must
+ *                 run authenticateToken first; falls back to the IP)
+ * Each can be overridden with RATE_LIMIT_<NAME>_MAX and
+ * RATE_LIMIT_<NAME>_WINDOW_SECONDS, e.g. RATE_LIMIT_AI_MAX=20.
+ */
+const DEFAULT_LIMITS = {
+  login: { max: 10, windowSeconds: 15 * 60, keyBy: 'ip' },
+  auth: { max: 30, windowSeconds: 15 * 60, keyBy: 'ip' },
+  refresh: { max: 120, windowSeconds: 15 * 60, keyBy: 'ip' },
+  email: { max: 5, windowSeconds: 15 * 60, keyBy: 'ip' },
+  messages: { max: 60, windowSeconds: 60, keyBy: 'user' },
+  uploads: { max: 20, windowSeconds: 60, keyBy: 'user' },
+  invites: { max: 30, windowSeconds: 15 * 60, keyBy: 'user' },
+  ai: { max: 10, windowSeconds: 60, keyBy: 'user' }
+};
+
+const envNumber = (name, fallback) => parseInt(process.env[name], 10) || fallback;
+
+/**
+ * Send a 429 with Retry-After
+ * Shared with routes that enforce their own limits (e.g. account lockout)
+ *
+ * @param {Object} res - Express response object
+ * @param {number} retryAfter - Seconds until the client may retry
+ * @param {string} error - Message for the user
+ * @param {string} [code] - Machine-readable reason
+ */
+const sendTooManyRequests = (res, retryAfter, error, code = 'RATE_LIMITED') => {
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({ error, code, retry_after: retryAfter });
+};
+
+/**
+ * Human-readable wait, e.g. "45 seconds" or "12 minutes"
+ * @param {number} seconds - Wait in seconds
+ * @returns {string}
+ */
+const formatWait = (seconds) => (seconds < 120
+  ? `${seconds} second${seconds === 1 ? '' : 's'}`
+  : `${Math.ceil(seconds / 60)} minutes`);
+
+/**
+ * Rate Limit Middleware
+ * Counts requests per client in fixed windows and responds 429 once the
+ * limit is reached. Sets RateLimit-Limit, RateLimit-Remaining and
+ * RateLimit-Reset (seconds) on every response, plus Retry-After on 429s.
+ * If the store fails the request is let through.
+ *
+ * @param {string} name - Key of DEFAULT_LIMITS
+ * @returns {Function} - Express middleware
+ */
+const rateLimit = (name) => {
+  const defaults = DEFAULT_LIMITS[name];
+  if (!defaults) {
+    throw new Error(`Unknown rate limit "${name}"`);
+  }
+
+  const envName = `RATE_LIMIT_${name.toUpperCase()}`;
+  const max = envNumber(`${envName}_MAX`, defaults.max);
+  const windowMs = envNumber(`${envName}_WINDOW_SECONDS`, defaults.windowSeconds) * 1000;
+
+  return async (req, res, next) => {
+    const client = defaults.keyBy === 'user' && req.user ? `user:${req.user.id}` : `ip:${req.ip}`;
+
+    let counter;
+    try {
+      counter = await store.hit(`${name}:${client}`, windowMs);
+    } catch (error) {
+      console.error('Error checking rate limit:', error);
+      return next();
+    }
+
+    const resetSeconds = Math.max(1, Math.ceil((counter.resetAt - Date.now()) / 1000));
+    res.set({
+      'RateLimit-Limit': String(max),
+      'RateLimit-Remaining': String(Math.max(0, max - counter.count)),
+      'RateLimit-Reset': String(resetSeconds)
+    });
+
+    if (counter.count > max) {
+      return sendTooManyRequests(res, resetSeconds, `Too many requests. Try again in ${formatWait(resetSeconds)}.`);
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  rateLimit,
+  sendTooManyRequests,
+  formatWait
+};
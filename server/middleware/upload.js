@@ -0,0 +1,98 @@
+const path = require('path');
+const multer = require('multer');
+require('dotenv').config();
+
+// Largest accepted upload (default 10 MB)
+const MAX_UPLOAD_BYTES = parseInt(process.env.MAX_UPLOAD_BYTES, 10) || 10 * 1024 * 1024;
+
+// Images, documents and common source/text formats. SVG and HTML are left out
+// because browsers would run scripts inside them.
+const ALLOWED_MIME_TYPES = new Set([
+  'image/jpeg',
+  'image/png',
+  'image/gif',
+  'image/webp',
+  'application/pdf',
+  'application/zip',
+  'application/json',
+  'application/javascript',
+  'application/sql',
+  'application/x-sh',
+  'text/plain',
+  'text/markdown',
+  'text/csv',
+  'text/css',
+  'text/javascript',
+  'text/x-python',
+  'text/x-java-source',
+  'text/x-c',
+  'text/x-c++src',
+  'text/x-sql'
+]);
+
+// Browsers report many source files as application/octet-stream (or not at all),
+// so these extensions are accepted and stored as plain text
+const TEXT_EXTENSIONS = new Set([
+  '.c', '.cpp', '.cs', '.css', '.csv', '.go', '.h', '.hpp', '.java', '.js', '.json', '.jsx',
+  '.kt', '.md', '.php', '.py', '.rb', '.rs', '.sh', '.sql', '.swift', '.ts', '.tsx', '.txt',
+  '.xml', '.yaml', '.yml'
+]);
+
+const uploadError = (status, message) => Object.assign(new Error(message), { status });
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 },
+  // Browsers send UTF-8 filenames without declaring a charset
+  defParamCharset: 'utf8',
+  fileFilter: (req, file, cb) => {
+    if (ALLOWED_MIME_TYPES.has(file.mimetype)) {
+      return cb(null, true);
+    }
+
+    if (TEXT_EXTENSIONS.has(path.extname(file.originalname).toLowerCase())) {
+      file.mimetype = 'text/plain';
+      return cb(null, true);
+    }
+
+    cb(uploadError(415, `Files of type ${file.mimetype || 'unknown'} are not allowed`));
+  }
+});
+
+/**
+ * Upload Middleware
+ * Accepts a single multipart file in the "file" field and attaches it to req.file
+ * Responds 413 if it is too large and 415 if its type is not allowed
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const uploadSingleFile = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (!error) {
+      if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded' });
+      }
+      return next();
+    }
+
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: `Files can be at most ${Math.floor(MAX_UPLOAD_BYTES / (1024 * 1024))} MB` });
+    }
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    console.error('Error receiving upload:', error);
+    res.status(500).json({ error: 'Server error receiving upload' });
+  });
+};
+
+module.exports = {
+  MAX_UPLOAD_BYTES,
+  uploadSingleFile
+};
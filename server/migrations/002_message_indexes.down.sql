@@ -0,0 +1,7 @@
+DROP INDEX IF EXISTS idx_ai_chat_history_user;
+DROP INDEX IF EXISTS idx_group_messages_content_search;
+DROP INDEX IF EXISTS idx_messages_content_search;
+DROP INDEX IF EXISTS idx_group_members_user;
+DROP INDEX IF EXISTS idx_group_messages_group;
+DROP INDEX IF EXISTS idx_messages_recipient_sender;
+DROP INDEX IF EXISTS idx_messages_sender_recipient;
@@ -0,0 +1,11 @@
+-- Keyset pagination walks each conversation by message ID
+CREATE INDEX IF NOT EXISTS idx_messages_sender_recipient ON messages (sender_id, recipient_id, id);
+CREATE INDEX IF NOT EXISTS idx_messages_recipient_sender ON messages (recipient_id, sender_id, id);
+CREATE INDEX IF NOT EXISTS idx_group_messages_group ON group_messages (group_id, id);
+CREATE INDEX IF NOT EXISTS idx_group_members_user ON group_members (user_id);
+
+-- Full-text search (GET /api/search) matches these expressions exactly
+CREATE INDEX IF NOT EXISTS idx_messages_content_search ON messages USING GIN (to_tsvector('english', content));
+CREATE INDEX IF NOT EXISTS idx_group_messages_content_search ON group_messages USING GIN (to_tsvector('english', content));
+
+CREATE INDEX IF NOT EXISTS idx_ai_chat_history_user ON ai_chat_history (user_id, created_at);
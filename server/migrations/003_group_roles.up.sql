@@ -0,0 +1,12 @@
+-- Every member has a role; exactly one owner per group
+ALTER TABLE group_members
+  ADD COLUMN role VARCHAR(10) NOT NULL DEFAULT 'member'
+  CHECK (role IN ('owner', 'admin', 'member'));
+
+-- Existing groups are owned by their creator
+UPDATE group_members gm
+SET role = 'owner'
+FROM groups g
+WHERE g.id = gm.group_id AND g.created_by = gm.user_id;
+
+CREATE UNIQUE INDEX idx_group_members_single_owner ON group_members (group_id) WHERE role = 'owner';
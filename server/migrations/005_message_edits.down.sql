@@ -0,0 +1,4 @@
+DROP TABLE IF EXISTS group_message_edits;
+DROP TABLE IF EXISTS message_edits;
+ALTER TABLE group_messages DROP COLUMN IF EXISTS edited_at;
+ALTER TABLE messages DROP COLUMN IF EXISTS edited_at;
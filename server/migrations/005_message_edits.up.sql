@@ -0,0 +1,21 @@
+-- Edited messages keep their previous versions. edited_at is NULL until the first edit.
+ALTER TABLE messages ADD COLUMN edited_at TIMESTAMP;
+ALTER TABLE group_messages ADD COLUMN edited_at TIMESTAMP;
+
+-- One row per replaced version; edited_at is when that version was replaced
+CREATE TABLE message_edits (
+  id SERIAL PRIMARY KEY,
+  message_id INTEGER NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+  content TEXT NOT NULL,
+  edited_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE group_message_edits (
+  id SERIAL PRIMARY KEY,
+  message_id INTEGER NOT NULL REFERENCES group_messages(id) ON DELETE CASCADE,
+  content TEXT NOT NULL,
+  edited_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_message_edits_message ON message_edits (message_id, id);
+CREATE INDEX idx_group_message_edits_message ON group_message_edits (message_id, id);
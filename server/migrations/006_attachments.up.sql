@@ -0,0 +1,22 @@
+-- Uploaded files. An attachment is pending until it is sent with a DM or group
+-- message; pending attachments whose message was deleted are purged with their files.
+CREATE TABLE attachments (
+  id SERIAL PRIMARY KEY,
+  uploader_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  message_id INTEGER REFERENCES messages(id) ON DELETE SET NULL,
+  group_message_id INTEGER REFERENCES group_messages(id) ON DELETE SET NULL,
+  storage_key VARCHAR(255) NOT NULL UNIQUE,
+  thumbnail_key VARCHAR(255),
+  original_name VARCHAR(255) NOT NULL,
+  mime_type VARCHAR(100) NOT NULL,
+  size_bytes INTEGER NOT NULL,
+  width INTEGER,
+  height INTEGER,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CHECK (message_id IS NULL OR group_message_id IS NULL)
+);
+
+CREATE INDEX idx_attachments_message ON attachments (message_id) WHERE message_id IS NOT NULL;
+CREATE INDEX idx_attachments_group_message ON attachments (group_message_id) WHERE group_message_id IS NOT NULL;
+CREATE INDEX idx_attachments_pending ON attachments (created_at)
+  WHERE message_id IS NULL AND group_message_id IS NULL;
@@ -0,0 +1,4 @@
+DROP INDEX IF EXISTS idx_group_messages_thread;
+DROP INDEX IF EXISTS idx_messages_thread;
+ALTER TABLE group_messages DROP COLUMN IF EXISTS in_thread, DROP COLUMN IF EXISTS parent_id;
+ALTER TABLE messages DROP COLUMN IF EXISTS in_thread, DROP COLUMN IF EXISTS parent_id;
@@ -0,0 +1,14 @@
+-- Replies reference a parent message in the same conversation.
+-- Quote replies (in_thread = false) stay in the main timeline and show the parent;
+-- thread replies (in_thread = true) only appear in the parent's thread.
+-- If a parent is deleted its thread replies fall back into the main timeline.
+ALTER TABLE messages
+  ADD COLUMN parent_id INTEGER REFERENCES messages(id) ON DELETE SET NULL,
+  ADD COLUMN in_thread BOOLEAN NOT NULL DEFAULT false;
+
+ALTER TABLE group_messages
+  ADD COLUMN parent_id INTEGER REFERENCES group_messages(id) ON DELETE SET NULL,
+  ADD COLUMN in_thread BOOLEAN NOT NULL DEFAULT false;
+
+CREATE INDEX idx_messages_thread ON messages (parent_id, id) WHERE parent_id IS NOT NULL;
+CREATE INDEX idx_group_messages_thread ON group_messages (parent_id, id) WHERE parent_id IS NOT NULL;
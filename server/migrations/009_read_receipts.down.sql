@@ -0,0 +1,2 @@
+ALTER TABLE group_members DROP COLUMN IF EXISTS last_read_at, DROP COLUMN IF EXISTS last_read_message_id;
+DROP TABLE IF EXISTS direct_reads;
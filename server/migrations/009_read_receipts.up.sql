@@ -0,0 +1,26 @@
+-- Read cursors: everything up to last_read_message_id counts as read.
+-- DMs keep one cursor per reader per conversation; group cursors live on the membership.
+CREATE TABLE direct_reads (
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  other_user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  last_read_message_id INTEGER NOT NULL,
+  read_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, other_user_id)
+);
+
+ALTER TABLE group_members
+  ADD COLUMN last_read_message_id INTEGER,
+  ADD COLUMN last_read_at TIMESTAMP;
+
+-- Carry over per-message is_read flags on DMs
+INSERT INTO direct_reads (user_id, other_user_id, last_read_message_id)
+SELECT recipient_id, sender_id, MAX(id)
+FROM messages
+WHERE is_read
+GROUP BY recipient_id, sender_id;
+
+-- Existing group history starts out read
+UPDATE group_members gm
+SET last_read_message_id = latest.id, last_read_at = NOW()
+FROM (SELECT group_id, MAX(id) AS id FROM group_messages GROUP BY group_id) latest
+WHERE latest.group_id = gm.group_id;
@@ -0,0 +1 @@
+ALTER TABLE users DROP COLUMN IF EXISTS show_last_seen, DROP COLUMN IF EXISTS last_seen_at;
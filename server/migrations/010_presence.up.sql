@@ -0,0 +1,4 @@
+-- When the user was last connected, and whether others may see it
+ALTER TABLE users
+  ADD COLUMN last_seen_at TIMESTAMP,
+  ADD COLUMN show_last_seen BOOLEAN NOT NULL DEFAULT true;
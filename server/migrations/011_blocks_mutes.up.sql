@@ -0,0 +1,20 @@
+-- Blocking stops DMs both ways, hides the blocked user's group messages from
+-- the blocker and stops them adding the blocker to groups
+CREATE TABLE user_blocks (
+  blocker_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  blocked_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (blocker_id, blocked_id),
+  CHECK (blocker_id <> blocked_id)
+);
+
+-- Muted users' messages still arrive but never count as unread
+CREATE TABLE user_mutes (
+  muter_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  muted_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (muter_id, muted_id),
+  CHECK (muter_id <> muted_id)
+);
+
+CREATE INDEX idx_user_blocks_blocked ON user_blocks (blocked_id);
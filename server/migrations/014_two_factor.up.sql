@@ -0,0 +1,17 @@
+-- Optional TOTP two-factor authentication. totp_secret is set while enrolling
+-- and only enforced once totp_enabled_at is set.
+ALTER TABLE users
+  ADD COLUMN totp_secret VARCHAR(64),
+  ADD COLUMN totp_enabled_at TIMESTAMP,
+  ADD COLUMN totp_last_used_step BIGINT;
+
+-- One-time codes for signing in without the authenticator; only hashes are stored
+CREATE TABLE two_factor_recovery_codes (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  code_hash VARCHAR(64) NOT NULL,
+  used_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_two_factor_recovery_codes_user ON two_factor_recovery_codes(user_id);
@@ -0,0 +1,3 @@
+DROP INDEX IF EXISTS idx_ai_chat_history_session;
+ALTER TABLE ai_chat_history DROP COLUMN IF EXISTS session_id;
+DROP TABLE IF EXISTS ai_sessions;
@@ -0,0 +1,31 @@
+-- Named AI conversations. Turns that no longer fit the model's context are
+-- folded into summary; summarized_through_id is the last turn included in it.
+CREATE TABLE ai_sessions (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  title VARCHAR(100) NOT NULL,
+  summary TEXT,
+  summarized_through_id INTEGER,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_ai_sessions_user ON ai_sessions (user_id, updated_at);
+
+ALTER TABLE ai_chat_history
+  ADD COLUMN session_id INTEGER REFERENCES ai_sessions(id) ON DELETE CASCADE;
+
+-- Existing history becomes one session per user
+INSERT INTO ai_sessions (user_id, title, created_at, updated_at)
+SELECT user_id, 'Earlier chats', MIN(created_at), MAX(created_at)
+FROM ai_chat_history
+GROUP BY user_id;
+
+UPDATE ai_chat_history h
+SET session_id = s.id
+FROM ai_sessions s
+WHERE s.user_id = h.user_id;
+
+ALTER TABLE ai_chat_history ALTER COLUMN session_id SET NOT NULL;
+
+CREATE INDEX idx_ai_chat_history_session ON ai_chat_history (session_id, id);
@@ -0,0 +1,5 @@
+ALTER TABLE groups
+  DROP COLUMN IF EXISTS assistant_hourly_limit,
+  DROP COLUMN IF EXISTS assistant_enabled;
+DELETE FROM users WHERE is_bot;
+ALTER TABLE users DROP COLUMN IF EXISTS is_bot;
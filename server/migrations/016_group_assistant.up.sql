@@ -0,0 +1,15 @@
+-- Bot accounts post messages but can never sign in
+ALTER TABLE users ADD COLUMN is_bot BOOLEAN NOT NULL DEFAULT false;
+
+-- The group assistant. Its password hash is not a bcrypt hash, so no password
+-- matches it; it falls back to another name if "assistant" is taken.
+INSERT INTO users (username, email, password_hash, is_bot)
+SELECT CASE WHEN EXISTS (SELECT 1 FROM users WHERE username = 'assistant')
+            THEN 'assistant_bot' ELSE 'assistant' END,
+       'assistant@bot.invalid', '!', true;
+
+-- Per-group assistant settings, managed by admins
+ALTER TABLE groups
+  ADD COLUMN assistant_enabled BOOLEAN NOT NULL DEFAULT true,
+  ADD COLUMN assistant_hourly_limit INTEGER NOT NULL DEFAULT 20
+    CHECK (assistant_hourly_limit BETWEEN 1 AND 200);
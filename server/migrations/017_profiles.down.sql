@@ -0,0 +1,7 @@
+ALTER TABLE users
+  DROP COLUMN IF EXISTS deleted_at,
+  DROP COLUMN IF EXISTS avatar_updated_at,
+  DROP COLUMN IF EXISTS avatar_key,
+  DROP COLUMN IF EXISTS status_message,
+  DROP COLUMN IF EXISTS bio,
+  DROP COLUMN IF EXISTS display_name;
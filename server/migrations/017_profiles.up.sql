@@ -0,0 +1,12 @@
+-- Profile fields shown to other users. avatar_key points at the resized
+-- image in storage; avatar_updated_at versions it for caching.
+ALTER TABLE users
+  ADD COLUMN display_name VARCHAR(50),
+  ADD COLUMN bio VARCHAR(500),
+  ADD COLUMN status_message VARCHAR(100),
+  ADD COLUMN avatar_key VARCHAR(255),
+  ADD COLUMN avatar_updated_at TIMESTAMP;
+
+-- Deleted accounts are anonymized rather than removed, so their messages
+-- keep a sender; deleted_at marks them
+ALTER TABLE users ADD COLUMN deleted_at TIMESTAMP;
@@ -0,0 +1,3 @@
+DROP INDEX IF EXISTS idx_users_display_name_prefix;
+DROP INDEX IF EXISTS idx_users_username_prefix;
+ALTER TABLE users DROP COLUMN IF EXISTS show_email;
@@ -0,0 +1,6 @@
+-- Whether other users may see the email address; hidden by default
+ALTER TABLE users ADD COLUMN show_email BOOLEAN NOT NULL DEFAULT false;
+
+-- Case-insensitive prefix search on usernames and display names
+CREATE INDEX idx_users_username_prefix ON users (LOWER(username) text_pattern_ops);
+CREATE INDEX idx_users_display_name_prefix ON users (LOWER(display_name) text_pattern_ops);
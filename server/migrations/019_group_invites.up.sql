@@ -0,0 +1,27 @@
+-- Shareable invite codes for groups. max_uses and expires_at are optional;
+-- use_count counts joins and join requests made with the code.
+CREATE TABLE group_invites (
+  id SERIAL PRIMARY KEY,
+  group_id INTEGER NOT NULL REFERENCES groups(id) ON DELETE CASCADE,
+  code VARCHAR(32) NOT NULL UNIQUE,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  requires_approval BOOLEAN NOT NULL DEFAULT false,
+  max_uses INTEGER CHECK (max_uses > 0),
+  use_count INTEGER NOT NULL DEFAULT 0,
+  expires_at TIMESTAMP,
+  revoked_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_group_invites_group ON group_invites(group_id);
+
+-- Requests to join waiting for an admin; approving adds the member and
+-- removes the request, rejecting just removes it
+CREATE TABLE group_join_requests (
+  id SERIAL PRIMARY KEY,
+  group_id INTEGER NOT NULL REFERENCES groups(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  invite_id INTEGER REFERENCES group_invites(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (group_id, user_id)
+);
@@ -0,0 +1,9 @@
+-- Who can find and join a group without an invite:
+--   public  - listed in discovery; anyone can join
+--   request - listed in discovery; joining needs an admin's approval
+--   private - not listed; members and invite links only
+ALTER TABLE groups
+  ADD COLUMN visibility VARCHAR(10) NOT NULL DEFAULT 'private'
+    CHECK (visibility IN ('public', 'request', 'private'));
+
+CREATE INDEX idx_groups_visibility ON groups(visibility);
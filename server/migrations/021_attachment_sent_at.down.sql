@@ -0,0 +1,5 @@
+DROP INDEX IF EXISTS idx_attachments_orphaned;
+DROP INDEX IF EXISTS idx_attachments_pending;
+ALTER TABLE attachments DROP COLUMN IF EXISTS sent_at;
+CREATE INDEX idx_attachments_pending ON attachments (created_at)
+  WHERE message_id IS NULL AND group_message_id IS NULL;
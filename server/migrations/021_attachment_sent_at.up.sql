@@ -0,0 +1,12 @@
+-- sent_at is set once an attachment is sent with a message and never cleared,
+-- so attachments whose message was deleted (message_id set back to NULL) are
+-- not mistaken for pending uploads and cannot be sent again
+ALTER TABLE attachments ADD COLUMN sent_at TIMESTAMP;
+
+UPDATE attachments SET sent_at = created_at
+WHERE message_id IS NOT NULL OR group_message_id IS NOT NULL;
+
+DROP INDEX IF EXISTS idx_attachments_pending;
+CREATE INDEX idx_attachments_pending ON attachments (created_at) WHERE sent_at IS NULL;
+CREATE INDEX idx_attachments_orphaned ON attachments (id)
+  WHERE sent_at IS NOT NULL AND message_id IS NULL AND group_message_id IS NULL;
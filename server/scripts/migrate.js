@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+/**
+ * Migration CLI
+ * Usage:
+ *   node scripts/migrate.js up            Apply all pending migrations
+ *   node scripts/migrate.js down [steps]  Roll back the last migration(s) (default 1)
+ *   node scripts/migrate.js status        List applied and pending migrations
+ */
+const { pool } = require('../config/db');
+const migrator = require('../config/migrator');
+
+const label = (migration) => `${migration.version}_${migration.name}`;
+
+const commands = {
+  up: async () => {
+    const applied = await migrator.migrate();
+    if (applied.length === 0) {
+      console.log('Database is up to date.');
+      return;
+    }
+    applied.forEach((migration) => console.log(`⬆️  Applied ${label(migration)}`));
+  },
+
+  down: async (steps = '1') => {
+    const count = parseInt(steps, 10);
+    if (!Number.isInteger(count) || count < 1) {
+      throw new Error('Steps must be a positive integer');
+    }
+
+    const reverted = await migrator.rollback(count);
+    if (reverted.length === 0) {
+      console.log('No migrations to roll back.');
+      return;
+    }
+    reverted.forEach((migration) => console.log(`⬇️  Rolled back ${label(migration)}`));
+  },
+
+  status: async () => {
+    const rows = await migrator.status();
+    rows.forEach((row) => {
+      const state = row.missing
+        ? 'MISSING'
+        : row.applied_at ? `applied ${new Date(row.applied_at).toISOString()}` : 'PENDING';
+      console.log(`${label(row).padEnd(40)} ${state}`);
+    });
+
+    const pending = rows.filter((row) => !row.applied_at).length;
+    console.log(`\n${rows.length - pending} applied, ${pending} pending`);
+  }
+};
+
+const main = async () => {
+  const [command = 'status', ...args] = process.argv.slice(2);
+
+  if (!commands[command]) {
+    console.error(`Unknown command "${command}". Use one of: ${Object.keys(commands).join(', ')}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    await commands[command](...args);
+  } catch (error) {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+};
+
+main();
@@ -1,25 +1,165 @@
 const express = require('express');
 const cors = require('cors');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-const { body, validationResult } = require('express-validator');
-const OpenAI = require('openai');
+const { body, query, validationResult } = require('express-validator');
 require('dotenv').config();
 
 const db = require('./config/db');
+const migrator = require('./config/migrator');
 const authenticateToken = require('./middleware/auth');
+const { ROLE_RANK, requireGroupRole } = require('./middleware/groupAccess');
+const realtime = require('./services/realtime');
+const sessions = require('./services/sessions');
+const messageEdits = require('./services/messageEdits');
+const attachments = require('./services/attachments');
+const reactions = require('./services/reactions');
+const threads = require('./services/threads');
+const readReceipts = require('./services/readReceipts');
+const presence = require('./services/presence');
+const blocks = require('./services/blocks');
+const storage = require('./services/storage');
+const { uploadSingleFile } = require('./middleware/upload');
+const { rateLimit, sendTooManyRequests, formatWait } = require('./middleware/rateLimit');
+const loginLockout = require('./services/loginLockout');
+const emailTokens = require('./services/emailTokens');
+const accountEmails = require('./services/accountEmails');
+const twoFactor = require('./services/twoFactor');
+const aiSessions = require('./services/aiSessions');
+const ai = require('./services/aiProvider');
+const catchUp = require('./services/catchUp');
+const groupAssistant = require('./services/groupAssistant');
+const profiles = require('./services/profiles');
+const groupInvites = require('./services/groupInvites');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
-// Initialize OpenAI
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
-
 // Middleware
-app.use(cors()); // Enable CORS for frontend
+// Enable CORS for frontend; rate limit headers are readable cross-origin too
+app.use(cors({ exposedHeaders: ['Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset'] }));
 app.use(express.json()); // Parse JSON request bodies
+// Number of reverse proxies in front of the app (Vercel adds one), so req.ip is the client's address
+app.set('trust proxy', parseInt(process.env.TRUST_PROXY_HOPS, 10) || (process.env.VERCEL ? 1 : 0));
+
+// ==================== PAGINATION HELPERS ====================
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Validators for cursor pagination query parameters
+ * `before`, `after` and `around` are message IDs; only one may be given
+ */
+const paginationValidators = [
+  query('before').optional().isInt({ min: 1 }).toInt(),
+  query('after').optional().isInt({ min: 1 }).toInt(),
+  query('around').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: MAX_PAGE_SIZE }).toInt(),
+  query('before').custom((before, { req }) => {
+    const cursors = ['before', 'after', 'around'].filter((key) => req.query[key] !== undefined);
+    if (cursors.length > 1) {
+      throw new Error('Use only one of before, after or around');
+    }
+    return true;
+  })
+];
+
+/**
+ * Fetch one page of messages using keyset pagination on the message ID
+ * Without a cursor the newest page is returned.
+ * With `before`, the page of messages older than that ID is returned.
+ * With `after`, the page of messages newer than that ID is returned.
+ * With `around`, a page centred on that ID is returned (used to jump to a
+ * search result); has_newer then tells whether newer messages exist too.
+ * Messages are always returned oldest first.
+ *
+ * @param {string} selectSql - SELECT ... WHERE ... without ORDER BY or LIMIT
+ * @param {array} params - Parameters already used by selectSql
+ * @param {string} alias - Table alias of the message table in selectSql
+ * @param {Object} cursor - { before, after, around, limit } from the query string
+ * @returns {Promise<Object>} - { messages, has_more } where has_more tells
+ *   whether more messages exist in the direction being paged
+ */
+const fetchMessagePage = async (selectSql, params, alias, { before, after, around, limit }) => {
+  const pageSize = limit || DEFAULT_PAGE_SIZE;
+
+  if (around) {
+    // The target message is included in the older half
+    const olderSize = Math.ceil(pageSize / 2);
+    const [older, newer] = await Promise.all([
+      fetchMessagePage(selectSql, params, alias, { before: around + 1, limit: olderSize }),
+      fetchMessagePage(selectSql, params, alias, { after: around, limit: Math.max(pageSize - olderSize, 1) })
+    ]);
+
+    return {
+      messages: [...older.messages, ...newer.messages],
+      has_more: older.has_more,
+      has_newer: newer.has_more
+    };
+  }
+
+  const values = [...params];
+  let cursorClause = '';
+
+  if (before) {
+    values.push(before);
+    cursorClause = ` AND ${alias}.id < $${values.length}`;
+  } else if (after) {
+    values.push(after);
+    cursorClause = ` AND ${alias}.id > $${values.length}`;
+  }
+
+  // Fetch one extra row to learn whether another page exists
+  values.push(pageSize + 1);
+  const result = await db.query(
+    `${selectSql}${cursorClause}
+     ORDER BY ${alias}.id ${after ? 'ASC' : 'DESC'}
+     LIMIT $${values.length}`,
+    values
+  );
+
+  const messages = result.rows.slice(0, pageSize);
+  if (!after) messages.reverse();
+
+  return { messages, has_more: result.rows.length > pageSize };
+};
+
+/**
+ * Validators for a new DM or group message
+ * A message needs text content, attachments (uploaded first via POST /api/attachments), or both
+ */
+const messageContentValidators = [
+  body('content').optional().isString().trim(),
+  body('attachment_ids').optional()
+    .isArray({ max: attachments.MAX_ATTACHMENTS_PER_MESSAGE })
+    .withMessage(`A message can have at most ${attachments.MAX_ATTACHMENTS_PER_MESSAGE} attachments`),
+  body('attachment_ids.*').isInt({ min: 1 }).toInt(),
+  body('content').custom((content, { req }) => {
+    if (!content && !(req.body.attachment_ids || []).length) {
+      throw new Error('Message must have content or an attachment');
+    }
+    return true;
+  })
+];
+
+/**
+ * Validators for replying to a message
+ * parent_id alone makes a quote reply shown in the main timeline;
+ * with in_thread: true the message is a thread reply
+ */
+const replyValidators = [
+  body('parent_id').optional({ values: 'null' }).isInt({ min: 1 }).toInt(),
+  body('in_thread').optional().isBoolean().toBoolean(),
+  body('in_thread').custom((inThread, { req }) => {
+    if (inThread && !req.body.parent_id) {
+      throw new Error('Thread replies need a parent_id');
+    }
+    return true;
+  })
+];
+
+// Thread replies only appear inside their thread, unless the parent was deleted
+const mainTimelineFilter = (alias) => `AND (${alias}.parent_id IS NULL OR NOT ${alias}.in_thread)`;
 
 // ==================== AUTH ROUTES ====================
 
@@ -29,6 +169,7 @@ app.use(express.json()); // Parse JSON request bodies
  * Validates input, hashes password, stores in database
  */
 app.post('/api/auth/register', [
+  rateLimit('auth'),
   body('username').isLength({ min: 3 }).trim(),
   body('email').isEmail().normalizeEmail(),
   body('password').isLength({ min: 6 })
@@ -41,6 +182,10 @@ app.post('/api/auth/register', [
 
   const { username, email, password } = req.body;
 
+  if (profiles.isReservedForDeleted(username, email)) {
+    return res.status(400).json({ error: 'This username or email is reserved' });
+  }
+
   try {
     // Check if user already exists
     const userExists = await db.query(
@@ -57,22 +202,25 @@ app.post('/api/auth/register', [
 
     // Insert new user into database
     const result = await db.query(
-      'INSERT INTO users (username, email, password_hash) VALUES ($1, $2, $3) RETURNING id, username, email',
+      `INSERT INTO users (username, email, password_hash) VALUES ($1, $2, $3)
+       RETURNING id, username, email, email_verified_at IS NOT NULL AS email_verified`,
       [username, email, passwordHash]
     );
 
     const newUser = result.rows[0];
 
-    // Generate JWT token (expires in 24 hours)
-    const token = jwt.sign(
-      { id: newUser.id, username: newUser.username },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    // A failed verification email should not fail sign-up; it can be re-requested
+    accountEmails.sendVerificationEmail(newUser).catch((error) => {
+      console.error('Error sending verification email:', error);
+    });
+
+    // Start a session: short-lived access token plus rotating refresh token
+    const { token, refresh_token } = await sessions.createSession(newUser, req);
 
     res.status(201).json({
       message: 'User registered successfully',
       token,
+      refresh_token,
       user: newUser
     });
   } catch (error) {
@@ -81,12 +229,37 @@ app.post('/api/auth/register', [
   }
 });
 
+/**
+ * Start a session for a user who has passed every login step
+ * @param {Object} user - Full users row
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} - Login response body
+ */
+const startLoginSession = async (user, req) => {
+  // Short-lived access token plus rotating refresh token
+  const { token, refresh_token } = await sessions.createSession(user, req);
+
+  return {
+    message: 'Login successful',
+    token,
+    refresh_token,
+    user: {
+      id: user.id,
+      username: user.username,
+      email: user.email,
+      email_verified: user.email_verified_at !== null
+    }
+  };
+};
+
 /**
  * POST /api/auth/login
  * Login existing user
  * Validates credentials and returns JWT token
+ * Limited per IP; repeated wrong passwords also lock the account for a while
  */
 app.post('/api/auth/login', [
+  rateLimit('login'),
   body('username').notEmpty(),
   body('password').notEmpty()
 ], async (req, res) => {
@@ -98,9 +271,9 @@ app.post('/api/auth/login', [
   const { username, password } = req.body;
 
   try {
-    // Find user by username
+    // Find user by username; bot accounts cannot sign in
     const result = await db.query(
-      'SELECT * FROM users WHERE username = $1',
+      'SELECT * FROM users WHERE username = $1 AND NOT is_bot',
       [username]
     );
 
@@ -110,535 +283,3490 @@ app.post('/api/auth/login', [
 
     const user = result.rows[0];
 
+    // Locked accounts are refused without checking the password
+    const lockSeconds = await loginLockout.getLockSeconds(user.id);
+    if (lockSeconds > 0) {
+      return sendTooManyRequests(
+        res,
+        lockSeconds,
+        `Too many failed login attempts. Try again in ${formatWait(lockSeconds)}.`,
+        'ACCOUNT_LOCKED'
+      );
+    }
+
     // Compare provided password with hashed password
     const validPassword = await bcrypt.compare(password, user.password_hash);
 
     if (!validPassword) {
+      const lockedFor = await loginLockout.recordFailedLogin(user.id);
+      if (lockedFor > 0) {
+        return sendTooManyRequests(
+          res,
+          lockedFor,
+          `Too many failed login attempts. Try again in ${formatWait(lockedFor)}.`,
+          'ACCOUNT_LOCKED'
+        );
+      }
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: user.id, username: user.username },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    // With two-factor on, the password only earns a challenge token; the
+    // session starts once POST /api/auth/login/2fa accepts a code
+    if (user.totp_enabled_at) {
+      return res.json({
+        message: 'Enter the code from your authenticator app',
+        two_factor_required: true,
+        challenge_token: twoFactor.issueChallenge(user)
+      });
+    }
 
-    res.json({
-      message: 'Login successful',
-      token,
-      user: {
-        id: user.id,
-        username: user.username,
-        email: user.email
-      }
-    });
+    await loginLockout.recordSuccessfulLogin(user.id);
+
+    res.json(await startLoginSession(user, req));
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({ error: 'Server error during login' });
   }
 });
 
-// ==================== USER ROUTES ====================
-
 /**
- * GET /api/users
- * Get all users (protected route)
- * Returns list of all users except current user
+ * POST /api/auth/login/2fa
+ * Second login step for accounts with two-factor authentication
+ * Takes the challenge token from /api/auth/login and a code from the
+ * authenticator app or a recovery code. Wrong codes count towards the
+ * account lockout like wrong passwords.
  */
-app.get('/api/users', authenticateToken, async (req, res) => {
-  try {
-    const result = await db.query(
-      'SELECT id, username, email, created_at FROM users WHERE id != $1 ORDER BY username',
-      [req.user.id]
-    );
-
-    res.json({ users: result.rows });
-  } catch (error) {
-    console.error('Error fetching users:', error);
-    res.status(500).json({ error: 'Server error fetching users' });
+app.post('/api/auth/login/2fa', [
+  rateLimit('login'),
+  body('challenge_token').isString().notEmpty(),
+  body('code').isString().trim().notEmpty()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
   }
-});
 
-/**
- * GET /api/users/:id
- * Get specific user by ID (protected route)
- */
-app.get('/api/users/:id', authenticateToken, async (req, res) => {
   try {
-    const result = await db.query(
-      'SELECT id, username, email, created_at FROM users WHERE id = $1',
-      [req.params.id]
-    );
+    const userId = twoFactor.readChallenge(req.body.challenge_token);
+
+    const lockSeconds = await loginLockout.getLockSeconds(userId);
+    if (lockSeconds > 0) {
+      return sendTooManyRequests(
+        res,
+        lockSeconds,
+        `Too many failed login attempts. Try again in ${formatWait(lockSeconds)}.`,
+        'ACCOUNT_LOCKED'
+      );
+    }
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'User not found' });
+    const method = await twoFactor.verifySecondFactor(userId, req.body.code);
+
+    if (!method) {
+      const lockedFor = await loginLockout.recordFailedLogin(userId);
+      if (lockedFor > 0) {
+        return sendTooManyRequests(
+          res,
+          lockedFor,
+          `Too many failed login attempts. Try again in ${formatWait(lockedFor)}.`,
+          'ACCOUNT_LOCKED'
+        );
+      }
+      return res.status(401).json({ error: 'Invalid code' });
+    }
+
+    await loginLockout.recordSuccessfulLogin(userId);
+
+    const result = await db.query('SELECT * FROM users WHERE id = $1', [userId]);
+    const response = await startLoginSession(result.rows[0], req);
+
+    // Let the user know when they are running out of recovery codes
+    if (method === 'recovery_code') {
+      const { recovery_codes_remaining } = await twoFactor.getStatus(userId);
+      response.recovery_codes_remaining = recovery_codes_remaining;
     }
 
-    res.json({ user: result.rows[0] });
+    res.json(response);
   } catch (error) {
-    console.error('Error fetching user:', error);
-    res.status(500).json({ error: 'Server error fetching user' });
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ error: 'Server error during login' });
   }
 });
 
-// ==================== MESSAGE ROUTES ====================
-
 /**
- * POST /api/messages
- * Send a new message (protected route)
- * Creates message from authenticated user to recipient
+ * POST /api/auth/refresh
+ * Exchange a refresh token for a new access token and refresh token
+ * Each refresh token works once; reusing an old one revokes its session
  */
-app.post('/api/messages', [
-  authenticateToken,
-  body('recipient_id').isInt(),
-  body('content').notEmpty().trim()
+app.post('/api/auth/refresh', [
+  rateLimit('refresh'),
+  body('refresh_token').isString().notEmpty()
 ], async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({ errors: errors.array() });
   }
 
-  const { recipient_id, content } = req.body;
-  const sender_id = req.user.id;
-
-  // Prevent sending message to self
-  if (sender_id === parseInt(recipient_id)) {
-    return res.status(400).json({ error: 'Cannot send message to yourself' });
-  }
-
   try {
-    // Verify recipient exists
-    const recipientCheck = await db.query(
-      'SELECT id FROM users WHERE id = $1',
-      [recipient_id]
-    );
+    const rotated = await sessions.rotateSession(req.body.refresh_token, req);
 
-    if (recipientCheck.rows.length === 0) {
-      return res.status(404).json({ error: 'Recipient not found' });
+    // A replayed token revoked its session; sign out any sockets still using it
+    if (rotated && rotated.reused) {
+      realtime.disconnectSessions(rotated.user_id, rotated.session_ids);
     }
 
-    // Insert message into database
-    const result = await db.query(
-      'INSERT INTO messages (sender_id, recipient_id, content) VALUES ($1, $2, $3) RETURNING *',
-      [sender_id, recipient_id, content]
-    );
+    if (!rotated || rotated.reused) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
 
-    res.status(201).json({
-      message: 'Message sent successfully',
-      data: result.rows[0]
+    res.json({
+      message: 'Token refreshed',
+      token: rotated.token,
+      refresh_token: rotated.refresh_token
     });
   } catch (error) {
-    console.error('Error sending message:', error);
-    res.status(500).json({ error: 'Server error sending message' });
+    console.error('Token refresh error:', error);
+    res.status(500).json({ error: 'Server error refreshing token' });
   }
 });
 
 /**
- * GET /api/messages/:userId
- * Get conversation with specific user (protected route)
- * Returns all messages between current user and specified user
+ * POST /api/auth/logout
+ * Revoke the current session (protected route)
  */
-app.get('/api/messages/:userId', authenticateToken, async (req, res) => {
-  const currentUserId = req.user.id;
-  const otherUserId = req.params.userId;
-
+app.post('/api/auth/logout', authenticateToken, async (req, res) => {
   try {
-    // Get all messages between two users, ordered by timestamp
-    const result = await db.query(
-      `SELECT m.*, 
-              u1.username as sender_username, 
-              u2.username as recipient_username
-       FROM messages m
-       JOIN users u1 ON m.sender_id = u1.id
-       JOIN users u2 ON m.recipient_id = u2.id
-       WHERE (m.sender_id = $1 AND m.recipient_id = $2)
-          OR (m.sender_id = $2 AND m.recipient_id = $1)
-       ORDER BY m.created_at ASC`,
-      [currentUserId, otherUserId]
-    );
+    const revoked = await sessions.revokeSessions(req.user.id, { only: req.user.sid });
+    realtime.disconnectSessions(req.user.id, revoked);
 
-    res.json({ messages: result.rows });
+    res.json({ message: 'Logged out successfully' });
   } catch (error) {
-    console.error('Error fetching messages:', error);
-    res.status(500).json({ error: 'Server error fetching messages' });
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Server error during logout' });
   }
 });
 
 /**
- * GET /api/messages
- * Get all conversations for current user (protected route)
- * Returns recent messages grouped by conversation
+ * GET /api/auth/sessions
+ * List the current user's active sessions (protected route)
+ * The session making the request is flagged with current: true
  */
-app.get('/api/messages', authenticateToken, async (req, res) => {
-  const userId = req.user.id;
-
+app.get('/api/auth/sessions', authenticateToken, async (req, res) => {
   try {
-    // Get most recent message from each conversation
-    const result = await db.query(
-      `SELECT DISTINCT ON (
-        CASE 
-          WHEN m.sender_id = $1 THEN m.recipient_id 
-          ELSE m.sender_id 
-        END
-      )
-      m.*,
-      u1.username as sender_username,
-      u2.username as recipient_username,
-      CASE 
-        WHEN m.sender_id = $1 THEN u2.username 
-        ELSE u1.username 
-      END as other_user,
-      CASE 
-        WHEN m.sender_id = $1 THEN m.recipient_id 
-        ELSE m.sender_id 
-      END as other_user_id
-      FROM messages m
-      JOIN users u1 ON m.sender_id = u1.id
-      JOIN users u2 ON m.recipient_id = u2.id
-      WHERE m.sender_id = $1 OR m.recipient_id = $1
-      ORDER BY 
-        CASE 
-          WHEN m.sender_id = $1 THEN m.recipient_id 
-          ELSE m.sender_id 
-        END,
-        m.created_at DESC`,
-      [userId]
-    );
+    const activeSessions = await sessions.listSessions(req.user.id);
 
-    res.json({ conversations: result.rows });
+    res.json({
+      sessions: activeSessions.map((session) => ({
+        ...session,
+        current: session.id === req.user.sid
+      }))
+    });
   } catch (error) {
-    console.error('Error fetching conversations:', error);
-    res.status(500).json({ error: 'Server error fetching conversations' });
+    console.error('Error fetching sessions:', error);
+    res.status(500).json({ error: 'Server error fetching sessions' });
   }
 });
 
 /**
- * PATCH /api/messages/:id/read
- * Mark message as read (protected route)
+ * POST /api/auth/sessions/revoke-others
+ * Log out everywhere except the current session (protected route)
  */
-app.patch('/api/messages/:id/read', authenticateToken, async (req, res) => {
-  const messageId = req.params.id;
-  const userId = req.user.id;
-
+app.post('/api/auth/sessions/revoke-others', authenticateToken, async (req, res) => {
   try {
-    // Only recipient can mark message as read
-    const result = await db.query(
-      'UPDATE messages SET is_read = true WHERE id = $1 AND recipient_id = $2 RETURNING *',
-      [messageId, userId]
-    );
-
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Message not found or unauthorized' });
-    }
+    const revoked = await sessions.revokeSessions(req.user.id, { except: req.user.sid });
+    realtime.disconnectSessions(req.user.id, revoked);
 
-    res.json({ 
-      message: 'Message marked as read',
-      data: result.rows[0]
-    });
+    res.json({ message: `Logged out of ${revoked.length} other session(s)`, revoked: revoked.length });
   } catch (error) {
-    console.error('Error marking message as read:', error);
-    res.status(500).json({ error: 'Server error updating message' });
+    console.error('Error revoking sessions:', error);
+    res.status(500).json({ error: 'Server error revoking sessions' });
   }
 });
 
 /**
- * DELETE /api/messages/:id
- * Delete a message (protected route)
- * Only sender can delete their own messages
+ * DELETE /api/auth/sessions/:id
+ * Revoke one of the current user's sessions (protected route)
  */
-app.delete('/api/messages/:id', authenticateToken, async (req, res) => {
-  const messageId = req.params.id;
-  const userId = req.user.id;
+app.delete('/api/auth/sessions/:id', authenticateToken, async (req, res) => {
+  const sessionId = parseInt(req.params.id, 10);
+
+  if (!Number.isInteger(sessionId)) {
+    return res.status(400).json({ error: 'Invalid session ID' });
+  }
 
   try {
-    const result = await db.query(
-      'DELETE FROM messages WHERE id = $1 AND sender_id = $2 RETURNING *',
-      [messageId, userId]
-    );
+    const revoked = await sessions.revokeSessions(req.user.id, { only: sessionId });
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Message not found or unauthorized' });
+    if (revoked.length === 0) {
+      return res.status(404).json({ error: 'Session not found' });
     }
 
-    res.json({ message: 'Message deleted successfully' });
+    realtime.disconnectSessions(req.user.id, revoked);
+
+    res.json({ message: 'Session revoked successfully' });
   } catch (error) {
-    console.error('Error deleting message:', error);
-    res.status(500).json({ error: 'Server error deleting message' });
+    console.error('Error revoking session:', error);
+    res.status(500).json({ error: 'Server error revoking session' });
   }
 });
 
-// ==================== GROUP CHAT ROUTES ====================
+// ==================== EMAIL VERIFICATION AND PASSWORD RESET ====================
+
+// Same answer whether or not the address has an account, so these endpoints
+// cannot be used to find out who is registered
+const EMAIL_SENT_MESSAGE = 'If an account uses that address, an email is on its way';
 
 /**
- * GET /api/groups
- * Get all groups user is a member of (protected route)
+ * POST /api/auth/verify-email/request
+ * Email a new verification link to an unverified address
+ * Always answers 200; any previous unused link stops working
  */
-app.get('/api/groups', authenticateToken, async (req, res) => {
+app.post('/api/auth/verify-email/request', [
+  rateLimit('email'),
+  body('email').isEmail().normalizeEmail()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
   try {
     const result = await db.query(
-      `SELECT g.*, u.username as creator_username,
-              COUNT(DISTINCT gm.user_id) as member_count
-       FROM groups g
-       JOIN users u ON g.created_by = u.id
-       JOIN group_members gm ON g.id = gm.group_id
-       WHERE g.id IN (
-         SELECT group_id FROM group_members WHERE user_id = $1
-       )
-       GROUP BY g.id, u.username
-       ORDER BY g.created_at DESC`,
-      [req.user.id]
+      'SELECT id, username, email FROM users WHERE email = $1 AND email_verified_at IS NULL',
+      [req.body.email]
     );
 
-    res.json({ groups: result.rows });
+    // Mail is sent in the background so response times do not reveal whether it went out
+    if (result.rows.length > 0) {
+      accountEmails.sendVerificationEmail(result.rows[0]).catch((error) => {
+        console.error('Error sending verification email:', error);
+      });
+    }
+
+    res.json({ message: EMAIL_SENT_MESSAGE });
   } catch (error) {
-    console.error('Error fetching groups:', error);
-    res.status(500).json({ error: 'Server error fetching groups' });
+    console.error('Error requesting email verification:', error);
+    res.status(500).json({ error: 'Server error requesting email verification' });
   }
 });
 
 /**
- * POST /api/groups
- * Create a new group (protected route)
+ * POST /api/auth/verify-email/confirm
+ * Mark the user's email as verified using the token from their link
  */
-app.post('/api/groups', [
-  authenticateToken,
-  body('name').notEmpty().trim(),
-  body('description').optional().trim()
+app.post('/api/auth/verify-email/confirm', [
+  rateLimit('auth'),
+  body('token').isString().notEmpty()
 ], async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({ errors: errors.array() });
   }
 
-  const { name, description } = req.body;
-
   try {
-    // Create group
-    const groupResult = await db.query(
-      'INSERT INTO groups (name, description, created_by) VALUES ($1, $2, $3) RETURNING *',
-      [name, description, req.user.id]
-    );
-
-    const group = groupResult.rows[0];
-
-    // Add creator as member
-    await db.query(
-      'INSERT INTO group_members (group_id, user_id) VALUES ($1, $2)',
-      [group.id, req.user.id]
-    );
-
-    res.status(201).json({
-      message: 'Group created successfully',
-      group
+    const user = await db.transaction(async (client) => {
+      const userId = await emailTokens.consumeToken(req.body.token, 'verify_email', client);
+      const result = await client.query(
+        `UPDATE users SET email_verified_at = COALESCE(email_verified_at, NOW())
+         WHERE id = $1
+         RETURNING id, username, email, email_verified_at`,
+        [userId]
+      );
+      return result.rows[0];
     });
+
+    res.json({ message: 'Email verified successfully', user });
   } catch (error) {
-    console.error('Error creating group:', error);
-    res.status(500).json({ error: 'Server error creating group' });
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error verifying email:', error);
+    res.status(500).json({ error: 'Server error verifying email' });
   }
 });
 
 /**
- * POST /api/groups/:groupId/members
- * Add member to group (protected route)
+ * POST /api/auth/password-reset/request
+ * Email a password reset link
+ * Always answers 200; any previous unused link stops working
  */
-app.post('/api/groups/:groupId/members', [
-  authenticateToken,
-  body('user_id').isInt()
+app.post('/api/auth/password-reset/request', [
+  rateLimit('email'),
+  body('email').isEmail().normalizeEmail()
 ], async (req, res) => {
-  const { groupId } = req.params;
-  const { user_id } = req.body;
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
 
   try {
-    // Check if requester is a member
-    const memberCheck = await db.query(
-      'SELECT * FROM group_members WHERE group_id = $1 AND user_id = $2',
-      [groupId, req.user.id]
+    const result = await db.query(
+      'SELECT id, username, email FROM users WHERE email = $1',
+      [req.body.email]
     );
 
-    if (memberCheck.rows.length === 0) {
-      return res.status(403).json({ error: 'You are not a member of this group' });
+    if (result.rows.length > 0) {
+      accountEmails.sendPasswordResetEmail(result.rows[0]).catch((error) => {
+        console.error('Error sending password reset email:', error);
+      });
     }
 
-    // Add new member
-    await db.query(
-      'INSERT INTO group_members (group_id, user_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+    res.json({ message: EMAIL_SENT_MESSAGE });
+  } catch (error) {
+    console.error('Error requesting password reset:', error);
+    res.status(500).json({ error: 'Server error requesting password reset' });
+  }
+});
+
+/**
+ * POST /api/auth/password-reset/confirm
+ * Set a new password using the token from a reset link
+ * Signs the user out everywhere and lifts any login lockout. Receiving the
+ * link proves the user owns the address, so it also counts as verifying it.
+ */
+app.post('/api/auth/password-reset/confirm', [
+  rateLimit('auth'),
+  body('token').isString().notEmpty(),
+  body('password').isLength({ min: 6 })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const passwordHash = await bcrypt.hash(req.body.password, 10);
+
+    const userId = await db.transaction(async (client) => {
+      const id = await emailTokens.consumeToken(req.body.token, 'reset_password', client);
+      await client.query(
+        `UPDATE users
+         SET password_hash = $2,
+             email_verified_at = COALESCE(email_verified_at, NOW()),
+             failed_login_count = 0,
+             last_failed_login_at = NULL,
+             locked_until = NULL
+         WHERE id = $1`,
+        [id, passwordHash]
+      );
+      return id;
+    });
+
+    const revoked = await sessions.revokeSessions(userId);
+    realtime.disconnectSessions(userId, revoked);
+
+    res.json({ message: 'Password reset successfully. Log in with your new password.' });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error resetting password:', error);
+    res.status(500).json({ error: 'Server error resetting password' });
+  }
+});
+
+// ==================== TWO-FACTOR AUTHENTICATION ====================
+
+/**
+ * GET /api/auth/2fa
+ * Current user's two-factor status (protected route)
+ */
+app.get('/api/auth/2fa', authenticateToken, async (req, res) => {
+  try {
+    res.json({ two_factor: await twoFactor.getStatus(req.user.id) });
+  } catch (error) {
+    console.error('Error fetching two-factor status:', error);
+    res.status(500).json({ error: 'Server error fetching two-factor status' });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/setup
+ * Start enrolling an authenticator app (protected route)
+ * Returns the secret, its otpauth:// URI and a QR code of the URI. Nothing is
+ * enforced until the first code is confirmed at /api/auth/2fa/enable; calling
+ * this again replaces the pending secret.
+ */
+app.post('/api/auth/2fa/setup', authenticateToken, async (req, res) => {
+  try {
+    const enrollment = await twoFactor.beginEnrollment(req.user);
+    res.json(enrollment);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error starting two-factor setup:', error);
+    res.status(500).json({ error: 'Server error starting two-factor setup' });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/enable
+ * Confirm enrollment with a code from the app (protected route)
+ * Returns one-time recovery codes; they are not shown again
+ */
+app.post('/api/auth/2fa/enable', [
+  authenticateToken,
+  rateLimit('auth'),
+  body('code').isString().trim().notEmpty()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const recoveryCodes = await twoFactor.confirmEnrollment(req.user.id, req.body.code);
+    res.json({
+      message: 'Two-factor authentication enabled',
+      recovery_codes: recoveryCodes
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error enabling two-factor:', error);
+    res.status(500).json({ error: 'Server error enabling two-factor' });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/recovery-codes
+ * Replace the recovery codes (protected route)
+ * Needs a current code from the app (or an unused recovery code)
+ */
+app.post('/api/auth/2fa/recovery-codes', [
+  authenticateToken,
+  rateLimit('auth'),
+  body('code').isString().trim().notEmpty()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    if (!await twoFactor.verifySecondFactor(req.user.id, req.body.code)) {
+      return res.status(400).json({ error: 'Invalid code' });
+    }
+
+    const recoveryCodes = await twoFactor.regenerateRecoveryCodes(req.user.id);
+    res.json({ recovery_codes: recoveryCodes });
+  } catch (error) {
+    console.error('Error regenerating recovery codes:', error);
+    res.status(500).json({ error: 'Server error regenerating recovery codes' });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/disable
+ * Turn two-factor off (protected route)
+ * Needs the account password and a current code (or an unused recovery code)
+ */
+app.post('/api/auth/2fa/disable', [
+  authenticateToken,
+  rateLimit('auth'),
+  body('password').notEmpty(),
+  body('code').isString().trim().notEmpty()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const result = await db.query('SELECT password_hash FROM users WHERE id = $1', [req.user.id]);
+
+    if (!await bcrypt.compare(req.body.password, result.rows[0].password_hash)) {
+      return res.status(400).json({ error: 'Incorrect password' });
+    }
+    if (!await twoFactor.verifySecondFactor(req.user.id, req.body.code)) {
+      return res.status(400).json({ error: 'Invalid code' });
+    }
+
+    await twoFactor.disable(req.user.id);
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Error disabling two-factor:', error);
+    res.status(500).json({ error: 'Server error disabling two-factor' });
+  }
+});
+
+// ==================== USER ROUTES ====================
+
+/**
+ * Escape LIKE wildcards so user input only ever matches literally
+ * @param {string} text - Text from the request
+ * @returns {string}
+ */
+const escapeLike = (text) => text.replace(/[\\%_]/g, '\\$&');
+
+/**
+ * GET /api/users
+ * Browse the user directory (protected route)
+ * Query:
+ *   q             - optional prefix of a username or display name (case-insensitive)
+ *   limit, offset - result paging (default 50, max 100)
+ * Returns users other than the caller, by username, with their presence status,
+ * last_seen_at (null when the user hides it), profile summary and whether
+ * the caller has blocked or muted them. email is null unless its owner shows
+ * it. Bots and deleted accounts are left out.
+ */
+app.get('/api/users', [
+  authenticateToken,
+  query('q').optional().isString().trim().isLength({ max: 50 }),
+  query('limit').optional().isInt({ min: 1, max: MAX_PAGE_SIZE }).toInt(),
+  query('offset').optional().isInt({ min: 0 }).toInt()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const limit = req.query.limit || DEFAULT_PAGE_SIZE;
+  const offset = req.query.offset || 0;
+  const values = [req.user.id, limit + 1, offset];
+  let searchClause = '';
+
+  if (req.query.q) {
+    values.push(`${escapeLike(req.query.q.toLowerCase())}%`);
+    searchClause = 'AND (LOWER(u.username) LIKE $4 OR LOWER(u.display_name) LIKE $4)';
+  }
+
+  try {
+    const result = await db.query(
+      `SELECT u.id, u.username, ${profiles.visibleEmail('u', '$1')}, u.created_at,
+              u.last_seen_at, u.show_last_seen,
+              u.display_name, u.status_message,
+              u.avatar_key IS NOT NULL AS has_avatar, u.avatar_updated_at,
+              ub.blocked_id IS NOT NULL AS blocked,
+              mu.muted_id IS NOT NULL AS muted
+       FROM users u
+       LEFT JOIN user_blocks ub ON ub.blocker_id = $1 AND ub.blocked_id = u.id
+       LEFT JOIN user_mutes mu ON mu.muter_id = $1 AND mu.muted_id = u.id
+       WHERE u.id != $1 AND NOT u.is_bot AND u.deleted_at IS NULL ${searchClause}
+       ORDER BY u.username, u.id
+       LIMIT $2 OFFSET $3`,
+      values
+    );
+
+    res.json({
+      users: presence.withPresence(result.rows.slice(0, limit)),
+      has_more: result.rows.length > limit
+    });
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({ error: 'Server error fetching users' });
+  }
+});
+
+/**
+ * GET /api/users/me/settings
+ * Get the current user's privacy settings (protected route)
+ */
+app.get('/api/users/me/settings', authenticateToken, async (req, res) => {
+  try {
+    const result = await db.query(
+      'SELECT show_last_seen, show_email FROM users WHERE id = $1',
+      [req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({ settings: result.rows[0] });
+  } catch (error) {
+    console.error('Error fetching settings:', error);
+    res.status(500).json({ error: 'Server error fetching settings' });
+  }
+});
+
+/**
+ * PATCH /api/users/me/settings
+ * Update the current user's privacy settings (protected route)
+ * Body: any of
+ *   show_last_seen - false hides last_seen_at from everyone else
+ *   show_email     - true shows the email address to everyone else (hidden by default)
+ */
+app.patch('/api/users/me/settings', [
+  authenticateToken,
+  body('show_last_seen').optional().isBoolean().toBoolean(),
+  body('show_email').optional().isBoolean().toBoolean(),
+  body().custom((value, { req }) => {
+    if (req.body.show_last_seen === undefined && req.body.show_email === undefined) {
+      throw new Error('Provide show_last_seen or show_email');
+    }
+    return true;
+  })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { show_last_seen: newShowLastSeen, show_email: newShowEmail } = req.body;
+
+  try {
+    const result = await db.query(
+      `UPDATE users
+       SET show_last_seen = COALESCE($1, show_last_seen), show_email = COALESCE($2, show_email)
+       WHERE id = $3
+       RETURNING show_last_seen, show_email, last_seen_at, email`,
+      [newShowLastSeen ?? null, newShowEmail ?? null, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const {
+      show_last_seen: showLastSeen,
+      show_email: showEmail,
+      last_seen_at: lastSeenAt,
+      email
+    } = result.rows[0];
+
+    if (newShowLastSeen !== undefined) {
+      realtime.emitToAll('presence:update', {
+        user_id: req.user.id,
+        status: presence.getStatus(req.user.id),
+        last_seen_at: showLastSeen ? lastSeenAt : null
+      });
+    }
+    if (newShowEmail !== undefined) {
+      realtime.emitToAll('user:updated', { id: req.user.id, email: showEmail ? email : null });
+    }
+
+    res.json({ message: 'Settings updated', settings: { show_last_seen: showLastSeen, show_email: showEmail } });
+  } catch (error) {
+    console.error('Error updating settings:', error);
+    res.status(500).json({ error: 'Server error updating settings' });
+  }
+});
+
+/**
+ * GET /api/users/me
+ * Get the current user's profile (protected route)
+ */
+app.get('/api/users/me', authenticateToken, async (req, res) => {
+  try {
+    const profile = await profiles.getOwnProfile(req.user.id);
+
+    if (!profile) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({ user: profile });
+  } catch (error) {
+    console.error('Error fetching profile:', error);
+    res.status(500).json({ error: 'Server error fetching profile' });
+  }
+});
+
+/**
+ * PATCH /api/users/me
+ * Update the current user's profile (protected route)
+ * Body: any of display_name (max 50), bio (max 500), status_message (max 100);
+ * empty strings or null clear a field. Other users are sent user:updated.
+ */
+app.patch('/api/users/me', [
+  authenticateToken,
+  ...Object.entries(profiles.PROFILE_LIMITS).map(([field, max]) => body(field)
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ max })
+    .withMessage(`${field} can be at most ${max} characters`))
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const changes = {};
+  Object.keys(profiles.PROFILE_LIMITS).forEach((field) => {
+    if (req.body[field] !== undefined) changes[field] = req.body[field];
+  });
+
+  if (Object.keys(changes).length === 0) {
+    return res.status(400).json({ error: 'Nothing to update' });
+  }
+
+  try {
+    const profile = await profiles.updateProfile(req.user.id, changes);
+    realtime.emitToAll('user:updated', profile);
+
+    res.json({ message: 'Profile updated', user: profile });
+  } catch (error) {
+    console.error('Error updating profile:', error);
+    res.status(500).json({ error: 'Server error updating profile' });
+  }
+});
+
+/**
+ * POST /api/users/me/avatar
+ * Upload a new avatar (protected route, multipart/form-data with a "file" field)
+ * JPEG, PNG, GIF or WebP; stored cropped to a 256px square
+ */
+app.post('/api/users/me/avatar', authenticateToken, rateLimit('uploads'), uploadSingleFile, async (req, res) => {
+  try {
+    const profile = await profiles.setAvatar(req.user.id, req.file);
+    realtime.emitToAll('user:updated', profile);
+
+    res.json({ message: 'Avatar updated', user: profile });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error updating avatar:', error);
+    res.status(500).json({ error: 'Server error updating avatar' });
+  }
+});
+
+/**
+ * DELETE /api/users/me/avatar
+ * Remove the current user's avatar (protected route)
+ */
+app.delete('/api/users/me/avatar', authenticateToken, async (req, res) => {
+  try {
+    const profile = await profiles.removeAvatar(req.user.id);
+    realtime.emitToAll('user:updated', profile);
+
+    res.json({ message: 'Avatar removed', user: profile });
+  } catch (error) {
+    console.error('Error removing avatar:', error);
+    res.status(500).json({ error: 'Server error removing avatar' });
+  }
+});
+
+/**
+ * POST /api/users/me/password
+ * Change the current user's password (protected route)
+ * Requires the current password. Every other session is logged out.
+ */
+app.post('/api/users/me/password', [
+  authenticateToken,
+  rateLimit('auth'),
+  body('current_password').notEmpty(),
+  body('new_password').isLength({ min: 6 })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const result = await db.query('SELECT password_hash FROM users WHERE id = $1', [req.user.id]);
+
+    if (!await bcrypt.compare(req.body.current_password, result.rows[0].password_hash)) {
+      return res.status(400).json({ error: 'Current password is incorrect' });
+    }
+
+    const passwordHash = await bcrypt.hash(req.body.new_password, 10);
+    await db.query('UPDATE users SET password_hash = $2 WHERE id = $1', [req.user.id, passwordHash]);
+
+    const revoked = await sessions.revokeSessions(req.user.id, { except: req.user.sid });
+    realtime.disconnectSessions(req.user.id, revoked);
+
+    res.json({ message: 'Password changed', revoked: revoked.length });
+  } catch (error) {
+    console.error('Error changing password:', error);
+    res.status(500).json({ error: 'Server error changing password' });
+  }
+});
+
+/**
+ * DELETE /api/users/me
+ * Delete the current user's account (protected route)
+ * Body: password, plus code when two-factor authentication is on.
+ * The account is anonymized rather than removed: its messages stay in
+ * other people's conversations under a "deleted_user_<id>" name. Owned
+ * groups pass to another member (see profiles.deleteAccount). All sessions
+ * are logged out.
+ */
+app.delete('/api/users/me', [
+  authenticateToken,
+  rateLimit('auth'),
+  body('password').notEmpty(),
+  body('code').optional().isString().trim()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const userId = req.user.id;
+
+  try {
+    const result = await db.query('SELECT password_hash FROM users WHERE id = $1', [userId]);
+
+    if (!await bcrypt.compare(req.body.password, result.rows[0].password_hash)) {
+      return res.status(400).json({ error: 'Incorrect password' });
+    }
+
+    const { enabled } = await twoFactor.getStatus(userId);
+    if (enabled && !(req.body.code && await twoFactor.verifySecondFactor(userId, req.body.code))) {
+      return res.status(400).json({ error: 'Enter a valid two-factor code to delete your account' });
+    }
+
+    const { leftGroups, newOwners } = await profiles.deleteAccount(userId);
+
+    leftGroups.forEach((groupId) => {
+      realtime.emitToGroup(groupId, 'group:member_removed', { group_id: groupId, user_id: userId });
+    });
+    newOwners.forEach(({ group_id: groupId, user_id: ownerId }) => {
+      realtime.emitToGroup(groupId, 'group:member_role_changed', { group_id: groupId, user_id: ownerId, role: 'owner' });
+    });
+    realtime.emitToAll('user:deleted', { user_id: userId });
+
+    const revoked = await sessions.revokeSessions(userId);
+    realtime.disconnectSessions(userId, revoked);
+
+    res.json({ message: 'Account deleted' });
+  } catch (error) {
+    console.error('Error deleting account:', error);
+    res.status(500).json({ error: 'Server error deleting account' });
+  }
+});
+
+/**
+ * GET /api/users/:id
+ * Get specific user by ID (protected route)
+ * Includes their public profile; deleted accounts have deleted: true.
+ * email is null unless its owner shows it, as in GET /api/users. Bots are
+ * not users in this sense and are not found, as in GET /api/users.
+ */
+app.get('/api/users/:id', authenticateToken, async (req, res) => {
+  const userId = parseInt(req.params.id, 10);
+
+  if (!Number.isInteger(userId)) {
+    return res.status(400).json({ error: 'Invalid user ID' });
+  }
+
+  try {
+    const result = await db.query(
+      `SELECT u.id, u.username, ${profiles.visibleEmail('u', '$2')}, u.created_at,
+              u.last_seen_at, u.show_last_seen,
+              u.display_name, u.bio, u.status_message,
+              u.avatar_key IS NOT NULL AS has_avatar, u.avatar_updated_at,
+              u.deleted_at IS NOT NULL AS deleted
+       FROM users u WHERE u.id = $1 AND NOT u.is_bot`,
+      [userId, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({ user: presence.withPresence(result.rows)[0] });
+  } catch (error) {
+    console.error('Error fetching user:', error);
+    res.status(500).json({ error: 'Server error fetching user' });
+  }
+});
+
+/**
+ * GET /api/users/:id/avatar
+ * Download a user's avatar (protected route)
+ * The client versions the URL with avatar_updated_at, so it can be cached
+ */
+app.get('/api/users/:id/avatar', authenticateToken, async (req, res) => {
+  const userId = parseInt(req.params.id, 10);
+
+  if (!Number.isInteger(userId)) {
+    return res.status(400).json({ error: 'Invalid user ID' });
+  }
+
+  try {
+    const key = await profiles.getAvatarKey(userId);
+
+    if (!key) {
+      return res.status(404).json({ error: 'Avatar not found' });
+    }
+
+    await sendStoredFile(res, key, { contentType: 'image/webp', filename: `avatar-${userId}.webp` });
+  } catch (error) {
+    console.error('Error downloading avatar:', error);
+    res.status(500).json({ error: 'Server error downloading avatar' });
+  }
+});
+
+// ==================== BLOCK AND MUTE ROUTES ====================
+
+/**
+ * GET /api/blocks
+ * List the users the caller has blocked (protected route)
+ */
+app.get('/api/blocks', authenticateToken, async (req, res) => {
+  try {
+    const users = await blocks.listRelations('block', req.user.id);
+    res.json({ users });
+  } catch (error) {
+    console.error('Error fetching blocked users:', error);
+    res.status(500).json({ error: 'Server error fetching blocked users' });
+  }
+});
+
+/**
+ * POST /api/blocks
+ * Block a user (protected route)
+ * Blocked users cannot DM the caller or add them to groups, and their
+ * group messages are hidden from the caller
+ */
+app.post('/api/blocks', [
+  authenticateToken,
+  body('user_id').isInt({ min: 1 }).toInt()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const added = await blocks.addRelation('block', req.user.id, req.body.user_id);
+    res.status(added ? 201 : 200).json({ message: added ? 'User blocked' : 'User already blocked' });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error blocking user:', error);
+    res.status(500).json({ error: 'Server error blocking user' });
+  }
+});
+
+/**
+ * DELETE /api/blocks/:userId
+ * Unblock a user (protected route)
+ */
+app.delete('/api/blocks/:userId', authenticateToken, async (req, res) => {
+  const targetId = parseInt(req.params.userId, 10);
+
+  if (!Number.isInteger(targetId)) {
+    return res.status(400).json({ error: 'Invalid user ID' });
+  }
+
+  try {
+    const removed = await blocks.removeRelation('block', req.user.id, targetId);
+
+    if (!removed) {
+      return res.status(404).json({ error: 'User is not blocked' });
+    }
+
+    res.json({ message: 'User unblocked' });
+  } catch (error) {
+    console.error('Error unblocking user:', error);
+    res.status(500).json({ error: 'Server error unblocking user' });
+  }
+});
+
+/**
+ * GET /api/mutes
+ * List the users the caller has muted (protected route)
+ */
+app.get('/api/mutes', authenticateToken, async (req, res) => {
+  try {
+    const users = await blocks.listRelations('mute', req.user.id);
+    res.json({ users });
+  } catch (error) {
+    console.error('Error fetching muted users:', error);
+    res.status(500).json({ error: 'Server error fetching muted users' });
+  }
+});
+
+/**
+ * POST /api/mutes
+ * Mute a user (protected route)
+ * Messages from muted users still arrive but are left out of unread counts
+ */
+app.post('/api/mutes', [
+  authenticateToken,
+  body('user_id').isInt({ min: 1 }).toInt()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const added = await blocks.addRelation('mute', req.user.id, req.body.user_id);
+    res.status(added ? 201 : 200).json({ message: added ? 'User muted' : 'User already muted' });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error muting user:', error);
+    res.status(500).json({ error: 'Server error muting user' });
+  }
+});
+
+/**
+ * DELETE /api/mutes/:userId
+ * Unmute a user (protected route)
+ */
+app.delete('/api/mutes/:userId', authenticateToken, async (req, res) => {
+  const targetId = parseInt(req.params.userId, 10);
+
+  if (!Number.isInteger(targetId)) {
+    return res.status(400).json({ error: 'Invalid user ID' });
+  }
+
+  try {
+    const removed = await blocks.removeRelation('mute', req.user.id, targetId);
+
+    if (!removed) {
+      return res.status(404).json({ error: 'User is not muted' });
+    }
+
+    res.json({ message: 'User unmuted' });
+  } catch (error) {
+    console.error('Error unmuting user:', error);
+    res.status(500).json({ error: 'Server error unmuting user' });
+  }
+});
+
+// ==================== MESSAGE ROUTES ====================
+
+/**
+ * POST /api/messages
+ * Send a new message (protected route)
+ * Creates message from authenticated user to recipient
+ */
+app.post('/api/messages', [
+  authenticateToken,
+  rateLimit('messages'),
+  body('recipient_id').isInt(),
+  ...messageContentValidators,
+  ...replyValidators
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { recipient_id, content = '', attachment_ids = [], parent_id, in_thread = false } = req.body;
+  const sender_id = req.user.id;
+
+  // Prevent sending message to self
+  if (sender_id === parseInt(recipient_id)) {
+    return res.status(400).json({ error: 'Cannot send message to yourself' });
+  }
+
+  try {
+    // Verify recipient exists; bots only take part in groups and deleted accounts in none
+    const recipientCheck = await db.query(
+      'SELECT id FROM users WHERE id = $1 AND NOT is_bot AND deleted_at IS NULL',
+      [recipient_id]
+    );
+
+    if (recipientCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Recipient not found' });
+    }
+
+    const { blockedByMe, blockedMe } = await blocks.getBlockState(sender_id, Number(recipient_id));
+    if (blockedByMe) {
+      return res.status(403).json({ error: 'Unblock this user to message them' });
+    }
+    if (blockedMe) {
+      return res.status(403).json({ error: 'You cannot message this user' });
+    }
+
+    const parentId = parent_id
+      ? await threads.resolveParent('direct', parent_id, { userId: sender_id, otherUserId: Number(recipient_id) }, in_thread)
+      : null;
+
+    // Insert message and attach its uploads together
+    const insertedMessage = await db.transaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO messages (sender_id, recipient_id, content, parent_id, in_thread)
+         VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+        [sender_id, recipient_id, content, parentId, Boolean(parentId && in_thread)]
+      );
+
+      return {
+        ...result.rows[0],
+        sender_username: req.user.username,
+        attachments: await attachments.linkAttachments(client, 'direct', result.rows[0].id, sender_id, attachment_ids)
+      };
+    });
+
+    const [newMessage] = await threads.withReplyContext('direct', [insertedMessage]);
+
+    // Push to both sides so the sender's other tabs stay in sync too
+    realtime.emitToUsers([sender_id, recipient_id], 'message:new', newMessage);
+    if (newMessage.in_thread) threads.publishThreadSummary('direct', newMessage);
+
+    res.status(201).json({
+      message: 'Message sent successfully',
+      data: newMessage
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error sending message:', error);
+    res.status(500).json({ error: 'Server error sending message' });
+  }
+});
+
+/**
+ * GET /api/messages/:userId
+ * Get conversation with specific user (protected route)
+ * Returns one page of messages between current user and specified user
+ * Query: before | after (message ID cursor), limit (default 50, max 100)
+ */
+app.get('/api/messages/:userId', [
+  authenticateToken,
+  ...paginationValidators
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const currentUserId = req.user.id;
+  const otherUserId = req.params.userId;
+
+  try {
+    const page = await fetchMessagePage(
+      `SELECT m.*, 
+              u1.username as sender_username, 
+              u2.username as recipient_username
+       FROM messages m
+       JOIN users u1 ON m.sender_id = u1.id
+       JOIN users u2 ON m.recipient_id = u2.id
+       WHERE ((m.sender_id = $1 AND m.recipient_id = $2)
+          OR (m.sender_id = $2 AND m.recipient_id = $1))
+         ${mainTimelineFilter('m')}`,
+      [currentUserId, otherUserId],
+      'm',
+      req.query
+    );
+
+    page.messages = await attachments.withAttachments('direct', page.messages);
+    page.messages = await reactions.withReactions('direct', page.messages, currentUserId);
+    page.messages = await threads.withReplyContext('direct', page.messages);
+
+    res.json(page);
+  } catch (error) {
+    console.error('Error fetching messages:', error);
+    res.status(500).json({ error: 'Server error fetching messages' });
+  }
+});
+
+/**
+ * GET /api/messages
+ * Get all conversations for current user (protected route)
+ * Returns recent messages grouped by conversation, each with the number of
+ * messages from the other user past the caller's read cursor as unread_count
+ * (always 0 for muted or blocked users), whether the caller muted or blocked them
+ * and whether the other account was deleted
+ */
+app.get('/api/messages', authenticateToken, async (req, res) => {
+  const userId = req.user.id;
+
+  try {
+    // Get most recent message from each conversation
+    const result = await db.query(
+      `SELECT c.*,
+        CASE WHEN mu.muted_id IS NOT NULL OR ub.blocked_id IS NOT NULL THEN 0 ELSE
+          (SELECT COUNT(*)::int FROM messages um
+           WHERE um.sender_id = c.other_user_id AND um.recipient_id = $1
+             AND um.id > COALESCE(dr.last_read_message_id, 0)
+             ${mainTimelineFilter('um')})
+        END AS unread_count,
+        mu.muted_id IS NOT NULL AS muted,
+        ub.blocked_id IS NOT NULL AS blocked,
+        ou.deleted_at IS NOT NULL AS deleted
+      FROM (SELECT DISTINCT ON (
+        CASE 
+          WHEN m.sender_id = $1 THEN m.recipient_id 
+          ELSE m.sender_id 
+        END
+      )
+      m.*,
+      u1.username as sender_username,
+      u2.username as recipient_username,
+      CASE 
+        WHEN m.sender_id = $1 THEN u2.username 
+        ELSE u1.username 
+      END as other_user,
+      CASE 
+        WHEN m.sender_id = $1 THEN m.recipient_id 
+        ELSE m.sender_id 
+      END as other_user_id
+      FROM messages m
+      JOIN users u1 ON m.sender_id = u1.id
+      JOIN users u2 ON m.recipient_id = u2.id
+      WHERE m.sender_id = $1 OR m.recipient_id = $1
+      ORDER BY 
+        CASE 
+          WHEN m.sender_id = $1 THEN m.recipient_id 
+          ELSE m.sender_id 
+        END,
+        m.created_at DESC) c
+      LEFT JOIN direct_reads dr ON dr.user_id = $1 AND dr.other_user_id = c.other_user_id
+      LEFT JOIN user_mutes mu ON mu.muter_id = $1 AND mu.muted_id = c.other_user_id
+      LEFT JOIN user_blocks ub ON ub.blocker_id = $1 AND ub.blocked_id = c.other_user_id
+      JOIN users ou ON ou.id = c.other_user_id`,
+      [userId]
+    );
+
+    res.json({ conversations: result.rows });
+  } catch (error) {
+    console.error('Error fetching conversations:', error);
+    res.status(500).json({ error: 'Server error fetching conversations' });
+  }
+});
+
+/**
+ * Tell both sides of a DM that the reader's cursor moved
+ * @param {number} userId - Reader
+ * @param {number} otherUserId - The other side of the conversation
+ * @param {Object} cursor - { last_read_message_id, read_at }
+ */
+const publishDirectRead = (userId, otherUserId, cursor) => {
+  realtime.emitToUsers([userId, otherUserId], 'conversation:read', {
+    user_id: userId,
+    other_user_id: otherUserId,
+    last_read_message_id: cursor.last_read_message_id,
+    read_at: cursor.read_at
+  });
+};
+
+/**
+ * PATCH /api/messages/:id/read
+ * Mark message as read (protected route)
+ * Also moves the conversation's read cursor up to this message
+ */
+app.patch('/api/messages/:id/read', authenticateToken, async (req, res) => {
+  const messageId = req.params.id;
+  const userId = req.user.id;
+
+  try {
+    // Only recipient can mark message as read
+    const result = await db.query(
+      'SELECT * FROM messages WHERE id = $1 AND recipient_id = $2',
+      [messageId, userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Message not found or unauthorized' });
+    }
+
+    const readMessage = result.rows[0];
+    const cursor = await readReceipts.markDirectRead(userId, readMessage.sender_id, readMessage.id);
+
+    realtime.emitToUsers([readMessage.sender_id, readMessage.recipient_id], 'message:read', {
+      id: readMessage.id,
+      sender_id: readMessage.sender_id,
+      recipient_id: readMessage.recipient_id
+    });
+    if (cursor.changed) publishDirectRead(userId, readMessage.sender_id, cursor);
+
+    res.json({ 
+      message: 'Message marked as read',
+      data: { ...readMessage, is_read: true }
+    });
+  } catch (error) {
+    console.error('Error marking message as read:', error);
+    res.status(500).json({ error: 'Server error updating message' });
+  }
+});
+
+/**
+ * PUT /api/messages/:userId/read
+ * Mark the conversation with a user read up to a message (protected route)
+ * The cursor never moves backwards; an older message_id is a no-op.
+ */
+app.put('/api/messages/:userId/read', [
+  authenticateToken,
+  body('message_id').isInt({ min: 1 }).toInt()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const otherUserId = parseInt(req.params.userId, 10);
+  const userId = req.user.id;
+
+  if (!Number.isInteger(otherUserId)) {
+    return res.status(400).json({ error: 'Invalid user ID' });
+  }
+
+  try {
+    const { changed, ...cursor } = await readReceipts.markDirectRead(userId, otherUserId, req.body.message_id);
+    if (changed) publishDirectRead(userId, otherUserId, cursor);
+
+    res.json({ message: 'Conversation marked as read', ...cursor });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error marking conversation as read:', error);
+    res.status(500).json({ error: 'Server error updating read state' });
+  }
+});
+
+/**
+ * PATCH /api/messages/:id
+ * Edit a message (protected route)
+ * Only the sender can edit, within MESSAGE_EDIT_WINDOW_MINUTES of sending.
+ * The previous content is kept in the message's edit history.
+ */
+app.patch('/api/messages/:id', [
+  authenticateToken,
+  body('content').trim().notEmpty()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const messageId = parseInt(req.params.id, 10);
+
+  if (!Number.isInteger(messageId)) {
+    return res.status(400).json({ error: 'Invalid message ID' });
+  }
+
+  try {
+    const { message, changed } = await messageEdits.editMessage('direct', messageId, req.user.id, req.body.content);
+
+    const editedMessage = {
+      ...message,
+      sender_username: req.user.username
+    };
+
+    if (changed) {
+      realtime.emitToUsers([message.sender_id, message.recipient_id], 'message:edited', editedMessage);
+    }
+
+    res.json({
+      message: changed ? 'Message edited successfully' : 'Message unchanged',
+      data: editedMessage
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error editing message:', error);
+    res.status(500).json({ error: 'Server error editing message' });
+  }
+});
+
+/**
+ * GET /api/messages/:id/history
+ * Get the previous versions of a message (protected route)
+ * Only the sender and recipient can see them
+ */
+app.get('/api/messages/:id/history', authenticateToken, async (req, res) => {
+  const messageId = parseInt(req.params.id, 10);
+  const userId = req.user.id;
+
+  if (!Number.isInteger(messageId)) {
+    return res.status(400).json({ error: 'Invalid message ID' });
+  }
+
+  try {
+    const result = await db.query(
+      `SELECT id, content, created_at, edited_at FROM messages
+       WHERE id = $1 AND (sender_id = $2 OR recipient_id = $2)`,
+      [messageId, userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Message not found or unauthorized' });
+    }
+
+    const versions = await messageEdits.getEditHistory('direct', messageId);
+
+    res.json({ message: result.rows[0], versions });
+  } catch (error) {
+    console.error('Error fetching message history:', error);
+    res.status(500).json({ error: 'Server error fetching message history' });
+  }
+});
+
+/**
+ * GET /api/messages/:id/thread
+ * Get a direct message and one page of its thread replies (protected route)
+ * Only the sender and recipient can open the thread
+ * Query: before | after (reply ID cursor), limit (default 50, max 100)
+ */
+app.get('/api/messages/:id/thread', [
+  authenticateToken,
+  ...paginationValidators
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const messageId = parseInt(req.params.id, 10);
+  const userId = req.user.id;
+
+  if (!Number.isInteger(messageId)) {
+    return res.status(400).json({ error: 'Invalid message ID' });
+  }
+
+  const selectSql = `SELECT m.*, u1.username as sender_username, u2.username as recipient_username
+    FROM messages m
+    JOIN users u1 ON m.sender_id = u1.id
+    JOIN users u2 ON m.recipient_id = u2.id`;
+
+  try {
+    const parentResult = await db.query(
+      `${selectSql} WHERE m.id = $1 AND (m.sender_id = $2 OR m.recipient_id = $2)`,
+      [messageId, userId]
+    );
+
+    if (parentResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Message not found or unauthorized' });
+    }
+
+    const page = await fetchMessagePage(
+      `${selectSql} WHERE m.parent_id = $1 AND m.in_thread`,
+      [messageId],
+      'm',
+      req.query
+    );
+
+    let [parent] = await attachments.withAttachments('direct', parentResult.rows);
+    [parent] = await reactions.withReactions('direct', [parent], userId);
+    [parent] = await threads.withReplyContext('direct', [parent]);
+
+    page.messages = await attachments.withAttachments('direct', page.messages);
+    page.messages = await reactions.withReactions('direct', page.messages, userId);
+
+    res.json({ parent, ...page });
+  } catch (error) {
+    console.error('Error fetching thread:', error);
+    res.status(500).json({ error: 'Server error fetching thread' });
+  }
+});
+
+/**
+ * DELETE /api/messages/:id
+ * Delete a message (protected route)
+ * Only sender can delete their own messages
+ */
+app.delete('/api/messages/:id', authenticateToken, async (req, res) => {
+  const messageId = req.params.id;
+  const userId = req.user.id;
+
+  try {
+    const result = await db.query(
+      'DELETE FROM messages WHERE id = $1 AND sender_id = $2 RETURNING *',
+      [messageId, userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Message not found or unauthorized' });
+    }
+
+    const deletedMessage = result.rows[0];
+    realtime.emitToUsers([deletedMessage.sender_id, deletedMessage.recipient_id], 'message:deleted', {
+      id: deletedMessage.id,
+      sender_id: deletedMessage.sender_id,
+      recipient_id: deletedMessage.recipient_id
+    });
+    if (deletedMessage.in_thread && deletedMessage.parent_id) threads.publishThreadSummary('direct', deletedMessage);
+
+    res.json({ message: 'Message deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting message:', error);
+    res.status(500).json({ error: 'Server error deleting message' });
+  }
+});
+
+// ==================== ATTACHMENT ROUTES ====================
+
+/**
+ * Stream a stored file to the client
+ * Images are shown inline; everything else downloads under its original name.
+ * A file missing from storage is answered with 404.
+ *
+ * @param {Object} res - Express response object
+ * @param {string} key - Storage key
+ * @param {Object} options - { contentType, filename, size }
+ */
+const sendStoredFile = async (res, key, { contentType, filename, size }) => {
+  let stream;
+  try {
+    stream = await storage.read(key);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    console.error(`Stored file ${key} is missing`);
+    res.status(404).json({ error: 'File not found' });
+    return;
+  }
+  const disposition = contentType.startsWith('image/') ? 'inline' : 'attachment';
+  const asciiName = filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+
+  res.set({
+    'Content-Type': contentType,
+    'Content-Disposition': `${disposition}; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(filename)}`,
+    'Cache-Control': 'private, max-age=86400',
+    'X-Content-Type-Options': 'nosniff'
+  });
+  if (size) res.set('Content-Length', String(size));
+
+  stream.on('error', (error) => {
+    console.error('Error streaming file:', error);
+    res.destroy(error);
+  });
+  stream.pipe(res);
+};
+
+/**
+ * POST /api/attachments
+ * Upload a file (protected route, multipart/form-data with a "file" field)
+ * Returns a pending attachment; send its id in attachment_ids with a message
+ * Images get a server-side thumbnail
+ */
+app.post('/api/attachments', authenticateToken, rateLimit('uploads'), uploadSingleFile, async (req, res) => {
+  try {
+    const attachment = await attachments.createAttachment(req.user.id, req.file);
+
+    res.status(201).json({
+      message: 'File uploaded successfully',
+      attachment
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error uploading file:', error);
+    res.status(500).json({ error: 'Server error uploading file' });
+  }
+});
+
+/**
+ * GET /api/attachments/:id
+ * Download an attachment (protected route)
+ * Only the uploader, both sides of the DM, or members of the group can download it
+ */
+app.get('/api/attachments/:id', authenticateToken, async (req, res) => {
+  const attachmentId = parseInt(req.params.id, 10);
+
+  if (!Number.isInteger(attachmentId)) {
+    return res.status(400).json({ error: 'Invalid attachment ID' });
+  }
+
+  try {
+    const attachment = await attachments.findAttachmentForUser(attachmentId, req.user.id);
+
+    if (!attachment) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    await sendStoredFile(res, attachment.storage_key, {
+      contentType: attachment.mime_type,
+      filename: attachment.original_name,
+      size: attachment.size_bytes
+    });
+  } catch (error) {
+    console.error('Error downloading attachment:', error);
+    res.status(500).json({ error: 'Server error downloading attachment' });
+  }
+});
+
+/**
+ * GET /api/attachments/:id/thumbnail
+ * Download an image attachment's thumbnail (protected route, same access as the file)
+ */
+app.get('/api/attachments/:id/thumbnail', authenticateToken, async (req, res) => {
+  const attachmentId = parseInt(req.params.id, 10);
+
+  if (!Number.isInteger(attachmentId)) {
+    return res.status(400).json({ error: 'Invalid attachment ID' });
+  }
+
+  try {
+    const attachment = await attachments.findAttachmentForUser(attachmentId, req.user.id);
+
+    if (!attachment || !attachment.thumbnail_key) {
+      return res.status(404).json({ error: 'Thumbnail not found' });
+    }
+
+    await sendStoredFile(res, attachment.thumbnail_key, {
+      contentType: 'image/webp',
+      filename: `${attachment.original_name}.webp`
+    });
+  } catch (error) {
+    console.error('Error downloading thumbnail:', error);
+    res.status(500).json({ error: 'Server error downloading thumbnail' });
+  }
+});
+
+/**
+ * DELETE /api/attachments/:id
+ * Discard an upload that has not been sent yet (protected route, uploader only)
+ */
+app.delete('/api/attachments/:id', authenticateToken, async (req, res) => {
+  const attachmentId = parseInt(req.params.id, 10);
+
+  if (!Number.isInteger(attachmentId)) {
+    return res.status(400).json({ error: 'Invalid attachment ID' });
+  }
+
+  try {
+    const deleted = await attachments.deletePendingAttachment(attachmentId, req.user.id);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Attachment not found or already sent' });
+    }
+
+    res.json({ message: 'Attachment deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting attachment:', error);
+    res.status(500).json({ error: 'Server error deleting attachment' });
+  }
+});
+
+// ==================== SEARCH ROUTES ====================
+
+const DEFAULT_SEARCH_LIMIT = 20;
+const MAX_SEARCH_LIMIT = 50;
+
+/**
+ * Escape HTML special characters in message content before highlighting
+ * so the only markup in a snippet is the <mark> tags added by ts_headline
+ * @param {string} column - SQL expression for the content column
+ * @returns {string} - SQL expression producing escaped content
+ */
+const escapeHtmlSql = (column) =>
+  `replace(replace(replace(${column}, '&', '&amp;'), '<', '&lt;'), '>', '&gt;')`;
+
+const HEADLINE_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, MaxWords=25, MinWords=8, MaxFragments=2';
+
+/**
+ * GET /api/search
+ * Full-text search across the caller's DMs and the groups they belong to (protected route)
+ * Query:
+ *   q         - search terms (websearch syntax: "exact phrase", -exclude, or)
+ *   sender_id - only messages sent by this user
+ *   user_id   - only the DM conversation with this user
+ *   group_id  - only messages in this group
+ *   from, to  - ISO 8601 date range on created_at
+ *   limit, offset - result paging (default 20, max 50)
+ * Snippets are HTML-escaped with matches wrapped in <mark></mark>
+ * thread_id is set for thread replies, which only appear in their parent's thread
+ */
+app.get('/api/search', [
+  authenticateToken,
+  query('q').trim().notEmpty(),
+  query('sender_id').optional().isInt().toInt(),
+  query('user_id').optional().isInt().toInt(),
+  query('group_id').optional().isInt().toInt(),
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601(),
+  query('limit').optional().isInt({ min: 1, max: MAX_SEARCH_LIMIT }).toInt(),
+  query('offset').optional().isInt({ min: 0 }).toInt(),
+  query('user_id').custom((userId, { req }) => {
+    if (userId !== undefined && req.query.group_id !== undefined) {
+      throw new Error('Use either user_id or group_id, not both');
+    }
+    return true;
+  })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { q, sender_id, user_id, group_id, from, to } = req.query;
+  const limit = req.query.limit || DEFAULT_SEARCH_LIMIT;
+  const offset = req.query.offset || 0;
+
+  // $1 = search terms, $2 = current user; filters are appended after
+  const values = [q, req.user.id];
+  const addValue = (value) => {
+    values.push(value);
+    return `$${values.length}`;
+  };
+
+  const directFilters = [];
+  const groupFilters = [];
+
+  if (sender_id !== undefined) {
+    const param = addValue(sender_id);
+    directFilters.push(`m.sender_id = ${param}`);
+    groupFilters.push(`gm.sender_id = ${param}`);
+  }
+  if (from) {
+    const param = addValue(from);
+    directFilters.push(`m.created_at >= ${param}`);
+    groupFilters.push(`gm.created_at >= ${param}`);
+  }
+  if (to) {
+    const param = addValue(to);
+    directFilters.push(`m.created_at <= ${param}`);
+    groupFilters.push(`gm.created_at <= ${param}`);
+  }
+  if (user_id !== undefined) {
+    const param = addValue(user_id);
+    directFilters.push(`(m.sender_id = ${param} OR m.recipient_id = ${param})`);
+  }
+  if (group_id !== undefined) {
+    groupFilters.push(`gm.group_id = ${addValue(group_id)}`);
+  }
+
+  const toSql = (filters) => filters.map((filter) => `AND ${filter}`).join(' ');
+
+  // A conversation filter narrows the search to one side of the union
+  const branches = [];
+
+  if (group_id === undefined) {
+    branches.push(`
+      SELECT 'direct' AS type, m.id, m.content, m.created_at,
+             m.sender_id, su.username AS sender_username,
+             CASE WHEN m.sender_id = $2 THEN m.recipient_id ELSE m.sender_id END AS other_user_id,
+             CASE WHEN m.sender_id = $2 THEN ru.username ELSE su.username END AS other_username,
+             NULL::integer AS group_id, NULL::text AS group_name,
+             CASE WHEN m.in_thread THEN m.parent_id END AS thread_id,
+             ts_rank(to_tsvector('english', m.content), sq.query) AS rank,
+             ts_headline('english', ${escapeHtmlSql('m.content')}, sq.query, '${HEADLINE_OPTIONS}') AS snippet
+      FROM messages m
+      JOIN users su ON m.sender_id = su.id
+      JOIN users ru ON m.recipient_id = ru.id
+      CROSS JOIN search_query sq
+      WHERE (m.sender_id = $2 OR m.recipient_id = $2)
+        AND to_tsvector('english', m.content) @@ sq.query
+        ${toSql(directFilters)}`);
+  }
+
+  if (user_id === undefined) {
+    branches.push(`
+      SELECT 'group' AS type, gm.id, gm.content, gm.created_at,
+             gm.sender_id, su.username AS sender_username,
+             NULL::integer AS other_user_id, NULL::text AS other_username,
+             gm.group_id, g.name AS group_name,
+             CASE WHEN gm.in_thread THEN gm.parent_id END AS thread_id,
+             ts_rank(to_tsvector('english', gm.content), sq.query) AS rank,
+             ts_headline('english', ${escapeHtmlSql('gm.content')}, sq.query, '${HEADLINE_OPTIONS}') AS snippet
+      FROM group_messages gm
+      JOIN groups g ON gm.group_id = g.id
+      JOIN group_members mem ON mem.group_id = gm.group_id AND mem.user_id = $2
+      JOIN users su ON gm.sender_id = su.id
+      CROSS JOIN search_query sq
+      WHERE to_tsvector('english', gm.content) @@ sq.query
+        ${blocks.hideBlockedSenders('gm', '$2')}
+        ${toSql(groupFilters)}`);
+  }
+
+  const limitParam = addValue(limit + 1);
+  const offsetParam = addValue(offset);
+
+  try {
+    const result = await db.query(
+      `WITH search_query AS (SELECT websearch_to_tsquery('english', $1) AS query)
+       SELECT * FROM (${branches.join(' UNION ALL ')}) results
+       ORDER BY rank DESC, created_at DESC
+       LIMIT ${limitParam} OFFSET ${offsetParam}`,
+      values
+    );
+
+    res.json({
+      results: result.rows.slice(0, limit),
+      has_more: result.rows.length > limit
+    });
+  } catch (error) {
+    console.error('Error searching messages:', error);
+    res.status(500).json({ error: 'Server error searching messages' });
+  }
+});
+
+// ==================== GROUP CHAT ROUTES ====================
+
+// Who can find and join a group without an invite (see migration 020)
+const GROUP_VISIBILITIES = ['public', 'request', 'private'];
+
+/**
+ * GET /api/groups
+ * Get all groups user is a member of (protected route)
+ * Includes the caller's role in each group as my_role, and as unread_count
+ * the messages from others since they joined that are past their read cursor
+ * (messages from muted or blocked users are not counted)
+ */
+app.get('/api/groups', authenticateToken, async (req, res) => {
+  try {
+    const result = await db.query(
+      `SELECT g.*, u.username as creator_username,
+              COUNT(DISTINCT gm.user_id) as member_count,
+              me.role as my_role,
+              me.last_read_message_id,
+              (SELECT COUNT(*)::int FROM group_messages um
+               WHERE um.group_id = g.id AND um.sender_id <> $1
+                 AND um.id > COALESCE(me.last_read_message_id, 0)
+                 AND um.created_at >= me.joined_at
+                 AND NOT EXISTS (SELECT 1 FROM user_mutes mu WHERE mu.muter_id = $1 AND mu.muted_id = um.sender_id)
+                 ${blocks.hideBlockedSenders('um', '$1')}
+                 ${mainTimelineFilter('um')}) AS unread_count
+       FROM groups g
+       JOIN users u ON g.created_by = u.id
+       JOIN group_members gm ON g.id = gm.group_id
+       JOIN group_members me ON g.id = me.group_id AND me.user_id = $1
+       GROUP BY g.id, u.username, me.role, me.last_read_message_id, me.joined_at
+       ORDER BY g.created_at DESC`,
+      [req.user.id]
+    );
+
+    res.json({ groups: result.rows });
+  } catch (error) {
+    console.error('Error fetching groups:', error);
+    res.status(500).json({ error: 'Server error fetching groups' });
+  }
+});
+
+/**
+ * GET /api/groups/discover
+ * Browse public and request-to-join groups the caller is not in (protected route)
+ * Query:
+ *   q             - optional text to find in the name or description (case-insensitive)
+ *   limit, offset - result paging (default 50, max 100)
+ * Largest groups first; request_pending tells whether the caller already asked to join
+ */
+app.get('/api/groups/discover', [
+  authenticateToken,
+  query('q').optional().isString().trim().isLength({ max: 100 }),
+  query('limit').optional().isInt({ min: 1, max: MAX_PAGE_SIZE }).toInt(),
+  query('offset').optional().isInt({ min: 0 }).toInt()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const limit = req.query.limit || DEFAULT_PAGE_SIZE;
+  const offset = req.query.offset || 0;
+  const values = [req.user.id, limit + 1, offset];
+  let searchClause = '';
+
+  if (req.query.q) {
+    values.push(`%${escapeLike(req.query.q)}%`);
+    searchClause = 'AND (g.name ILIKE $4 OR g.description ILIKE $4)';
+  }
+
+  try {
+    const result = await db.query(
+      `SELECT g.id, g.name, g.description, g.visibility, g.created_at,
+              (SELECT COUNT(*)::int FROM group_members gm WHERE gm.group_id = g.id) AS member_count,
+              EXISTS (SELECT 1 FROM group_join_requests r
+                      WHERE r.group_id = g.id AND r.user_id = $1) AS request_pending
+       FROM groups g
+       WHERE g.visibility <> 'private'
+         AND NOT EXISTS (SELECT 1 FROM group_members me WHERE me.group_id = g.id AND me.user_id = $1)
+         ${searchClause}
+       ORDER BY member_count DESC, g.name, g.id
+       LIMIT $2 OFFSET $3`,
+      values
+    );
+
+    res.json({
+      groups: result.rows.slice(0, limit),
+      has_more: result.rows.length > limit
+    });
+  } catch (error) {
+    console.error('Error discovering groups:', error);
+    res.status(500).json({ error: 'Server error discovering groups' });
+  }
+});
+
+/**
+ * POST /api/groups
+ * Create a new group (protected route)
+ * The creator becomes the group owner. visibility is "public", "request"
+ * or "private" (the default).
+ */
+app.post('/api/groups', [
+  authenticateToken,
+  body('name').notEmpty().trim(),
+  body('description').optional().trim(),
+  body('visibility').optional().isIn(GROUP_VISIBILITIES)
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { name, description, visibility = 'private' } = req.body;
+
+  try {
+    const group = await db.transaction(async (client) => {
+      // Create group
+      const groupResult = await client.query(
+        'INSERT INTO groups (name, description, created_by, visibility) VALUES ($1, $2, $3, $4) RETURNING *',
+        [name, description, req.user.id, visibility]
+      );
+
+      // Add creator as owner
+      await client.query(
+        "INSERT INTO group_members (group_id, user_id, role) VALUES ($1, $2, 'owner')",
+        [groupResult.rows[0].id, req.user.id]
+      );
+
+      return groupResult.rows[0];
+    });
+
+    res.status(201).json({
+      message: 'Group created successfully',
+      group: { ...group, my_role: 'owner' }
+    });
+  } catch (error) {
+    console.error('Error creating group:', error);
+    res.status(500).json({ error: 'Server error creating group' });
+  }
+});
+
+/**
+ * PATCH /api/groups/:groupId
+ * Rename a group or change its description (admins and owner)
+ * Also turns the @assistant bot on or off (assistant_enabled), sets how
+ * many mentions it answers per hour (assistant_hourly_limit, 1-200) and
+ * sets its visibility ("public", "request" or "private")
+ */
+app.patch('/api/groups/:groupId', [
+  authenticateToken,
+  requireGroupRole('admin'),
+  body('name').optional().trim().notEmpty(),
+  body('description').optional({ values: 'null' }).trim(),
+  body('assistant_enabled').optional().isBoolean({ strict: true }),
+  body('assistant_hourly_limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+  body('visibility').optional().isIn(GROUP_VISIBILITIES)
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { groupId } = req.params;
+  const { name, description, assistant_enabled, assistant_hourly_limit, visibility } = req.body;
+
+  if ([name, description, assistant_enabled, assistant_hourly_limit, visibility].every((value) => value === undefined)) {
+    return res.status(400).json({ error: 'Nothing to update' });
+  }
+
+  try {
+    const result = await db.query(
+      `UPDATE groups
+       SET name = COALESCE($2, name),
+           description = CASE WHEN $3::boolean THEN $4 ELSE description END,
+           assistant_enabled = COALESCE($5, assistant_enabled),
+           assistant_hourly_limit = COALESCE($6, assistant_hourly_limit),
+           visibility = COALESCE($7, visibility)
+       WHERE id = $1
+       RETURNING *`,
+      [groupId, name, description !== undefined, description, assistant_enabled, assistant_hourly_limit, visibility]
+    );
+
+    const group = result.rows[0];
+    realtime.emitToGroup(groupId, 'group:updated', group);
+
+    res.json({ message: 'Group updated successfully', group });
+  } catch (error) {
+    console.error('Error updating group:', error);
+    res.status(500).json({ error: 'Server error updating group' });
+  }
+});
+
+/**
+ * DELETE /api/groups/:groupId
+ * Delete a group with all its members and messages (owner only)
+ */
+app.delete('/api/groups/:groupId', [
+  authenticateToken,
+  requireGroupRole('owner')
+], async (req, res) => {
+  const { groupId } = req.params;
+
+  try {
+    // Collect members first; they are gone once the group is deleted
+    const members = await db.query(
+      'SELECT user_id FROM group_members WHERE group_id = $1',
+      [groupId]
+    );
+
+    await db.query('DELETE FROM groups WHERE id = $1', [groupId]);
+
+    realtime.emitToUsers(members.rows.map((row) => row.user_id), 'group:deleted', {
+      group_id: Number(groupId)
+    });
+
+    res.json({ message: 'Group deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting group:', error);
+    res.status(500).json({ error: 'Server error deleting group' });
+  }
+});
+
+/**
+ * POST /api/groups/:groupId/members
+ * Add member to group (admins and owner)
+ */
+app.post('/api/groups/:groupId/members', [
+  authenticateToken,
+  requireGroupRole('admin'),
+  body('user_id').isInt().toInt()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { groupId } = req.params;
+  const { user_id } = req.body;
+
+  try {
+    const userCheck = await db.query('SELECT id FROM users WHERE id = $1 AND NOT is_bot AND deleted_at IS NULL', [user_id]);
+
+    if (userCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { blockedMe } = await blocks.getBlockState(req.user.id, user_id);
+    if (blockedMe) {
+      return res.status(403).json({ error: 'You cannot add this user to groups' });
+    }
+
+    // Add new member (ON CONFLICT prevents duplicate memberships)
+    const result = await db.query(
+      'INSERT INTO group_members (group_id, user_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
       [groupId, user_id]
     );
 
-    res.json({ message: 'Member added successfully' });
+    if (result.rowCount === 0) {
+      return res.status(409).json({ error: 'User is already a member of this group' });
+    }
+
+    // The new member is now part of the group, so they receive this event too
+    realtime.emitToGroup(groupId, 'group:member_added', {
+      group_id: Number(groupId),
+      user_id
+    });
+
+    res.json({ message: 'Member added successfully' });
+  } catch (error) {
+    console.error('Error adding member:', error);
+    res.status(500).json({ error: 'Server error adding member' });
+  }
+});
+
+/**
+ * DELETE /api/groups/:groupId/members/:userId
+ * Remove a member from a group (admins and owner)
+ * Admins can remove members; the owner can also remove admins
+ */
+app.delete('/api/groups/:groupId/members/:userId', [
+  authenticateToken,
+  requireGroupRole('admin')
+], async (req, res) => {
+  const { groupId } = req.params;
+  const userId = parseInt(req.params.userId, 10);
+
+  if (!Number.isInteger(userId)) {
+    return res.status(400).json({ error: 'Invalid user ID' });
+  }
+
+  if (userId === req.user.id) {
+    return res.status(400).json({ error: 'Use the leave endpoint to leave a group' });
+  }
+
+  try {
+    const target = await db.query(
+      'SELECT role FROM group_members WHERE group_id = $1 AND user_id = $2',
+      [groupId, userId]
+    );
+
+    if (target.rows.length === 0) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    if (ROLE_RANK[target.rows[0].role] >= ROLE_RANK[req.groupRole]) {
+      return res.status(403).json({ error: 'You can only remove members with a lower role than yours' });
+    }
+
+    await db.query(
+      'DELETE FROM group_members WHERE group_id = $1 AND user_id = $2',
+      [groupId, userId]
+    );
+
+    const event = { group_id: Number(groupId), user_id: userId };
+    realtime.emitToGroup(groupId, 'group:member_removed', event);
+    realtime.emitToUser(userId, 'group:member_removed', event);
+
+    res.json({ message: 'Member removed successfully' });
+  } catch (error) {
+    console.error('Error removing member:', error);
+    res.status(500).json({ error: 'Server error removing member' });
+  }
+});
+
+/**
+ * POST /api/groups/:groupId/leave
+ * Leave a group (protected route)
+ * The owner must transfer ownership (or delete the group) first
+ */
+app.post('/api/groups/:groupId/leave', [
+  authenticateToken,
+  requireGroupRole('member')
+], async (req, res) => {
+  const { groupId } = req.params;
+
+  if (req.groupRole === 'owner') {
+    return res.status(400).json({ error: 'Transfer ownership or delete the group before leaving' });
+  }
+
+  try {
+    await db.query(
+      'DELETE FROM group_members WHERE group_id = $1 AND user_id = $2',
+      [groupId, req.user.id]
+    );
+
+    const event = { group_id: Number(groupId), user_id: req.user.id };
+    realtime.emitToGroup(groupId, 'group:member_removed', event);
+    realtime.emitToUser(req.user.id, 'group:member_removed', event);
+
+    res.json({ message: 'You left the group' });
+  } catch (error) {
+    console.error('Error leaving group:', error);
+    res.status(500).json({ error: 'Server error leaving group' });
+  }
+});
+
+/**
+ * PATCH /api/groups/:groupId/members/:userId/role
+ * Promote a member to admin or demote an admin to member (owner only)
+ */
+app.patch('/api/groups/:groupId/members/:userId/role', [
+  authenticateToken,
+  requireGroupRole('owner'),
+  body('role').isIn(['admin', 'member'])
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { groupId } = req.params;
+  const userId = parseInt(req.params.userId, 10);
+  const { role } = req.body;
+
+  if (!Number.isInteger(userId)) {
+    return res.status(400).json({ error: 'Invalid user ID' });
+  }
+
+  if (userId === req.user.id) {
+    return res.status(400).json({ error: 'Transfer ownership to change your own role' });
+  }
+
+  try {
+    const result = await db.query(
+      `UPDATE group_members SET role = $3
+       WHERE group_id = $1 AND user_id = $2
+       RETURNING user_id, role`,
+      [groupId, userId, role]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    realtime.emitToGroup(groupId, 'group:member_role_changed', {
+      group_id: Number(groupId),
+      user_id: userId,
+      role
+    });
+
+    res.json({ message: `Member is now ${role === 'admin' ? 'an admin' : 'a member'}`, member: result.rows[0] });
+  } catch (error) {
+    console.error('Error changing member role:', error);
+    res.status(500).json({ error: 'Server error changing member role' });
+  }
+});
+
+/**
+ * POST /api/groups/:groupId/transfer-ownership
+ * Make another member the owner (owner only)
+ * The previous owner stays in the group as an admin
+ */
+app.post('/api/groups/:groupId/transfer-ownership', [
+  authenticateToken,
+  requireGroupRole('owner'),
+  body('user_id').isInt().toInt()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { groupId } = req.params;
+  const { user_id } = req.body;
+
+  if (user_id === req.user.id) {
+    return res.status(400).json({ error: 'You already own this group' });
+  }
+
+  try {
+    await db.transaction(async (client) => {
+      // Demote first: only one owner per group is allowed at any time
+      await client.query(
+        "UPDATE group_members SET role = 'admin' WHERE group_id = $1 AND user_id = $2",
+        [groupId, req.user.id]
+      );
+
+      const result = await client.query(
+        "UPDATE group_members SET role = 'owner' WHERE group_id = $1 AND user_id = $2 RETURNING user_id",
+        [groupId, user_id]
+      );
+
+      // Throwing rolls the demotion back
+      if (result.rows.length === 0) {
+        throw Object.assign(new Error('Member not found'), { status: 404 });
+      }
+    });
+
+    realtime.emitToGroup(groupId, 'group:member_role_changed', {
+      group_id: Number(groupId),
+      user_id: req.user.id,
+      role: 'admin'
+    });
+    realtime.emitToGroup(groupId, 'group:member_role_changed', {
+      group_id: Number(groupId),
+      user_id,
+      role: 'owner'
+    });
+
+    res.json({ message: 'Ownership transferred successfully' });
+  } catch (error) {
+    if (error.status === 404) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+    console.error('Error transferring ownership:', error);
+    res.status(500).json({ error: 'Server error transferring ownership' });
+  }
+});
+
+/**
+ * GET /api/groups/:groupId/messages
+ * Get one page of messages in a group (members only)
+ * Query: before | after | around (message ID cursor), limit (default 50, max 100)
+ */
+app.get('/api/groups/:groupId/messages', [
+  authenticateToken,
+  requireGroupRole('member'),
+  ...paginationValidators
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { groupId } = req.params;
+
+  try {
+    // Get one page of messages
+    const page = await fetchMessagePage(
+      `SELECT gm.*, u.username as sender_username
+       FROM group_messages gm
+       JOIN users u ON gm.sender_id = u.id
+       WHERE gm.group_id = $1
+         ${mainTimelineFilter('gm')}
+         ${blocks.hideBlockedSenders('gm', '$2')}`,
+      [groupId, req.user.id],
+      'gm',
+      req.query
+    );
+
+    page.messages = await attachments.withAttachments('group', page.messages);
+    page.messages = await reactions.withReactions('group', page.messages, req.user.id);
+    page.messages = await threads.withReplyContext('group', page.messages, req.user.id);
+
+    res.json(page);
+  } catch (error) {
+    console.error('Error fetching group messages:', error);
+    res.status(500).json({ error: 'Server error fetching messages' });
+  }
+});
+
+/**
+ * POST /api/groups/:groupId/messages
+ * Send message to group (members only)
+ * Messages mentioning @assistant are answered by the assistant bot in the
+ * group; the response then includes assistant: { status } with "queued",
+ * or "disabled" / "rate_limited" plus an error (and retry_after)
+ */
+app.post('/api/groups/:groupId/messages', [
+  authenticateToken,
+  requireGroupRole('member'),
+  rateLimit('messages'),
+  ...messageContentValidators,
+  ...replyValidators
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const groupId = Number(req.params.groupId);
+  const { content = '', attachment_ids = [], parent_id, in_thread = false } = req.body;
+
+  try {
+    const parentId = parent_id
+      ? await threads.resolveParent('group', parent_id, { groupId }, in_thread)
+      : null;
+
+    // Insert message and attach its uploads together
+    const insertedMessage = await db.transaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO group_messages (group_id, sender_id, content, parent_id, in_thread)
+         VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+        [groupId, req.user.id, content, parentId, Boolean(parentId && in_thread)]
+      );
+
+      return {
+        ...result.rows[0],
+        sender_username: req.user.username,
+        attachments: await attachments.linkAttachments(client, 'group', result.rows[0].id, req.user.id, attachment_ids)
+      };
+    });
+
+    const [newMessage] = await threads.withReplyContext('group', [insertedMessage]);
+
+    realtime.emitToGroup(groupId, 'group_message:new', newMessage, { senderId: newMessage.sender_id });
+    if (newMessage.in_thread) threads.publishThreadSummary('group', newMessage);
+
+    // Mentions of the assistant are answered in the background. The message
+    // is already sent, so a failed check must not fail the request.
+    let assistant;
+    if (groupAssistant.isMentioned(newMessage.content)) {
+      try {
+        assistant = await groupAssistant.checkInvocation(groupId);
+        if (assistant.status === 'queued') groupAssistant.respondToMention(newMessage);
+      } catch (error) {
+        console.error('Error checking assistant mention:', error);
+        assistant = { status: 'error', error: 'The assistant could not be reached' };
+      }
+    }
+
+    res.status(201).json({
+      message: 'Message sent successfully',
+      data: newMessage,
+      ...(assistant && { assistant })
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error sending group message:', error);
+    res.status(500).json({ error: 'Server error sending message' });
+  }
+});
+
+/**
+ * PATCH /api/groups/:groupId/messages/:messageId
+ * Edit a group message (sender only, within MESSAGE_EDIT_WINDOW_MINUTES of sending)
+ */
+app.patch('/api/groups/:groupId/messages/:messageId', [
+  authenticateToken,
+  requireGroupRole('member'),
+  body('content').trim().notEmpty()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const groupId = Number(req.params.groupId);
+  const messageId = parseInt(req.params.messageId, 10);
+
+  if (!Number.isInteger(messageId)) {
+    return res.status(400).json({ error: 'Invalid message ID' });
+  }
+
+  try {
+    const { message, changed } = await messageEdits.editMessage('group', messageId, req.user.id, req.body.content, groupId);
+
+    const editedMessage = {
+      ...message,
+      sender_username: req.user.username
+    };
+
+    if (changed) {
+      realtime.emitToGroup(groupId, 'group_message:edited', editedMessage, { senderId: editedMessage.sender_id });
+    }
+
+    res.json({
+      message: changed ? 'Message edited successfully' : 'Message unchanged',
+      data: editedMessage
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error editing group message:', error);
+    res.status(500).json({ error: 'Server error editing message' });
+  }
+});
+
+/**
+ * GET /api/groups/:groupId/messages/:messageId/history
+ * Get the previous versions of a group message (members only)
+ */
+app.get('/api/groups/:groupId/messages/:messageId/history', [
+  authenticateToken,
+  requireGroupRole('member')
+], async (req, res) => {
+  const messageId = parseInt(req.params.messageId, 10);
+
+  if (!Number.isInteger(messageId)) {
+    return res.status(400).json({ error: 'Invalid message ID' });
+  }
+
+  try {
+    const result = await db.query(
+      'SELECT id, content, created_at, edited_at FROM group_messages WHERE id = $1 AND group_id = $2',
+      [messageId, req.params.groupId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    const versions = await messageEdits.getEditHistory('group', messageId);
+
+    res.json({ message: result.rows[0], versions });
+  } catch (error) {
+    console.error('Error fetching group message history:', error);
+    res.status(500).json({ error: 'Server error fetching message history' });
+  }
+});
+
+/**
+ * GET /api/groups/:groupId/messages/:messageId/thread
+ * Get a group message and one page of its thread replies (members only)
+ * Query: before | after (reply ID cursor), limit (default 50, max 100)
+ */
+app.get('/api/groups/:groupId/messages/:messageId/thread', [
+  authenticateToken,
+  requireGroupRole('member'),
+  ...paginationValidators
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const messageId = parseInt(req.params.messageId, 10);
+
+  if (!Number.isInteger(messageId)) {
+    return res.status(400).json({ error: 'Invalid message ID' });
+  }
+
+  const selectSql = `SELECT gm.*, u.username as sender_username
+    FROM group_messages gm
+    JOIN users u ON gm.sender_id = u.id`;
+
+  try {
+    // A blocked user's thread stays hidden along with their message
+    const parentResult = await db.query(
+      `${selectSql} WHERE gm.id = $1 AND gm.group_id = $2 ${blocks.hideBlockedSenders('gm', '$3')}`,
+      [messageId, req.params.groupId, req.user.id]
+    );
+
+    if (parentResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    const page = await fetchMessagePage(
+      `${selectSql} WHERE gm.parent_id = $1 AND gm.in_thread ${blocks.hideBlockedSenders('gm', '$2')}`,
+      [messageId, req.user.id],
+      'gm',
+      req.query
+    );
+
+    let [parent] = await attachments.withAttachments('group', parentResult.rows);
+    [parent] = await reactions.withReactions('group', [parent], req.user.id);
+    [parent] = await threads.withReplyContext('group', [parent], req.user.id);
+
+    page.messages = await attachments.withAttachments('group', page.messages);
+    page.messages = await reactions.withReactions('group', page.messages, req.user.id);
+
+    res.json({ parent, ...page });
+  } catch (error) {
+    console.error('Error fetching group thread:', error);
+    res.status(500).json({ error: 'Server error fetching thread' });
+  }
+});
+
+/**
+ * PUT /api/groups/:groupId/read
+ * Mark the group read up to a message for the caller (members only)
+ * The cursor never moves backwards; an older message_id is a no-op.
+ */
+app.put('/api/groups/:groupId/read', [
+  authenticateToken,
+  requireGroupRole('member'),
+  body('message_id').isInt({ min: 1 }).toInt()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const groupId = Number(req.params.groupId);
+  const userId = req.user.id;
+
+  try {
+    const { changed, ...cursor } = await readReceipts.markGroupRead(groupId, userId, req.body.message_id);
+
+    if (changed) {
+      await realtime.emitToGroup(groupId, 'group:read', {
+        group_id: groupId,
+        user_id: userId,
+        ...cursor
+      });
+    }
+
+    res.json({ message: 'Group marked as read', ...cursor });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error marking group as read:', error);
+    res.status(500).json({ error: 'Server error updating read state' });
+  }
+});
+
+/**
+ * GET /api/groups/:groupId/members
+ * Get all members of a group with their roles and read cursors (members only)
+ * email follows the same visibility rules as GET /api/users
+ */
+app.get('/api/groups/:groupId/members', [
+  authenticateToken,
+  requireGroupRole('member')
+], async (req, res) => {
+  const { groupId } = req.params;
+
+  try {
+    const result = await db.query(
+      `SELECT u.id, u.username, ${profiles.visibleEmail('u', '$2')}, gm.role, gm.joined_at,
+              gm.last_read_message_id, gm.last_read_at,
+              u.last_seen_at, u.show_last_seen
+       FROM group_members gm
+       JOIN users u ON gm.user_id = u.id
+       WHERE gm.group_id = $1
+       ORDER BY CASE gm.role WHEN 'owner' THEN 0 WHEN 'admin' THEN 1 ELSE 2 END,
+                gm.joined_at ASC`,
+      [groupId, req.user.id]
+    );
+
+    res.json({ members: presence.withPresence(result.rows) });
+  } catch (error) {
+    console.error('Error fetching group members:', error);
+    res.status(500).json({ error: 'Server error fetching members' });
+  }
+});
+
+// ==================== GROUP INVITES AND JOIN REQUESTS ====================
+
+// Invite codes are URL-safe base64
+const INVITE_CODE_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+
+/**
+ * POST /api/groups/:groupId/invites
+ * Create an invite link (admins and owner)
+ * Body (all optional):
+ *   expires_at        - ISO 8601 time after which the link stops working
+ *   max_uses          - how many times it can be used (1-1000)
+ *   requires_approval - true to queue people as join requests for an admin
+ */
+app.post('/api/groups/:groupId/invites', [
+  authenticateToken,
+  requireGroupRole('admin'),
+  body('expires_at').optional({ values: 'null' }).isISO8601().custom((expiresAt) => {
+    if (new Date(expiresAt) <= new Date()) {
+      throw new Error('expires_at must be in the future');
+    }
+    return true;
+  }),
+  body('max_uses').optional({ values: 'null' }).isInt({ min: 1, max: 1000 }).toInt(),
+  body('requires_approval').optional().isBoolean({ strict: true })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const invite = await groupInvites.createInvite(Number(req.params.groupId), req.user.id, req.body);
+    res.status(201).json({ message: 'Invite created', invite });
+  } catch (error) {
+    console.error('Error creating invite:', error);
+    res.status(500).json({ error: 'Server error creating invite' });
+  }
+});
+
+/**
+ * GET /api/groups/:groupId/invites
+ * List the group's invites that can still be used (admins and owner)
+ */
+app.get('/api/groups/:groupId/invites', [
+  authenticateToken,
+  requireGroupRole('admin')
+], async (req, res) => {
+  try {
+    const invites = await groupInvites.listInvites(Number(req.params.groupId));
+    res.json({ invites });
+  } catch (error) {
+    console.error('Error fetching invites:', error);
+    res.status(500).json({ error: 'Server error fetching invites' });
+  }
+});
+
+/**
+ * DELETE /api/groups/:groupId/invites/:inviteId
+ * Revoke an invite (admins and owner)
+ */
+app.delete('/api/groups/:groupId/invites/:inviteId', [
+  authenticateToken,
+  requireGroupRole('admin')
+], async (req, res) => {
+  const inviteId = parseInt(req.params.inviteId, 10);
+
+  if (!Number.isInteger(inviteId)) {
+    return res.status(400).json({ error: 'Invalid invite ID' });
+  }
+
+  try {
+    const revoked = await groupInvites.revokeInvite(Number(req.params.groupId), inviteId);
+
+    if (!revoked) {
+      return res.status(404).json({ error: 'Invite not found' });
+    }
+
+    res.json({ message: 'Invite revoked' });
+  } catch (error) {
+    console.error('Error revoking invite:', error);
+    res.status(500).json({ error: 'Server error revoking invite' });
+  }
+});
+
+/**
+ * GET /api/invites/:code
+ * Preview the group an invite leads to (protected route)
+ * Answers 404 for unknown or revoked codes and 410 for expired or used-up ones
+ */
+app.get('/api/invites/:code', authenticateToken, rateLimit('invites'), async (req, res) => {
+  if (!INVITE_CODE_PATTERN.test(req.params.code)) {
+    return res.status(404).json({ error: 'This invite link is invalid or has been revoked' });
+  }
+
+  try {
+    const preview = await groupInvites.previewInvite(req.params.code, req.user.id);
+    res.json({ invite: preview });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error fetching invite:', error);
+    res.status(500).json({ error: 'Server error fetching invite' });
+  }
+});
+
+/**
+ * POST /api/invites/:code/join
+ * Join a group with an invite code (protected route)
+ * Returns status "joined", or "pending" when the invite needs an admin's
+ * approval; the group's admins are then sent group:join_requested
+ */
+app.post('/api/invites/:code/join', authenticateToken, rateLimit('invites'), async (req, res) => {
+  if (!INVITE_CODE_PATTERN.test(req.params.code)) {
+    return res.status(404).json({ error: 'This invite link is invalid or has been revoked' });
+  }
+
+  try {
+    const outcome = await groupInvites.redeemInvite(req.params.code, req.user.id);
+    const groupId = outcome.group_id;
+
+    if (outcome.status === 'joined') {
+      realtime.emitToGroup(groupId, 'group:member_added', { group_id: groupId, user_id: req.user.id });
+      return res.json({ message: 'You joined the group', ...outcome });
+    }
+
+    realtime.emitToUsers(await groupInvites.getGroupAdminIds(groupId), 'group:join_requested', {
+      group_id: groupId,
+      request_id: outcome.request_id,
+      user_id: req.user.id,
+      username: req.user.username
+    });
+    res.status(202).json({ message: 'Your request to join was sent to the group admins', ...outcome });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error joining with invite:', error);
+    res.status(500).json({ error: 'Server error joining group' });
+  }
+});
+
+/**
+ * POST /api/groups/:groupId/join
+ * Join a group found through discovery (protected route)
+ * Public groups are joined straight away ("joined"); request-to-join groups
+ * get a join request ("pending", 202) and their admins are sent
+ * group:join_requested. Private groups answer 404.
+ */
+app.post('/api/groups/:groupId/join', authenticateToken, rateLimit('invites'), async (req, res) => {
+  const groupId = parseInt(req.params.groupId, 10);
+
+  if (!Number.isInteger(groupId)) {
+    return res.status(400).json({ error: 'Invalid group ID' });
+  }
+
+  try {
+    const outcome = await groupInvites.joinDiscoverableGroup(groupId, req.user.id);
+
+    if (outcome.status === 'joined') {
+      realtime.emitToGroup(groupId, 'group:member_added', { group_id: groupId, user_id: req.user.id });
+      return res.json({ message: 'You joined the group', ...outcome });
+    }
+
+    realtime.emitToUsers(await groupInvites.getGroupAdminIds(groupId), 'group:join_requested', {
+      group_id: groupId,
+      request_id: outcome.request_id,
+      user_id: req.user.id,
+      username: req.user.username
+    });
+    res.status(202).json({ message: 'Your request to join was sent to the group admins', ...outcome });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error joining group:', error);
+    res.status(500).json({ error: 'Server error joining group' });
+  }
+});
+
+/**
+ * DELETE /api/groups/:groupId/join-request
+ * Withdraw the caller's pending request to join (protected route)
+ * The group's admins are sent group:join_request_withdrawn
+ */
+app.delete('/api/groups/:groupId/join-request', authenticateToken, async (req, res) => {
+  const groupId = parseInt(req.params.groupId, 10);
+
+  if (!Number.isInteger(groupId)) {
+    return res.status(400).json({ error: 'Invalid group ID' });
+  }
+
+  try {
+    const requestId = await groupInvites.cancelJoinRequest(groupId, req.user.id);
+
+    if (requestId === null) {
+      return res.status(404).json({ error: 'Join request not found' });
+    }
+
+    realtime.emitToUsers(await groupInvites.getGroupAdminIds(groupId), 'group:join_request_withdrawn', {
+      group_id: groupId,
+      request_id: requestId
+    });
+
+    res.json({ message: 'Join request withdrawn' });
+  } catch (error) {
+    console.error('Error withdrawing join request:', error);
+    res.status(500).json({ error: 'Server error withdrawing join request' });
+  }
+});
+
+/**
+ * GET /api/groups/:groupId/join-requests
+ * List requests to join waiting for approval (admins and owner)
+ */
+app.get('/api/groups/:groupId/join-requests', [
+  authenticateToken,
+  requireGroupRole('admin')
+], async (req, res) => {
+  try {
+    const requests = await groupInvites.listJoinRequests(Number(req.params.groupId));
+    res.json({ requests });
+  } catch (error) {
+    console.error('Error fetching join requests:', error);
+    res.status(500).json({ error: 'Server error fetching join requests' });
+  }
+});
+
+/**
+ * POST /api/groups/:groupId/join-requests/:requestId/approve
+ * Approve a join request, adding the user to the group (admins and owner)
+ */
+app.post('/api/groups/:groupId/join-requests/:requestId/approve', [
+  authenticateToken,
+  requireGroupRole('admin')
+], async (req, res) => {
+  const groupId = Number(req.params.groupId);
+  const requestId = parseInt(req.params.requestId, 10);
+
+  if (!Number.isInteger(requestId)) {
+    return res.status(400).json({ error: 'Invalid join request ID' });
+  }
+
+  try {
+    const userId = await groupInvites.approveJoinRequest(groupId, requestId);
+
+    // The new member is now part of the group, so they receive this event too
+    realtime.emitToGroup(groupId, 'group:member_added', { group_id: groupId, user_id: userId });
+
+    res.json({ message: 'Join request approved', user_id: userId });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error approving join request:', error);
+    res.status(500).json({ error: 'Server error approving join request' });
+  }
+});
+
+/**
+ * DELETE /api/groups/:groupId/join-requests/:requestId
+ * Reject a join request (admins and owner)
+ * The requester is sent group:join_rejected
+ */
+app.delete('/api/groups/:groupId/join-requests/:requestId', [
+  authenticateToken,
+  requireGroupRole('admin')
+], async (req, res) => {
+  const groupId = Number(req.params.groupId);
+  const requestId = parseInt(req.params.requestId, 10);
+
+  if (!Number.isInteger(requestId)) {
+    return res.status(400).json({ error: 'Invalid join request ID' });
+  }
+
+  try {
+    const rejected = await groupInvites.rejectJoinRequest(groupId, requestId);
+
+    if (!rejected) {
+      return res.status(404).json({ error: 'Join request not found' });
+    }
+
+    realtime.emitToUser(rejected.user_id, 'group:join_rejected', {
+      group_id: groupId,
+      group_name: rejected.group_name,
+      request_id: requestId
+    });
+    res.json({ message: 'Join request rejected' });
+  } catch (error) {
+    console.error('Error rejecting join request:', error);
+    res.status(500).json({ error: 'Server error rejecting join request' });
+  }
+});
+
+// ==================== TYPING INDICATORS ====================
+
+// is_typing defaults to true; clients send false when the draft is cleared or sent
+const typingValidators = [
+  body('is_typing').optional().isBoolean().toBoolean()
+];
+
+/**
+ * POST /api/messages/:userId/typing
+ * Tell a user the caller is typing to them (protected route)
+ * Nothing is stored. Clients should repeat this every few seconds while
+ * typing and drop the indicator when it stops arriving.
+ */
+app.post('/api/messages/:userId/typing', [
+  authenticateToken,
+  ...typingValidators
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const recipientId = parseInt(req.params.userId, 10);
+
+  if (!Number.isInteger(recipientId) || recipientId === req.user.id) {
+    return res.status(400).json({ error: 'Invalid user ID' });
+  }
+
+  try {
+    const recipient = await db.query('SELECT id FROM users WHERE id = $1', [recipientId]);
+    if (recipient.rows.length === 0) {
+      return res.status(404).json({ error: 'Recipient not found' });
+    }
+
+    // Blocked users are not told they were blocked; their signal is just dropped
+    const { blockedByMe, blockedMe } = await blocks.getBlockState(req.user.id, recipientId);
+    if (blockedByMe || blockedMe) {
+      return res.status(204).end();
+    }
+
+    realtime.emitToUser(recipientId, 'typing', {
+      user_id: req.user.id,
+      username: req.user.username,
+      recipient_id: recipientId,
+      is_typing: req.body.is_typing !== false
+    });
+
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error sending typing indicator:', error);
+    res.status(500).json({ error: 'Server error sending typing indicator' });
+  }
+});
+
+/**
+ * POST /api/groups/:groupId/typing
+ * Tell the other group members the caller is typing (members only)
+ */
+app.post('/api/groups/:groupId/typing', [
+  authenticateToken,
+  requireGroupRole('member'),
+  ...typingValidators
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const groupId = Number(req.params.groupId);
+
+  await realtime.emitToGroup(groupId, 'typing', {
+    user_id: req.user.id,
+    username: req.user.username,
+    group_id: groupId,
+    is_typing: req.body.is_typing !== false
+  }, { senderId: req.user.id });
+
+  res.status(204).end();
+});
+
+// ==================== REACTION ROUTES ====================
+
+const emojiValidator = body('emoji')
+  .custom(reactions.isEmoji)
+  .withMessage('Reaction must be a single emoji');
+
+/**
+ * Find a direct message the user sent or received
+ * @param {string} id - Message ID from the URL
+ * @param {number} userId - Current user
+ * @returns {Promise<Object|null>} - { id, sender_id, recipient_id } or null
+ */
+const findDirectMessage = async (id, userId) => {
+  const messageId = parseInt(id, 10);
+  if (!Number.isInteger(messageId)) return null;
+
+  const result = await db.query(
+    `SELECT id, sender_id, recipient_id FROM messages
+     WHERE id = $1 AND (sender_id = $2 OR recipient_id = $2)`,
+    [messageId, userId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Find a message in a group (membership is checked by requireGroupRole)
+ * @param {string} id - Message ID from the URL
+ * @param {string} groupId - Group ID from the URL
+ * @returns {Promise<Object|null>} - { id, group_id, sender_id } or null
+ */
+const findGroupMessage = async (id, groupId) => {
+  const messageId = parseInt(id, 10);
+  if (!Number.isInteger(messageId)) return null;
+
+  const result = await db.query(
+    'SELECT id, group_id, sender_id FROM group_messages WHERE id = $1 AND group_id = $2',
+    [messageId, groupId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Push a message's new reaction totals to everyone who can see it
+ * The reacted_by_me flag is left out since it differs per recipient;
+ * clients derive it from user_ids.
+ *
+ * @param {string} kind - "direct" or "group"
+ * @param {Object} message - Row from findDirectMessage or findGroupMessage
+ * @param {number} viewerId - User who made the change
+ * @returns {Promise<Array<Object>>} - The reactions as seen by viewerId
+ */
+const publishReactions = async (kind, message, viewerId) => {
+  const summary = await reactions.getReactions(kind, message.id, viewerId);
+  const shared = summary.map(({ reacted_by_me, ...reaction }) => reaction);
+
+  if (kind === 'group') {
+    realtime.emitToGroup(message.group_id, 'group_message:reactions', { ...message, reactions: shared }, { senderId: message.sender_id });
+  } else {
+    realtime.emitToUsers([message.sender_id, message.recipient_id], 'message:reactions', { ...message, reactions: shared });
+  }
+
+  return summary;
+};
+
+/**
+ * GET /api/messages/:id/reactions
+ * List reactions on a direct message with who reacted (protected route)
+ */
+app.get('/api/messages/:id/reactions', authenticateToken, async (req, res) => {
+  try {
+    const message = await findDirectMessage(req.params.id, req.user.id);
+
+    if (!message) {
+      return res.status(404).json({ error: 'Message not found or unauthorized' });
+    }
+
+    res.json({ reactions: await reactions.getReactions('direct', message.id, req.user.id) });
+  } catch (error) {
+    console.error('Error fetching reactions:', error);
+    res.status(500).json({ error: 'Server error fetching reactions' });
+  }
+});
+
+/**
+ * POST /api/messages/:id/reactions
+ * React to a direct message with an emoji (protected route)
+ * Body: { emoji }
+ */
+app.post('/api/messages/:id/reactions', [
+  authenticateToken,
+  emojiValidator
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const message = await findDirectMessage(req.params.id, req.user.id);
+
+    if (!message) {
+      return res.status(404).json({ error: 'Message not found or unauthorized' });
+    }
+
+    const added = await reactions.addReaction('direct', message.id, req.user.id, req.body.emoji);
+    const summary = added
+      ? await publishReactions('direct', message, req.user.id)
+      : await reactions.getReactions('direct', message.id, req.user.id);
+
+    res.status(added ? 201 : 200).json({
+      message: added ? 'Reaction added' : 'Reaction already added',
+      reactions: summary
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error adding reaction:', error);
+    res.status(500).json({ error: 'Server error adding reaction' });
+  }
+});
+
+/**
+ * DELETE /api/messages/:id/reactions/:emoji
+ * Remove your reaction from a direct message (protected route)
+ * The emoji must be URL-encoded
+ */
+app.delete('/api/messages/:id/reactions/:emoji', authenticateToken, async (req, res) => {
+  try {
+    const message = await findDirectMessage(req.params.id, req.user.id);
+
+    if (!message) {
+      return res.status(404).json({ error: 'Message not found or unauthorized' });
+    }
+
+    const removed = await reactions.removeReaction('direct', message.id, req.user.id, req.params.emoji);
+
+    if (!removed) {
+      return res.status(404).json({ error: 'Reaction not found' });
+    }
+
+    res.json({
+      message: 'Reaction removed',
+      reactions: await publishReactions('direct', message, req.user.id)
+    });
   } catch (error) {
-    console.error('Error adding member:', error);
-    res.status(500).json({ error: 'Server error adding member' });
+    console.error('Error removing reaction:', error);
+    res.status(500).json({ error: 'Server error removing reaction' });
   }
 });
 
 /**
- * GET /api/groups/:groupId/messages
- * Get all messages in a group (protected route)
+ * GET /api/groups/:groupId/messages/:messageId/reactions
+ * List reactions on a group message with who reacted (members only)
  */
-app.get('/api/groups/:groupId/messages', authenticateToken, async (req, res) => {
-  const { groupId } = req.params;
-
+app.get('/api/groups/:groupId/messages/:messageId/reactions', [
+  authenticateToken,
+  requireGroupRole('member')
+], async (req, res) => {
   try {
-    // Check if user is a member
-    const memberCheck = await db.query(
-      'SELECT * FROM group_members WHERE group_id = $1 AND user_id = $2',
-      [groupId, req.user.id]
-    );
+    const message = await findGroupMessage(req.params.messageId, req.params.groupId);
 
-    if (memberCheck.rows.length === 0) {
-      return res.status(403).json({ error: 'You are not a member of this group' });
+    if (!message) {
+      return res.status(404).json({ error: 'Message not found' });
     }
 
-    // Get messages
-    const result = await db.query(
-      `SELECT gm.*, u.username as sender_username
-       FROM group_messages gm
-       JOIN users u ON gm.sender_id = u.id
-       WHERE gm.group_id = $1
-       ORDER BY gm.created_at ASC`,
-      [groupId]
-    );
-
-    res.json({ messages: result.rows });
+    res.json({ reactions: await reactions.getReactions('group', message.id, req.user.id) });
   } catch (error) {
-    console.error('Error fetching group messages:', error);
-    res.status(500).json({ error: 'Server error fetching messages' });
+    console.error('Error fetching group reactions:', error);
+    res.status(500).json({ error: 'Server error fetching reactions' });
   }
 });
 
 /**
- * POST /api/groups/:groupId/messages
- * Send message to group (protected route)
+ * POST /api/groups/:groupId/messages/:messageId/reactions
+ * React to a group message with an emoji (members only)
+ * Body: { emoji }
  */
-app.post('/api/groups/:groupId/messages', [
+app.post('/api/groups/:groupId/messages/:messageId/reactions', [
   authenticateToken,
-  body('content').notEmpty().trim()
+  requireGroupRole('member'),
+  emojiValidator
 ], async (req, res) => {
-  const { groupId } = req.params;
-  const { content } = req.body;
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
 
   try {
-    // Check if user is a member
-    const memberCheck = await db.query(
-      'SELECT * FROM group_members WHERE group_id = $1 AND user_id = $2',
-      [groupId, req.user.id]
-    );
+    const message = await findGroupMessage(req.params.messageId, req.params.groupId);
 
-    if (memberCheck.rows.length === 0) {
-      return res.status(403).json({ error: 'You are not a member of this group' });
+    if (!message) {
+      return res.status(404).json({ error: 'Message not found' });
     }
 
-    // Insert message
-    const result = await db.query(
-      'INSERT INTO group_messages (group_id, sender_id, content) VALUES ($1, $2, $3) RETURNING *',
-      [groupId, req.user.id, content]
-    );
+    const added = await reactions.addReaction('group', message.id, req.user.id, req.body.emoji);
+    const summary = added
+      ? await publishReactions('group', message, req.user.id)
+      : await reactions.getReactions('group', message.id, req.user.id);
 
-    res.status(201).json({
-      message: 'Message sent successfully',
-      data: result.rows[0]
+    res.status(added ? 201 : 200).json({
+      message: added ? 'Reaction added' : 'Reaction already added',
+      reactions: summary
     });
   } catch (error) {
-    console.error('Error sending group message:', error);
-    res.status(500).json({ error: 'Server error sending message' });
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error adding group reaction:', error);
+    res.status(500).json({ error: 'Server error adding reaction' });
   }
 });
 
 /**
- * GET /api/groups/:groupId/members
- * Get all members of a group (protected route)
+ * DELETE /api/groups/:groupId/messages/:messageId/reactions/:emoji
+ * Remove your reaction from a group message (members only)
+ * The emoji must be URL-encoded
  */
-app.get('/api/groups/:groupId/members', authenticateToken, async (req, res) => {
-  const { groupId } = req.params;
-
+app.delete('/api/groups/:groupId/messages/:messageId/reactions/:emoji', [
+  authenticateToken,
+  requireGroupRole('member')
+], async (req, res) => {
   try {
-    const result = await db.query(
-      `SELECT u.id, u.username, u.email, gm.joined_at
-       FROM group_members gm
-       JOIN users u ON gm.user_id = u.id
-       WHERE gm.group_id = $1
-       ORDER BY gm.joined_at ASC`,
-      [groupId]
-    );
+    const message = await findGroupMessage(req.params.messageId, req.params.groupId);
+
+    if (!message) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
 
-    res.json({ members: result.rows });
+    const removed = await reactions.removeReaction('group', message.id, req.user.id, req.params.emoji);
+
+    if (!removed) {
+      return res.status(404).json({ error: 'Reaction not found' });
+    }
+
+    res.json({
+      message: 'Reaction removed',
+      reactions: await publishReactions('group', message, req.user.id)
+    });
   } catch (error) {
-    console.error('Error fetching group members:', error);
-    res.status(500).json({ error: 'Server error fetching members' });
+    console.error('Error removing group reaction:', error);
+    res.status(500).json({ error: 'Server error removing reaction' });
   }
 });
 
 // ==================== AI CHATBOT ROUTES ====================
 
+// Turns returned by GET /api/ai/history
+const AI_HISTORY_LIMIT = 50;
+
+/**
+ * Load (or start) the AI session for a question and build its context
+ * @param {number} userId - Asking user
+ * @param {string} message - The question
+ * @param {number} [sessionId] - Session to continue; a new one is started without it
+ * @returns {Promise<Object>} - { session, context }
+ * @throws {Error} - With status 404 if the session is not the user's
+ */
+const prepareAiChat = async (userId, message, sessionId) => {
+  const session = sessionId
+    ? await aiSessions.getSession(userId, sessionId)
+    : await aiSessions.createSession(userId);
+
+  const context = await aiSessions.buildContext(session, message);
+
+  return { session, context };
+};
+
 /**
  * POST /api/ai/chat
  * Send message to AI chatbot (protected route)
+ * Continues the AI session given by session_id, with its earlier turns as
+ * context; without one a new session is started. Rate limited per user,
+ * since every call is billed by the AI provider.
  */
 app.post('/api/ai/chat', [
   authenticateToken,
-  body('message').notEmpty().trim()
+  rateLimit('ai'),
+  body('message').notEmpty().trim(),
+  body('session_id').optional().isInt({ min: 1 }).toInt()
 ], async (req, res) => {
-  const { message } = req.body;
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { message, session_id: sessionId } = req.body;
 
   try {
-    // Call OpenAI API
-    const completion = await openai.chat.completions.create({
-      model: "gpt-3.5-turbo",
-      messages: [
-        {
-          role: "system",
-          content: "You are a helpful assistant in a messaging app. Be concise and friendly."
-        },
-        {
-          role: "user",
-          content: message
-        }
-      ],
-      max_tokens: 500,
-      temperature: 0.7
-    });
+    const { session, context } = await prepareAiChat(req.user.id, message, sessionId);
 
-    const aiResponse = completion.choices[0].message.content;
+    const aiResponse = await ai.complete(context);
 
     // Save to database
-    await db.query(
-      'INSERT INTO ai_chat_history (user_id, message, response) VALUES ($1, $2, $3)',
-      [req.user.id, message, aiResponse]
-    );
+    const turn = await aiSessions.recordTurn(session, message, aiResponse);
 
     res.json({
       message: aiResponse,
-      timestamp: new Date().toISOString()
+      session_id: session.id,
+      timestamp: turn.created_at
     });
   } catch (error) {
+    // Unknown sessions and provider failures (see services/aiProvider) carry a status
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error('Error with AI chat:', error);
+    res.status(500).json({ error: 'Server error processing AI request' });
+  }
+});
+
+/**
+ * POST /api/ai/chat/stream
+ * Streaming version of POST /api/ai/chat (protected route)
+ * Answers with Server-Sent Events:
+ *   session  { session_id }                      Once, before any tokens
+ *   token    { content }                         Each piece of the reply
+ *   done     { session_id, message, timestamp }  The complete reply, once stored
+ *   error    { error, code }                     The model failed mid-reply
+ * Closing the connection cancels the request to the model. Whatever was
+ * received so far is still stored as the reply.
+ */
+app.post('/api/ai/chat/stream', [
+  authenticateToken,
+  rateLimit('ai'),
+  body('message').notEmpty().trim(),
+  body('session_id').optional().isInt({ min: 1 }).toInt()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { message, session_id: sessionId } = req.body;
+
+  // Context is built before the stream opens, so these failures still get a JSON error
+  let prepared;
+  try {
+    prepared = await prepareAiChat(req.user.id, message, sessionId);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
     console.error('Error with AI chat:', error);
-    
-    // Check if it's an OpenAI API error
-    if (error.status === 401) {
-      return res.status(500).json({ 
-        error: 'AI service not configured. Please add your OpenAI API key to .env file' 
+    return res.status(500).json({ error: 'Server error processing AI request' });
+  }
+
+  const { session, context } = prepared;
+  const controller = new AbortController();
+  let reply = '';
+  let failed = false;
+
+  const sendEvent = (event, data) => {
+    if (!res.writableEnded && !res.destroyed) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Stop proxies such as nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // The client closing the connection (e.g. a Stop button) cancels the model request
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  sendEvent('session', { session_id: session.id });
+
+  try {
+    for await (const content of ai.stream(context, { signal: controller.signal })) {
+      reply += content;
+      sendEvent('token', { content });
+    }
+  } catch (error) {
+    if (!controller.signal.aborted) {
+      failed = true;
+      if (!error.status) console.error('Error streaming AI chat:', error);
+      sendEvent('error', {
+        error: error.status ? error.message : 'Server error processing AI request',
+        code: error.code
       });
     }
-    
-    res.status(500).json({ error: 'Server error processing AI request' });
+  }
+
+  // Store the reply whether it finished or was cut short
+  try {
+    if (reply) {
+      const turn = await aiSessions.recordTurn(session, message, reply);
+      if (!failed) {
+        sendEvent('done', { session_id: session.id, message: reply, timestamp: turn.created_at });
+      }
+    }
+  } catch (error) {
+    console.error('Error saving AI reply:', error);
+    sendEvent('error', { error: 'Server error saving AI reply' });
+  }
+
+  res.end();
+});
+
+/**
+ * GET /api/ai/sessions
+ * List the current user's AI sessions, most recently used first (protected route)
+ */
+app.get('/api/ai/sessions', authenticateToken, async (req, res) => {
+  try {
+    res.json({ sessions: await aiSessions.listSessions(req.user.id) });
+  } catch (error) {
+    console.error('Error fetching AI sessions:', error);
+    res.status(500).json({ error: 'Server error fetching AI sessions' });
+  }
+});
+
+/**
+ * POST /api/ai/sessions
+ * Start an empty AI session (protected route)
+ * Without a title it is named after its first message
+ */
+app.post('/api/ai/sessions', [
+  authenticateToken,
+  body('title').optional().isString().trim().isLength({ min: 1, max: aiSessions.MAX_TITLE_LENGTH })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { id, title, created_at, updated_at } = await aiSessions.createSession(req.user.id, req.body.title);
+    res.status(201).json({ session: { id, title, created_at, updated_at } });
+  } catch (error) {
+    console.error('Error creating AI session:', error);
+    res.status(500).json({ error: 'Server error creating AI session' });
+  }
+});
+
+/**
+ * PATCH /api/ai/sessions/:id
+ * Rename an AI session (protected route)
+ */
+app.patch('/api/ai/sessions/:id', [
+  authenticateToken,
+  body('title').isString().trim().isLength({ min: 1, max: aiSessions.MAX_TITLE_LENGTH })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const sessionId = parseInt(req.params.id, 10);
+  if (!Number.isInteger(sessionId)) {
+    return res.status(400).json({ error: 'Invalid AI session ID' });
+  }
+
+  try {
+    const session = await aiSessions.renameSession(req.user.id, sessionId, req.body.title);
+    res.json({ session });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error renaming AI session:', error);
+    res.status(500).json({ error: 'Server error renaming AI session' });
+  }
+});
+
+/**
+ * DELETE /api/ai/sessions/:id
+ * Delete an AI session and its history (protected route)
+ */
+app.delete('/api/ai/sessions/:id', authenticateToken, async (req, res) => {
+  const sessionId = parseInt(req.params.id, 10);
+  if (!Number.isInteger(sessionId)) {
+    return res.status(400).json({ error: 'Invalid AI session ID' });
+  }
+
+  try {
+    if (!await aiSessions.deleteSession(req.user.id, sessionId)) {
+      return res.status(404).json({ error: 'AI session not found' });
+    }
+    res.json({ message: 'AI session deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting AI session:', error);
+    res.status(500).json({ error: 'Server error deleting AI session' });
   }
 });
 
 /**
  * GET /api/ai/history
- * Get AI chat history for current user (protected route)
+ * Get the latest turns of an AI session, oldest first (protected route)
+ * Query: session_id (defaults to the most recently used session)
  */
-app.get('/api/ai/history', authenticateToken, async (req, res) => {
+app.get('/api/ai/history', [
+  authenticateToken,
+  query('session_id').optional().isInt({ min: 1 }).toInt()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
   try {
-    const result = await db.query(
-      'SELECT * FROM ai_chat_history WHERE user_id = $1 ORDER BY created_at DESC LIMIT 50',
-      [req.user.id]
-    );
+    const session = req.query.session_id
+      ? await aiSessions.getSession(req.user.id, req.query.session_id)
+      : await aiSessions.getLatestSession(req.user.id);
+    if (!session) {
+      return res.json({ session_id: null, history: [] });
+    }
 
-    res.json({ history: result.rows });
+    const history = await aiSessions.getHistory(session.id, AI_HISTORY_LIMIT);
+    res.json({ session_id: session.id, history });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Error fetching AI history:', error);
     res.status(500).json({ error: 'Server error fetching history' });
   }
@@ -647,21 +3775,128 @@ app.get('/api/ai/history', authenticateToken, async (req, res) => {
 /**
  * DELETE /api/ai/history
  * Clear AI chat history (protected route)
+ * Query: session_id clears one session's turns; without it every session is deleted
  */
-app.delete('/api/ai/history', authenticateToken, async (req, res) => {
+app.delete('/api/ai/history', [
+  authenticateToken,
+  query('session_id').optional().isInt({ min: 1 }).toInt()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
   try {
-    await db.query(
-      'DELETE FROM ai_chat_history WHERE user_id = $1',
-      [req.user.id]
-    );
+    if (req.query.session_id) {
+      const session = await aiSessions.getSession(req.user.id, req.query.session_id);
+      await aiSessions.clearHistory(session.id);
+    } else {
+      await db.query(
+        'DELETE FROM ai_sessions WHERE user_id = $1',
+        [req.user.id]
+      );
+    }
 
     res.json({ message: 'Chat history cleared successfully' });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Error clearing AI history:', error);
     res.status(500).json({ error: 'Server error clearing history' });
   }
 });
 
+// ==================== CATCH-UP SUMMARIES ====================
+
+// Optional date range shared by both summary routes
+const summaryRangeValidators = [
+  body('from').optional().isISO8601(),
+  body('to').optional().isISO8601(),
+  body('to').custom((to, { req }) => {
+    if (to && req.body.from && new Date(to) < new Date(req.body.from)) {
+      throw new Error('to must not be before from');
+    }
+    return true;
+  })
+];
+
+/**
+ * POST /api/messages/:userId/summary
+ * Summarize the DM conversation with a user (protected route)
+ * Body: from, to (optional ISO 8601 range on created_at). Without either,
+ * the messages past the caller's read cursor are summarized.
+ * Returns { summary, citations, message_count, truncated, from, to }:
+ *   citations - [{ id, sender_id, sender_username, excerpt, created_at }] for
+ *               each message the summary cites as [id]
+ *   summary   - null when there are no messages to summarize
+ *   truncated - older messages in the range were left out
+ * Rate limited with the AI chat, since every call is billed by the AI provider.
+ */
+app.post('/api/messages/:userId/summary', [
+  authenticateToken,
+  rateLimit('ai'),
+  ...summaryRangeValidators
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const otherUserId = parseInt(req.params.userId, 10);
+  if (!Number.isInteger(otherUserId)) {
+    return res.status(400).json({ error: 'Invalid user ID' });
+  }
+
+  const { from, to } = req.body;
+
+  try {
+    const summary = await catchUp.summarizeConversation('direct', { userId: req.user.id, otherUserId }, { from, to });
+    res.json(summary);
+  } catch (error) {
+    // Provider failures (see services/aiProvider) carry a status
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error('Error summarizing conversation:', error);
+    res.status(500).json({ error: 'Server error summarizing conversation' });
+  }
+});
+
+/**
+ * POST /api/groups/:groupId/summary
+ * Summarize a group conversation (members only)
+ * Same body and response as POST /api/messages/:userId/summary; without a
+ * range, the messages past the caller's read cursor since they joined are
+ * summarized. Messages from users the caller blocked are left out.
+ */
+app.post('/api/groups/:groupId/summary', [
+  authenticateToken,
+  requireGroupRole('member'),
+  rateLimit('ai'),
+  ...summaryRangeValidators
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const groupId = Number(req.params.groupId);
+  const { from, to } = req.body;
+
+  try {
+    const summary = await catchUp.summarizeConversation('group', { userId: req.user.id, groupId }, { from, to });
+    res.json(summary);
+  } catch (error) {
+    // Provider failures (see services/aiProvider) carry a status
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error('Error summarizing conversation:', error);
+    res.status(500).json({ error: 'Server error summarizing conversation' });
+  }
+});
+
 // ==================== HEALTH CHECK ====================
 
 /**
@@ -676,43 +3911,37 @@ app.get('/api/health', (req, res) => {
   });
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(` Server running on port ${PORT}`);
-  console.log(` API available at http://localhost:${PORT}/api`);
-});
-
-/** 
- * POST /api/groups/:groupId/members
- * Add member to group (protected route)
+/**
+ * Start server
+ * Refuses to start while database migrations are pending, since routes
+ * would otherwise fail at runtime against an outdated schema
  */
-app.post('/api/groups/:groupId/members', [
-  authenticateToken,
-  body('user_id').isInt()
-], async (req, res) => {
-  const { groupId } = req.params;
-  const { user_id } = req.body;
-
+const startServer = async () => {
   try {
-    // 1. Check if the requester is already a member of this group
-    const memberCheck = await db.query(
-      'SELECT * FROM group_members WHERE group_id = $1 AND user_id = $2',
-      [groupId, req.user.id]
-    );
-
-    if (memberCheck.rows.length === 0) {
-      return res.status(403).json({ error: 'You must be a member to add others' });
+    const pending = await migrator.getPendingMigrations();
+    if (pending.length > 0) {
+      console.error(`❌ ${pending.length} pending database migration(s):`);
+      pending.forEach((migration) => console.error(`   ${migration.version}_${migration.name}`));
+      console.error('   Run "npm run migrate" in the server directory, then start the server again.');
+      process.exit(1);
     }
-
-    // 2. Add the new member (ON CONFLICT prevents duplicate memberships)
-    await db.query(
-      'INSERT INTO group_members (group_id, user_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
-      [groupId, user_id]
-    );
-
-    res.json({ message: 'Member added successfully' });
   } catch (error) {
-    console.error('Error adding member:', error);
-    res.status(500).json({ error: 'Server error adding member' });
+    console.error('❌ Could not check database migrations:', error.message);
+    process.exit(1);
   }
-});
\ No newline at end of file
+
+  const server = app.listen(PORT, () => {
+    console.log(` Server running on port ${PORT}`);
+    console.log(` API available at http://localhost:${PORT}/api`);
+    console.log(` WebSocket available at ws://localhost:${PORT}${realtime.WS_PATH}`);
+  });
+
+  // Real-time events share the HTTP server
+  realtime.initRealtime(server);
+  presence.trackConnections();
+
+  // Clean up unsent uploads and files of deleted messages
+  attachments.schedulePurge();
+};
+
+startServer();
\ No newline at end of file
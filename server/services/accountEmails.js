@@ -0,0 +1,62 @@
+const emailTokens = require('./emailTokens');
+const mailer = require('./mailer');
+require('dotenv').config();
+
+// Where the web client is served; emailed links point here
+const APP_URL = (process.env.APP_URL || 'http://localhost:3000').replace(/\/+$/, '');
+
+const describeTtl = (minutes) => (minutes % 60 === 0
+  ? `${minutes / 60} hour${minutes === 60 ? '' : 's'}`
+  : `${minutes} minutes`);
+
+/**
+ * Email a user a link to verify their address
+ * @param {Object} user - { id, username, email }
+ */
+const sendVerificationEmail = async (user) => {
+  const { token } = await emailTokens.issueToken(user.id, 'verify_email');
+
+  await mailer.send({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      'Confirm this is your email address by opening the link below:',
+      '',
+      `${APP_URL}/?verify_token=${encodeURIComponent(token)}`,
+      '',
+      `The link expires in ${describeTtl(emailTokens.TOKEN_TTL_MINUTES.verify_email)}.`,
+      'If you did not create an account, you can ignore this email.'
+    ].join('\n')
+  });
+};
+
+/**
+ * Email a user a link to choose a new password
+ * @param {Object} user - { id, username, email }
+ */
+const sendPasswordResetEmail = async (user) => {
+  const { token } = await emailTokens.issueToken(user.id, 'reset_password');
+
+  await mailer.send({
+    to: user.email,
+    subject: 'Reset your password',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      'Someone asked to reset the password for your account. To choose a new',
+      'password, open the link below:',
+      '',
+      `${APP_URL}/?reset_token=${encodeURIComponent(token)}`,
+      '',
+      `The link expires in ${describeTtl(emailTokens.TOKEN_TTL_MINUTES.reset_password)} and can only be used once.`,
+      'If you did not ask for this, you can ignore this email; your password has not changed.'
+    ].join('\n')
+  });
+};
+
+module.exports = {
+  sendVerificationEmail,
+  sendPasswordResetEmail
+};
@@ -0,0 +1,110 @@
+require('dotenv').config();
+
+/**
+ * AI providers for the chatbot
+ * Every provider exposes the same interface:
+ *   complete({ messages, model, maxTokens, temperature })          Resolve to the reply text
+ *   stream({ messages, model, maxTokens, temperature, signal })    Async iterable of reply text pieces
+ * messages are [{ role: 'system' | 'user' | 'assistant', content }].
+ * Providers throw errors carrying the upstream HTTP status (if any); they are
+ * mapped to API errors here.
+ *
+ * To add a provider, create a module with that interface, register it below
+ * and set AI_PROVIDER to its name.
+ */
+const providers = {
+  openai: () => require('./openai'),
+  'openai-compatible': () => require('./openaiCompatible'),
+  mock: () => require('./mock')
+};
+
+const providerName = process.env.AI_PROVIDER || 'openai';
+
+if (!providers[providerName]) {
+  throw new Error(`Unknown AI_PROVIDER "${providerName}". Use one of: ${Object.keys(providers).join(', ')}`);
+}
+
+const provider = providers[providerName]();
+
+const envNumber = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+};
+
+// Settings shared by every provider
+const MODEL = process.env.AI_MODEL || provider.DEFAULT_MODEL;
+const TEMPERATURE = envNumber('AI_TEMPERATURE', 0.7);
+const MAX_TOKENS = envNumber('AI_MAX_TOKENS', 500);
+const SYSTEM_PROMPT = process.env.AI_SYSTEM_PROMPT
+  || 'You are a helpful assistant in a messaging app. Be concise and friendly.';
+
+const aiError = (status, code, message) => Object.assign(new Error(message), { status, code });
+
+/**
+ * Turn a provider failure into an API error with a status, code and message
+ * safe to show users. Aborted requests are passed through unchanged.
+ *
+ * @param {Error} error - Error thrown by a provider
+ * @returns {Error} - With status and code
+ */
+const toApiError = (error) => {
+  if (error.name === 'AbortError' || error.name === 'APIUserAbortError' || error.code === 'AI_NOT_CONFIGURED') {
+    return error;
+  }
+
+  console.error(`AI provider "${providerName}" error:`, error);
+
+  if (error.status === 401 || error.status === 403) {
+    return aiError(503, 'AI_NOT_CONFIGURED', 'The AI service is not configured correctly. Check the API key.');
+  }
+  if (error.status === 429) {
+    return aiError(503, 'AI_BUSY', 'The AI service is busy. Try again in a moment.');
+  }
+  if (error.status === 400 || error.status === 404 || error.status === 413) {
+    return aiError(502, 'AI_REQUEST_REJECTED', 'The AI service could not handle this request.');
+  }
+  if (!error.status) {
+    return aiError(502, 'AI_UNAVAILABLE', 'The AI service could not be reached.');
+  }
+  return aiError(502, 'AI_ERROR', 'The AI service returned an error. Try again later.');
+};
+
+/**
+ * Get a reply from the configured provider
+ * @param {Array<Object>} messages - [{ role, content }]
+ * @param {Object} [options] - { maxTokens }; defaults to AI_MAX_TOKENS
+ * @returns {Promise<string>} - The reply text
+ * @throws {Error} - With status and code (see toApiError)
+ */
+const complete = async (messages, { maxTokens = MAX_TOKENS } = {}) => {
+  try {
+    return await provider.complete({ messages, model: MODEL, maxTokens, temperature: TEMPERATURE });
+  } catch (error) {
+    throw toApiError(error);
+  }
+};
+
+/**
+ * Stream a reply from the configured provider
+ * @param {Array<Object>} messages - [{ role, content }]
+ * @param {Object} [options] - { maxTokens, signal }
+ * @returns {AsyncGenerator<string>} - Pieces of the reply text as they arrive
+ * @throws {Error} - With status and code (see toApiError)
+ */
+async function* stream(messages, { maxTokens = MAX_TOKENS, signal } = {}) {
+  try {
+    yield* provider.stream({ messages, model: MODEL, maxTokens, temperature: TEMPERATURE, signal });
+  } catch (error) {
+    throw toApiError(error);
+  }
+}
+
+module.exports = {
+  PROVIDER: providerName,
+  MODEL,
+  MAX_TOKENS,
+  SYSTEM_PROMPT,
+  toApiError,
+  complete,
+  stream
+};
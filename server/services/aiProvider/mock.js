@@ -0,0 +1,37 @@
+/**
+ * Mock provider for offline development and tests
+ * Replies are deterministic: they echo the latest user message and say how
+ * many messages of context came with it. Nothing leaves the machine.
+ */
+const DEFAULT_MODEL = 'mock';
+
+const buildReply = (messages, maxTokens) => {
+  const lastUser = [...messages].reverse().find((message) => message.role === 'user');
+  const question = lastUser ? lastUser.content.trim().replace(/\s+/g, ' ') : '';
+  const excerpt = question.length > 200 ? `${question.slice(0, 197)}...` : question;
+  const contextCount = messages.length - 1;
+  const reply = `Mock reply to "${excerpt}" (${contextCount} message${contextCount === 1 ? '' : 's'} of context).`;
+
+  // Respect the token limit roughly, like a real model would (about 4 characters per token)
+  return reply.slice(0, maxTokens * 4);
+};
+
+const complete = async ({ messages, maxTokens }) => buildReply(messages, maxTokens);
+
+async function* stream({ messages, maxTokens, signal }) {
+  const words = buildReply(messages, maxTokens).split(/(?<= )/);
+  for (const word of words) {
+    // Yield between words so a cancelled stream stops promptly
+    await new Promise((resolve) => setImmediate(resolve));
+    if (signal && signal.aborted) {
+      throw Object.assign(new Error('Request was aborted'), { name: 'AbortError' });
+    }
+    yield word;
+  }
+}
+
+module.exports = {
+  DEFAULT_MODEL,
+  complete,
+  stream
+};
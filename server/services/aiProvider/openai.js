@@ -0,0 +1,64 @@
+const OpenAI = require('openai');
+require('dotenv').config();
+
+const DEFAULT_MODEL = 'gpt-3.5-turbo';
+
+const notConfigured = (message) => Object.assign(new Error(message), { status: 503, code: 'AI_NOT_CONFIGURED' });
+
+/**
+ * Build a provider around an OpenAI client
+ * Shared with providers for OpenAI-compatible servers
+ *
+ * @param {Function} createClient - Returns an OpenAI client, or throws if the
+ *   provider is not configured; called on first use
+ * @returns {Object} - { complete, stream }
+ */
+const createProvider = (createClient) => {
+  let client = null;
+  const getClient = () => {
+    if (!client) client = createClient();
+    return client;
+  };
+
+  const complete = async ({ messages, model, maxTokens, temperature }) => {
+    const completion = await getClient().chat.completions.create({
+      model,
+      messages,
+      max_tokens: maxTokens,
+      temperature
+    });
+    return completion.choices[0].message.content || '';
+  };
+
+  async function* stream({ messages, model, maxTokens, temperature, signal }) {
+    const chunks = await getClient().chat.completions.create({
+      model,
+      messages,
+      max_tokens: maxTokens,
+      temperature,
+      stream: true
+    }, { signal });
+
+    for await (const chunk of chunks) {
+      const content = chunk.choices[0]?.delta?.content;
+      if (content) yield content;
+    }
+  }
+
+  return { complete, stream };
+};
+
+/**
+ * OpenAI provider
+ * Needs OPENAI_API_KEY
+ */
+module.exports = {
+  DEFAULT_MODEL,
+  createProvider,
+  ...createProvider(() => {
+    if (!process.env.OPENAI_API_KEY) {
+      throw notConfigured('AI service not configured. Add OPENAI_API_KEY to the server .env file, or set AI_PROVIDER=mock.');
+    }
+    return new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  })
+};
@@ -0,0 +1,25 @@
+const OpenAI = require('openai');
+const { createProvider } = require('./openai');
+require('dotenv').config();
+
+/**
+ * Provider for servers that speak the OpenAI chat completions API, such as
+ * Ollama (http://localhost:11434/v1), LM Studio, vLLM or llama.cpp
+ * Needs AI_BASE_URL and AI_MODEL; AI_API_KEY only if the server checks one
+ */
+module.exports = {
+  DEFAULT_MODEL: undefined,
+  ...createProvider(() => {
+    if (!process.env.AI_BASE_URL || !process.env.AI_MODEL) {
+      throw Object.assign(
+        new Error('AI service not configured. Set AI_BASE_URL and AI_MODEL for the openai-compatible provider.'),
+        { status: 503, code: 'AI_NOT_CONFIGURED' }
+      );
+    }
+    return new OpenAI({
+      baseURL: process.env.AI_BASE_URL,
+      // The SDK requires a key even when the server ignores it
+      apiKey: process.env.AI_API_KEY || 'not-needed'
+    });
+  })
+};
@@ -0,0 +1,277 @@
+const db = require('../config/db');
+const ai = require('./aiProvider');
+require('dotenv').config();
+
+// Rough token budget for earlier turns sent with each question. Turns that
+// do not fit are summarized, or dropped if summarizing fails.
+const CONTEXT_TOKENS = parseInt(process.env.AI_CONTEXT_TOKENS, 10) || 3000;
+
+// Turns loaded when building context; anything older is already in the summary
+const MAX_CONTEXT_TURNS = 100;
+
+// Longest running summary of older turns
+const SUMMARY_MAX_TOKENS = parseInt(process.env.AI_SUMMARY_MAX_TOKENS, 10) || 300;
+
+const DEFAULT_TITLE = 'New chat';
+const MAX_TITLE_LENGTH = 100;
+
+// Columns returned to clients
+const SESSION_COLUMNS = 'id, title, created_at, updated_at';
+
+const SUMMARY_PROMPT = 'Summarize the conversation so far for your own later reference. '
+  + 'Keep names, facts, decisions and open questions; leave out pleasantries. '
+  + 'Reply with the summary only, in at most 150 words.';
+
+const sessionError = (status, message) => Object.assign(new Error(message), { status });
+
+/**
+ * Rough token count (about four characters per token for English text)
+ * @param {string} text - Text to measure
+ * @returns {number}
+ */
+const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+/**
+ * Title for a session started by a message: its first line, shortened
+ * @param {string} message - First message of the session
+ * @returns {string}
+ */
+const titleFromMessage = (message) => {
+  const line = message.trim().split('\n')[0];
+  return line.length > 60 ? `${line.slice(0, 57).trimEnd()}...` : line || DEFAULT_TITLE;
+};
+
+/**
+ * The user's AI sessions, most recently used first
+ * @param {number} userId - User ID
+ * @returns {Promise<Array<Object>>} - [{ id, title, created_at, updated_at }]
+ */
+const listSessions = async (userId) => {
+  const result = await db.query(
+    `SELECT ${SESSION_COLUMNS} FROM ai_sessions WHERE user_id = $1 ORDER BY updated_at DESC, id DESC`,
+    [userId]
+  );
+  return result.rows;
+};
+
+/**
+ * Find one of the user's sessions
+ * @param {number} userId - User ID
+ * @param {number} sessionId - Session ID
+ * @returns {Promise<Object>} - Full session row
+ * @throws {Error} - With status 404 if it is not the user's session
+ */
+const getSession = async (userId, sessionId) => {
+  const result = await db.query(
+    'SELECT * FROM ai_sessions WHERE id = $1 AND user_id = $2',
+    [sessionId, userId]
+  );
+  if (result.rows.length === 0) {
+    throw sessionError(404, 'AI session not found');
+  }
+  return result.rows[0];
+};
+
+/**
+ * The user's most recently used session
+ * @param {number} userId - User ID
+ * @returns {Promise<Object|null>} - Full session row, or null if they have none
+ */
+const getLatestSession = async (userId) => {
+  const result = await db.query(
+    'SELECT * FROM ai_sessions WHERE user_id = $1 ORDER BY updated_at DESC, id DESC LIMIT 1',
+    [userId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Start a session
+ * @param {number} userId - User ID
+ * @param {string} [title] - Title; defaults to DEFAULT_TITLE and is replaced by
+ *   the first message's opening line
+ * @returns {Promise<Object>} - Full session row
+ */
+const createSession = async (userId, title) => {
+  const result = await db.query(
+    'INSERT INTO ai_sessions (user_id, title) VALUES ($1, $2) RETURNING *',
+    [userId, (title || DEFAULT_TITLE).slice(0, MAX_TITLE_LENGTH)]
+  );
+  return result.rows[0];
+};
+
+/**
+ * Rename a session
+ * @param {number} userId - User ID
+ * @param {number} sessionId - Session ID
+ * @param {string} title - New title
+ * @returns {Promise<Object>} - { id, title, created_at, updated_at }
+ * @throws {Error} - With status 404 if it is not the user's session
+ */
+const renameSession = async (userId, sessionId, title) => {
+  const result = await db.query(
+    `UPDATE ai_sessions SET title = $3 WHERE id = $1 AND user_id = $2 RETURNING ${SESSION_COLUMNS}`,
+    [sessionId, userId, title.slice(0, MAX_TITLE_LENGTH)]
+  );
+  if (result.rows.length === 0) {
+    throw sessionError(404, 'AI session not found');
+  }
+  return result.rows[0];
+};
+
+/**
+ * Delete a session and its turns
+ * @param {number} userId - User ID
+ * @param {number} sessionId - Session ID
+ * @returns {Promise<boolean>} - Whether a session was deleted
+ */
+const deleteSession = async (userId, sessionId) => {
+  const result = await db.query(
+    'DELETE FROM ai_sessions WHERE id = $1 AND user_id = $2',
+    [sessionId, userId]
+  );
+  return result.rowCount > 0;
+};
+
+/**
+ * Latest turns of a session, oldest first
+ * @param {number} sessionId - Session ID
+ * @param {number} limit - Most turns to return
+ * @returns {Promise<Array<Object>>} - ai_chat_history rows
+ */
+const getHistory = async (sessionId, limit) => {
+  const result = await db.query(
+    `SELECT * FROM (
+       SELECT * FROM ai_chat_history WHERE session_id = $1 ORDER BY id DESC LIMIT $2
+     ) latest
+     ORDER BY id ASC`,
+    [sessionId, limit]
+  );
+  return result.rows;
+};
+
+/**
+ * Forget a session's turns and summary, keeping the session itself
+ * @param {number} sessionId - Session ID
+ */
+const clearHistory = async (sessionId) => {
+  await db.transaction(async (client) => {
+    await client.query('DELETE FROM ai_chat_history WHERE session_id = $1', [sessionId]);
+    await client.query(
+      'UPDATE ai_sessions SET summary = NULL, summarized_through_id = NULL WHERE id = $1',
+      [sessionId]
+    );
+  });
+};
+
+/**
+ * Store a question and its answer, and name a new session after its first question
+ * @param {Object} session - Session row
+ * @param {string} message - User's message
+ * @param {string} response - Assistant's answer
+ * @returns {Promise<Object>} - The stored ai_chat_history row
+ */
+const recordTurn = async (session, message, response) => db.transaction(async (client) => {
+  const result = await client.query(
+    `INSERT INTO ai_chat_history (user_id, session_id, message, response)
+     VALUES ($1, $2, $3, $4)
+     RETURNING *`,
+    [session.user_id, session.id, message, response]
+  );
+
+  await client.query(
+    `UPDATE ai_sessions
+     SET updated_at = NOW(),
+         title = CASE
+           WHEN title = $2 AND NOT EXISTS (
+             SELECT 1 FROM ai_chat_history WHERE session_id = $1 AND id != $3
+           ) THEN $4
+           ELSE title
+         END
+     WHERE id = $1`,
+    [session.id, DEFAULT_TITLE, result.rows[0].id, titleFromMessage(message)]
+  );
+
+  return result.rows[0];
+});
+
+const turnMessages = (turn) => [
+  { role: 'user', content: turn.message },
+  { role: 'assistant', content: turn.response }
+];
+
+/**
+ * Build the messages to send the model for a new question
+ * Starts from the system prompt and the session's summary, then adds as many
+ * of the latest turns as fit in CONTEXT_TOKENS. Older turns that have not
+ * been summarized yet are folded into the summary by the model; if that
+ * fails they are simply left out.
+ *
+ * @param {Object} session - Session row
+ * @param {string} message - The new question
+ * @returns {Promise<Array<Object>>} - [{ role, content }] ending with the question
+ */
+const buildContext = async (session, message) => {
+  const systemPrompt = ai.SYSTEM_PROMPT;
+  const result = await db.query(
+    `SELECT * FROM (
+       SELECT id, message, response FROM ai_chat_history
+       WHERE session_id = $1 AND id > $2
+       ORDER BY id DESC LIMIT $3
+     ) recent
+     ORDER BY id ASC`,
+    [session.id, session.summarized_through_id || 0, MAX_CONTEXT_TURNS]
+  );
+  const turns = result.rows;
+
+  let summary = session.summary;
+  let budget = CONTEXT_TOKENS - estimateTokens(systemPrompt) - estimateTokens(summary) - estimateTokens(message);
+
+  // Keep the newest turns that fit
+  let firstKept = turns.length;
+  while (firstKept > 0) {
+    const turn = turns[firstKept - 1];
+    const cost = estimateTokens(turn.message) + estimateTokens(turn.response);
+    if (cost > budget) break;
+    budget -= cost;
+    firstKept -= 1;
+  }
+
+  const dropped = turns.slice(0, firstKept);
+  if (dropped.length > 0) {
+    try {
+      summary = await ai.complete([
+        ...(summary ? [{ role: 'system', content: `Summary of the conversation before this point: ${summary}` }] : []),
+        ...dropped.flatMap(turnMessages),
+        { role: 'user', content: SUMMARY_PROMPT }
+      ], { maxTokens: SUMMARY_MAX_TOKENS });
+      await db.query(
+        'UPDATE ai_sessions SET summary = $2, summarized_through_id = $3 WHERE id = $1',
+        [session.id, summary, dropped[dropped.length - 1].id]
+      );
+    } catch (error) {
+      console.error('Error summarizing AI session, dropping older turns instead:', error);
+    }
+  }
+
+  return [
+    { role: 'system', content: systemPrompt },
+    ...(summary ? [{ role: 'system', content: `Summary of earlier conversation: ${summary}` }] : []),
+    ...turns.slice(firstKept).flatMap(turnMessages),
+    { role: 'user', content: message }
+  ];
+};
+
+module.exports = {
+  MAX_TITLE_LENGTH,
+  listSessions,
+  getSession,
+  getLatestSession,
+  createSession,
+  renameSession,
+  deleteSession,
+  getHistory,
+  clearHistory,
+  recordTurn,
+  buildContext
+};
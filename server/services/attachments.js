@@ -0,0 +1,253 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const db = require('../config/db');
+const storage = require('./storage');
+
+// Longest edge of generated image thumbnails, in pixels
+const THUMBNAIL_SIZE = 320;
+
+const MAX_ATTACHMENTS_PER_MESSAGE = 10;
+
+// Unsent uploads are purged after this long; files whose message was deleted
+// go at the next purge
+const PENDING_TTL_HOURS = 24;
+const PURGE_INTERVAL = 60 * 60 * 1000;
+
+// Image types sharp can thumbnail
+const IMAGE_TYPES = new Set(['image/jpeg', 'image/png', 'image/gif', 'image/webp']);
+
+// Columns returned to clients; storage keys stay on the server
+const PUBLIC_COLUMNS = `id, message_id, group_message_id, original_name, mime_type, size_bytes,
+  width, height, thumbnail_key IS NOT NULL AS has_thumbnail, created_at`;
+
+// Column linking an attachment to each kind of message
+const MESSAGE_COLUMNS = {
+  direct: 'message_id',
+  group: 'group_message_id'
+};
+
+const attachmentError = (status, message) => Object.assign(new Error(message), { status });
+
+/**
+ * Build a thumbnail for an image upload
+ * @param {Buffer} buffer - Original image
+ * @returns {Promise<Object>} - { thumbnail, width, height }
+ * @throws {Error} - With status 400 if the file is not a readable image
+ */
+const createThumbnail = async (buffer) => {
+  try {
+    const { width, height } = await sharp(buffer).metadata();
+    const thumbnail = await sharp(buffer)
+      .rotate()
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toBuffer();
+    return { thumbnail, width, height };
+  } catch (error) {
+    throw attachmentError(400, 'The image could not be read');
+  }
+};
+
+/**
+ * Store an uploaded file as a pending attachment
+ * Images get a thumbnail. The attachment stays private to its uploader
+ * until it is sent with a message.
+ *
+ * @param {number} userId - Uploader
+ * @param {Object} file - Multer file ({ buffer, originalname, mimetype, size })
+ * @returns {Promise<Object>} - The attachment (public columns)
+ */
+const createAttachment = async (userId, file) => {
+  const id = crypto.randomUUID();
+  const storageKey = `files/${id}`;
+  let thumbnail = null;
+  let thumbnailKey = null;
+  let dimensions = {};
+
+  if (IMAGE_TYPES.has(file.mimetype)) {
+    ({ thumbnail, ...dimensions } = await createThumbnail(file.buffer));
+    thumbnailKey = `thumbnails/${id}.webp`;
+  }
+
+  // Any failure from here on removes whatever was already stored
+  try {
+    if (thumbnailKey) await storage.save(thumbnailKey, thumbnail, 'image/webp');
+    await storage.save(storageKey, file.buffer, file.mimetype);
+
+    const result = await db.query(
+      `INSERT INTO attachments
+         (uploader_id, storage_key, thumbnail_key, original_name, mime_type, size_bytes, width, height)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING ${PUBLIC_COLUMNS}`,
+      [
+        userId,
+        storageKey,
+        thumbnailKey,
+        file.originalname.slice(0, 255),
+        file.mimetype,
+        file.size,
+        dimensions.width || null,
+        dimensions.height || null
+      ]
+    );
+    return result.rows[0];
+  } catch (error) {
+    await removeFiles([{ storage_key: storageKey, thumbnail_key: thumbnailKey }]);
+    throw error;
+  }
+};
+
+/**
+ * Attach pending uploads to a newly sent message
+ * Must run in the same transaction as the message insert
+ *
+ * @param {Object} client - Transaction client from db.transaction
+ * @param {string} kind - "direct" or "group"
+ * @param {number} messageId - The new message
+ * @param {number} userId - Sender; only their own pending uploads can be attached
+ * @param {Array<number>} attachmentIds - Attachment IDs from the request
+ * @returns {Promise<Array<Object>>} - The linked attachments
+ * @throws {Error} - With status 400 if any attachment is unknown, not the
+ *   sender's, or already sent
+ */
+const linkAttachments = async (client, kind, messageId, userId, attachmentIds) => {
+  const ids = [...new Set(attachmentIds.map(Number))];
+  if (ids.length === 0) return [];
+
+  const result = await client.query(
+    `UPDATE attachments SET ${MESSAGE_COLUMNS[kind]} = $1, sent_at = NOW()
+     WHERE id = ANY($2::int[])
+       AND uploader_id = $3
+       AND sent_at IS NULL
+     RETURNING ${PUBLIC_COLUMNS}`,
+    [messageId, ids, userId]
+  );
+
+  if (result.rows.length !== ids.length) {
+    throw attachmentError(400, 'Attachment not found or already sent');
+  }
+
+  return result.rows.sort((a, b) => a.id - b.id);
+};
+
+/**
+ * Add an attachments array to each message in a list
+ * @param {string} kind - "direct" or "group"
+ * @param {Array<Object>} messages - Messages with an id
+ * @returns {Promise<Array<Object>>} - The same messages with attachments
+ */
+const withAttachments = async (kind, messages) => {
+  if (messages.length === 0) return messages;
+
+  const column = MESSAGE_COLUMNS[kind];
+  const result = await db.query(
+    `SELECT ${PUBLIC_COLUMNS} FROM attachments WHERE ${column} = ANY($1::int[]) ORDER BY id ASC`,
+    [messages.map((message) => message.id)]
+  );
+
+  const byMessage = new Map();
+  result.rows.forEach((attachment) => {
+    const messageId = attachment[column];
+    if (!byMessage.has(messageId)) byMessage.set(messageId, []);
+    byMessage.get(messageId).push(attachment);
+  });
+
+  return messages.map((message) => ({ ...message, attachments: byMessage.get(message.id) || [] }));
+};
+
+/**
+ * Find an attachment the user is allowed to download
+ * Pending uploads are visible to their uploader; sent ones to both sides of
+ * the DM or to current members of the group.
+ *
+ * @param {number} attachmentId - Attachment ID
+ * @param {number} userId - Requesting user
+ * @returns {Promise<Object|null>} - Attachment including storage keys, or null
+ */
+const findAttachmentForUser = async (attachmentId, userId) => {
+  const result = await db.query(
+    `SELECT a.*
+     FROM attachments a
+     LEFT JOIN messages m ON m.id = a.message_id
+     LEFT JOIN group_messages gm ON gm.id = a.group_message_id
+     WHERE a.id = $1
+       AND (
+         (a.sent_at IS NULL AND a.uploader_id = $2)
+         OR m.sender_id = $2
+         OR m.recipient_id = $2
+         OR EXISTS (
+           SELECT 1 FROM group_members
+           WHERE group_id = gm.group_id AND user_id = $2
+         )
+       )`,
+    [attachmentId, userId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Delete stored files, logging rather than throwing on failure
+ * @param {Array<Object>} rows - Rows with storage_key and thumbnail_key
+ */
+const removeFiles = async (rows) => {
+  const keys = rows.flatMap((row) => [row.storage_key, row.thumbnail_key]).filter(Boolean);
+  await Promise.all(keys.map((key) => storage.remove(key).catch((error) => {
+    console.error(`Error removing stored file ${key}:`, error);
+  })));
+};
+
+/**
+ * Delete one of the user's pending uploads
+ * @param {number} attachmentId - Attachment ID
+ * @param {number} userId - Uploader
+ * @returns {Promise<boolean>} - Whether an attachment was deleted
+ */
+const deletePendingAttachment = async (attachmentId, userId) => {
+  const result = await db.query(
+    `DELETE FROM attachments
+     WHERE id = $1 AND uploader_id = $2 AND sent_at IS NULL
+     RETURNING storage_key, thumbnail_key`,
+    [attachmentId, userId]
+  );
+  await removeFiles(result.rows);
+  return result.rows.length > 0;
+};
+
+/**
+ * Delete attachments that were never sent and are more than PENDING_TTL_HOURS
+ * old, and attachments whose message was deleted
+ * @returns {Promise<number>} - Number of attachments purged
+ */
+const purgePendingAttachments = async () => {
+  const result = await db.query(
+    `DELETE FROM attachments
+     WHERE (sent_at IS NULL AND created_at < NOW() - make_interval(hours => $1))
+        OR (sent_at IS NOT NULL AND message_id IS NULL AND group_message_id IS NULL)
+     RETURNING storage_key, thumbnail_key`,
+    [PENDING_TTL_HOURS]
+  );
+  await removeFiles(result.rows);
+  return result.rows.length;
+};
+
+/**
+ * Run purgePendingAttachments every PURGE_INTERVAL
+ * @returns {Object} - Interval handle
+ */
+const schedulePurge = () => {
+  const purge = () => purgePendingAttachments().catch((error) => {
+    console.error('Error purging attachments:', error);
+  });
+  return setInterval(purge, PURGE_INTERVAL).unref();
+};
+
+module.exports = {
+  MAX_ATTACHMENTS_PER_MESSAGE,
+  createAttachment,
+  linkAttachments,
+  withAttachments,
+  findAttachmentForUser,
+  deletePendingAttachment,
+  purgePendingAttachments,
+  schedulePurge
+};
@@ -0,0 +1,107 @@
+const db = require('../config/db');
+
+// Tables for each kind of relation, with the column for who set it and who it targets
+const RELATIONS = {
+  block: { table: 'user_blocks', owner: 'blocker_id', target: 'blocked_id' },
+  mute: { table: 'user_mutes', owner: 'muter_id', target: 'muted_id' }
+};
+
+const relationError = (status, message) => Object.assign(new Error(message), { status });
+
+/**
+ * Users the caller has blocked or muted
+ * @param {string} kind - "block" or "mute"
+ * @param {number} userId - Caller
+ * @returns {Promise<Array<Object>>} - [{ id, username, created_at }], newest first
+ */
+const listRelations = async (kind, userId) => {
+  const { table, owner, target } = RELATIONS[kind];
+  const result = await db.query(
+    `SELECT u.id, u.username, r.created_at
+     FROM ${table} r
+     JOIN users u ON u.id = r.${target}
+     WHERE r.${owner} = $1
+     ORDER BY r.created_at DESC`,
+    [userId]
+  );
+  return result.rows;
+};
+
+/**
+ * Block or mute a user; repeating it is a no-op
+ * @param {string} kind - "block" or "mute"
+ * @param {number} userId - Caller
+ * @param {number} targetId - User to block or mute
+ * @returns {Promise<boolean>} - Whether a new relation was stored
+ * @throws {Error} - With status 400 for the caller themselves, 404 for unknown users
+ */
+const addRelation = async (kind, userId, targetId) => {
+  if (userId === targetId) {
+    throw relationError(400, `You cannot ${kind} yourself`);
+  }
+
+  const target = await db.query('SELECT id FROM users WHERE id = $1', [targetId]);
+  if (target.rows.length === 0) {
+    throw relationError(404, 'User not found');
+  }
+
+  const { table, owner, target: targetColumn } = RELATIONS[kind];
+  const result = await db.query(
+    `INSERT INTO ${table} (${owner}, ${targetColumn}) VALUES ($1, $2) ON CONFLICT DO NOTHING`,
+    [userId, targetId]
+  );
+  return result.rowCount > 0;
+};
+
+/**
+ * Unblock or unmute a user
+ * @param {string} kind - "block" or "mute"
+ * @param {number} userId - Caller
+ * @param {number} targetId - Blocked or muted user
+ * @returns {Promise<boolean>} - Whether a relation was removed
+ */
+const removeRelation = async (kind, userId, targetId) => {
+  const { table, owner, target } = RELATIONS[kind];
+  const result = await db.query(
+    `DELETE FROM ${table} WHERE ${owner} = $1 AND ${target} = $2`,
+    [userId, targetId]
+  );
+  return result.rowCount > 0;
+};
+
+/**
+ * Which side of a pair, if any, has blocked the other
+ * @param {number} userId - Acting user
+ * @param {number} otherUserId - The other user
+ * @returns {Promise<Object>} - { blockedByMe, blockedMe }
+ */
+const getBlockState = async (userId, otherUserId) => {
+  const result = await db.query(
+    `SELECT blocker_id FROM user_blocks
+     WHERE (blocker_id = $1 AND blocked_id = $2) OR (blocker_id = $2 AND blocked_id = $1)`,
+    [userId, otherUserId]
+  );
+  const blockers = result.rows.map((row) => row.blocker_id);
+  return {
+    blockedByMe: blockers.includes(userId),
+    blockedMe: blockers.includes(otherUserId)
+  };
+};
+
+/**
+ * SQL condition that is false for messages whose sender the viewer blocked
+ * @param {string} alias - Alias of the message table in the query
+ * @param {string} viewerParam - Placeholder holding the viewer's ID (e.g. "$2")
+ * @returns {string} - Condition starting with AND
+ */
+const hideBlockedSenders = (alias, viewerParam) => `AND NOT EXISTS (
+  SELECT 1 FROM user_blocks ub WHERE ub.blocker_id = ${viewerParam} AND ub.blocked_id = ${alias}.sender_id
+)`;
+
+module.exports = {
+  listRelations,
+  addRelation,
+  removeRelation,
+  getBlockState,
+  hideBlockedSenders
+};
@@ -0,0 +1,186 @@
+const db = require('../config/db');
+const ai = require('./aiProvider');
+const { hideBlockedSenders } = require('./blocks');
+require('dotenv').config();
+
+// Most messages summarized in one request; older ones in the range are left out
+const MAX_MESSAGES = parseInt(process.env.AI_CATCH_UP_MAX_MESSAGES, 10) || 300;
+
+// Rough token budget for the transcript sent to the model
+const TRANSCRIPT_TOKENS = parseInt(process.env.AI_CATCH_UP_TOKENS, 10) || 6000;
+
+// Longest summary the model may write
+const SUMMARY_MAX_TOKENS = parseInt(process.env.AI_CATCH_UP_SUMMARY_TOKENS, 10) || 500;
+
+// Column linking an attachment to each kind of message
+const ATTACHMENT_COLUMNS = {
+  direct: 'message_id',
+  group: 'group_message_id'
+};
+
+// Longest excerpt of a cited message sent to clients
+const EXCERPT_LENGTH = 200;
+
+const SUMMARY_PROMPT = 'You help people catch up on a chat conversation they missed. '
+  + 'Each message below is written as "[id] sender (time): text". '
+  + 'Summarize what was discussed, decided and asked, as a few short bullet points, '
+  + 'and point out anything addressed to the reader. End every point with the ids of '
+  + 'the messages it is based on in square brackets, e.g. [12] or [12, 15]. '
+  + 'Only cite ids from the list, and do not invent anything that is not in it.';
+
+/**
+ * Rough token count (about four characters per token for English text)
+ * @param {string} text - Text to measure
+ * @returns {number}
+ */
+const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+/**
+ * Load the messages to summarize, oldest first
+ * Without a range these are the messages past the caller's read cursor
+ * (for groups, only those sent since they joined). Thread replies are left
+ * out, as in the main timeline, and so are messages from blocked users.
+ *
+ * @param {string} kind - "direct" or "group"
+ * @param {Object} conversation - { userId, otherUserId } for DMs, { userId, groupId } for groups
+ * @param {Object} range - { from, to } ISO 8601 dates, or {} for unread messages
+ * @returns {Promise<Object>} - { messages, truncated }
+ */
+const loadMessages = async (kind, conversation, { from, to }) => {
+  const unreadOnly = !from && !to;
+  const params = [conversation.userId];
+  let source;
+  let scope;
+
+  if (kind === 'group') {
+    params.push(conversation.groupId);
+    source = `group_messages m
+     JOIN group_members me ON me.group_id = m.group_id AND me.user_id = $1`;
+    scope = `m.group_id = $2 ${hideBlockedSenders('m', '$1')}`;
+    if (unreadOnly) scope += ' AND m.id > COALESCE(me.last_read_message_id, 0) AND m.created_at >= me.joined_at';
+  } else {
+    params.push(conversation.otherUserId);
+    source = `messages m
+     LEFT JOIN direct_reads dr ON dr.user_id = $1 AND dr.other_user_id = $2`;
+    scope = '((m.sender_id = $1 AND m.recipient_id = $2) OR (m.sender_id = $2 AND m.recipient_id = $1))';
+    if (unreadOnly) scope += ' AND m.id > COALESCE(dr.last_read_message_id, 0)';
+  }
+
+  if (from) {
+    params.push(from);
+    scope += ` AND m.created_at >= $${params.length}`;
+  }
+  if (to) {
+    params.push(to);
+    scope += ` AND m.created_at <= $${params.length}`;
+  }
+
+  // One extra row tells us whether older messages were left out
+  params.push(MAX_MESSAGES + 1);
+  const result = await db.query(
+    `SELECT m.id, m.sender_id, u.username AS sender_username, m.content, m.created_at,
+            (SELECT COUNT(*)::int FROM attachments a WHERE a.${ATTACHMENT_COLUMNS[kind]} = m.id) AS attachment_count
+     FROM ${source}
+     JOIN users u ON u.id = m.sender_id
+     WHERE ${scope}
+       AND (m.parent_id IS NULL OR NOT m.in_thread)
+     ORDER BY m.id DESC
+     LIMIT $${params.length}`,
+    params
+  );
+
+  return {
+    messages: result.rows.slice(0, MAX_MESSAGES).reverse(),
+    truncated: result.rows.length > MAX_MESSAGES
+  };
+};
+
+/**
+ * One transcript line for a message
+ * @param {Object} message - Message with id, sender_username, content, created_at, attachment_count
+ * @returns {string}
+ */
+const transcriptLine = (message) => {
+  const files = message.attachment_count > 0
+    ? ` [${message.attachment_count} attachment${message.attachment_count === 1 ? '' : 's'}]`
+    : '';
+  const text = message.content.replace(/\s+/g, ' ').trim();
+  return `[${message.id}] ${message.sender_username} (${new Date(message.created_at).toISOString()}): ${text}${files}`;
+};
+
+/**
+ * Message IDs cited in a summary, in order of first mention
+ * @param {string} summary - Text from the model
+ * @param {Set<number>} knownIds - IDs that were in the transcript
+ * @returns {Array<number>}
+ */
+const citedIds = (summary, knownIds) => {
+  const ids = new Set();
+  for (const [, list] of summary.matchAll(/\[(\d+(?:\s*,\s*\d+)*)\]/g)) {
+    list.split(',').map(Number).filter((id) => knownIds.has(id)).forEach((id) => ids.add(id));
+  }
+  return [...ids];
+};
+
+/**
+ * Summarize a conversation for a caller who is catching up
+ * Callers must check the user can see the conversation.
+ *
+ * @param {string} kind - "direct" or "group"
+ * @param {Object} conversation - { userId, otherUserId } for DMs, { userId, groupId } for groups
+ * @param {Object} [range] - { from, to } ISO 8601 dates; without either, unread messages are summarized
+ * @returns {Promise<Object>} - { summary, citations, message_count, truncated, from, to }
+ *   where citations are [{ id, sender_id, sender_username, excerpt, created_at }];
+ *   summary is null when there is nothing to summarize
+ * @throws {Error} - Provider failures, with status and code (see services/aiProvider)
+ */
+const summarizeConversation = async (kind, conversation, range = {}) => {
+  const { messages, truncated: tooMany } = await loadMessages(kind, conversation, range);
+
+  // Keep the newest messages that fit the transcript budget
+  const lines = [];
+  let budget = TRANSCRIPT_TOKENS - estimateTokens(SUMMARY_PROMPT);
+  let firstKept = messages.length;
+  while (firstKept > 0) {
+    const line = transcriptLine(messages[firstKept - 1]);
+    const cost = estimateTokens(line);
+    if (cost > budget && lines.length > 0) break;
+    budget -= cost;
+    lines.unshift(line);
+    firstKept -= 1;
+  }
+  const included = messages.slice(firstKept);
+
+  const result = {
+    summary: null,
+    citations: [],
+    message_count: included.length,
+    truncated: tooMany || firstKept > 0,
+    from: included.length > 0 ? included[0].created_at : range.from || null,
+    to: included.length > 0 ? included[included.length - 1].created_at : range.to || null
+  };
+  if (included.length === 0) return result;
+
+  result.summary = await ai.complete([
+    { role: 'system', content: SUMMARY_PROMPT },
+    { role: 'user', content: lines.join('\n') }
+  ], { maxTokens: SUMMARY_MAX_TOKENS });
+
+  const byId = new Map(included.map((message) => [message.id, message]));
+  result.citations = citedIds(result.summary, new Set(byId.keys())).map((id) => {
+    const message = byId.get(id);
+    return {
+      id,
+      sender_id: message.sender_id,
+      sender_username: message.sender_username,
+      excerpt: message.content.slice(0, EXCERPT_LENGTH),
+      created_at: message.created_at
+    };
+  });
+
+  return result;
+};
+
+module.exports = {
+  summarizeConversation
+};
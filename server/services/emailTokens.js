@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const db = require('../config/db');
+require('dotenv').config();
+
+// How long each kind of emailed link stays valid
+const TOKEN_TTL_MINUTES = {
+  verify_email: (parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 24) * 60,
+  reset_password: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Tokens are "<random>.<signature>", signed per purpose so a verification
+// link can never be replayed as a password reset
+const sign = (purpose, value) => crypto
+  .createHmac('sha256', process.env.JWT_SECRET)
+  .update(`${purpose}:${value}`)
+  .digest('base64url');
+
+const hasValidSignature = (purpose, token) => {
+  const [value, signature] = token.split('.');
+  if (!value || !signature) return false;
+
+  const expected = Buffer.from(sign(purpose, value));
+  const given = Buffer.from(signature);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+const invalidTokenError = () => Object.assign(
+  new Error('This link is invalid or has expired'),
+  { status: 400 }
+);
+
+/**
+ * Issue a token for a user, replacing any unused token for the same purpose
+ * @param {number} userId - User ID
+ * @param {string} purpose - "verify_email" or "reset_password"
+ * @returns {Promise<Object>} - { token, expires_at }; the token is only ever
+ *   returned here, the database keeps its hash
+ */
+const issueToken = async (userId, purpose) => {
+  const value = crypto.randomBytes(32).toString('base64url');
+  const token = `${value}.${sign(purpose, value)}`;
+
+  const result = await db.transaction(async (client) => {
+    await client.query(
+      'DELETE FROM email_tokens WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL',
+      [userId, purpose]
+    );
+    return client.query(
+      `INSERT INTO email_tokens (user_id, purpose, token_hash, expires_at)
+       VALUES ($1, $2, $3, NOW() + make_interval(mins => $4))
+       RETURNING expires_at`,
+      [userId, purpose, hashToken(token), TOKEN_TTL_MINUTES[purpose]]
+    );
+  });
+
+  return { token, expires_at: result.rows[0].expires_at };
+};
+
+/**
+ * Use up a token
+ * Runs on the caller's transaction client when one is given, so the token is
+ * only spent if the rest of the change commits
+ *
+ * @param {string} token - Token from the emailed link
+ * @param {string} purpose - "verify_email" or "reset_password"
+ * @param {Object} [client] - Transaction client from db.transaction
+ * @returns {Promise<number>} - ID of the user the token was issued to
+ * @throws {Error} - With status 400 if the token is forged, unknown, expired or already used
+ */
+const consumeToken = async (token, purpose, client = db) => {
+  if (typeof token !== 'string' || !hasValidSignature(purpose, token)) {
+    throw invalidTokenError();
+  }
+
+  const result = await client.query(
+    `UPDATE email_tokens SET used_at = NOW()
+     WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > NOW()
+     RETURNING user_id`,
+    [hashToken(token), purpose]
+  );
+
+  if (result.rows.length === 0) {
+    throw invalidTokenError();
+  }
+  return result.rows[0].user_id;
+};
+
+module.exports = {
+  TOKEN_TTL_MINUTES,
+  issueToken,
+  consumeToken
+};
@@ -0,0 +1,208 @@
+const db = require('../config/db');
+const ai = require('./aiProvider');
+const realtime = require('./realtime');
+const threads = require('./threads');
+const store = require('./rateLimitStore');
+require('dotenv').config();
+
+// Group messages mentioning the assistant, e.g. "@assistant what is a monad?"
+const MENTION_PATTERN = /(^|[^\w@])@assistant\b/i;
+
+// Earlier group messages loaded as context, and their rough token budget
+const CONTEXT_MESSAGES = 30;
+const CONTEXT_TOKENS = parseInt(process.env.AI_CONTEXT_TOKENS, 10) || 3000;
+
+// Replies per group are counted in fixed windows of an hour
+const LIMIT_WINDOW = 60 * 60 * 1000;
+
+// Clients drop typing indicators after 6 seconds, so the assistant repeats
+// its own while the model is answering
+const TYPING_REPEAT = 3000;
+
+const FAILURE_REPLY = "Sorry, I couldn't answer that right now. Please try again later.";
+
+// The bot user, looked up once
+let botUser = null;
+
+/**
+ * Rough token count (about four characters per token for English text)
+ * @param {string} text - Text to measure
+ * @returns {number}
+ */
+const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+/**
+ * Check a message mentions the assistant
+ * @param {string} content - Message text
+ * @returns {boolean}
+ */
+const isMentioned = (content) => MENTION_PATTERN.test(content || '');
+
+/**
+ * The assistant's user account
+ * @returns {Promise<Object>} - { id, username }
+ */
+const getBotUser = async () => {
+  if (!botUser) {
+    const result = await db.query('SELECT id, username FROM users WHERE is_bot ORDER BY id LIMIT 1');
+    if (result.rows.length === 0) {
+      throw new Error('The assistant user is missing; run the migrations');
+    }
+    botUser = result.rows[0];
+  }
+  return botUser;
+};
+
+/**
+ * Decide whether a mention gets a reply, counting it towards the group's
+ * hourly limit if so
+ * @param {number} groupId - Group ID
+ * @returns {Promise<Object>} - { status: "queued" } or
+ *   { status: "disabled" | "rate_limited", error, retry_after? }
+ */
+const checkInvocation = async (groupId) => {
+  const result = await db.query(
+    'SELECT assistant_enabled, assistant_hourly_limit FROM groups WHERE id = $1',
+    [groupId]
+  );
+  const settings = result.rows[0];
+
+  if (!settings || !settings.assistant_enabled) {
+    return { status: 'disabled', error: 'The assistant is turned off in this group' };
+  }
+
+  let counter;
+  try {
+    counter = await store.hit(`assistant:group:${groupId}`, LIMIT_WINDOW);
+  } catch (error) {
+    // Like the rate limit middleware, a failing store lets the request through
+    console.error('Error checking assistant limit:', error);
+    return { status: 'queued' };
+  }
+
+  if (counter.count > settings.assistant_hourly_limit) {
+    const retryAfter = Math.max(1, Math.ceil((counter.resetAt - Date.now()) / 1000));
+    return {
+      status: 'rate_limited',
+      error: `The assistant has reached this group's limit of ${settings.assistant_hourly_limit} answers an hour`,
+      retry_after: retryAfter
+    };
+  }
+
+  return { status: 'queued' };
+};
+
+/**
+ * Chat messages for the model: the conversation leading up to the mention,
+ * newest messages first until CONTEXT_TOKENS is used up. A mention inside a
+ * thread gets that thread as context; otherwise the main timeline is used.
+ *
+ * @param {Object} bot - { id, username }
+ * @param {Object} group - { id, name }
+ * @param {Object} trigger - The message mentioning the assistant
+ * @returns {Promise<Array<Object>>}
+ */
+const buildContext = async (bot, group, trigger) => {
+  const scope = trigger.in_thread
+    ? 'AND (m.id = $3 OR (m.in_thread AND m.parent_id = $3))'
+    : 'AND (m.parent_id IS NULL OR NOT m.in_thread)';
+  const result = await db.query(
+    `SELECT m.id, m.sender_id, u.username AS sender_username, m.content
+     FROM group_messages m
+     JOIN users u ON u.id = m.sender_id
+     WHERE m.group_id = $1 AND m.id <= $2 ${scope}
+     ORDER BY m.id DESC
+     LIMIT ${CONTEXT_MESSAGES}`,
+    trigger.in_thread ? [group.id, trigger.id, trigger.parent_id] : [group.id, trigger.id]
+  );
+
+  const systemPrompt = `${ai.SYSTEM_PROMPT} You are "${bot.username}", taking part in the group chat `
+    + `"${group.name}". Messages from group members start with their username. `
+    + 'Answer the latest message that mentions you, briefly and for the whole group.';
+
+  // Rows are newest first; keep what fits, then restore the order
+  const context = [];
+  let budget = CONTEXT_TOKENS - estimateTokens(systemPrompt);
+  for (const message of result.rows) {
+    const content = message.sender_id === bot.id
+      ? message.content
+      : `${message.sender_username}: ${message.content || '(attachment)'}`;
+    const cost = estimateTokens(content);
+    if (cost > budget && context.length > 0) break;
+    budget -= cost;
+    context.unshift({ role: message.sender_id === bot.id ? 'assistant' : 'user', content });
+  }
+
+  return [{ role: 'system', content: systemPrompt }, ...context];
+};
+
+/**
+ * Post a message into a group as the assistant and push it to members
+ * @param {Object} bot - { id, username }
+ * @param {Object} trigger - The message being answered
+ * @param {string} content - Reply text
+ */
+const postReply = async (bot, trigger, content) => {
+  // Quote the mention, or answer in its thread
+  const result = await db.query(
+    `INSERT INTO group_messages (group_id, sender_id, content, parent_id, in_thread)
+     VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+    [trigger.group_id, bot.id, content, trigger.in_thread ? trigger.parent_id : trigger.id, Boolean(trigger.in_thread)]
+  );
+
+  const [reply] = await threads.withReplyContext('group', [{
+    ...result.rows[0],
+    sender_username: bot.username,
+    attachments: []
+  }]);
+
+  await realtime.emitToGroup(trigger.group_id, 'group_message:new', reply, { senderId: bot.id });
+  if (reply.in_thread) threads.publishThreadSummary('group', reply);
+};
+
+/**
+ * Answer a group message that mentions the assistant
+ * Runs after the message is sent, so errors are logged rather than thrown.
+ * If the model fails, the assistant says so in the group.
+ *
+ * @param {Object} trigger - The stored message (id, group_id, parent_id, in_thread)
+ */
+const respondToMention = async (trigger) => {
+  let typingTimer;
+
+  try {
+    const bot = await getBotUser();
+    const groupResult = await db.query('SELECT id, name FROM groups WHERE id = $1', [trigger.group_id]);
+    const group = groupResult.rows[0];
+
+    const signalTyping = (isTyping) => realtime.emitToGroup(group.id, 'typing', {
+      user_id: bot.id,
+      username: bot.username,
+      group_id: group.id,
+      is_typing: isTyping
+    }, { senderId: bot.id });
+    signalTyping(true);
+    typingTimer = setInterval(() => signalTyping(true), TYPING_REPEAT);
+
+    let content;
+    try {
+      content = (await ai.complete(await buildContext(bot, group, trigger))).trim();
+    } catch (error) {
+      console.error('Error answering assistant mention:', error);
+    }
+
+    clearInterval(typingTimer);
+    signalTyping(false);
+    await postReply(bot, trigger, content || FAILURE_REPLY);
+  } catch (error) {
+    clearInterval(typingTimer);
+    console.error('Error posting assistant reply:', error);
+  }
+};
+
+module.exports = {
+  isMentioned,
+  getBotUser,
+  checkInvocation,
+  respondToMention
+};
@@ -0,0 +1,314 @@
+const crypto = require('crypto');
+const db = require('../config/db');
+require('dotenv').config();
+
+// Where the web client is served; invite links point here
+const APP_URL = (process.env.APP_URL || 'http://localhost:3000').replace(/\/+$/, '');
+
+// Random bytes per invite code (12 URL-safe characters)
+const CODE_BYTES = 9;
+
+const inviteError = (status, message) => Object.assign(new Error(message), { status });
+
+/**
+ * Add the shareable link to an invite row
+ * @param {Object} invite - group_invites row
+ * @returns {Object} - The invite with url
+ */
+const withUrl = (invite) => ({ ...invite, url: `${APP_URL}/join/${invite.code}` });
+
+/**
+ * Create an invite code for a group
+ * @param {number} groupId - Group ID
+ * @param {number} userId - Admin creating the invite
+ * @param {Object} options - { expires_at, max_uses, requires_approval }, all optional
+ * @returns {Promise<Object>} - The invite, with url
+ */
+const createInvite = async (groupId, userId, { expires_at: expiresAt, max_uses: maxUses, requires_approval: requiresApproval }) => {
+  const result = await db.query(
+    `INSERT INTO group_invites (group_id, code, created_by, expires_at, max_uses, requires_approval)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING *`,
+    [groupId, crypto.randomBytes(CODE_BYTES).toString('base64url'), userId,
+      expiresAt || null, maxUses || null, Boolean(requiresApproval)]
+  );
+  return withUrl(result.rows[0]);
+};
+
+/**
+ * A group's invites that can still be used, newest first
+ * @param {number} groupId - Group ID
+ * @returns {Promise<Array<Object>>} - Invites with url and creator_username
+ */
+const listInvites = async (groupId) => {
+  const result = await db.query(
+    `SELECT i.*, u.username AS creator_username
+     FROM group_invites i
+     LEFT JOIN users u ON u.id = i.created_by
+     WHERE i.group_id = $1
+       AND i.revoked_at IS NULL
+       AND (i.expires_at IS NULL OR i.expires_at > NOW())
+       AND (i.max_uses IS NULL OR i.use_count < i.max_uses)
+     ORDER BY i.id DESC`,
+    [groupId]
+  );
+  return result.rows.map(withUrl);
+};
+
+/**
+ * Revoke an invite so its code stops working
+ * @param {number} groupId - Group ID
+ * @param {number} inviteId - Invite ID
+ * @returns {Promise<boolean>} - Whether an active invite was revoked
+ */
+const revokeInvite = async (groupId, inviteId) => {
+  const result = await db.query(
+    `UPDATE group_invites SET revoked_at = NOW()
+     WHERE id = $1 AND group_id = $2 AND revoked_at IS NULL`,
+    [inviteId, groupId]
+  );
+  return result.rowCount > 0;
+};
+
+/**
+ * Load an invite by code, checking it can still be used
+ * @param {Object} client - Database client (db or a transaction client)
+ * @param {string} code - Invite code
+ * @param {boolean} [lock] - Lock the row until the transaction ends
+ * @returns {Promise<Object>} - The invite
+ * @throws {Error} - With status 404 if unknown or revoked, 410 if expired or used up
+ */
+const loadUsableInvite = async (client, code, lock = false) => {
+  const result = await client.query(
+    `SELECT * FROM group_invites WHERE code = $1 AND revoked_at IS NULL${lock ? ' FOR UPDATE' : ''}`,
+    [code]
+  );
+  const invite = result.rows[0];
+
+  if (!invite) {
+    throw inviteError(404, 'This invite link is invalid or has been revoked');
+  }
+  if (invite.expires_at && new Date(invite.expires_at) <= new Date()) {
+    throw inviteError(410, 'This invite link has expired');
+  }
+  if (invite.max_uses !== null && invite.use_count >= invite.max_uses) {
+    throw inviteError(410, 'This invite link has reached its limit of uses');
+  }
+  return invite;
+};
+
+/**
+ * What an invite leads to, shown before joining
+ * @param {string} code - Invite code
+ * @param {number} userId - User viewing the invite
+ * @returns {Promise<Object>} - { group: { id, name, description, member_count },
+ *   requires_approval, expires_at, is_member, request_pending }
+ * @throws {Error} - With status 404 or 410 (see loadUsableInvite)
+ */
+const previewInvite = async (code, userId) => {
+  const invite = await loadUsableInvite(db, code);
+  const result = await db.query(
+    `SELECT g.id, g.name, g.description,
+            (SELECT COUNT(*)::int FROM group_members gm WHERE gm.group_id = g.id) AS member_count,
+            EXISTS (SELECT 1 FROM group_members gm WHERE gm.group_id = g.id AND gm.user_id = $2) AS is_member,
+            EXISTS (SELECT 1 FROM group_join_requests r WHERE r.group_id = g.id AND r.user_id = $2) AS request_pending
+     FROM groups g WHERE g.id = $1`,
+    [invite.group_id, userId]
+  );
+  const { is_member: isMember, request_pending: requestPending, ...group } = result.rows[0];
+
+  return {
+    group,
+    requires_approval: invite.requires_approval,
+    expires_at: invite.expires_at,
+    is_member: isMember,
+    request_pending: requestPending
+  };
+};
+
+/**
+ * Add a user to a group, or file a join request when approval is needed
+ * @param {Object} client - Transaction client
+ * @param {number} groupId - Group ID
+ * @param {number} userId - User joining
+ * @param {Object} options - { requiresApproval, inviteId }
+ * @returns {Promise<Object>} - { status: "joined" | "pending", group_id, request_id? }
+ * @throws {Error} - With status 409 if the user is already a member or already asked to join
+ */
+const joinOrRequest = async (client, groupId, userId, { requiresApproval, inviteId = null }) => {
+  const membership = await client.query(
+    'SELECT 1 FROM group_members WHERE group_id = $1 AND user_id = $2',
+    [groupId, userId]
+  );
+  if (membership.rows.length > 0) {
+    throw inviteError(409, 'You are already a member of this group');
+  }
+
+  if (requiresApproval) {
+    const request = await client.query(
+      `INSERT INTO group_join_requests (group_id, user_id, invite_id)
+       VALUES ($1, $2, $3)
+       ON CONFLICT DO NOTHING
+       RETURNING id`,
+      [groupId, userId, inviteId]
+    );
+    if (request.rows.length === 0) {
+      throw inviteError(409, 'You already asked to join this group');
+    }
+    return { status: 'pending', group_id: groupId, request_id: request.rows[0].id };
+  }
+
+  // A pending request is settled by joining some other way
+  await client.query('DELETE FROM group_join_requests WHERE group_id = $1 AND user_id = $2', [groupId, userId]);
+
+  // A join racing this one (a double click, or an invite and discovery at
+  // once) may have added the member since the check above
+  const joined = await client.query(
+    'INSERT INTO group_members (group_id, user_id) VALUES ($1, $2) ON CONFLICT DO NOTHING RETURNING user_id',
+    [groupId, userId]
+  );
+  if (joined.rows.length === 0) {
+    throw inviteError(409, 'You are already a member of this group');
+  }
+  return { status: 'joined', group_id: groupId };
+};
+
+/**
+ * Use an invite: join the group, or ask to join when it needs approval
+ * Both count as a use of the invite.
+ *
+ * @param {string} code - Invite code
+ * @param {number} userId - User joining
+ * @returns {Promise<Object>} - { status: "joined" | "pending", group_id, request_id? }
+ * @throws {Error} - With status 404 or 410 (see loadUsableInvite), or 409 if
+ *   the user is already a member or already asked to join
+ */
+const redeemInvite = async (code, userId) => db.transaction(async (client) => {
+  const invite = await loadUsableInvite(client, code, true);
+  const outcome = await joinOrRequest(client, invite.group_id, userId, {
+    requiresApproval: invite.requires_approval,
+    inviteId: invite.id
+  });
+
+  await client.query('UPDATE group_invites SET use_count = use_count + 1 WHERE id = $1', [invite.id]);
+  return outcome;
+});
+
+/**
+ * Join a group found through discovery: public groups are joined straight
+ * away, request-to-join groups get a join request
+ * @param {number} groupId - Group ID
+ * @param {number} userId - User joining
+ * @returns {Promise<Object>} - { status: "joined" | "pending", group_id, request_id? }
+ * @throws {Error} - With status 404 for private or missing groups, 409 as in joinOrRequest
+ */
+const joinDiscoverableGroup = async (groupId, userId) => db.transaction(async (client) => {
+  const result = await client.query('SELECT visibility FROM groups WHERE id = $1', [groupId]);
+  const visibility = result.rows[0]?.visibility;
+
+  // Private groups look the same as missing ones to non-members
+  if (!visibility || visibility === 'private') {
+    throw inviteError(404, 'Group not found');
+  }
+  return joinOrRequest(client, groupId, userId, { requiresApproval: visibility === 'request' });
+});
+
+/**
+ * Withdraw the user's own pending join request
+ * @param {number} groupId - Group ID
+ * @param {number} userId - Requester
+ * @returns {Promise<number|null>} - The withdrawn request's ID, or null if there was none
+ */
+const cancelJoinRequest = async (groupId, userId) => {
+  const result = await db.query(
+    'DELETE FROM group_join_requests WHERE group_id = $1 AND user_id = $2 RETURNING id',
+    [groupId, userId]
+  );
+  return result.rows[0]?.id ?? null;
+};
+
+/**
+ * Join requests waiting for a group's admins, oldest first
+ * @param {number} groupId - Group ID
+ * @returns {Promise<Array<Object>>} - [{ id, user_id, username, display_name, invite_id, created_at }]
+ */
+const listJoinRequests = async (groupId) => {
+  const result = await db.query(
+    `SELECT r.id, r.user_id, u.username, u.display_name, r.invite_id, r.created_at
+     FROM group_join_requests r
+     JOIN users u ON u.id = r.user_id
+     WHERE r.group_id = $1
+     ORDER BY r.id ASC`,
+    [groupId]
+  );
+  return result.rows;
+};
+
+/**
+ * Approve a join request, adding the user to the group
+ * @param {number} groupId - Group ID
+ * @param {number} requestId - Join request ID
+ * @returns {Promise<number>} - The new member's user ID
+ * @throws {Error} - With status 404 if there is no such request
+ */
+const approveJoinRequest = async (groupId, requestId) => db.transaction(async (client) => {
+  const request = await client.query(
+    'DELETE FROM group_join_requests WHERE id = $1 AND group_id = $2 RETURNING user_id',
+    [requestId, groupId]
+  );
+  if (request.rows.length === 0) {
+    throw inviteError(404, 'Join request not found');
+  }
+
+  const userId = request.rows[0].user_id;
+  await client.query(
+    'INSERT INTO group_members (group_id, user_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+    [groupId, userId]
+  );
+  return userId;
+});
+
+/**
+ * Reject a join request
+ * @param {number} groupId - Group ID
+ * @param {number} requestId - Join request ID
+ * @returns {Promise<Object|null>} - { user_id, group_name } of the rejected
+ *   request, or null if there was no such request
+ */
+const rejectJoinRequest = async (groupId, requestId) => {
+  const result = await db.query(
+    `DELETE FROM group_join_requests r
+     USING groups g
+     WHERE r.id = $1 AND r.group_id = $2 AND g.id = r.group_id
+     RETURNING r.user_id, g.name AS group_name`,
+    [requestId, groupId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * IDs of a group's admins and owner, who are told about join requests
+ * @param {number} groupId - Group ID
+ * @returns {Promise<Array<number>>}
+ */
+const getGroupAdminIds = async (groupId) => {
+  const result = await db.query(
+    "SELECT user_id FROM group_members WHERE group_id = $1 AND role IN ('admin', 'owner')",
+    [groupId]
+  );
+  return result.rows.map((row) => row.user_id);
+};
+
+module.exports = {
+  createInvite,
+  listInvites,
+  revokeInvite,
+  previewInvite,
+  redeemInvite,
+  joinDiscoverableGroup,
+  cancelJoinRequest,
+  listJoinRequests,
+  approveJoinRequest,
+  rejectJoinRequest,
+  getGroupAdminIds
+};
@@ -0,0 +1,67 @@
+const db = require('../config/db');
+require('dotenv').config();
+
+// Failed logins allowed within LOCKOUT_MINUTES before the account is locked
+const MAX_FAILED_LOGINS = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS, 10) || 5;
+
+// How long a lock lasts, and how long failures are remembered
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15;
+
+/**
+ * Seconds left on an account's lock
+ * @param {number} userId - User ID
+ * @returns {Promise<number>} - 0 if the account is not locked
+ */
+const getLockSeconds = async (userId) => {
+  const result = await db.query(
+    `SELECT GREATEST(0, CEIL(EXTRACT(EPOCH FROM locked_until - NOW())))::int AS seconds
+     FROM users WHERE id = $1 AND locked_until > NOW()`,
+    [userId]
+  );
+  return result.rows.length > 0 ? result.rows[0].seconds : 0;
+};
+
+/**
+ * Count a failed login, locking the account once MAX_FAILED_LOGINS
+ * failures happen within LOCKOUT_MINUTES of each other
+ * @param {number} userId - User ID
+ * @returns {Promise<number>} - Seconds the account is now locked for, or 0
+ */
+const recordFailedLogin = async (userId) => {
+  const result = await db.query(
+    `UPDATE users u
+     SET failed_login_count = CASE WHEN f.attempts >= $2 THEN 0 ELSE f.attempts END,
+         locked_until = CASE WHEN f.attempts >= $2 THEN NOW() + make_interval(mins => $3) ELSE NULL END,
+         last_failed_login_at = NOW()
+     FROM (
+       SELECT id,
+              CASE WHEN last_failed_login_at > NOW() - make_interval(mins => $3)
+                   THEN failed_login_count + 1 ELSE 1 END AS attempts
+       FROM users WHERE id = $1
+     ) f
+     WHERE u.id = f.id
+     RETURNING COALESCE(CEIL(EXTRACT(EPOCH FROM u.locked_until - NOW())), 0)::int AS seconds`,
+    [userId, MAX_FAILED_LOGINS, LOCKOUT_MINUTES]
+  );
+  return result.rows.length > 0 ? result.rows[0].seconds : 0;
+};
+
+/**
+ * Clear failed login state after a successful login
+ * @param {number} userId - User ID
+ */
+const recordSuccessfulLogin = async (userId) => {
+  await db.query(
+    `UPDATE users SET failed_login_count = 0, last_failed_login_at = NULL, locked_until = NULL
+     WHERE id = $1 AND (failed_login_count > 0 OR locked_until IS NOT NULL)`,
+    [userId]
+  );
+};
+
+module.exports = {
+  MAX_FAILED_LOGINS,
+  LOCKOUT_MINUTES,
+  getLockSeconds,
+  recordFailedLogin,
+  recordSuccessfulLogin
+};
@@ -0,0 +1,35 @@
+require('dotenv').config();
+
+/**
+ * Mail transports for account emails
+ * Every transport exposes the same async interface:
+ *   send({ from, to, subject, text })  Deliver one plain-text message
+ *
+ * The local transport writes messages to disk so sign-up and password reset
+ * work without a mail server. To send real email (e.g. SMTP), create a module
+ * with that interface, register it below and set MAIL_TRANSPORT to its name.
+ */
+const transports = {
+  local: () => require('./local')
+};
+
+const transportName = process.env.MAIL_TRANSPORT || 'local';
+
+if (!transports[transportName]) {
+  throw new Error(`Unknown MAIL_TRANSPORT "${transportName}". Use one of: ${Object.keys(transports).join(', ')}`);
+}
+
+const transport = transports[transportName]();
+
+// Sender address on every message
+const MAIL_FROM = process.env.MAIL_FROM || 'Section Connection <no-reply@localhost>';
+
+/**
+ * Send a plain-text email
+ * @param {Object} message - { to, subject, text }
+ */
+const send = (message) => transport.send({ from: MAIL_FROM, ...message });
+
+module.exports = {
+  send
+};
@@ -0,0 +1,44 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+/**
+ * Local mail transport
+ * Each message is written as an .eml file under MAIL_DIR (default: server/mail),
+ * which any mail client can open
+ */
+const MAIL_DIR = path.resolve(process.env.MAIL_DIR || path.join(__dirname, '..', '..', 'mail'));
+
+// Header values must stay on one line
+const headerValue = (value) => String(value).replace(/[\r\n]+/g, ' ');
+
+/**
+ * Write a message to disk
+ * @param {Object} message - { from, to, subject, text }
+ * @returns {Promise<string>} - Path of the written file
+ */
+const send = async ({ from, to, subject, text }) => {
+  const date = new Date();
+  const fileName = `${date.toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}.eml`;
+  const filePath = path.join(MAIL_DIR, fileName);
+
+  const contents = [
+    `From: ${headerValue(from)}`,
+    `To: ${headerValue(to)}`,
+    `Subject: ${headerValue(subject)}`,
+    `Date: ${date.toUTCString()}`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    '',
+    text
+  ].join('\r\n');
+
+  await fs.promises.mkdir(MAIL_DIR, { recursive: true });
+  await fs.promises.writeFile(filePath, contents);
+  return filePath;
+};
+
+module.exports = {
+  send
+};
@@ -0,0 +1,90 @@
+const db = require('../config/db');
+require('dotenv').config();
+
+// How long after sending a message its sender may still edit it
+const EDIT_WINDOW_MINUTES = parseInt(process.env.MESSAGE_EDIT_WINDOW_MINUTES, 10) || 15;
+
+// Message tables and the tables holding their previous versions
+const TABLES = {
+  direct: { messages: 'messages', edits: 'message_edits' },
+  group: { messages: 'group_messages', edits: 'group_message_edits' }
+};
+
+const editError = (status, message) => Object.assign(new Error(message), { status });
+
+/**
+ * Replace the content of a message, keeping the old version in its history
+ * Only the sender can edit, and only within EDIT_WINDOW_MINUTES of sending.
+ * Saving unchanged content is a no-op and adds no history.
+ *
+ * @param {string} kind - "direct" or "group"
+ * @param {number} messageId - Message ID
+ * @param {number} userId - User attempting the edit
+ * @param {string} content - New content
+ * @param {number} [groupId] - Group the message must belong to (group messages only)
+ * @returns {Promise<Object>} - { message, changed }
+ * @throws {Error} - With status 404 if the message is not the user's to edit,
+ *   or 403 if the edit window has passed
+ */
+const editMessage = (kind, messageId, userId, content, groupId) => db.transaction(async (client) => {
+  const { messages, edits } = TABLES[kind];
+  const params = [messageId, userId, EDIT_WINDOW_MINUTES];
+  if (kind === 'group') params.push(groupId);
+
+  const existing = await client.query(
+    `SELECT *, created_at < NOW() - make_interval(mins => $3) AS window_closed
+     FROM ${messages}
+     WHERE id = $1 AND sender_id = $2${kind === 'group' ? ' AND group_id = $4' : ''}
+     FOR UPDATE`,
+    params
+  );
+
+  if (existing.rows.length === 0) {
+    throw editError(404, 'Message not found or unauthorized');
+  }
+
+  const { window_closed: windowClosed, ...message } = existing.rows[0];
+
+  if (windowClosed) {
+    throw editError(403, `Messages can only be edited within ${EDIT_WINDOW_MINUTES} minutes of sending`);
+  }
+
+  if (message.content === content) {
+    return { message, changed: false };
+  }
+
+  await client.query(
+    `INSERT INTO ${edits} (message_id, content) VALUES ($1, $2)`,
+    [messageId, message.content]
+  );
+
+  const updated = await client.query(
+    `UPDATE ${messages} SET content = $2, edited_at = NOW() WHERE id = $1 RETURNING *`,
+    [messageId, content]
+  );
+
+  return { message: updated.rows[0], changed: true };
+});
+
+/**
+ * List the previous versions of a message, oldest first
+ * Callers must check the user is allowed to see the message
+ *
+ * @param {string} kind - "direct" or "group"
+ * @param {number} messageId - Message ID
+ * @returns {Promise<Array<Object>>} - [{ id, content, edited_at }], where
+ *   edited_at is when that version was replaced
+ */
+const getEditHistory = async (kind, messageId) => {
+  const result = await db.query(
+    `SELECT id, content, edited_at FROM ${TABLES[kind].edits} WHERE message_id = $1 ORDER BY id ASC`,
+    [messageId]
+  );
+  return result.rows;
+};
+
+module.exports = {
+  EDIT_WINDOW_MINUTES,
+  editMessage,
+  getEditHistory
+};
@@ -0,0 +1,85 @@
+const db = require('../config/db');
+const realtime = require('./realtime');
+
+// Statuses a client may report for one of its sockets
+const CLIENT_STATUSES = new Set(['online', 'away']);
+
+// Last status pushed for each connected user, so repeats are not re-sent
+const published = new Map();
+
+/**
+ * Current status of a user, derived from their open sockets:
+ * online if any tab is active, away if every tab reported away, else offline
+ * @param {number} userId - User ID
+ * @returns {string} - "online", "away" or "offline"
+ */
+const getStatus = (userId) => {
+  const sockets = realtime.getSockets(userId);
+  if (sockets.length === 0) return 'offline';
+  return sockets.some((ws) => !ws.away) ? 'online' : 'away';
+};
+
+/**
+ * Add status and last_seen_at to user rows
+ * last_seen_at is null for users who hide it
+ *
+ * @param {Array<Object>} users - Rows with id, last_seen_at and show_last_seen
+ * @returns {Array<Object>} - The users with status, without show_last_seen
+ */
+const withPresence = (users) => users.map(({ show_last_seen: showLastSeen, ...user }) => ({
+  ...user,
+  status: getStatus(user.id),
+  last_seen_at: showLastSeen ? user.last_seen_at : null
+}));
+
+/**
+ * Record and broadcast a user's status if it changed
+ * Errors are logged rather than thrown; presence is best-effort
+ *
+ * @param {number} userId - User ID
+ */
+const publishStatus = async (userId) => {
+  const status = getStatus(userId);
+  if ((published.get(userId) || 'offline') === status) return;
+
+  if (status === 'offline') published.delete(userId);
+  else published.set(userId, status);
+
+  try {
+    const result = await db.query(
+      'UPDATE users SET last_seen_at = NOW() WHERE id = $1 RETURNING last_seen_at, show_last_seen',
+      [userId]
+    );
+    if (result.rows.length === 0) return;
+
+    const { last_seen_at: lastSeenAt, show_last_seen: showLastSeen } = result.rows[0];
+    realtime.emitToAll('presence:update', {
+      user_id: userId,
+      status,
+      last_seen_at: showLastSeen ? lastSeenAt : null
+    });
+  } catch (error) {
+    console.error('Error publishing presence:', error);
+  }
+};
+
+/**
+ * Follow socket connections to keep presence up to date
+ * Clients report inactive tabs with { event: "presence", data: { status: "away" } }
+ * and { status: "online" } when they come back.
+ */
+const trackConnections = () => {
+  realtime.hooks.on('connection', (ws) => publishStatus(ws.user.id));
+  realtime.hooks.on('disconnect', (ws) => publishStatus(ws.user.id));
+  realtime.hooks.on('frame:presence', (ws, data) => {
+    if (!data || !CLIENT_STATUSES.has(data.status)) return;
+    ws.away = data.status === 'away';
+    publishStatus(ws.user.id);
+  });
+};
+
+module.exports = {
+  getStatus,
+  withPresence,
+  trackConnections
+};
@@ -0,0 +1,265 @@
+const sharp = require('sharp');
+const db = require('../config/db');
+const storage = require('./storage');
+
+// Avatars are cropped to a square of this many pixels
+const AVATAR_SIZE = 256;
+
+// Image types accepted as avatars
+const AVATAR_TYPES = new Set(['image/jpeg', 'image/png', 'image/gif', 'image/webp']);
+
+// Longest value of each editable profile field
+const PROFILE_LIMITS = {
+  display_name: 50,
+  bio: 500,
+  status_message: 100
+};
+
+// Deleted accounts are renamed to deleted_user_<id> with an address at this
+// domain; registration refuses both so they stay unique to deleted accounts
+const DELETED_USERNAME_PREFIX = 'deleted_user_';
+const DELETED_EMAIL_DOMAIN = 'deleted.invalid';
+
+/**
+ * Whether a username or email is of the form given to deleted accounts
+ * @param {string} username - Username
+ * @param {string} email - Email address
+ * @returns {boolean}
+ */
+const isReservedForDeleted = (username, email) =>
+  username.toLowerCase().startsWith(DELETED_USERNAME_PREFIX)
+  || email.toLowerCase().endsWith(`@${DELETED_EMAIL_DOMAIN}`);
+
+// Profile columns anyone signed in may see
+const PUBLIC_COLUMNS = `id, username, display_name, bio, status_message,
+  avatar_key IS NOT NULL AS has_avatar, avatar_updated_at, created_at`;
+
+const profileError = (status, message) => Object.assign(new Error(message), { status });
+
+/**
+ * SQL select expression for a user's email as another user may see it:
+ * the address if its owner chose to show it (or is the viewer), else NULL
+ * @param {string} alias - Alias of the users table
+ * @param {string} viewerParam - Placeholder holding the viewer's ID, e.g. "$1"
+ * @returns {string}
+ */
+const visibleEmail = (alias, viewerParam) =>
+  `CASE WHEN ${alias}.show_email OR ${alias}.id = ${viewerParam} THEN ${alias}.email END AS email`;
+
+/**
+ * A user's own profile, including their email and verification state
+ * @param {number} userId - User ID
+ * @returns {Promise<Object|null>}
+ */
+const getOwnProfile = async (userId) => {
+  const result = await db.query(
+    `SELECT ${PUBLIC_COLUMNS}, email, email_verified_at IS NOT NULL AS email_verified
+     FROM users WHERE id = $1 AND deleted_at IS NULL`,
+    [userId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Update the editable profile fields; empty strings clear a field
+ * @param {number} userId - User ID
+ * @param {Object} changes - Any of display_name, bio, status_message
+ * @returns {Promise<Object>} - The updated profile (public columns)
+ */
+const updateProfile = async (userId, changes) => {
+  const fields = Object.keys(PROFILE_LIMITS).filter((field) => changes[field] !== undefined);
+  const values = fields.map((field) => changes[field] || null);
+
+  const result = await db.query(
+    `UPDATE users SET ${fields.map((field, i) => `${field} = $${i + 2}`).join(', ')}
+     WHERE id = $1
+     RETURNING ${PUBLIC_COLUMNS}`,
+    [userId, ...values]
+  );
+  return result.rows[0];
+};
+
+/**
+ * Replace the user's avatar with an uploaded image, resized to AVATAR_SIZE
+ * @param {number} userId - User ID
+ * @param {Object} file - Multer file ({ buffer, mimetype })
+ * @returns {Promise<Object>} - The updated profile (public columns)
+ * @throws {Error} - With status 415 for non-images, 400 for unreadable images
+ */
+const setAvatar = async (userId, file) => {
+  if (!AVATAR_TYPES.has(file.mimetype)) {
+    throw profileError(415, 'Avatars must be JPEG, PNG, GIF or WebP images');
+  }
+
+  let avatar;
+  try {
+    avatar = await sharp(file.buffer)
+      .rotate()
+      .resize(AVATAR_SIZE, AVATAR_SIZE, { fit: 'cover' })
+      .webp({ quality: 85 })
+      .toBuffer();
+  } catch (error) {
+    throw profileError(400, 'The image could not be read');
+  }
+
+  // A new key per upload, so cached copies of the old avatar are never reused
+  const key = `avatars/${userId}-${Date.now()}.webp`;
+  await storage.save(key, avatar, 'image/webp');
+
+  const previous = await db.query('SELECT avatar_key FROM users WHERE id = $1', [userId]);
+  const result = await db.query(
+    `UPDATE users SET avatar_key = $2, avatar_updated_at = NOW()
+     WHERE id = $1
+     RETURNING ${PUBLIC_COLUMNS}`,
+    [userId, key]
+  );
+
+  await removeAvatarFile(previous.rows[0]?.avatar_key);
+  return result.rows[0];
+};
+
+/**
+ * Remove the user's avatar
+ * @param {number} userId - User ID
+ * @returns {Promise<Object>} - The updated profile (public columns)
+ */
+const removeAvatar = async (userId) => {
+  const previous = await db.query('SELECT avatar_key FROM users WHERE id = $1', [userId]);
+  const result = await db.query(
+    `UPDATE users SET avatar_key = NULL, avatar_updated_at = NOW()
+     WHERE id = $1
+     RETURNING ${PUBLIC_COLUMNS}`,
+    [userId]
+  );
+
+  await removeAvatarFile(previous.rows[0]?.avatar_key);
+  return result.rows[0];
+};
+
+/**
+ * Delete a stored avatar, logging rather than throwing on failure
+ * @param {string} [key] - Storage key
+ */
+const removeAvatarFile = async (key) => {
+  if (!key) return;
+  try {
+    await storage.remove(key);
+  } catch (error) {
+    console.error(`Error removing avatar ${key}:`, error);
+  }
+};
+
+/**
+ * Storage key of a user's avatar
+ * @param {number} userId - User ID
+ * @returns {Promise<string|null>}
+ */
+const getAvatarKey = async (userId) => {
+  const result = await db.query('SELECT avatar_key FROM users WHERE id = $1', [userId]);
+  return result.rows[0]?.avatar_key || null;
+};
+
+/**
+ * Delete an account by anonymizing it
+ * The user row stays, renamed and stripped of personal data, so messages
+ * keep a sender and conversations stay intact for everyone else. Sessions,
+ * memberships, join requests, reactions, blocks, AI chats and tokens are
+ * removed. Groups the user owned pass to their longest-serving admin, or
+ * else their longest-standing member; groups with nobody else in them are
+ * deleted.
+ * Callers revoke the user's sessions afterwards.
+ *
+ * @param {number} userId - User ID
+ * @returns {Promise<Object>} - { leftGroups: [groupId], newOwners: [{ group_id, user_id }],
+ *   deletedGroups: [groupId] }
+ */
+const deleteAccount = async (userId) => {
+  const { avatarKey, ...changes } = await db.transaction(async (client) => {
+    const user = await client.query('SELECT avatar_key FROM users WHERE id = $1 FOR UPDATE', [userId]);
+
+    const memberships = await client.query(
+      'DELETE FROM group_members WHERE user_id = $1 RETURNING group_id, role',
+      [userId]
+    );
+
+    const leftGroups = [];
+    const newOwners = [];
+    const deletedGroups = [];
+    for (const { group_id: groupId, role } of memberships.rows) {
+      if (role !== 'owner') {
+        leftGroups.push(groupId);
+        continue;
+      }
+
+      const successor = await client.query(
+        `UPDATE group_members SET role = 'owner'
+         WHERE group_id = $1 AND user_id = (
+           SELECT user_id FROM group_members
+           WHERE group_id = $1
+           ORDER BY role = 'admin' DESC, joined_at ASC
+           LIMIT 1
+         )
+         RETURNING user_id`,
+        [groupId]
+      );
+
+      if (successor.rows.length > 0) {
+        leftGroups.push(groupId);
+        newOwners.push({ group_id: groupId, user_id: successor.rows[0].user_id });
+      } else {
+        await client.query('DELETE FROM groups WHERE id = $1', [groupId]);
+        deletedGroups.push(groupId);
+      }
+    }
+
+    await client.query('DELETE FROM message_reactions WHERE user_id = $1', [userId]);
+    await client.query('DELETE FROM group_message_reactions WHERE user_id = $1', [userId]);
+    await client.query('DELETE FROM user_blocks WHERE blocker_id = $1 OR blocked_id = $1', [userId]);
+    await client.query('DELETE FROM user_mutes WHERE muter_id = $1 OR muted_id = $1', [userId]);
+    await client.query('DELETE FROM direct_reads WHERE user_id = $1', [userId]);
+    await client.query('DELETE FROM group_join_requests WHERE user_id = $1', [userId]);
+    await client.query('DELETE FROM ai_sessions WHERE user_id = $1', [userId]);
+    await client.query('DELETE FROM email_tokens WHERE user_id = $1', [userId]);
+    await client.query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [userId]);
+
+    // "!" is not a bcrypt hash, so no password matches it
+    await client.query(
+      `UPDATE users
+       SET username = $2 || id,
+           email = $2 || id || '@' || $3,
+           password_hash = '!',
+           display_name = NULL,
+           bio = NULL,
+           status_message = NULL,
+           avatar_key = NULL,
+           avatar_updated_at = NULL,
+           email_verified_at = NULL,
+           totp_secret = NULL,
+           totp_enabled_at = NULL,
+           totp_last_used_step = NULL,
+           last_seen_at = NULL,
+           show_last_seen = false,
+           show_email = false,
+           deleted_at = NOW()
+       WHERE id = $1`,
+      [userId, DELETED_USERNAME_PREFIX, DELETED_EMAIL_DOMAIN]
+    );
+
+    return { avatarKey: user.rows[0]?.avatar_key, leftGroups, newOwners, deletedGroups };
+  });
+
+  await removeAvatarFile(avatarKey);
+  return changes;
+};
+
+module.exports = {
+  PROFILE_LIMITS,
+  isReservedForDeleted,
+  visibleEmail,
+  getOwnProfile,
+  updateProfile,
+  setAvatar,
+  removeAvatar,
+  getAvatarKey,
+  deleteAccount
+};
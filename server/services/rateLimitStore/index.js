@@ -0,0 +1,24 @@
+require('dotenv').config();
+
+/**
+ * Counter stores for rate limiting
+ * Every store exposes the same async interface:
+ *   hit(key, windowMs)  Count one request in the key's current fixed window;
+ *                       resolves to { count, resetAt } (resetAt in ms since epoch)
+ *   reset(key)          Forget a key's counter
+ *
+ * The memory store only counts requests reaching this process. To share
+ * limits between instances (e.g. Redis), create a module with that interface,
+ * register it below and set RATE_LIMIT_STORE to its name.
+ */
+const stores = {
+  memory: () => require('./memory')
+};
+
+const storeName = process.env.RATE_LIMIT_STORE || 'memory';
+
+if (!stores[storeName]) {
+  throw new Error(`Unknown RATE_LIMIT_STORE "${storeName}". Use one of: ${Object.keys(stores).join(', ')}`);
+}
+
+module.exports = stores[storeName]();
@@ -0,0 +1,47 @@
+/**
+ * In-memory rate limit store
+ * Counters live in this process and are lost on restart
+ */
+const counters = new Map();
+
+// How often expired counters are dropped
+const SWEEP_INTERVAL = 60 * 1000;
+
+/**
+ * Count one request for a key
+ * @param {string} key - Limiter name plus client key
+ * @param {number} windowMs - Window length in milliseconds
+ * @returns {Promise<Object>} - { count, resetAt }
+ */
+const hit = async (key, windowMs) => {
+  const now = Date.now();
+  let counter = counters.get(key);
+
+  if (!counter || counter.resetAt <= now) {
+    counter = { count: 0, resetAt: now + windowMs };
+    counters.set(key, counter);
+  }
+
+  counter.count += 1;
+  return { count: counter.count, resetAt: counter.resetAt };
+};
+
+/**
+ * Forget a key's counter
+ * @param {string} key - Limiter name plus client key
+ */
+const reset = async (key) => {
+  counters.delete(key);
+};
+
+setInterval(() => {
+  const now = Date.now();
+  counters.forEach((counter, key) => {
+    if (counter.resetAt <= now) counters.delete(key);
+  });
+}, SWEEP_INTERVAL).unref();
+
+module.exports = {
+  hit,
+  reset
+};
@@ -0,0 +1,144 @@
+const db = require('../config/db');
+
+// Reaction tables for each kind of message
+const TABLES = {
+  direct: 'message_reactions',
+  group: 'group_message_reactions'
+};
+
+// Distinct emoji a single message can collect
+const MAX_EMOJI_PER_MESSAGE = 20;
+
+// One emoji: pictographs plus the joiners, variation selectors, skin tones
+// and keycap parts that combine them
+const EMOJI_PATTERN = /^(?:\p{Extended_Pictographic}|\p{Emoji_Component}|\u200d|\ufe0f|\u20e3)+$/u;
+
+/**
+ * Check a string is a single emoji (or emoji sequence)
+ * @param {string} emoji - Value from the request
+ * @returns {boolean}
+ */
+const isEmoji = (emoji) => typeof emoji === 'string'
+  && emoji.length <= 32
+  && EMOJI_PATTERN.test(emoji)
+  && /\p{Extended_Pictographic}|\u20e3/u.test(emoji);
+
+/**
+ * Aggregate reactions for a set of messages
+ * Each emoji lists who reacted, oldest first, and whether the viewer did
+ *
+ * @param {string} kind - "direct" or "group"
+ * @param {Array<number>} messageIds - Message IDs
+ * @param {number} viewerId - User the reacted_by_me flag is computed for
+ * @returns {Promise<Map>} - messageId => [{ emoji, count, user_ids, usernames, reacted_by_me }]
+ */
+const summarize = async (kind, messageIds, viewerId) => {
+  const result = await db.query(
+    `SELECT r.message_id, r.emoji,
+            COUNT(*)::int AS count,
+            array_agg(r.user_id ORDER BY r.created_at) AS user_ids,
+            array_agg(u.username ORDER BY r.created_at) AS usernames,
+            bool_or(r.user_id = $2) AS reacted_by_me
+     FROM ${TABLES[kind]} r
+     JOIN users u ON u.id = r.user_id
+     WHERE r.message_id = ANY($1::int[])
+     GROUP BY r.message_id, r.emoji
+     ORDER BY MIN(r.created_at) ASC`,
+    [messageIds, viewerId]
+  );
+
+  const byMessage = new Map();
+  result.rows.forEach(({ message_id: messageId, ...reaction }) => {
+    if (!byMessage.has(messageId)) byMessage.set(messageId, []);
+    byMessage.get(messageId).push(reaction);
+  });
+  return byMessage;
+};
+
+/**
+ * Add a reactions array to each message in a list
+ * @param {string} kind - "direct" or "group"
+ * @param {Array<Object>} messages - Messages with an id
+ * @param {number} viewerId - Requesting user
+ * @returns {Promise<Array<Object>>} - The same messages with reactions
+ */
+const withReactions = async (kind, messages, viewerId) => {
+  if (messages.length === 0) return messages;
+
+  const byMessage = await summarize(kind, messages.map((message) => message.id), viewerId);
+  return messages.map((message) => ({ ...message, reactions: byMessage.get(message.id) || [] }));
+};
+
+/**
+ * Reactions on one message, as seen by a user
+ * @param {string} kind - "direct" or "group"
+ * @param {number} messageId - Message ID
+ * @param {number} viewerId - Requesting user
+ * @returns {Promise<Array<Object>>} - [{ emoji, count, user_ids, usernames, reacted_by_me }]
+ */
+const getReactions = async (kind, messageId, viewerId) => {
+  const byMessage = await summarize(kind, [messageId], viewerId);
+  return byMessage.get(messageId) || [];
+};
+
+/**
+ * React to a message; reacting twice with the same emoji is a no-op
+ * Callers must check the user can see the message
+ *
+ * @param {string} kind - "direct" or "group"
+ * @param {number} messageId - Message ID
+ * @param {number} userId - Reacting user
+ * @param {string} emoji - Emoji, already validated with isEmoji
+ * @returns {Promise<boolean>} - Whether a new reaction was stored
+ * @throws {Error} - With status 400 if the message already has too many distinct emoji
+ */
+const addReaction = async (kind, messageId, userId, emoji) => {
+  const table = TABLES[kind];
+  const result = await db.query(
+    `INSERT INTO ${table} (message_id, user_id, emoji)
+     SELECT $1::int, $2::int, $3::varchar
+     WHERE EXISTS (SELECT 1 FROM ${table} WHERE message_id = $1 AND emoji = $3)
+        OR (SELECT COUNT(DISTINCT emoji) FROM ${table} WHERE message_id = $1) < $4
+     ON CONFLICT DO NOTHING
+     RETURNING emoji`,
+    [messageId, userId, emoji, MAX_EMOJI_PER_MESSAGE]
+  );
+
+  if (result.rows.length > 0) return true;
+
+  const existing = await db.query(
+    `SELECT 1 FROM ${table} WHERE message_id = $1 AND user_id = $2 AND emoji = $3`,
+    [messageId, userId, emoji]
+  );
+  if (existing.rows.length === 0) {
+    throw Object.assign(
+      new Error(`A message can have at most ${MAX_EMOJI_PER_MESSAGE} different reactions`),
+      { status: 400 }
+    );
+  }
+  return false;
+};
+
+/**
+ * Remove the user's reaction from a message
+ * @param {string} kind - "direct" or "group"
+ * @param {number} messageId - Message ID
+ * @param {number} userId - Reacting user
+ * @param {string} emoji - Emoji to remove
+ * @returns {Promise<boolean>} - Whether a reaction was removed
+ */
+const removeReaction = async (kind, messageId, userId, emoji) => {
+  const result = await db.query(
+    `DELETE FROM ${TABLES[kind]} WHERE message_id = $1 AND user_id = $2 AND emoji = $3`,
+    [messageId, userId, emoji]
+  );
+  return result.rowCount > 0;
+};
+
+module.exports = {
+  isEmoji,
+  withReactions,
+  getReactions,
+  addReaction,
+  removeReaction
+};
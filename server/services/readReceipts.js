@@ -0,0 +1,101 @@
+const db = require('../config/db');
+
+const readError = (status, message) => Object.assign(new Error(message), { status });
+
+/**
+ * Mark a direct conversation read up to a message
+ * The cursor only moves forward. The other user's messages up to it are
+ * also flagged is_read, which older clients still rely on.
+ *
+ * @param {number} userId - Reader
+ * @param {number} otherUserId - The other side of the conversation
+ * @param {number} messageId - Newest message the reader has seen
+ * @returns {Promise<Object>} - { last_read_message_id, read_at, changed }
+ * @throws {Error} - With status 404 if the message is not in the conversation
+ */
+const markDirectRead = async (userId, otherUserId, messageId) => {
+  const message = await db.query(
+    `SELECT id FROM messages
+     WHERE id = $1
+       AND ((sender_id = $2 AND recipient_id = $3) OR (sender_id = $3 AND recipient_id = $2))`,
+    [messageId, userId, otherUserId]
+  );
+
+  if (message.rows.length === 0) {
+    throw readError(404, 'Message not found in this conversation');
+  }
+
+  return db.transaction(async (client) => {
+    const moved = await client.query(
+      `INSERT INTO direct_reads (user_id, other_user_id, last_read_message_id)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (user_id, other_user_id) DO UPDATE
+         SET last_read_message_id = EXCLUDED.last_read_message_id, read_at = NOW()
+         WHERE direct_reads.last_read_message_id < EXCLUDED.last_read_message_id
+       RETURNING last_read_message_id, read_at`,
+      [userId, otherUserId, messageId]
+    );
+
+    if (moved.rows.length === 0) {
+      const current = await client.query(
+        'SELECT last_read_message_id, read_at FROM direct_reads WHERE user_id = $1 AND other_user_id = $2',
+        [userId, otherUserId]
+      );
+      return { ...current.rows[0], changed: false };
+    }
+
+    await client.query(
+      `UPDATE messages SET is_read = true
+       WHERE sender_id = $1 AND recipient_id = $2 AND id <= $3 AND NOT is_read`,
+      [otherUserId, userId, messageId]
+    );
+
+    return { ...moved.rows[0], changed: true };
+  });
+};
+
+/**
+ * Mark a group read up to a message for one member
+ * The cursor only moves forward. Callers must check the user is a member.
+ *
+ * @param {number} groupId - Group ID
+ * @param {number} userId - Reader
+ * @param {number} messageId - Newest message the reader has seen
+ * @returns {Promise<Object>} - { last_read_message_id, read_at, changed }
+ * @throws {Error} - With status 404 if the message is not in the group
+ */
+const markGroupRead = async (groupId, userId, messageId) => {
+  const message = await db.query(
+    'SELECT id FROM group_messages WHERE id = $1 AND group_id = $2',
+    [messageId, groupId]
+  );
+
+  if (message.rows.length === 0) {
+    throw readError(404, 'Message not found in this group');
+  }
+
+  const moved = await db.query(
+    `UPDATE group_members
+     SET last_read_message_id = $3, last_read_at = NOW()
+     WHERE group_id = $1 AND user_id = $2
+       AND (last_read_message_id IS NULL OR last_read_message_id < $3)
+     RETURNING last_read_message_id, last_read_at AS read_at`,
+    [groupId, userId, messageId]
+  );
+
+  if (moved.rows.length > 0) {
+    return { ...moved.rows[0], changed: true };
+  }
+
+  const current = await db.query(
+    `SELECT last_read_message_id, last_read_at AS read_at
+     FROM group_members WHERE group_id = $1 AND user_id = $2`,
+    [groupId, userId]
+  );
+  return { ...current.rows[0], changed: false };
+};
+
+module.exports = {
+  markDirectRead,
+  markGroupRead
+};
@@ -0,0 +1,251 @@
+const { EventEmitter } = require('events');
+const { WebSocketServer, WebSocket } = require('ws');
+const db = require('../config/db');
+const { verifyToken } = require('../middleware/auth');
+
+// Path the WebSocket server listens on (proxied alongside the REST API)
+const WS_PATH = '/api/ws';
+
+// How often dead connections are detected and dropped
+const HEARTBEAT_INTERVAL = 30000;
+
+/**
+ * Connection lifecycle hooks for other services:
+ *   connection (ws)          A socket finished its handshake
+ *   disconnect (ws)          A socket closed
+ *   frame:<event> (ws, data) A client sent { event, data } (other than ping)
+ * Each socket carries its decoded token as ws.user.
+ */
+const hooks = new EventEmitter();
+
+/**
+ * Open sockets per user
+ * A user can have several tabs open, so each id maps to a Set of sockets
+ */
+const clients = new Map();
+
+const addClient = (userId, ws) => {
+  if (!clients.has(userId)) {
+    clients.set(userId, new Set());
+  }
+  clients.get(userId).add(ws);
+};
+
+const removeClient = (userId, ws) => {
+  const sockets = clients.get(userId);
+  if (!sockets) return;
+
+  sockets.delete(ws);
+  if (sockets.size === 0) {
+    clients.delete(userId);
+  }
+};
+
+/**
+ * Reject an upgrade request before the WebSocket handshake completes
+ * @param {Object} socket - Raw TCP socket from the upgrade event
+ * @param {number} status - HTTP status code
+ * @param {string} reason - HTTP status text
+ */
+const rejectUpgrade = (socket, status, reason) => {
+  socket.write(`HTTP/1.1 ${status} ${reason}\r\nConnection: close\r\n\r\n`);
+  socket.destroy();
+};
+
+/**
+ * Attach the WebSocket server to an HTTP server
+ * Clients connect to ws(s)://host/api/ws?token=JWT and receive
+ * JSON frames of the form { event, data }
+ *
+ * @param {Object} server - Node HTTP server returned by app.listen()
+ * @returns {WebSocketServer} - The WebSocket server instance
+ */
+const initRealtime = (server) => {
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', async (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (url.pathname !== WS_PATH) {
+      return rejectUpgrade(socket, 404, 'Not Found');
+    }
+
+    const token = url.searchParams.get('token');
+    if (!token) {
+      return rejectUpgrade(socket, 401, 'Unauthorized');
+    }
+
+    // Verify the JWT and its session the same way the authenticateToken middleware does
+    let user;
+    try {
+      user = await verifyToken(token);
+    } catch (error) {
+      if (!error.invalidToken) {
+        console.error('Error verifying WebSocket session:', error);
+        return rejectUpgrade(socket, 500, 'Internal Server Error');
+      }
+      return rejectUpgrade(socket, 403, 'Forbidden');
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      wss.emit('connection', ws, user);
+    });
+  });
+
+  wss.on('connection', (ws, user) => {
+    ws.isAlive = true;
+    ws.user = user;
+    addClient(user.id, ws);
+
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+
+    ws.on('message', (raw) => {
+      let frame;
+      try {
+        frame = JSON.parse(raw.toString());
+      } catch (error) {
+        return;
+      }
+
+      // Application-level ping so clients can check the connection is healthy
+      if (frame.event === 'ping') {
+        send(ws, 'pong', { timestamp: new Date().toISOString() });
+      } else if (typeof frame.event === 'string') {
+        hooks.emit(`frame:${frame.event}`, ws, frame.data);
+      }
+    });
+
+    ws.on('close', () => {
+      removeClient(user.id, ws);
+      hooks.emit('disconnect', ws);
+    });
+    ws.on('error', (error) => {
+      console.error('WebSocket error:', error);
+    });
+
+    send(ws, 'connected', { user_id: user.id });
+    hooks.emit('connection', ws);
+  });
+
+  // Terminate sockets that stopped answering pings
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach((ws) => {
+      if (!ws.isAlive) {
+        return ws.terminate();
+      }
+      ws.isAlive = false;
+      ws.ping();
+    });
+  }, HEARTBEAT_INTERVAL);
+
+  wss.on('close', () => clearInterval(heartbeat));
+
+  return wss;
+};
+
+/**
+ * Send a single event frame to one socket
+ * @param {WebSocket} ws - Target socket
+ * @param {string} event - Event name (e.g. "message:new")
+ * @param {Object} data - Event payload
+ */
+const send = (ws, event, data) => {
+  if (ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify({ event, data }));
+  }
+};
+
+/**
+ * Push an event to every open socket of a user
+ * @param {number} userId - Recipient user ID
+ * @param {string} event - Event name
+ * @param {Object} data - Event payload
+ */
+const emitToUser = (userId, event, data) => {
+  const sockets = clients.get(Number(userId));
+  if (!sockets) return;
+  sockets.forEach((ws) => send(ws, event, data));
+};
+
+/**
+ * Open sockets of a user
+ * @param {number} userId - User ID
+ * @returns {Array<WebSocket>} - Sockets (empty when the user is offline)
+ */
+const getSockets = (userId) => [...(clients.get(Number(userId)) || [])];
+
+/**
+ * Push an event to every connected user
+ * @param {string} event - Event name
+ * @param {Object} data - Event payload
+ */
+const emitToAll = (event, data) => {
+  clients.forEach((sockets) => sockets.forEach((ws) => send(ws, event, data)));
+};
+
+/**
+ * Tell sockets belonging to revoked sessions to sign out, then close them
+ * @param {number} userId - Owner of the sessions
+ * @param {Array<number>} sessionIds - Revoked session IDs
+ */
+const disconnectSessions = (userId, sessionIds) => {
+  const sockets = clients.get(Number(userId));
+  if (!sockets) return;
+
+  const revoked = new Set(sessionIds.map(Number));
+  sockets.forEach((ws) => {
+    if (!revoked.has(ws.user.sid)) return;
+    send(ws, 'session:revoked', { session_id: ws.user.sid });
+    ws.close(4001, 'Session revoked');
+  });
+};
+
+/**
+ * Push an event to several users, sending at most once per user
+ * @param {Array<number>} userIds - Recipient user IDs
+ * @param {string} event - Event name
+ * @param {Object} data - Event payload
+ */
+const emitToUsers = (userIds, event, data) => {
+  new Set(userIds.map(Number)).forEach((userId) => emitToUser(userId, event, data));
+};
+
+/**
+ * Push an event to every member of a group
+ * Errors are logged rather than thrown so a failed push never fails the request
+ *
+ * @param {number} groupId - Group ID
+ * @param {string} event - Event name
+ * @param {Object} data - Event payload
+ * @param {Object} [options]
+ * @param {number} [options.senderId] - Skip members who have blocked this user
+ */
+const emitToGroup = async (groupId, event, data, { senderId = null } = {}) => {
+  try {
+    const result = await db.query(
+      `SELECT user_id FROM group_members gm
+       WHERE group_id = $1
+         AND NOT EXISTS (
+           SELECT 1 FROM user_blocks ub WHERE ub.blocker_id = gm.user_id AND ub.blocked_id = $2
+         )`,
+      [groupId, senderId]
+    );
+    emitToUsers(result.rows.map((row) => row.user_id), event, data);
+  } catch (error) {
+    console.error('Error emitting group event:', error);
+  }
+};
+
+module.exports = {
+  WS_PATH,
+  initRealtime,
+  emitToUser,
+  emitToUsers,
+  emitToGroup,
+  emitToAll,
+  getSockets,
+  disconnectSessions,
+  hooks
+};
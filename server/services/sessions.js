@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('../config/db');
+require('dotenv').config();
+
+// Access tokens are short-lived; refresh tokens keep a device signed in
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+// How long the token a rotation just replaced still works, so tabs that
+// refreshed at the same moment are not mistaken for a replay
+const ROTATION_GRACE_SECONDS = parseInt(process.env.ROTATION_GRACE_SECONDS, 10) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const generateRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+
+/**
+ * Sign an access token for a user's session
+ * @param {Object} user - { id, username }
+ * @param {number} sessionId - Session the token belongs to
+ * @returns {string} - Signed JWT
+ */
+const signAccessToken = (user, sessionId) => jwt.sign(
+  { id: user.id, username: user.username, sid: sessionId },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+/**
+ * Describe the device making a request, for the session list
+ * @param {Object} req - Express request object
+ */
+const clientInfo = (req) => ({
+  userAgent: (req.headers['user-agent'] || '').slice(0, 500),
+  ip: req.ip
+});
+
+/**
+ * Start a new session after a successful login or registration
+ * Also prunes the user's expired and long-revoked sessions
+ *
+ * @param {Object} user - { id, username }
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} - { token, refresh_token, session_id }
+ */
+const createSession = async (user, req) => {
+  const refreshToken = generateRefreshToken();
+  const { userAgent, ip } = clientInfo(req);
+
+  await db.query(
+    `DELETE FROM sessions
+     WHERE user_id = $1
+       AND (expires_at < NOW() OR revoked_at < NOW() - INTERVAL '30 days')`,
+    [user.id]
+  );
+
+  const result = await db.query(
+    `INSERT INTO sessions (user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+     VALUES ($1, $2, $3, $4, NOW() + make_interval(days => $5))
+     RETURNING id`,
+    [user.id, hashToken(refreshToken), userAgent, ip, REFRESH_TOKEN_TTL_DAYS]
+  );
+
+  const sessionId = result.rows[0].id;
+
+  return {
+    token: signAccessToken(user, sessionId),
+    refresh_token: refreshToken,
+    session_id: sessionId
+  };
+};
+
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ * The old refresh token stops working, apart from a short grace period in
+ * which it is rotated again like the current one. If an already-rotated token
+ * is presented after that, it was copied by someone else, so the session is revoked.
+ *
+ * @param {string} refreshToken - Refresh token from the client
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object|null>} - { token, refresh_token, session_id, user },
+ *   { reused: true, user_id, session_ids } if a rotated token was replayed,
+ *   or null if the token is unknown, expired or revoked
+ */
+const rotateSession = async (refreshToken, req) => {
+  const tokenHash = hashToken(refreshToken);
+  const newRefreshToken = generateRefreshToken();
+  const { userAgent, ip } = clientInfo(req);
+
+  // During the grace period the pair handed out moments ago becomes the
+  // previous one, so the tab holding it can still refresh
+  const result = await db.query(
+    `UPDATE sessions s
+     SET refresh_token_hash = $2,
+         previous_token_hash = s.refresh_token_hash,
+         last_used_at = NOW(),
+         user_agent = $3,
+         ip_address = $4
+     FROM users u
+     WHERE (s.refresh_token_hash = $1
+            OR (s.previous_token_hash = $1
+                AND s.last_used_at > NOW() - make_interval(secs => $5)))
+       AND s.user_id = u.id
+       AND s.revoked_at IS NULL
+       AND s.expires_at > NOW()
+     RETURNING s.id, u.id AS user_id, u.username`,
+    [tokenHash, hashToken(newRefreshToken), userAgent, ip, ROTATION_GRACE_SECONDS]
+  );
+
+  if (result.rows.length === 0) {
+    // Reuse of a rotated token: revoke the session it belonged to
+    const reused = await db.query(
+      `UPDATE sessions SET revoked_at = NOW()
+       WHERE previous_token_hash = $1 AND revoked_at IS NULL
+       RETURNING id, user_id`,
+      [tokenHash]
+    );
+
+    if (reused.rows.length === 0) return null;
+
+    return {
+      reused: true,
+      user_id: reused.rows[0].user_id,
+      session_ids: reused.rows.map((row) => row.id)
+    };
+  }
+
+  const { id: sessionId, user_id, username } = result.rows[0];
+  const user = { id: user_id, username };
+
+  return {
+    token: signAccessToken(user, sessionId),
+    refresh_token: newRefreshToken,
+    session_id: sessionId,
+    user
+  };
+};
+
+/**
+ * List a user's active sessions, most recently used first
+ * @param {number} userId - User ID
+ */
+const listSessions = async (userId) => {
+  const result = await db.query(
+    `SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at
+     FROM sessions
+     WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+     ORDER BY last_used_at DESC`,
+    [userId]
+  );
+  return result.rows;
+};
+
+/**
+ * Revoke sessions belonging to a user
+ * @param {number} userId - Owner of the sessions
+ * @param {Object} options - { only: sessionId } to revoke one session,
+ *   { except: sessionId } to revoke all others, or {} to revoke all
+ * @returns {Promise<Array<number>>} - IDs of the sessions revoked
+ */
+const revokeSessions = async (userId, { only, except } = {}) => {
+  const conditions = ['user_id = $1', 'revoked_at IS NULL'];
+  const values = [userId];
+
+  if (only !== undefined) {
+    values.push(only);
+    conditions.push(`id = $${values.length}`);
+  }
+  if (except !== undefined) {
+    values.push(except);
+    conditions.push(`id != $${values.length}`);
+  }
+
+  const result = await db.query(
+    `UPDATE sessions SET revoked_at = NOW() WHERE ${conditions.join(' AND ')} RETURNING id`,
+    values
+  );
+  return result.rows.map((row) => row.id);
+};
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  createSession,
+  rotateSession,
+  listSessions,
+  revokeSessions
+};
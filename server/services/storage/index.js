@@ -0,0 +1,24 @@
+require('dotenv').config();
+
+/**
+ * Storage drivers for uploaded files
+ * Every driver exposes the same async interface:
+ *   save(key, buffer, contentType)  Write a file
+ *   read(key)                       Resolve to a readable stream; reject with
+ *                                   code "ENOENT" if there is no such file
+ *   remove(key)                     Delete a file (missing files are ignored)
+ *
+ * To add a driver (e.g. S3), create a module with that interface,
+ * register it below and set STORAGE_DRIVER to its name.
+ */
+const drivers = {
+  local: () => require('./local')
+};
+
+const driverName = process.env.STORAGE_DRIVER || 'local';
+
+if (!drivers[driverName]) {
+  throw new Error(`Unknown STORAGE_DRIVER "${driverName}". Use one of: ${Object.keys(drivers).join(', ')}`);
+}
+
+module.exports = drivers[driverName]();
@@ -0,0 +1,54 @@
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+/**
+ * Local disk storage driver
+ * Files live under UPLOAD_DIR (default: server/uploads), named by their storage key
+ */
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, '..', '..', 'uploads'));
+
+// Keys are generated by the attachments service, but never let one escape the upload directory
+const resolveKey = (key) => {
+  const filePath = path.resolve(UPLOAD_DIR, key);
+  if (!filePath.startsWith(UPLOAD_DIR + path.sep)) {
+    throw new Error(`Invalid storage key "${key}"`);
+  }
+  return filePath;
+};
+
+/**
+ * Write a file
+ * @param {string} key - Storage key (may contain "/" for sub-directories)
+ * @param {Buffer} buffer - File contents
+ */
+const save = async (key, buffer) => {
+  const filePath = resolveKey(key);
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.promises.writeFile(filePath, buffer);
+};
+
+/**
+ * Open a file for reading
+ * @param {string} key - Storage key
+ * @returns {Promise<ReadableStream>} - File contents
+ */
+const read = async (key) => {
+  const filePath = resolveKey(key);
+  await fs.promises.access(filePath);
+  return fs.createReadStream(filePath);
+};
+
+/**
+ * Delete a file; missing files are ignored
+ * @param {string} key - Storage key
+ */
+const remove = async (key) => {
+  await fs.promises.rm(resolveKey(key), { force: true });
+};
+
+module.exports = {
+  save,
+  read,
+  remove
+};
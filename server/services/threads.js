@@ -0,0 +1,161 @@
+const db = require('../config/db');
+const realtime = require('./realtime');
+const { hideBlockedSenders } = require('./blocks');
+
+// Message tables for each kind of conversation
+const TABLES = {
+  direct: 'messages',
+  group: 'group_messages'
+};
+
+// Longest excerpt of a quoted message or latest thread reply sent to clients
+const PREVIEW_LENGTH = 200;
+
+/**
+ * Work out the parent_id to store for a new reply
+ * The parent must belong to the same conversation. Threads are one level
+ * deep, so a thread reply to a message that is itself in a thread joins
+ * that thread instead.
+ *
+ * @param {string} kind - "direct" or "group"
+ * @param {number} parentId - Parent message ID from the request
+ * @param {Object} conversation - { userId, otherUserId } for DMs, { groupId } for groups
+ * @param {boolean} inThread - Thread reply (true) or quote reply (false)
+ * @returns {Promise<number>} - Parent message ID to store
+ * @throws {Error} - With status 400 if the parent is not in the conversation
+ */
+const resolveParent = async (kind, parentId, conversation, inThread) => {
+  const params = [parentId];
+  let scope;
+
+  if (kind === 'group') {
+    params.push(conversation.groupId);
+    scope = 'group_id = $2';
+  } else {
+    params.push(conversation.userId, conversation.otherUserId);
+    scope = '((sender_id = $2 AND recipient_id = $3) OR (sender_id = $3 AND recipient_id = $2))';
+  }
+
+  const result = await db.query(
+    `SELECT id, parent_id, in_thread FROM ${TABLES[kind]} WHERE id = $1 AND ${scope}`,
+    params
+  );
+
+  if (result.rows.length === 0) {
+    throw Object.assign(new Error('Parent message not found in this conversation'), { status: 400 });
+  }
+
+  const parent = result.rows[0];
+  return inThread && parent.in_thread && parent.parent_id ? parent.parent_id : parent.id;
+};
+
+/**
+ * Add reply context to each message in a list:
+ *   quoted - { id, sender_id, sender_username, content, created_at } of the
+ *            message a quote reply points at, or null
+ *   thread - { reply_count, latest_reply } for messages with thread replies, or null
+ *
+ * In groups, quotes and thread replies by users the viewer blocked are left
+ * out, as they are from the timeline.
+ *
+ * @param {string} kind - "direct" or "group"
+ * @param {Array<Object>} messages - Messages with id, parent_id and in_thread
+ * @param {number} [viewerId] - User the messages are for
+ * @returns {Promise<Array<Object>>} - The same messages with quoted and thread
+ */
+const withReplyContext = async (kind, messages, viewerId = null) => {
+  if (messages.length === 0) return messages;
+
+  const table = TABLES[kind];
+  const hideBlocked = kind === 'group' && viewerId !== null;
+  const params = (ids) => (hideBlocked ? [ids, PREVIEW_LENGTH, viewerId] : [ids, PREVIEW_LENGTH]);
+  const quotedIds = messages
+    .filter((message) => message.parent_id && !message.in_thread)
+    .map((message) => message.parent_id);
+
+  const [threads, quotes] = await Promise.all([
+    db.query(
+      `SELECT DISTINCT ON (r.parent_id)
+              r.parent_id, r.id, r.sender_id, u.username AS sender_username,
+              LEFT(r.content, $2) AS content, r.created_at,
+              COUNT(*) OVER (PARTITION BY r.parent_id)::int AS reply_count
+       FROM ${table} r
+       JOIN users u ON u.id = r.sender_id
+       WHERE r.in_thread AND r.parent_id = ANY($1::int[])
+         ${hideBlocked ? hideBlockedSenders('r', '$3') : ''}
+       ORDER BY r.parent_id, r.id DESC`,
+      params(messages.map((message) => message.id))
+    ),
+    quotedIds.length === 0 ? { rows: [] } : db.query(
+      `SELECT q.id, q.sender_id, u.username AS sender_username,
+              LEFT(q.content, $2) AS content, q.created_at
+       FROM ${table} q
+       JOIN users u ON u.id = q.sender_id
+       WHERE q.id = ANY($1::int[])
+         ${hideBlocked ? hideBlockedSenders('q', '$3') : ''}`,
+      params(quotedIds)
+    )
+  ]);
+
+  const threadsByParent = new Map(threads.rows.map(({ parent_id: parentId, reply_count: replyCount, ...latest }) => [
+    parentId,
+    { reply_count: replyCount, latest_reply: latest }
+  ]));
+  const quotesById = new Map(quotes.rows.map((quote) => [quote.id, quote]));
+
+  return messages.map((message) => ({
+    ...message,
+    quoted: message.parent_id && !message.in_thread ? quotesById.get(message.parent_id) || null : null,
+    thread: threadsByParent.get(message.id) || null
+  }));
+};
+
+/**
+ * Current thread summary for one message
+ * @param {string} kind - "direct" or "group"
+ * @param {number} messageId - Thread parent
+ * @returns {Promise<Object|null>} - { reply_count, latest_reply } or null if no replies remain
+ */
+const getThreadSummary = async (kind, messageId) => {
+  const [message] = await withReplyContext(kind, [{ id: messageId }]);
+  return message.thread;
+};
+
+/**
+ * Push a thread's new summary after a reply is added or deleted
+ * Errors are logged rather than thrown so a failed push never fails the request
+ *
+ * @param {string} kind - "direct" or "group"
+ * @param {Object} reply - The thread reply (needs parent_id, and sender_id and
+ *   recipient_id for DMs or group_id for groups)
+ */
+const publishThreadSummary = async (kind, reply) => {
+  try {
+    const thread = await getThreadSummary(kind, reply.parent_id);
+
+    if (kind === 'group') {
+      // Members who blocked the latest replier pick up the count on their next load
+      await realtime.emitToGroup(reply.group_id, 'group_message:thread', {
+        id: reply.parent_id,
+        group_id: reply.group_id,
+        thread
+      }, { senderId: thread?.latest_reply.sender_id });
+    } else {
+      realtime.emitToUsers([reply.sender_id, reply.recipient_id], 'message:thread', {
+        id: reply.parent_id,
+        sender_id: reply.sender_id,
+        recipient_id: reply.recipient_id,
+        thread
+      });
+    }
+  } catch (error) {
+    console.error('Error publishing thread summary:', error);
+  }
+};
+
+module.exports = {
+  resolveParent,
+  withReplyContext,
+  getThreadSummary,
+  publishThreadSummary
+};
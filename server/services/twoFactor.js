@@ -0,0 +1,295 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const db = require('../config/db');
+require('dotenv').config();
+
+// Name shown next to the account in authenticator apps
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Section Connection';
+
+// RFC 6238 defaults, which every authenticator app supports
+const TOTP_DIGITS = 6;
+const TOTP_STEP_SECONDS = 30;
+
+// Codes from one step either side of now are accepted to allow for clock drift
+const TOTP_DRIFT_STEPS = 1;
+
+const RECOVERY_CODE_COUNT = 10;
+
+// How long the password step of a login stays valid while the code is entered
+const CHALLENGE_TTL = '5m';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const twoFactorError = (status, message) => Object.assign(new Error(message), { status });
+
+const hashCode = (code) => crypto.createHash('sha256').update(code).digest('hex');
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  buffer.forEach((byte) => { bits += byte.toString(2).padStart(8, '0'); });
+  return bits.match(/.{1,5}/g)
+    .map((chunk) => BASE32_ALPHABET[parseInt(chunk.padEnd(5, '0'), 2)])
+    .join('');
+};
+
+const base32Decode = (secret) => {
+  const bits = secret.replace(/=+$/, '').toUpperCase().split('')
+    .map((char) => BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0'))
+    .join('');
+  return Buffer.from(bits.match(/.{8}/g).map((byte) => parseInt(byte, 2)));
+};
+
+/**
+ * TOTP code for one time step (RFC 6238 with HMAC-SHA1)
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step (seconds since epoch / TOTP_STEP_SECONDS)
+ * @returns {string} - Zero-padded code
+ */
+const generateCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const value = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(value % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+const currentStep = () => Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+
+/**
+ * Find the time step a code belongs to
+ * Steps at or before lastUsedStep are refused so a code cannot be replayed
+ *
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code from the user
+ * @param {number|null} lastUsedStep - Step of the last accepted code
+ * @returns {number|null} - Matching step, or null
+ */
+const matchCode = (secret, code, lastUsedStep) => {
+  const normalized = String(code).replace(/\s+/g, '');
+  if (!/^\d+$/.test(normalized) || normalized.length !== TOTP_DIGITS) return null;
+
+  const now = currentStep();
+  for (let step = now - TOTP_DRIFT_STEPS; step <= now + TOTP_DRIFT_STEPS; step += 1) {
+    const expected = generateCode(secret, step);
+    if ((lastUsedStep === null || step > lastUsedStep)
+      && crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+// Recovery codes look like "a1b2c-3d4e5"; dashes and case are ignored when checking
+const normalizeRecoveryCode = (code) => String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const generateRecoveryCode = () => {
+  const raw = crypto.randomBytes(5).toString('hex');
+  return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+};
+
+/**
+ * Replace a user's recovery codes
+ * @param {Object} client - Transaction client from db.transaction
+ * @param {number} userId - User ID
+ * @returns {Promise<Array<string>>} - The new codes; only their hashes are kept
+ */
+const replaceRecoveryCodes = async (client, userId) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+
+  await client.query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [userId]);
+  await client.query(
+    `INSERT INTO two_factor_recovery_codes (user_id, code_hash)
+     SELECT $1, UNNEST($2::varchar[])`,
+    [userId, codes.map((code) => hashCode(normalizeRecoveryCode(code)))]
+  );
+  return codes;
+};
+
+/**
+ * Two-factor status for the settings screen
+ * @param {number} userId - User ID
+ * @returns {Promise<Object>} - { enabled, enabled_at, recovery_codes_remaining }
+ */
+const getStatus = async (userId) => {
+  const result = await db.query(
+    `SELECT u.totp_enabled_at,
+            (SELECT COUNT(*) FROM two_factor_recovery_codes r
+             WHERE r.user_id = u.id AND r.used_at IS NULL)::int AS recovery_codes_remaining
+     FROM users u WHERE u.id = $1`,
+    [userId]
+  );
+  const { totp_enabled_at: enabledAt, recovery_codes_remaining: remaining } = result.rows[0];
+  return {
+    enabled: enabledAt !== null,
+    enabled_at: enabledAt,
+    recovery_codes_remaining: enabledAt !== null ? remaining : 0
+  };
+};
+
+/**
+ * Start enrolling: store a new secret that is not enforced until confirmed
+ * @param {Object} user - { id, username }
+ * @returns {Promise<Object>} - { secret, otpauth_url, qr_code } where qr_code
+ *   is a PNG data URL of otpauth_url
+ * @throws {Error} - With status 409 if two-factor is already on
+ */
+const beginEnrollment = async (user) => {
+  const secret = base32Encode(crypto.randomBytes(20));
+
+  const result = await db.query(
+    'UPDATE users SET totp_secret = $2 WHERE id = $1 AND totp_enabled_at IS NULL RETURNING id',
+    [user.id, secret]
+  );
+  if (result.rows.length === 0) {
+    throw twoFactorError(409, 'Two-factor authentication is already enabled');
+  }
+
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${user.username}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS)
+  });
+  const otpauthUrl = `otpauth://totp/${label}?${params}`;
+
+  return {
+    secret,
+    otpauth_url: otpauthUrl,
+    qr_code: await QRCode.toDataURL(otpauthUrl)
+  };
+};
+
+/**
+ * Finish enrolling with a code from the authenticator app
+ * @param {number} userId - User ID
+ * @param {string} code - Current TOTP code
+ * @returns {Promise<Array<string>>} - Recovery codes, shown to the user once
+ * @throws {Error} - With status 409 if already enabled, 400 if enrollment was
+ *   not started or the code is wrong
+ */
+const confirmEnrollment = (userId, code) => db.transaction(async (client) => {
+  const result = await client.query(
+    'SELECT totp_secret, totp_enabled_at FROM users WHERE id = $1 FOR UPDATE',
+    [userId]
+  );
+  const user = result.rows[0];
+
+  if (user.totp_enabled_at) {
+    throw twoFactorError(409, 'Two-factor authentication is already enabled');
+  }
+  if (!user.totp_secret) {
+    throw twoFactorError(400, 'Start two-factor setup first');
+  }
+
+  const step = matchCode(user.totp_secret, code, null);
+  if (step === null) {
+    throw twoFactorError(400, 'Invalid code');
+  }
+
+  await client.query(
+    'UPDATE users SET totp_enabled_at = NOW(), totp_last_used_step = $2 WHERE id = $1',
+    [userId, step]
+  );
+  return replaceRecoveryCodes(client, userId);
+});
+
+/**
+ * Check a second factor: a TOTP code or an unused recovery code
+ * Accepted codes are spent, so neither kind works twice
+ *
+ * @param {number} userId - User ID
+ * @param {string} code - Code from the user
+ * @returns {Promise<string|null>} - "totp" or "recovery_code" for a valid code, else null
+ */
+const verifySecondFactor = (userId, code) => db.transaction(async (client) => {
+  const result = await client.query(
+    'SELECT totp_secret, totp_enabled_at, totp_last_used_step FROM users WHERE id = $1 FOR UPDATE',
+    [userId]
+  );
+  const user = result.rows[0];
+  if (!user || !user.totp_enabled_at) return null;
+
+  const lastUsedStep = user.totp_last_used_step === null ? null : Number(user.totp_last_used_step);
+  const step = matchCode(user.totp_secret, code, lastUsedStep);
+  if (step !== null) {
+    await client.query('UPDATE users SET totp_last_used_step = $2 WHERE id = $1', [userId, step]);
+    return 'totp';
+  }
+
+  const recovery = await client.query(
+    `UPDATE two_factor_recovery_codes SET used_at = NOW()
+     WHERE id = (
+       SELECT id FROM two_factor_recovery_codes
+       WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+       LIMIT 1
+     )
+     RETURNING id`,
+    [userId, hashCode(normalizeRecoveryCode(code))]
+  );
+  return recovery.rows.length > 0 ? 'recovery_code' : null;
+});
+
+/**
+ * Issue a new set of recovery codes, invalidating the old ones
+ * @param {number} userId - User ID
+ * @returns {Promise<Array<string>>} - The new codes
+ */
+const regenerateRecoveryCodes = (userId) => db.transaction((client) => replaceRecoveryCodes(client, userId));
+
+/**
+ * Turn two-factor off and forget the secret and recovery codes
+ * @param {number} userId - User ID
+ */
+const disable = async (userId) => {
+  await db.transaction(async (client) => {
+    await client.query(
+      `UPDATE users SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_used_step = NULL
+       WHERE id = $1`,
+      [userId]
+    );
+    await client.query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [userId]);
+  });
+};
+
+/**
+ * Sign a challenge token proving the password step of a login passed
+ * @param {Object} user - { id }
+ * @returns {string} - Signed JWT, valid for CHALLENGE_TTL
+ */
+const issueChallenge = (user) => jwt.sign(
+  { id: user.id, purpose: 'two_factor' },
+  process.env.JWT_SECRET,
+  { expiresIn: CHALLENGE_TTL }
+);
+
+/**
+ * Read a challenge token
+ * @param {string} token - Token from the login response
+ * @returns {number} - ID of the user logging in
+ * @throws {Error} - With status 401 if the token is invalid or expired
+ */
+const readChallenge = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.purpose === 'two_factor') return decoded.id;
+  } catch (error) {
+    // Fall through to the same error as a token for another purpose
+  }
+  throw twoFactorError(401, 'Login expired. Enter your username and password again.');
+};
+
+module.exports = {
+  RECOVERY_CODE_COUNT,
+  getStatus,
+  beginEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disable,
+  issueChallenge,
+  readChallenge
+};
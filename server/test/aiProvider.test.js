@@ -0,0 +1,113 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const PROVIDER_DIR = path.join(__dirname, '..', 'services', 'aiProvider');
+
+/**
+ * Load the provider module afresh with some environment variables set,
+ * restoring the environment afterwards
+ * @param {Object} env - Variables to set; undefined removes one
+ * @returns {Object} - The aiProvider module
+ */
+const loadProvider = (env) => {
+  const saved = {};
+  Object.entries(env).forEach(([name, value]) => {
+    saved[name] = process.env[name];
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  });
+  Object.keys(require.cache)
+    .filter((file) => file.startsWith(PROVIDER_DIR))
+    .forEach((file) => delete require.cache[file]);
+
+  try {
+    return require(PROVIDER_DIR);
+  } finally {
+    Object.entries(saved).forEach(([name, value]) => {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    });
+  }
+};
+
+describe('provider selection', () => {
+  test('AI_PROVIDER picks the provider and its default model', () => {
+    const ai = loadProvider({ AI_PROVIDER: 'mock', AI_MODEL: undefined });
+    assert.equal(ai.PROVIDER, 'mock');
+    assert.equal(ai.MODEL, 'mock');
+  });
+
+  test('AI_MODEL overrides the default model', () => {
+    const ai = loadProvider({ AI_PROVIDER: 'mock', AI_MODEL: 'mock-large' });
+    assert.equal(ai.MODEL, 'mock-large');
+  });
+
+  test('an unknown provider fails at startup', () => {
+    assert.throws(() => loadProvider({ AI_PROVIDER: 'nope' }), /Unknown AI_PROVIDER "nope"/);
+  });
+});
+
+describe('mock provider', () => {
+  const ai = loadProvider({ AI_PROVIDER: 'mock' });
+  const messages = [
+    { role: 'system', content: 'Be brief.' },
+    { role: 'user', content: 'What is   the time?' }
+  ];
+
+  test('complete echoes the latest user message', async () => {
+    assert.equal(await ai.complete(messages), 'Mock reply to "What is the time?" (1 message of context).');
+  });
+
+  test('stream yields the same reply in pieces', async () => {
+    const pieces = [];
+    for await (const piece of ai.stream(messages)) pieces.push(piece);
+    assert.ok(pieces.length > 1);
+    assert.equal(pieces.join(''), await ai.complete(messages));
+  });
+
+  test('stream stops when aborted', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    await assert.rejects(async () => {
+      for await (const piece of ai.stream(messages, { signal: controller.signal }));
+    }, { name: 'AbortError' });
+  });
+
+  test('maxTokens shortens the reply', async () => {
+    assert.equal((await ai.complete(messages, { maxTokens: 2 })).length, 8);
+  });
+});
+
+describe('toApiError', () => {
+  const ai = loadProvider({ AI_PROVIDER: 'mock' });
+  const upstream = (status) => Object.assign(new Error('upstream'), { status });
+
+  test('maps upstream statuses to API errors', (t) => {
+    t.mock.method(console, 'error', () => {});
+
+    const cases = [
+      [401, 503, 'AI_NOT_CONFIGURED'],
+      [403, 503, 'AI_NOT_CONFIGURED'],
+      [429, 503, 'AI_BUSY'],
+      [400, 502, 'AI_REQUEST_REJECTED'],
+      [404, 502, 'AI_REQUEST_REJECTED'],
+      [413, 502, 'AI_REQUEST_REJECTED'],
+      [500, 502, 'AI_ERROR'],
+      [undefined, 502, 'AI_UNAVAILABLE']
+    ];
+    cases.forEach(([status, expectedStatus, expectedCode]) => {
+      const error = ai.toApiError(upstream(status));
+      assert.equal(error.status, expectedStatus, `status for upstream ${status}`);
+      assert.equal(error.code, expectedCode, `code for upstream ${status}`);
+      assert.doesNotMatch(error.message, /upstream/);
+    });
+  });
+
+  test('passes aborts and configuration errors through unchanged', () => {
+    const aborted = Object.assign(new Error('aborted'), { name: 'AbortError' });
+    const notConfigured = Object.assign(new Error('no key'), { status: 503, code: 'AI_NOT_CONFIGURED' });
+    assert.equal(ai.toApiError(aborted), aborted);
+    assert.equal(ai.toApiError(notConfigured), notConfigured);
+  });
+});
@@ -0,0 +1,101 @@
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Set before the modules read them; dotenv leaves variables that are already set alone
+process.env.AI_PROVIDER = 'mock';
+process.env.AI_CONTEXT_TOKENS = '200';
+process.env.AI_SYSTEM_PROMPT = 'You are a test assistant.';
+
+const db = require('../config/db');
+const ai = require('../services/aiProvider');
+const aiSessions = require('../services/aiSessions');
+
+const originalComplete = ai.complete;
+
+/**
+ * A stored turn costing about 150 tokens of context
+ * @param {number} id - Turn ID
+ */
+const turn = (id) => ({ id, message: `${id}`.padEnd(400, 'q'), response: `${id}`.padEnd(200, 'a') });
+
+// Queries run by buildContext, and the turns the history query returns
+let queries;
+let storedTurns;
+
+beforeEach(() => {
+  queries = [];
+  storedTurns = [];
+  ai.complete = originalComplete;
+  db.query = async (text, params) => {
+    queries.push({ text, params });
+    return { rows: text.includes('FROM ai_chat_history') ? storedTurns : [] };
+  };
+});
+
+describe('aiSessions.buildContext', () => {
+  test('sends every turn that fits the budget, oldest first', async () => {
+    storedTurns = [
+      { id: 1, message: 'Hi', response: 'Hello!' },
+      { id: 2, message: 'How are you?', response: 'Fine.' }
+    ];
+
+    const messages = await aiSessions.buildContext({ id: 7, summary: null, summarized_through_id: null }, 'And you?');
+
+    assert.deepEqual(messages, [
+      { role: 'system', content: 'You are a test assistant.' },
+      { role: 'user', content: 'Hi' },
+      { role: 'assistant', content: 'Hello!' },
+      { role: 'user', content: 'How are you?' },
+      { role: 'assistant', content: 'Fine.' },
+      { role: 'user', content: 'And you?' }
+    ]);
+    assert.equal(queries.length, 1);
+    assert.deepEqual(queries[0].params, [7, 0, 100]);
+  });
+
+  test('summarizes turns that do not fit and stores the summary', async () => {
+    storedTurns = [turn(1), turn(2), turn(3)];
+
+    const messages = await aiSessions.buildContext({ id: 7, summary: null, summarized_through_id: null }, 'Next?');
+
+    // Only the newest turn fits next to the system prompt
+    assert.equal(messages.length, 5);
+    assert.equal(messages[1].role, 'system');
+    assert.match(messages[1].content, /^Summary of earlier conversation: Mock reply to "Summarize/);
+    assert.equal(messages[2].content, turn(3).message);
+    assert.deepEqual(messages[4], { role: 'user', content: 'Next?' });
+
+    const update = queries.find((query) => query.text.startsWith('UPDATE ai_sessions'));
+    assert.ok(update, 'summary is saved');
+    assert.deepEqual(update.params, [7, messages[1].content.replace('Summary of earlier conversation: ', ''), 2]);
+  });
+
+  test('builds on the stored summary and skips summarized turns', async () => {
+    storedTurns = [{ id: 12, message: 'Later', response: 'Sure.' }];
+
+    const messages = await aiSessions.buildContext({ id: 7, summary: 'We met.', summarized_through_id: 11 }, 'Go on');
+
+    assert.deepEqual(queries[0].params, [7, 11, 100]);
+    assert.deepEqual(messages[1], { role: 'system', content: 'Summary of earlier conversation: We met.' });
+    assert.equal(messages.length, 5);
+  });
+
+  test('drops turns that do not fit when summarizing fails', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    ai.complete = async () => {
+      throw Object.assign(new Error('The AI service is busy.'), { status: 503, code: 'AI_BUSY' });
+    };
+    storedTurns = [turn(1), turn(2), turn(3)];
+
+    const messages = await aiSessions.buildContext({ id: 7, summary: 'We met.', summarized_through_id: null }, 'Next?');
+
+    assert.deepEqual(messages.map((message) => message.content), [
+      'You are a test assistant.',
+      'Summary of earlier conversation: We met.',
+      turn(3).message,
+      turn(3).response,
+      'Next?'
+    ]);
+    assert.ok(!queries.some((query) => query.text.startsWith('UPDATE')), 'summary is left as it was');
+  });
+});